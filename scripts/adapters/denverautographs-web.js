@@ -0,0 +1,68 @@
+/**
+ * Denver Autographs - WooCommerce storefront
+ *
+ * The web catalog, as opposed to the emailed inventory spreadsheet handled by
+ * the denverautographs adapter. Prices are recorded under the same source.
+ */
+
+const cheerio = require('cheerio');
+const { defineAdapter, sleep } = require('../lib/retailer-adapter');
+
+const BASE_URL = 'https://www.denverautographs.com';
+
+const PAGES = [
+    `${BASE_URL}/?s=helmet&post_type=product`,
+    `${BASE_URL}/product-category/nfl/?s=helmet`,
+    `${BASE_URL}/product-category/helmets/`
+];
+
+const POPULAR_TEAMS = ['denver-broncos', 'kansas-city-chiefs', 'dallas-cowboys', 'green-bay-packers'];
+
+module.exports = defineAdapter({
+    name: 'denverautographs-web',
+    source: 'denverautographs',
+    description: 'Denver Autographs - Helmet listings via web scraping',
+    url: PAGES[0],
+    kind: 'browser',
+    delay: 1500,
+
+    discover() {
+        return [
+            ...PAGES,
+            ...POPULAR_TEAMS.map(team => `${BASE_URL}/product-category/nfl/${team}/`)
+        ].map(url => ({ url }));
+    },
+
+    async fetch(target, ctx) {
+        const page = await ctx.getPage();
+        await page.goto(target.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await sleep(2000);
+        return page.content();
+    },
+
+    parse(html) {
+        const $ = cheerio.load(html);
+        const products = [];
+
+        $('li.product, .products .product').each((i, product) => {
+            const title = $(product)
+                .find('.woocommerce-loop-product__title, h2, .product-title')
+                .first().text().trim();
+            const priceText = $(product).find('.price .amount, .woocommerce-Price-amount').first().text();
+
+            if (title.length > 10 && title.toLowerCase().includes('helmet')) {
+                products.push({
+                    title,
+                    price: parseFloat(priceText.replace(/[^0-9.]/g, '')) || 0,
+                    url: $(product).find('a.woocommerce-LoopProduct-link, a[href*="/product/"]').first().attr('href') || ''
+                });
+            }
+        });
+
+        return products;
+    },
+
+    fixtures: [
+        { file: 'denverautographs-web-search.html', target: { url: PAGES[0] } }
+    ]
+});
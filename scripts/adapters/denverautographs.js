@@ -0,0 +1,92 @@
+/**
+ * Denver Autographs - inventory spreadsheet ("Breakers List")
+ *
+ * FS HELMET:          PLAYER, TEAM NAME, Helmet Type, Helmet Type 2, PRICE
+ * MINI & MIDI HELMET: PLAYER, TEAM NAME, DEPARTMENT NAME, Helmet Type, PRICE
+ *
+ * Players are listed "Last, First". Pass --file to import a newer list.
+ */
+
+const path = require('path');
+const { defineAdapter, readSheet } = require('../lib/retailer-adapter');
+const { normalizePlayerName, validatePrice } = require('../lib/listing-parser');
+const { normalizeTeam, findTeamInText } = require('../lib/teams');
+const { classifyHelmet } = require('../lib/helmet-classifier');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'DenverAutographs', 'Breakers List 1-3-2026.xls');
+
+const HELMET_SHEETS = ['FS HELMET', 'MINI & MIDI HELMET'];
+
+module.exports = defineAdapter({
+    name: 'denverautographs',
+    description: 'Denver Autographs - Import from Excel inventory file',
+    url: 'Local Excel file',
+    kind: 'file',
+
+    discover(ctx) {
+        const file = (ctx.options && ctx.options.file) || DEFAULT_FILE;
+        return HELMET_SHEETS.map(sheet => ({ file, sheet }));
+    },
+
+    fetch(target) {
+        return readSheet(target.file, target.sheet, { header: 1 });
+    },
+
+    parse(rows, target) {
+        // Skip the header row and blank rows
+        return rows.slice(1)
+            .filter(row => row.length > 0 && row[0])
+            .map(row => {
+                const [player, team, third, fourth, price] = row;
+                return target.sheet === 'FS HELMET'
+                    ? { player, team, type: third, design: fourth, price, sheet: target.sheet }
+                    : { player, team, type: fourth, design: '', price, sheet: target.sheet };
+            });
+    },
+
+    normalize(product) {
+        const player = normalizePlayerName(product.player);
+        const price = validatePrice(product.price);
+
+        const { helmetType, designType, helmetTypeConfidence, designTypeConfidence } = classifyHelmet('', {
+            type: product.type,
+            design: product.design,
+            sheetName: product.sheet,
+            defaultHelmetType: 'fullsize-replica'
+        });
+
+        let team = normalizeTeam(product.team || '');
+        const designSuffix = designType !== 'regular' ? ` ${designType}` : '';
+        const title = `${player} ${team} Autographed ${helmetType} Helmet${designSuffix}`.replace(/\s+/g, ' ').trim();
+
+        if (!team) {
+            const found = findTeamInText(title);
+            team = found ? found.team : null;
+        }
+
+        const issues = [];
+        if (!player) issues.push('Could not extract player name');
+        if (!price) issues.push('No price');
+
+        return {
+            title,
+            player,
+            team: team || null,
+            helmetType,
+            designType,
+            helmetTypeConfidence,
+            designTypeConfidence,
+            authCompany: null,
+            inscription: null,
+            price,
+            url: null,
+            isValid: issues.length === 0,
+            issues
+        };
+    },
+
+    fixtures: [
+        { file: 'denverautographs-fs-helmet.json', target: { sheet: 'FS HELMET' } },
+        { file: 'denverautographs-mini-midi.json', target: { sheet: 'MINI & MIDI HELMET' } }
+    ]
+});
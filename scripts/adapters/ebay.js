@@ -0,0 +1,70 @@
+/**
+ * eBay - sold listings search
+ *
+ * Discovery only: sold prices aren't a retailer price, so nothing is recorded
+ * in helmet_prices ('ebay' isn't a price source) - listings just add helmets to
+ * the catalog. Left out of `import all`.
+ */
+
+const cheerio = require('cheerio');
+const { defineAdapter, sleep } = require('../lib/retailer-adapter');
+
+const SEARCHES = ['NFL autographed helmet', 'signed football helmet'];
+
+// Sold prices outside this range are lots, parts or typos
+const MIN_PRICE = 50;
+const MAX_PRICE = 15000;
+
+function searchUrl(query) {
+    return `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(query)}&LH_Complete=1&LH_Sold=1&_sop=13`;
+}
+
+module.exports = defineAdapter({
+    name: 'ebay',
+    description: 'eBay - Sold listings search (helmet discovery only)',
+    url: 'https://www.ebay.com',
+    kind: 'browser',
+    delay: 4000,
+    includeInAll: false,
+
+    discover() {
+        return SEARCHES.map(query => ({ query }));
+    },
+
+    async fetch(target, ctx) {
+        const page = await ctx.getPage();
+        await page.goto(searchUrl(target.query), { waitUntil: 'networkidle2', timeout: 45000 });
+        await sleep(3000);
+        return page.content();
+    },
+
+    parse(html) {
+        const $ = cheerio.load(html);
+        const products = [];
+
+        // Current result cards, then the older layouts
+        let cards = $('.s-card');
+        if (cards.length === 0) cards = $('.s-item');
+        if (cards.length === 0) cards = $('.srp-results li');
+
+        cards.each((i, card) => {
+            const title = $(card).find('.s-card__title, .s-item__title').first().text().trim();
+            const priceText = $(card).find('.s-card__price, .s-item__price').first().text();
+            const price = parseFloat(priceText.replace(/[^0-9.]/g, '')) || 0;
+
+            if (title && !title.includes('Shop on eBay') && price > MIN_PRICE && price < MAX_PRICE) {
+                products.push({
+                    title,
+                    price,
+                    url: ($(card).find('a[href*="/itm/"]').first().attr('href') || '').split('?')[0]
+                });
+            }
+        });
+
+        return products;
+    },
+
+    fixtures: [
+        { file: 'ebay-sold.html', target: { query: SEARCHES[0] } }
+    ]
+});
@@ -0,0 +1,78 @@
+/**
+ * Fanatics - inventory spreadsheet
+ *
+ * Same layout as the GreatSports inventory (PlayerFirst, PlayerLast, Team,
+ * Type, Item, Retail/Price), one tab per helmet size. Rows without a price
+ * still add the helmet to the catalog. Pass --file to import a newer inventory.
+ */
+
+const path = require('path');
+const { defineAdapter, listSheets, readSheet } = require('../lib/retailer-adapter');
+const { validatePrice } = require('../lib/listing-parser');
+const { normalizeTeam, findTeamInText } = require('../lib/teams');
+const { classifyHelmet } = require('../lib/helmet-classifier');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'Fanatics', 'Inventory 12-8-25.xls');
+
+module.exports = defineAdapter({
+    name: 'fanatics',
+    description: 'Fanatics - Import from Excel inventory file',
+    url: 'Local Excel file',
+    kind: 'file',
+
+    discover(ctx) {
+        const file = (ctx.options && ctx.options.file) || DEFAULT_FILE;
+        return listSheets(file).map(sheet => ({ file, sheet }));
+    },
+
+    fetch(target) {
+        return readSheet(target.file, target.sheet);
+    },
+
+    parse(rows, target) {
+        return rows.map(row => ({
+            player: `${row.PlayerFirst || ''} ${row.PlayerLast || ''}`.trim(),
+            team: row.Team || '',
+            type: row.Type || '',
+            item: row.Item || row.Description || '',
+            price: row.Retail || row.Price || null,
+            sheet: target.sheet
+        }));
+    },
+
+    normalize(product) {
+        const { helmetType, designType, helmetTypeConfidence, designTypeConfidence } = classifyHelmet(product.item, {
+            type: product.type,
+            sheetName: product.sheet
+        });
+
+        let team = normalizeTeam(product.team);
+        const title = `${product.player} ${team} Autographed ${product.item}`.replace(/\s+/g, ' ').trim();
+
+        if (!team) {
+            const found = findTeamInText(title) || findTeamInText(product.item);
+            team = found ? found.team : null;
+        }
+
+        return {
+            title,
+            player: product.player,
+            team: team || null,
+            helmetType,
+            designType,
+            helmetTypeConfidence,
+            designTypeConfidence,
+            authCompany: null,
+            inscription: null,
+            price: validatePrice(product.price),
+            url: null,
+            isValid: !!product.player,
+            issues: product.player ? [] : ['Could not extract player name']
+        };
+    },
+
+    fixtures: [
+        { file: 'fanatics-full-size.json', target: { sheet: 'Full Size' } },
+        { file: 'fanatics-mini.json', target: { sheet: 'Mini' } }
+    ]
+});
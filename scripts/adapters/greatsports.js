@@ -0,0 +1,88 @@
+/**
+ * GreatSports - inventory spreadsheet
+ *
+ * One tab per helmet size (the jersey tabs are skipped) with PlayerFirst,
+ * PlayerLast, Team, Type, Item, Description and Retail (Price on MIDI).
+ * Pass --file to import a newer inventory.
+ */
+
+const path = require('path');
+const { defineAdapter, readSheet } = require('../lib/retailer-adapter');
+const { validatePrice } = require('../lib/listing-parser');
+const { normalizeTeam, findTeamInText } = require('../lib/teams');
+const { classifyHelmet } = require('../lib/helmet-classifier');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'GreatSports', 'Inventory.xls');
+
+const HELMET_SHEETS = ['Full Size', 'Minis', 'MIDI'];
+
+module.exports = defineAdapter({
+    name: 'greatsports',
+    description: 'GreatSports - Import from Excel inventory file',
+    url: 'Local Excel file',
+    kind: 'file',
+
+    discover(ctx) {
+        const file = (ctx.options && ctx.options.file) || DEFAULT_FILE;
+        return HELMET_SHEETS.map(sheet => ({ file, sheet }));
+    },
+
+    fetch(target) {
+        return readSheet(target.file, target.sheet);
+    },
+
+    parse(rows, target) {
+        return rows.map(row => ({
+            player: `${row.PlayerFirst || ''} ${row.PlayerLast || ''}`.trim(),
+            team: row.Team || '',
+            type: row.Type || '',
+            item: row.Item || row.Description || '',
+            design: row.Description || '',
+            price: row.Retail || row.Price || null,
+            sheet: target.sheet
+        }));
+    },
+
+    normalize(product) {
+        const price = validatePrice(product.price);
+        const { helmetType, designType, helmetTypeConfidence, designTypeConfidence } = classifyHelmet(product.item, {
+            type: product.type,
+            design: product.design,
+            sheetName: product.sheet
+        });
+
+        let team = normalizeTeam(product.team);
+        const designSuffix = designType !== 'regular' ? ` ${designType}` : '';
+        const title = `${product.player} ${team} Autographed ${helmetType} Helmet${designSuffix}`.replace(/\s+/g, ' ').trim();
+
+        if (!team) {
+            const found = findTeamInText(title) || findTeamInText(product.item);
+            team = found ? found.team : null;
+        }
+
+        const issues = [];
+        if (!product.player) issues.push('Could not extract player name');
+        if (!price) issues.push('No price');
+
+        return {
+            title,
+            player: product.player,
+            team: team || null,
+            helmetType,
+            designType,
+            helmetTypeConfidence,
+            designTypeConfidence,
+            authCompany: null,
+            inscription: null,
+            price,
+            url: null,
+            isValid: issues.length === 0,
+            issues
+        };
+    },
+
+    fixtures: [
+        { file: 'greatsports-full-size.json', target: { sheet: 'Full Size' } },
+        { file: 'greatsports-minis.json', target: { sheet: 'Minis' } }
+    ]
+});
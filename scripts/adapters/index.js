@@ -0,0 +1,38 @@
+/**
+ * Retailer Adapter Registry
+ *
+ * Every retailer scripts/import.js knows about. To add one, write an adapter
+ * file next to this one (see lib/retailer-adapter.js) and list it here.
+ */
+
+const ADAPTERS = [
+    require('./radtke'),
+    require('./rsa'),
+    require('./fanatics'),
+    require('./greatsports'),
+    require('./signaturesports'),
+    require('./denverautographs'),
+    require('./denverautographs-web'),
+    require('./ebay')
+];
+
+const byName = new Map(ADAPTERS.map(adapter => [adapter.name, adapter]));
+
+/**
+ * Adapter by name ('rsa', 'radtke', ...), or null
+ */
+function getAdapter(name) {
+    return byName.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * All adapters, in the order `import all` runs them
+ */
+function listAdapters() {
+    return [...ADAPTERS];
+}
+
+module.exports = {
+    getAdapter,
+    listAdapters
+};
@@ -0,0 +1,92 @@
+/**
+ * Radtke Sports - WooCommerce search results
+ *
+ * The site renders products client-side, so pages are loaded in puppeteer and
+ * the resulting HTML is parsed with cheerio.
+ */
+
+const cheerio = require('cheerio');
+const { defineAdapter, normalizeTitleProduct, sleep } = require('../lib/retailer-adapter');
+
+const BASE_URL = 'https://www.radtkesports.com';
+const SEARCH = '?s=helmet&product_cat=0&post_type=product';
+
+const TITLE_SELECTORS = ['.woocommerce-loop-product__title', '.product-title', 'h2', '.item-title', 'h3'];
+
+function searchUrl(page) {
+    return page === 1 ? `${BASE_URL}/${SEARCH}` : `${BASE_URL}/page/${page}/${SEARCH}`;
+}
+
+function parsePrice($, product) {
+    const priceEl = $(product).find('.price, .woocommerce-Price-amount').first();
+    if (priceEl.length === 0) return 0;
+
+    // Sale price when there is one
+    const sale = priceEl.find('ins .woocommerce-Price-amount').first();
+    const amount = sale.length ? sale : priceEl.find('.woocommerce-Price-amount').first();
+    const text = (amount.length ? amount : priceEl).text();
+    const match = text.match(/[\d,]+\.?\d*/);
+    return match ? parseFloat(match[0].replace(/,/g, '')) || 0 : 0;
+}
+
+module.exports = defineAdapter({
+    name: 'radtke',
+    description: 'Radtke Sports - Full helmet catalog via web scraping',
+    url: searchUrl(1),
+    kind: 'browser',
+    delay: 1000,
+    maxPages: 100,
+
+    discover() {
+        return [{ page: 1 }];
+    },
+
+    async fetch(target, ctx) {
+        const page = await ctx.getPage();
+        await page.goto(searchUrl(target.page), { waitUntil: 'networkidle2', timeout: 60000 });
+        await sleep(1500);
+        return page.content();
+    },
+
+    parse(html) {
+        if (html.includes('No products were found') || html.includes('Page not found')) return [];
+
+        const $ = cheerio.load(html);
+        const products = [];
+
+        $('li.product, .product-item').each((i, product) => {
+            let title = '';
+            for (const selector of TITLE_SELECTORS) {
+                const text = $(product).find(selector).first().text().trim();
+                if (text) {
+                    title = text;
+                    break;
+                }
+            }
+
+            if (title.length > 10) {
+                products.push({
+                    title,
+                    price: parsePrice($, product),
+                    url: $(product).find('a[href*="/product/"]').first().attr('href') || ''
+                });
+            }
+        });
+
+        return products;
+    },
+
+    next(html, target) {
+        const $ = cheerio.load(html);
+        return $('.next.page-numbers, a.next').length > 0 ? { page: target.page + 1 } : null;
+    },
+
+    // Search results include stands and cases, so the title must say "helmet"
+    normalize(product) {
+        return normalizeTitleProduct(product, { requireHelmet: true });
+    },
+
+    fixtures: [
+        { file: 'radtke-search.html', target: { page: 1 } }
+    ]
+});
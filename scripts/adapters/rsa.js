@@ -0,0 +1,73 @@
+/**
+ * Shop RSA - Shopify JSON API
+ *
+ * Each helmet collection sets the default helmet type for its products; the
+ * store-wide products.json catches helmets outside those collections.
+ */
+
+const axios = require('axios');
+const { defineAdapter } = require('../lib/retailer-adapter');
+
+const BASE_URL = 'https://www.shoprsa.com';
+
+const COLLECTIONS = [
+    { collection: 'signed-nfl-mini-helmets', helmetType: 'mini' },
+    { collection: 'signed-midi-speedflex-helmets', helmetType: 'midi' },
+    { collection: 'signed-nfl-football-helmets', helmetType: 'fullsize-authentic' }
+];
+
+function productsUrl(target) {
+    const base = target.collection ? `${BASE_URL}/collections/${target.collection}` : BASE_URL;
+    return `${base}/products.json?limit=250&page=${target.page}`;
+}
+
+module.exports = defineAdapter({
+    name: 'rsa',
+    description: 'Shop RSA - Full helmet catalog via Shopify API',
+    url: `${BASE_URL}/collections/signed-nfl-football-helmets`,
+    kind: 'api',
+    delay: 500,
+
+    discover() {
+        return [
+            ...COLLECTIONS.map(c => ({ ...c, page: 1 })),
+            // Store-wide feed, deduplicated against the collections by URL
+            { collection: null, helmetType: 'fullsize-authentic', page: 1 }
+        ];
+    },
+
+    async fetch(target) {
+        const response = await axios.get(productsUrl(target), {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Accept': 'application/json'
+            },
+            timeout: 30000
+        });
+        return response.data;
+    },
+
+    parse(raw, target) {
+        return (raw.products || [])
+            .filter(product => {
+                const title = (product.title || '').toLowerCase();
+                // Collection products are helmets even when only the product type says so
+                return title.includes('helmet') ||
+                    (!!target.collection && (product.product_type || '').toLowerCase().includes('helmet'));
+            })
+            .map(product => ({
+                title: product.title,
+                price: parseFloat(product.variants?.[0]?.price) || 0,
+                defaultType: target.helmetType,
+                url: `${BASE_URL}/products/${product.handle}`
+            }));
+    },
+
+    next(raw, target) {
+        return (raw.products || []).length > 0 ? { ...target, page: target.page + 1 } : null;
+    },
+
+    fixtures: [
+        { file: 'rsa-mini-helmets.json', target: { collection: 'signed-nfl-mini-helmets', helmetType: 'mini', page: 1 } }
+    ]
+});
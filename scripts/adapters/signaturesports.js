@@ -0,0 +1,71 @@
+/**
+ * Signature Sports Memorabilia - player helmets spreadsheet
+ *
+ * One sheet with player (upper case), team, helmet_type, design_type and
+ * Price ("$119.00"). Rows without a price still add the helmet to the catalog.
+ * Pass --file to import a newer export.
+ */
+
+const path = require('path');
+const { defineAdapter, listSheets, readSheet } = require('../lib/retailer-adapter');
+const { titleCaseName, validatePrice } = require('../lib/listing-parser');
+const { normalizeTeam } = require('../lib/teams');
+const { classifyHelmet } = require('../lib/helmet-classifier');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'SignatureSportsMemorabilia', 'player_helmets.ods');
+
+module.exports = defineAdapter({
+    name: 'signaturesports',
+    description: 'Signature Sports - Import from player helmets spreadsheet',
+    url: 'Local spreadsheet file',
+    kind: 'file',
+
+    discover(ctx) {
+        const file = (ctx.options && ctx.options.file) || DEFAULT_FILE;
+        return [{ file, sheet: listSheets(file)[0] }];
+    },
+
+    fetch(target) {
+        return readSheet(target.file, target.sheet);
+    },
+
+    parse(rows) {
+        return rows.map(row => ({
+            player: row.player || '',
+            team: row.team || '',
+            type: row.helmet_type || '',
+            design: row.design_type || '',
+            price: row.Price
+        }));
+    },
+
+    normalize(product) {
+        const player = titleCaseName(product.player);
+        const team = normalizeTeam(product.team);
+        const { helmetType, designType, helmetTypeConfidence, designTypeConfidence } = classifyHelmet('', {
+            type: product.type,
+            design: product.design,
+            defaultHelmetType: 'fullsize-replica'
+        });
+
+        return {
+            title: `${player} ${team} Autographed ${product.type}`.replace(/\s+/g, ' ').trim(),
+            player,
+            team: team || null,
+            helmetType,
+            designType,
+            helmetTypeConfidence,
+            designTypeConfidence,
+            authCompany: null,
+            inscription: null,
+            price: validatePrice(product.price),
+            url: null,
+            isValid: !!player,
+            issues: player ? [] : ['Could not extract player name']
+        };
+    },
+
+    fixtures: [
+        { file: 'signaturesports-player-helmets.json', target: { sheet: 'Player Helmets' } }
+    ]
+});
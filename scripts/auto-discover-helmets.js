@@ -1,16 +1,9 @@
 const puppeteer = require('puppeteer');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
+const { parseListingTitle } = require('./lib/listing-parser');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-// NFL Teams for parsing
-const NFL_TEAMS = [
-    'Cardinals', 'Falcons', 'Ravens', 'Bills', 'Panthers', 'Bears', 'Bengals', 'Browns',
-    'Cowboys', '49ers', 'Giants', 'Jaguars', 'Chiefs', 'Raiders', 'Chargers', 'Rams',
-    'Dolphins', 'Vikings', 'Patriots', 'Saints', 'Jets', 'Eagles', 'Steelers', 'Seahawks',
-    'Buccaneers', 'Titans', 'Commanders', 'Packers', 'Lions', 'Texans', 'Colts', 'Broncos'
-];
+const supabase = getDatabase();
 
 // Popular players (expand this list)
 const POPULAR_PLAYERS = [
@@ -27,70 +20,12 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Parse helmet title to extract details
+// Parse helmet title to extract details - known players first, since eBay
+// titles often lead with a year or team
 function parseHelmetTitle(title) {
-    const result = {
-        player: null,
-        team: null,
-        helmetType: 'speed-authentic', // default
-        designType: 'regular',
-        authCompany: null
-    };
-
-    // Extract player name (check against known players first)
-    for (const player of POPULAR_PLAYERS) {
-        if (title.includes(player)) {
-            result.player = player;
-            break;
-        }
-    }
-
-    // If no known player found, try to extract first two capitalized words
-    if (!result.player) {
-        const playerMatch = title.match(/\b([A-Z][a-z]+\s+[A-Z][a-z]+)\b/);
-        if (playerMatch) result.player = playerMatch[1];
-    }
-
-    // Extract team
-    for (const team of NFL_TEAMS) {
-        if (title.includes(team)) {
-            result.team = team;
-            break;
-        }
-    }
-
-    // Extract helmet type
-    const titleLower = title.toLowerCase();
-    if (titleLower.includes('speedflex')) {
-        result.helmetType = 'speedflex';
-    } else if (titleLower.includes('mini')) {
-        result.helmetType = 'mini';
-    } else if (titleLower.includes('midi')) {
-        result.helmetType = 'midi-speedflex';
-    } else if (titleLower.includes('replica')) {
-        result.helmetType = 'speed-replica';
-    }
-
-    // Extract design type
-    if (titleLower.includes('rave')) result.designType = 'rave';
-    else if (titleLower.includes('salute to service 2')) result.designType = 'salute2';
-    else if (titleLower.includes('salute')) result.designType = 'salute';
-    else if (titleLower.includes('camo')) result.designType = 'camo';
-    else if (titleLower.includes('alternate')) result.designType = 'alternate';
-    else if (titleLower.includes('throwback')) result.designType = 'throwback';
-    else if (titleLower.includes('lunar')) result.designType = 'lunar';
-    else if (titleLower.includes('eclipse') && !titleLower.includes('lunar')) result.designType = 'eclipse';
-    else if (titleLower.includes('amp')) result.designType = 'amp';
-    else if (titleLower.includes('flash')) result.designType = 'flash';
-    else if (titleLower.includes('slate')) result.designType = 'slate';
-
-    // Extract auth company
-    if (title.includes('JSA')) result.authCompany = 'JSA';
-    else if (title.includes('Fanatics')) result.authCompany = 'Fanatics';
-    else if (title.includes('Beckett')) result.authCompany = 'Beckett';
-    else if (title.includes('PSA') || title.includes('DNA')) result.authCompany = 'PSA/DNA';
-
-    return result.player ? result : null;
+    const parsed = parseListingTitle(title);
+    const player = POPULAR_PLAYERS.find(name => title.includes(name)) || parsed.player;
+    return player ? { ...parsed, player } : null;
 }
 
 // Scrape current eBay sold listings for a query
@@ -2,472 +2,335 @@
 /**
  * Auto-Import - Unified helmet pricing import
  *
- * Automatically detects the source format and imports pricing data.
+ * Automatically detects the source format and imports pricing data from
+ * spreadsheets (.xls/.xlsx/.ods), CSV exports (.csv/.tsv) and JSON feeds
+ * (.json/.ndjson/.jsonl) - see lib/input-files.js.
  *
  * Usage:
  *   node scripts/auto-import.js <file-path>
- *   node scripts/auto-import.js --watch     # Watch for new files
+ *   node scripts/auto-import.js <file-path> --dry-run [--report <file>]
+ *   node scripts/auto-import.js <file-path> --source <name>
+ *   node scripts/auto-import.js <file-path> --profile <profile.json>
+ *   node scripts/auto-import.js --watch     # Watch for new files (lib/import-queue.js)
  *
- * Supported Sources (auto-detected by filename):
- *   - Denver Autographs: *denver*, *breakers*
- *   - Fanatics: *fanatics*, *inventory*
- *   - RSA: *rsa*, *shoprsa*
- *   - Radtke: *radtke*
- *   - Signature Sports: *signature*
- *   - Great Sports: *greatsports*, *great-sports*
+ * Which sheets and columns hold each field comes from the source's mapping
+ * profile in scripts/import-profiles/ (lib/import-profiles.js).
+ *
+ * The source is detected from the file's contents - sheet names, headers and
+ * sample values - by scoring it against every profile (lib/source-detection.js).
+ * A file that doesn't clearly match one is refused with the scores; pass
+ * --source to import it anyway. Sources without a profile have their columns
+ * guessed.
  */
 
-const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
-const { createClient } = require('@supabase/supabase-js');
-const { upsertPrice, findHelmet, validateSchema, extractTeamFromName } = require('./lib/price-utils');
+const { getDatabase } = require('./lib/db');
+const {
+    VALID_SOURCES,
+    upsertPrice,
+    matchHelmet,
+    loadHelmetIndex,
+    loadLatestSourcePrices,
+    validateSchema,
+    extractTeamFromName
+} = require('./lib/price-utils');
+const { normalizeTeam } = require('./lib/teams');
+const { classifyHelmet } = require('./lib/helmet-classifier');
+const { normalizePlayerName, validatePrice: parsePrice } = require('./lib/listing-parser');
+const { createImportReport, printReport, saveReports } = require('./lib/import-report');
+const { checksum, startImportRun, finishImportRun } = require('./lib/import-runs');
+const { loadProfile, readWithProfile, suggestProfile } = require('./lib/import-profiles');
+const { INPUT_EXTENSIONS, isImportFile, readInputFile } = require('./lib/input-files');
+const { detectSource } = require('./lib/source-detection');
+const { MAX_ATTEMPTS, createImportQueue } = require('./lib/import-queue');
+const { checkAlertsAfterImport } = require('./lib/price-alerts');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 // Import folder to watch
 const IMPORT_FOLDER = path.join(__dirname, '..', 'imports');
 const PROCESSED_FOLDER = path.join(__dirname, '..', 'imports', 'processed');
+const FAILED_FOLDER = path.join(__dirname, '..', 'imports', 'failed');
 
 // Ensure folders exist
 if (!fs.existsSync(IMPORT_FOLDER)) fs.mkdirSync(IMPORT_FOLDER, { recursive: true });
 if (!fs.existsSync(PROCESSED_FOLDER)) fs.mkdirSync(PROCESSED_FOLDER, { recursive: true });
+if (!fs.existsSync(FAILED_FOLDER)) fs.mkdirSync(FAILED_FOLDER, { recursive: true });
 
-// ============ SOURCE DETECTION ============
-
-function detectSource(filename) {
-    const lower = filename.toLowerCase();
-
-    if (lower.includes('denver') || lower.includes('breakers')) return 'denverautographs';
-    if (lower.includes('fanatics')) return 'fanatics';
-    if (lower.includes('rsa') || lower.includes('shoprsa')) return 'rsa';
-    if (lower.includes('radtke')) return 'radtke';
-    if (lower.includes('signature')) return 'signaturesports';
-    if (lower.includes('greatsports') || lower.includes('great-sports') || lower.includes('great_sports')) return 'greatsports';
-    if (lower.includes('pristine')) return 'pristine';
+// ============ PARSERS ============
 
-    return null;
+// Classify helmet/design type from a row (see lib/helmet-classifier.js)
+// Spreadsheets that don't say otherwise are selling full-size replicas
+function classifyRow(title, hints = {}) {
+    return classifyHelmet(title, { defaultHelmetType: 'fullsize-replica', ...hints });
 }
 
-// ============ PARSERS ============
+// ============ IMPORT RUN ============
+
+/**
+ * State for importing one file: result counts, the report, the source's
+ * latest prices to compare against and the import_runs row its writes are
+ * tagged with. A dry run matches against an in-memory catalog instead, where
+ * the helmets it would add stand in for the real ones.
+ */
+async function createRun(source, filePath, { dryRun = false } = {}) {
+    const index = dryRun ? await loadHelmetIndex('ebay_search_query') : null;
+
+    let importRunId = null;
+    if (!dryRun) {
+        const { run, previous } = await startImportRun({ source, input: filePath, checksum: checksum(filePath) });
+        importRunId = run.id;
+        console.log(`  Import run: #${run.id}`);
+        if (previous) console.log(`  ⚠️  Same file as run #${previous.id} (${previous.started_at}) - importing again`);
+    }
 
-// Common team normalizer
-function normalizeTeam(team) {
-    if (!team) return '';
-    const teamMap = {
-        'arizona cardinals': 'Cardinals', 'atlanta falcons': 'Falcons',
-        'baltimore ravens': 'Ravens', 'buffalo bills': 'Bills',
-        'carolina panthers': 'Panthers', 'chicago bears': 'Bears',
-        'cincinnati bengals': 'Bengals', 'cleveland browns': 'Browns',
-        'dallas cowboys': 'Cowboys', 'denver broncos': 'Broncos',
-        'detroit lions': 'Lions', 'green bay packers': 'Packers',
-        'houston texans': 'Texans', 'indianapolis colts': 'Colts',
-        'jacksonville jaguars': 'Jaguars', 'kansas city chiefs': 'Chiefs',
-        'las vegas raiders': 'Raiders', 'los angeles chargers': 'Chargers',
-        'los angeles rams': 'Rams', 'miami dolphins': 'Dolphins',
-        'minnesota vikings': 'Vikings', 'new england patriots': 'Patriots',
-        'new orleans saints': 'Saints', 'new york giants': 'Giants',
-        'new york jets': 'Jets', 'oakland raiders': 'Raiders',
-        'philadelphia eagles': 'Eagles', 'pittsburgh steelers': 'Steelers',
-        'san francisco 49ers': '49ers', 'seattle seahawks': 'Seahawks',
-        'tampa bay buccaneers': 'Buccaneers', 'tennessee titans': 'Titans',
-        'washington commanders': 'Commanders',
+    return {
+        source,
+        dryRun,
+        importRunId,
+        report: createImportReport({ source, file: filePath, dryRun }),
+        results: { added: 0, updated: 0, review: 0, skipped: 0, errors: 0 },
+        latestPrices: VALID_SOURCES.includes(source) ? await loadLatestSourcePrices(source) : new Map(),
+        index,
+        // helmets.ebay_search_query is unique - a dry run reports the rows an insert would reject
+        searchQueries: index ? new Set(index.helmets.map(h => h.ebay_search_query)) : null,
+        planned: 0
     };
-    const lower = team.toLowerCase().trim();
-    return teamMap[lower] || team.trim();
 }
 
-// Parse design type from text
-function parseDesignType(text) {
-    const lower = (text || '').toLowerCase();
-    if (lower.includes('eclipse')) return 'eclipse';
-    if (lower.includes('flash')) return 'flash';
-    if (lower.includes('slate')) return 'slate';
-    if (lower.includes('camo')) return 'camo';
-    if (lower.includes('salute')) return 'salute';
-    if (lower.includes('amp')) return 'amp';
-    if (lower.includes('rave')) return 'rave';
-    if (lower.includes('lunar')) return 'lunar';
-    if (lower.includes('blaze')) return 'blaze';
-    if (lower.includes('chrome')) return 'chrome';
-    if (lower.includes('throwback')) return 'throwback';
-    if (lower.includes('alternate') || lower.includes('alt')) return 'alternate';
-    return 'regular';
+function skipRow(run, reason, row) {
+    run.results.skipped++;
+    run.report.skipped(reason, row);
 }
 
-// Parse helmet type from text
-function parseHelmetType(text, sheetName = '') {
-    const lower = (text + ' ' + sheetName).toLowerCase();
-    if (lower.includes('mini')) return 'mini';
-    if (lower.includes('midi')) return 'midi';
-    if (lower.includes('authentic') || lower.includes('proline') || lower.includes('speedflex')) return 'fullsize-authentic';
-    if (lower.includes('replica')) return 'fullsize-replica';
-    return 'fullsize-replica';
+function rowError(run, message, row) {
+    run.results.errors++;
+    run.report.error(message, row);
 }
 
-// Normalize player name (handles "Last, First" format)
-function normalizePlayerName(name) {
-    if (!name) return '';
-    if (name.includes(',')) {
-        const parts = name.split(',').map(p => p.trim());
-        if (parts.length === 2) return `${parts[1]} ${parts[0]}`;
+/**
+ * Match a row's listing and record its price - on the matched helmet, or on a
+ * new helmet built from `helmet` ({ name, ebay_search_query })
+ */
+async function recordListing(run, listing, price, helmet) {
+    const { source, results, report } = run;
+
+    const match = await matchHelmet(listing, { source, price, index: run.index || undefined, dryRun: run.dryRun });
+    if (match.decision === 'review') {
+        results.review++;
+        report.unmatched({ ...listing, price }, match);
+        return;
     }
-    return name.trim();
-}
-
-// Parse price from various formats
-function parsePrice(value) {
-    if (!value) return null;
-    if (typeof value === 'number') return value > 0 ? value : null;
-    const cleaned = value.toString().replace(/[$,]/g, '');
-    const price = parseFloat(cleaned);
-    return isNaN(price) || price <= 0 ? null : price;
-}
-
-// ============ IMPORT HANDLERS ============
-
-async function importDenverAutographs(filePath) {
-    const workbook = XLSX.readFile(filePath);
-    const results = { added: 0, updated: 0, skipped: 0, errors: 0 };
-
-    const helmetTabs = ['FS HELMET', 'MINI & MIDI HELMET'];
-
-    for (const sheetName of helmetTabs) {
-        if (!workbook.SheetNames.includes(sheetName)) continue;
-
-        const sheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(sheet, { header: 1 }).slice(1);
-
-        for (const row of data) {
-            try {
-                let player, team, helmetTypeCol, helmetTypeCol2, price;
-
-                if (sheetName === 'FS HELMET') {
-                    [player, team, helmetTypeCol, helmetTypeCol2, price] = row;
-                } else {
-                    [player, team, , helmetTypeCol, price] = row;
-                    helmetTypeCol2 = '';
-                }
-
-                player = normalizePlayerName(player);
-                team = normalizeTeam(team);
-                price = parsePrice(price);
-
-                if (!player || !price) { results.skipped++; continue; }
-
-                const helmetType = parseHelmetType(helmetTypeCol || '', sheetName);
-                const designType = parseDesignType(helmetTypeCol2 || helmetTypeCol || '');
-
-                if (!team) team = extractTeamFromName(`${player} helmet`) || '';
-
-                const existing = await findHelmet(player, team, helmetType, designType);
-
-                if (existing) {
-                    const result = await upsertPrice(existing.id, 'denverautographs', price);
-                    if (result.success) results.updated++;
-                    else results.errors++;
-                } else {
-                    const name = `${player} ${team} Autographed ${helmetType} Helmet`;
-                    const uniqueId = `${player}-${team}-${helmetType}-${designType}-${Date.now()}`.toLowerCase().replace(/[^a-z0-9-]/g, '');
-
-                    const { data: newHelmet, error } = await supabase
-                        .from('helmets')
-                        .insert({ name, player, team, helmet_type: helmetType, design_type: designType, ebay_search_query: uniqueId, is_active: true })
-                        .select();
-
-                    if (error) { results.errors++; continue; }
-
-                    if (newHelmet?.[0]) await upsertPrice(newHelmet[0].id, 'denverautographs', price);
-                    results.added++;
-                }
-            } catch (err) {
-                results.errors++;
-            }
-        }
+    if (match.decision === 'ignored') {
+        skipRow(run, 'Ignored (admin decision)', listing);
+        return;
     }
 
-    return results;
-}
+    const existing = match.helmet;
 
-async function importFanatics(filePath) {
-    const workbook = XLSX.readFile(filePath);
-    const results = { added: 0, updated: 0, skipped: 0, errors: 0 };
-
-    for (const sheetName of workbook.SheetNames) {
-        const sheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(sheet);
-
-        for (const row of data) {
-            try {
-                const firstName = row.PlayerFirst || '';
-                const lastName = row.PlayerLast || '';
-                const player = `${firstName} ${lastName}`.trim();
-
-                if (!player) { results.skipped++; continue; }
-
-                let team = normalizeTeam(row.Team || '');
-                const type = row.Type || '';
-                const item = row.Item || row.Description || '';
-                const price = parsePrice(row.Retail || row.Price);
-
-                if (!price) { results.skipped++; continue; }
-
-                const helmetType = parseHelmetType(type + ' ' + item, sheetName);
-                const designType = parseDesignType(item + ' ' + type);
-
-                if (!team) team = extractTeamFromName(item) || '';
-
-                const existing = await findHelmet(player, team, helmetType, designType);
-
-                if (existing) {
-                    const result = await upsertPrice(existing.id, 'fanatics', price);
-                    if (result.success) results.updated++;
-                    else results.errors++;
-                } else {
-                    const name = `${player} ${team} Autographed ${item}`.trim();
-                    const ebayQuery = `${player} ${team} autographed signed helmet`.toLowerCase();
+    if (existing) {
+        const result = run.dryRun
+            ? { success: VALID_SOURCES.includes(source), error: `Invalid source: ${source}` }
+            : await upsertPrice(existing.id, source, price, { ebayUrl: listing.url || null, importRunId: run.importRunId });
+        if (!result.success) {
+            rowError(run, result.error, listing);
+            return;
+        }
 
-                    const { data: newHelmet, error } = await supabase
-                        .from('helmets')
-                        .insert({ name, player, team, helmet_type: helmetType, design_type: designType, ebay_search_query: ebayQuery, is_active: true })
-                        .select();
+        const previous = run.latestPrices.get(existing.id);
+        report.price(existing, price, previous ? previous.price : null);
+        run.latestPrices.set(existing.id, { price });
+        results.updated++;
+        return;
+    }
 
-                    if (error) { results.errors++; continue; }
+    const row = {
+        ...helmet,
+        player: listing.player,
+        team: listing.team,
+        helmet_type: listing.helmetType,
+        design_type: listing.designType,
+        is_active: true
+    };
+    let helmetId;
+    if (!run.dryRun) row.import_run_id = run.importRunId;
 
-                    if (newHelmet?.[0]) await upsertPrice(newHelmet[0].id, 'fanatics', price);
-                    results.added++;
-                }
-            } catch (err) {
-                results.errors++;
-            }
+    if (run.dryRun) {
+        if (run.searchQueries.has(row.ebay_search_query)) {
+            rowError(run, 'duplicate key value violates unique constraint "helmets_ebay_search_query_key"', listing);
+            return;
+        }
+        run.searchQueries.add(row.ebay_search_query);
+        helmetId = `new-${++run.planned}`;
+        run.index.add({ ...row, id: helmetId, player_id: match.player ? match.player.id : null });
+    } else {
+        const { data: newHelmet, error } = await supabase
+            .from('helmets')
+            .insert(row)
+            .select();
+
+        if (error) {
+            rowError(run, error.message, listing);
+            return;
         }
+
+        helmetId = newHelmet?.[0]?.id;
+        if (helmetId) await upsertPrice(helmetId, source, price, { ebayUrl: listing.url || null, importRunId: run.importRunId });
     }
 
-    return results;
+    report.newHelmet({ ...listing, title: helmet.name, price });
+    run.latestPrices.set(helmetId, { price });
+    results.added++;
 }
 
-async function importGreatSports(filePath) {
-    const workbook = XLSX.readFile(filePath);
-    const results = { added: 0, updated: 0, skipped: 0, errors: 0 };
-
-    const helmetTabs = ['Full Size', 'Minis', 'MIDI'];
-
-    for (const sheetName of workbook.SheetNames) {
-        if (!helmetTabs.includes(sheetName)) continue;
+// ============ IMPORT HANDLER ============
 
-        const sheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(sheet);
-
-        for (const row of data) {
+/**
+ * Import the rows a mapping profile read (see lib/import-profiles.js)
+ */
+async function importRows(run, sheets) {
+    for (const sheet of sheets) {
+        for (const { values, raw } of sheet.rows) {
             try {
-                const firstName = row.PlayerFirst || '';
-                const lastName = row.PlayerLast || '';
-                const player = `${firstName} ${lastName}`.trim();
-
-                if (!player) { results.skipped++; continue; }
-
-                let team = normalizeTeam(row.Team || '');
-                const type = row.Type || '';
-                const item = row.Item || row.Description || '';
-                const price = parsePrice(row.Retail || row.Price);
-
-                if (!price) { results.skipped++; continue; }
-
-                const helmetType = parseHelmetType(type + ' ' + item, sheetName);
-                const designType = parseDesignType(item + ' ' + type);
-
-                if (!team) team = extractTeamFromName(item) || '';
-
-                const existing = await findHelmet(player, team, helmetType, designType);
-
-                if (existing) {
-                    const result = await upsertPrice(existing.id, 'greatsports', price);
-                    if (result.success) results.updated++;
-                    else results.errors++;
-                } else {
-                    const name = `${player} ${team} Autographed ${helmetType} Helmet`;
-                    const uniqueId = `${player}-${team}-${helmetType}-${designType}-${Date.now()}`.toLowerCase().replace(/[^a-z0-9-]/g, '');
-
-                    const { data: newHelmet, error } = await supabase
-                        .from('helmets')
-                        .insert({ name, player, team, helmet_type: helmetType, design_type: designType, ebay_search_query: uniqueId, is_active: true })
-                        .select();
-
-                    if (error) { results.errors++; continue; }
-
-                    if (newHelmet?.[0]) await upsertPrice(newHelmet[0].id, 'greatsports', price);
-                    results.added++;
-                }
+                const player = normalizePlayerName(values.player);
+                if (!player) { skipRow(run, 'No player name', raw); continue; }
+
+                const price = parsePrice(values.price);
+                if (!price) { skipRow(run, 'No valid price', raw); continue; }
+
+                const title = values.title ? String(values.title).trim() : '';
+                const { helmetType, designType, helmetTypeConfidence, designTypeConfidence } = classifyRow(title, {
+                    type: values.type, design: values.design, sheetName: sheet.name
+                });
+                const team = normalizeTeam(values.team || '') || extractTeamFromName(title || `${player} helmet`) || '';
+
+                await recordListing(run,
+                    {
+                        player, team, helmetType, designType, helmetTypeConfidence, designTypeConfidence,
+                        title: title || undefined,
+                        sku: values.sku ? String(values.sku).trim() : null,
+                        url: values.url ? String(values.url).trim() : null
+                    },
+                    price,
+                    {
+                        name: `${player} ${team} Autographed ${title || `${helmetType} Helmet`}`.replace(/\s+/g, ' ').trim(),
+                        ebay_search_query: `${player}-${team}-${helmetType}-${designType}-${Date.now()}`.toLowerCase().replace(/[^a-z0-9-]/g, '')
+                    }
+                );
             } catch (err) {
-                results.errors++;
+                rowError(run, err.message, raw);
             }
         }
     }
-
-    return results;
 }
 
-async function importSignatureSports(filePath) {
-    const workbook = XLSX.readFile(filePath);
-    const results = { added: 0, updated: 0, skipped: 0, errors: 0 };
-
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const data = XLSX.utils.sheet_to_json(sheet);
-
-    for (const row of data) {
-        try {
-            const player = normalizePlayerName(row.player);
-            if (!player) { results.skipped++; continue; }
-
-            let team = normalizeTeam(row.team || '');
-            const helmetType = parseHelmetType(row.helmet_type || '');
-            const designType = parseDesignType(row.design_type || '');
-            const price = parsePrice(row.Price);
-
-            if (!price) { results.skipped++; continue; }
-
-            const existing = await findHelmet(player, team, helmetType, designType);
-
-            if (existing) {
-                const result = await upsertPrice(existing.id, 'signaturesports', price);
-                if (result.success) results.updated++;
-                else results.errors++;
-            } else {
-                const name = `${player} ${team} Autographed ${row.helmet_type}`.trim();
-                const ebayQuery = `${player} ${team} autographed signed helmet`.toLowerCase();
-
-                const { data: newHelmet, error } = await supabase
-                    .from('helmets')
-                    .insert({ name, player, team, helmet_type: helmetType, design_type: designType, ebay_search_query: ebayQuery, is_active: true })
-                    .select();
+// ============ MAIN IMPORT FUNCTION ============
 
-                if (error) { results.errors++; continue; }
+/**
+ * Which source a file is from and the profile to read it with
+ *
+ * --profile and --source are taken as given; otherwise the source is detected
+ * from the contents and an uncertain match is an error.
+ *
+ * @returns {object} - { source, profile, guessed, confidence } - guessed is the
+ *                     suggestion when the source has no profile, confidence null
+ *                     unless detected
+ */
+function chooseProfile(workbook, filePath, options = {}) {
+    if (options.profile) {
+        const profile = loadProfile(options.profile);
+        if (!profile) throw new Error(`Import profile not found: ${options.profile}`);
+        return { source: options.source || profile.source, profile, guessed: null, confidence: null };
+    }
 
-                if (newHelmet?.[0]) await upsertPrice(newHelmet[0].id, 'signaturesports', price);
-                results.added++;
-            }
-        } catch (err) {
-            results.errors++;
-        }
+    if (options.source) {
+        const profile = loadProfile(options.source);
+        if (profile) return { source: options.source, profile, guessed: null, confidence: null };
+        const guessed = suggestProfile(workbook, { source: options.source });
+        return { source: options.source, profile: guessed.profile, guessed, confidence: null };
     }
 
-    return results;
+    const detection = detectSource(workbook, { filename: path.basename(filePath) });
+    if (!detection.success) {
+        throw new Error(`${detection.error}\n  If you know the retailer: node scripts/auto-import.js "${filePath}" --source <name>`);
+    }
+    return { source: detection.source, profile: detection.profile, guessed: null, confidence: detection.confidence };
 }
 
-// Generic handler for unknown formats - tries to auto-detect columns
-async function importGeneric(filePath, source) {
-    const workbook = XLSX.readFile(filePath);
-    const results = { added: 0, updated: 0, skipped: 0, errors: 0 };
-
-    for (const sheetName of workbook.SheetNames) {
-        const sheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(sheet);
-
-        if (data.length === 0) continue;
-
-        // Try to auto-detect column names
-        const cols = Object.keys(data[0]);
-        const playerCol = cols.find(c => /player|name/i.test(c));
-        const teamCol = cols.find(c => /team/i.test(c));
-        const priceCol = cols.find(c => /price|retail|srp|cost/i.test(c));
-        const typeCol = cols.find(c => /type|helmet/i.test(c));
-
-        if (!playerCol || !priceCol) {
-            console.log(`   Could not detect columns in sheet "${sheetName}"`);
-            continue;
-        }
-
-        for (const row of data) {
-            try {
-                const player = normalizePlayerName(row[playerCol]);
-                if (!player) { results.skipped++; continue; }
-
-                let team = normalizeTeam(row[teamCol] || '');
-                const price = parsePrice(row[priceCol]);
-
-                if (!price) { results.skipped++; continue; }
+/**
+ * Import one spreadsheet, CSV export or JSON feed
+ *
+ * Columns come from the source's mapping profile (scripts/import-profiles/),
+ * or are guessed when it has none. A file whose source can't be detected, or
+ * that doesn't match its profile, throws before anything is written.
+ *
+ * @param {object} options - { dryRun, source, profile } - dryRun matches and reports
+ *                           without writing, source skips detection, profile is a
+ *                           profile file to use instead
+ * @returns {object|null} - { added, updated, review, skipped, errors, report, runId }
+ */
+async function importFile(filePath, options = {}) {
+    const filename = path.basename(filePath);
 
-                const helmetType = parseHelmetType(row[typeCol] || '', sheetName);
-                const designType = parseDesignType(row[typeCol] || '');
+    if (!isImportFile(filename)) {
+        console.log(`   Skipping unsupported file: ${filename}`);
+        return null;
+    }
 
-                const existing = await findHelmet(player, team, helmetType, designType);
+    const workbook = readInputFile(filePath);
+    const { source, profile, guessed, confidence } = chooseProfile(workbook, filePath, options);
 
-                if (existing) {
-                    const result = await upsertPrice(existing.id, source, price);
-                    if (result.success) results.updated++;
-                    else results.errors++;
-                } else {
-                    const name = `${player} ${team} Autographed ${helmetType} Helmet`;
-                    const uniqueId = `${player}-${team}-${helmetType}-${Date.now()}`.toLowerCase().replace(/[^a-z0-9-]/g, '');
+    console.log(`\n${'═'.repeat(50)}`);
+    console.log(`  ${options.dryRun ? 'DRY RUN' : 'IMPORTING'}: ${filename}`);
+    console.log(`  Source: ${source}${confidence !== null ? ` (detected, ${Math.round(confidence * 100)}% confident)` : ''}`);
+    if (workbook.format === 'csv') {
+        console.log(`  CSV: ${workbook.encoding}, ${workbook.delimiter === '\t' ? 'tab' : `"${workbook.delimiter}"`}-delimited`);
+    }
+    console.log(`  Columns: ${guessed ? 'guessed (no profile - see scripts/suggest-import-profile.js)' : `${profile.source} profile`}`);
+    console.log(`${'═'.repeat(50)}`);
 
-                    const { data: newHelmet, error } = await supabase
-                        .from('helmets')
-                        .insert({ name, player, team, helmet_type: helmetType, design_type: designType, ebay_search_query: uniqueId, is_active: true })
-                        .select();
+    const read = readWithProfile(workbook, profile);
+    if (!read.success) {
+        const hint = guessed ? 'Could not detect player/price columns in any sheet' : read.error;
+        throw new Error(`${hint}\n  Check the file, or update the profile: node scripts/suggest-import-profile.js "${filePath}" --source ${source}`);
+    }
+    read.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
 
-                    if (error) { results.errors++; continue; }
+    const run = await createRun(source, filePath, options);
 
-                    if (newHelmet?.[0]) await upsertPrice(newHelmet[0].id, source, price);
-                    results.added++;
-                }
-            } catch (err) {
-                results.errors++;
-            }
+    if (guessed) {
+        for (const sheet of guessed.sheets.filter(s => s.missing.length > 0)) {
+            console.log(`   Could not detect columns in sheet "${sheet.name}"`);
+            skipRow(run, `No ${sheet.missing.join('/')} column in sheet "${sheet.name}"`, { sheet: sheet.name });
         }
     }
 
-    return results;
-}
-
-// ============ MAIN IMPORT FUNCTION ============
-
-async function importFile(filePath) {
-    const filename = path.basename(filePath);
-    const ext = path.extname(filePath).toLowerCase();
-
-    // Only process Excel files
-    if (!['.xls', '.xlsx', '.ods'].includes(ext)) {
-        console.log(`   Skipping non-spreadsheet file: ${filename}`);
-        return null;
+    try {
+        await importRows(run, read.sheets);
+    } catch (error) {
+        if (run.importRunId) await finishImportRun(run.importRunId, { status: 'failed', counts: run.results, error: error.message });
+        throw error;
     }
 
-    const source = detectSource(filename);
-
-    console.log(`\n${'═'.repeat(50)}`);
-    console.log(`  IMPORTING: ${filename}`);
-    console.log(`  Source: ${source || 'auto-detect'}`);
-    console.log(`${'═'.repeat(50)}`);
-
-    let results;
-
-    switch (source) {
-        case 'denverautographs':
-            results = await importDenverAutographs(filePath);
-            break;
-        case 'fanatics':
-            results = await importFanatics(filePath);
-            break;
-        case 'greatsports':
-            results = await importGreatSports(filePath);
-            break;
-        case 'signaturesports':
-            results = await importSignatureSports(filePath);
-            break;
-        default:
-            // Try generic import with source from filename or 'unknown'
-            const inferredSource = source || filename.split(/[_\-\s.]/)[0].toLowerCase();
-            results = await importGeneric(filePath, inferredSource);
+    const results = run.results;
+    if (run.importRunId) {
+        await finishImportRun(run.importRunId, { counts: results });
+        await checkAlertsAfterImport(run.importRunId);
     }
+    if (options.dryRun) printReport(run.report.report);
 
-    console.log(`\n  Results:`);
+    console.log(`\n  ${options.dryRun ? 'Would import' : 'Results'}:`);
     console.log(`    New helmets:  ${results.added}`);
     console.log(`    Updated:      ${results.updated}`);
+    console.log(`    For review:   ${results.review}`);
     console.log(`    Skipped:      ${results.skipped}`);
     console.log(`    Errors:       ${results.errors}`);
+    if (run.importRunId) console.log(`    Import run:   #${run.importRunId} (undo: node scripts/import.js rollback ${run.importRunId})`);
     console.log(`${'═'.repeat(50)}\n`);
 
-    return results;
+    return { ...results, report: run.report.report, runId: run.importRunId };
 }
 
 // ============ FILE WATCHER ============
@@ -477,93 +340,79 @@ function watchForFiles() {
     console.log(`  AUTO-IMPORT WATCHER`);
     console.log(`${'═'.repeat(50)}`);
     console.log(`  Watching: ${IMPORT_FOLDER}`);
-    console.log(`  Drop .xls/.xlsx/.ods files to auto-import`);
+    console.log(`  Drop ${INPUT_EXTENSIONS.join('/')} files to auto-import`);
+    console.log(`  Failed ${MAX_ATTEMPTS} times: moved to ${path.relative(IMPORT_FOLDER, FAILED_FOLDER)}/ with an error report`);
     console.log(`  Press Ctrl+C to stop\n`);
 
-    // Process any existing files first
-    const existingFiles = fs.readdirSync(IMPORT_FOLDER).filter(f =>
-        ['.xls', '.xlsx', '.ods'].includes(path.extname(f).toLowerCase())
-    );
-
-    if (existingFiles.length > 0) {
-        console.log(`  Found ${existingFiles.length} existing file(s) to process...\n`);
-        processExistingFiles(existingFiles);
-    }
-
-    // Watch for new files
-    fs.watch(IMPORT_FOLDER, async (eventType, filename) => {
-        if (eventType === 'rename' && filename) {
-            const filePath = path.join(IMPORT_FOLDER, filename);
-            const ext = path.extname(filename).toLowerCase();
-
-            // Only process spreadsheet files
-            if (!['.xls', '.xlsx', '.ods'].includes(ext)) return;
-
-            // Wait a moment for file to be fully written
-            await new Promise(r => setTimeout(r, 1000));
-
-            // Check if file exists (not deleted)
-            if (fs.existsSync(filePath)) {
-                try {
-                    await importFile(filePath);
-
-                    // Move to processed folder
-                    const processedPath = path.join(PROCESSED_FOLDER, `${Date.now()}_${filename}`);
-                    fs.renameSync(filePath, processedPath);
-                    console.log(`  Moved to: processed/${path.basename(processedPath)}\n`);
-                } catch (err) {
-                    console.error(`  Error processing ${filename}:`, err.message);
-                }
-            }
-        }
+    const queue = createImportQueue({
+        folder: IMPORT_FOLDER,
+        processedDir: PROCESSED_FOLDER,
+        failedDir: FAILED_FOLDER,
+        importFile: filePath => importFile(filePath)
     });
-}
 
-async function processExistingFiles(files) {
-    for (const filename of files) {
-        const filePath = path.join(IMPORT_FOLDER, filename);
-        try {
-            await importFile(filePath);
-
-            // Move to processed folder
-            const processedPath = path.join(PROCESSED_FOLDER, `${Date.now()}_${filename}`);
-            fs.renameSync(filePath, processedPath);
-            console.log(`  Moved to: processed/${path.basename(processedPath)}\n`);
-        } catch (err) {
-            console.error(`  Error processing ${filename}:`, err.message);
-        }
-    }
+    // Files left from before a restart keep their attempts
+    const waiting = Object.keys(queue.files);
+    if (waiting.length > 0) console.log(`  Resuming ${waiting.length} queued file(s): ${waiting.join(', ')}\n`);
+
+    queue.start();
 }
 
 // ============ CLI ============
 
 async function main() {
-    // Validate database connection
-    const schemaCheck = await validateSchema();
-    if (!schemaCheck.valid) {
-        console.error('Database schema validation failed');
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] || null : null);
+    const reportFile = valueOf('--report');
+    const profileFile = valueOf('--profile');
+    const sourceName = valueOf('--source');
+    const flagValues = new Set(['--report', '--profile', '--source'].map(flag => args.indexOf(flag)).filter(i => i !== -1).map(i => i + 1));
+    const files = args.filter((arg, i) => !arg.startsWith('-') && !flagValues.has(i));
+
+    if (sourceName && !VALID_SOURCES.includes(sourceName)) {
+        console.error(`Unknown source: ${sourceName} (expected ${VALID_SOURCES.join(', ')})`);
         process.exit(1);
     }
 
-    const args = process.argv.slice(2);
+    // Validate database connection (a test insert, so not on a dry run)
+    if (!dryRun) {
+        const schemaCheck = await validateSchema();
+        if (!schemaCheck.valid) {
+            console.error('Database schema validation failed');
+            process.exit(1);
+        }
+    }
 
     if (args.includes('--watch') || args.includes('-w')) {
+        if (dryRun) {
+            console.error('--dry-run works on files, not --watch');
+            process.exit(1);
+        }
         // Watch mode
         watchForFiles();
-    } else if (args.length > 0) {
+    } else if (files.length > 0) {
         // Import specific file(s)
-        for (const arg of args) {
-            if (arg.startsWith('-')) continue;
-
-            const filePath = path.resolve(arg);
+        const reports = [];
+        let failed = 0;
+        for (const file of files) {
+            const filePath = path.resolve(file);
             if (!fs.existsSync(filePath)) {
                 console.error(`File not found: ${filePath}`);
                 continue;
             }
 
-            await importFile(filePath);
+            try {
+                const results = await importFile(filePath, { dryRun, source: sourceName, profile: profileFile });
+                if (results) reports.push(results.report);
+            } catch (err) {
+                console.error(`\n❌ ${path.basename(filePath)}: ${err.message}\n`);
+                failed++;
+            }
         }
-        process.exit(0);
+        if (reportFile) saveReports(reportFile, reports);
+        if (dryRun && failed === 0) console.log('✅ Dry run complete - nothing was written\n');
+        process.exit(failed > 0 ? 1 : 0);
     } else {
         // Show usage
         console.log(`
@@ -572,16 +421,34 @@ Auto-Import - Automated helmet pricing import
 Usage:
   node scripts/auto-import.js <file>       Import a single file
   node scripts/auto-import.js --watch      Watch imports/ folder for new files
+
+Watch mode imports a file once it has stopped changing, retries failures
+with backoff (30s, 1m, 2m, ...) and after ${MAX_ATTEMPTS} attempts moves it to
+imports/failed/ with an .error.json report. Imported files go to
+imports/processed/ with a .summary.json. The queue (imports/.queue.json)
+survives restarts.
+
+Files: ${INPUT_EXTENSIONS.join(' ')}
+  CSV encoding and delimiter are detected; JSON feeds are flattened to
+  columns like "price.amount" or "variants.0.price"
+
+Options:
+  --dry-run          Match and report new helmets, price changes (old → new),
+                     unmatched and skipped rows - nothing is written
+  --report <file>    Save the report as JSON
+  --source <name>    Skip detection - the file is from this retailer
+  --profile <file>   Column mapping profile to use instead of the source's
+                     (scripts/import-profiles/<source>.json)
   npm run import <file>                    Shortcut for single file
   npm run import:watch                     Shortcut for watch mode
 
-Supported sources (auto-detected by filename):
-  - Denver Autographs:  *denver*, *breakers*
-  - Fanatics:           *fanatics*, *inventory*
-  - RSA:                *rsa*, *shoprsa*
-  - Radtke:             *radtke*
-  - Signature Sports:   *signature*
-  - Great Sports:       *greatsports*, *great-sports*
+Suggest a profile for a new or changed spreadsheet:
+  node scripts/suggest-import-profile.js <file> --source <name>
+
+The source is detected from sheet names, headers and sample values, scored
+against each profile in scripts/import-profiles/. Files that don't clearly
+match one are refused with the scores - rerun with --source <name>.
+Sources: ${VALID_SOURCES.join(', ')}
 
 Import folder: ${IMPORT_FOLDER}
 `);
@@ -9,22 +9,15 @@
  * - Schema validation
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 const { getPriceStats, validateSchema } = require('./lib/price-utils');
+const { teamsByLeague } = require('./lib/teams');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 // Known team names that shouldn't be player names
-const TEAM_NAMES = [
-    '49ers', 'Bears', 'Bengals', 'Bills', 'Broncos', 'Browns', 'Buccaneers',
-    'Cardinals', 'Chargers', 'Chiefs', 'Colts', 'Commanders', 'Cowboys',
-    'Dolphins', 'Eagles', 'Falcons', 'Giants', 'Jaguars', 'Jets', 'Lions',
-    'Packers', 'Panthers', 'Patriots', 'Raiders', 'Rams', 'Ravens', 'Saints',
-    'Seahawks', 'Steelers', 'Texans', 'Titans', 'Vikings', 'Washington',
-    'Redskins', 'Philadelphia', 'New York', 'San Francisco', 'Los Angeles',
-    'New England', 'Green Bay', 'Kansas City', 'Tampa Bay', 'Las Vegas'
-];
+const TEAM_NAMES = [...new Set(teamsByLeague('NFL').flatMap(t => [t.nickname, t.city, ...t.aliases]))];
 
 async function checkOrphanedPrices() {
     console.log('\n=== Checking for Orphaned Prices ===');
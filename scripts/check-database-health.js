@@ -1,6 +1,6 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 require('dotenv').config();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 async function healthCheck() {
     console.log('═'.repeat(60));
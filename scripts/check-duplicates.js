@@ -1,10 +1,7 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 require('dotenv').config();
 
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const supabase = getDatabase();
 
 async function checkDuplicates() {
     console.log('🔍 Checking for duplicates in helmets database...\n');
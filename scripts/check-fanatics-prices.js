@@ -1,8 +1,8 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 const XLSX = require('xlsx');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 async function checkFanaticsPrices() {
     console.log('🔍 Checking Fanatics helmet prices...\n');
@@ -1,7 +1,8 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
+const { findTeamInText } = require('./lib/teams');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 // Parse player name from helmet name
 function parsePlayerName(name) {
@@ -29,50 +30,8 @@ function parsePlayerName(name) {
 // Parse team name from helmet name
 function parseTeamName(name) {
     if (!name) return null;
-
-    const nameLower = name.toLowerCase();
-    const teams = {
-        'cardinals': 'Cardinals',
-        'falcons': 'Falcons',
-        'ravens': 'Ravens',
-        'bills': 'Bills',
-        'panthers': 'Panthers',
-        'bears': 'Bears',
-        'bengals': 'Bengals',
-        'browns': 'Browns',
-        'cowboys': 'Cowboys',
-        'broncos': 'Broncos',
-        'lions': 'Lions',
-        'packers': 'Packers',
-        'texans': 'Texans',
-        'colts': 'Colts',
-        'jaguars': 'Jaguars',
-        'chiefs': 'Chiefs',
-        'raiders': 'Raiders',
-        'chargers': 'Chargers',
-        'rams': 'Rams',
-        'dolphins': 'Dolphins',
-        'vikings': 'Vikings',
-        'patriots': 'Patriots',
-        'saints': 'Saints',
-        'giants': 'Giants',
-        'jets': 'Jets',
-        'eagles': 'Eagles',
-        'steelers': 'Steelers',
-        '49ers': '49ers',
-        'seahawks': 'Seahawks',
-        'buccaneers': 'Buccaneers',
-        'titans': 'Titans',
-        'commanders': 'Commanders'
-    };
-
-    for (const [key, value] of Object.entries(teams)) {
-        if (nameLower.includes(key)) {
-            return value;
-        }
-    }
-
-    return null;
+    const team = findTeamInText(name);
+    return team ? team.team : null;
 }
 
 async function cleanDatabase() {
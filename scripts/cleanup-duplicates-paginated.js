@@ -2,12 +2,16 @@
 /**
  * Cleanup duplicate price records with proper pagination
  * Supabase has a default limit of 1000 records, so we need to paginate
+ *
+ * helmet_prices keeps a price history, so only repeated observations of the
+ * same helmet + source on the same day are duplicates. Older days are history
+ * and are left alone.
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 async function fetchAllPriceRecords() {
     const allRecords = [];
@@ -51,10 +55,11 @@ async function main() {
     // Fetch ALL records with pagination
     const allRecords = await fetchAllPriceRecords();
 
-    // Group by helmet_id + source to find duplicates
+    // Group by helmet_id + source + day to find duplicates
     const groups = {};
     for (const record of allRecords) {
-        const key = `${record.helmet_id}-${record.source}`;
+        const day = (record.scraped_at || '').substring(0, 10);
+        const key = `${record.helmet_id}-${record.source}-${day}`;
         if (!groups[key]) {
             groups[key] = [];
         }
@@ -64,7 +69,7 @@ async function main() {
     // Find groups with more than 1 record (duplicates)
     const duplicateGroups = Object.entries(groups).filter(([, records]) => records.length > 1);
 
-    console.log(`Found ${duplicateGroups.length} helmet+source combinations with duplicates\n`);
+    console.log(`Found ${duplicateGroups.length} helmet+source+day combinations with duplicates\n`);
 
     if (duplicateGroups.length === 0) {
         console.log('No duplicates found!');
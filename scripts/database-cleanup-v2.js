@@ -1,61 +1,15 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 // ============================================
 // PLAYER NAME CORRECTIONS
 // ============================================
 
-// Direct name replacements (truncated names, spelling errors, case fixes)
-const NAME_CORRECTIONS = {
-    // Truncated names
-    'Sam La': 'Sam LaPorta',
-    'Jim Mc': 'Jim McMahon',
-    'Trey Mc': 'Trey McBride',
-    'Ed Mc': 'Ed McCaffrey',
-    'Elly De': 'Elly De La Cruz',
-    'Sean Mc': 'LeSean McCoy',
-    'Christian Mc': 'Christian McCaffrey',
-    'Isaac Te': 'Isaac TeSlaa',
-    'Jalen Mc': 'Jalen McMillan',
-    'Terry Mc': 'Terry McLaurin',
-    'Broncos Ed': 'Ed McCaffrey',
-
-    // Case/spelling corrections
-    'Ceedee Lamb': 'CeeDee Lamb',
-    'Cooper Dejean': 'Cooper DeJean',
-    'Devonta Smith': 'DeVonta Smith',
-    'Emmit Smith': 'Emmitt Smith',
-    'Jaxon Smith': 'Jaxon Smith-Njigba',
-
-    // ALL CAPS to proper case
-    'ASHTON JEANTY': 'Ashton Jeanty',
-    'BARRY SANDERS': 'Barry Sanders',
-    'BRIAN KELLY': 'Brian Kelly',
-    'CALEB DOWNS': 'Caleb Downs',
-    'CHARLEY TRIPPI': 'Charley Trippi',
-    'CHRISTIAN MCCAFFREY': 'Christian McCaffrey',
-    'DENVER BRONCOS': null, // Will be deleted - not a player
-    'DICK BUTKUS': 'Dick Butkus',
-    'EMEKA EGBUKA': 'Emeka Egbuka',
-    'GEORGE KITTLE': 'George Kittle',
-    'JAHMYR GIBBS': 'Jahmyr Gibbs',
-    'JAMES HARRISON': 'James Harrison',
-    'JAXON SMITH-NJIGBA': 'Jaxon Smith-Njigba',
-    'JOE MONTANA': 'Joe Montana',
-    'KYLE WHITTINGHAM': 'Kyle Whittingham',
-    'MATT RHULE': 'Matt Rhule',
-    'NOTRE DAME': null, // Will be deleted - not a player
-    'PATRICK MAHOMES': 'Patrick Mahomes',
-    'RUDY RUETTIGER': 'Rudy Ruettiger',
-    'SHAUN ALEXANDER': 'Shaun Alexander',
-    'TRAVIS KELCE': 'Travis Kelce',
-    'TYREEK HILL': 'Tyreek Hill',
-    'WARREN MOON': 'Warren Moon',
-    'WILLIE ROAF': 'Willie Roaf',
-    'GEORGIA BULLDOGS': null, // Will be deleted - not a player
-};
+// Direct name replacements live in lib/player-names.js so the player alias
+// seed and the suggestions search use the same list
+const { NAME_CORRECTIONS } = require('./lib/player-names');
 
 // Non-player entries that should be deleted
 const NON_PLAYER_PATTERNS = [
@@ -1,31 +1,11 @@
 const XLSX = require('xlsx');
-const { createClient } = require('@supabase/supabase-js');
-const { extractTeamFromName, upsertPrice } = require('./lib/price-utils');
+const { getDatabase } = require('./lib/db');
+const { upsertPrice } = require('./lib/price-utils');
+const { checksum, startImportRun, finishImportRun } = require('./lib/import-runs');
+const { parseListingTitle } = require('./lib/listing-parser');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-// Helper to parse helmet title into components
-function parseHelmetTitle(title) {
-    const titleLower = title.toLowerCase();
-
-    // Determine type
-    let type = 'authentic';
-    if (titleLower.includes('mini')) type = 'mini';
-    else if (titleLower.includes('replica') || titleLower.includes('speed')) type = 'replica';
-
-    // Try to extract player name (usually at start)
-    let playerName = '';
-    const words = title.split(' ');
-    if (words.length >= 2) {
-        playerName = `${words[0]} ${words[1]}`;
-    }
-
-    // Extract team using shared utility (supports NFL, College, NHL, MLB)
-    const team = extractTeamFromName(title) || '';
-
-    return { playerName, team, type };
-}
+const supabase = getDatabase();
 
 async function importFanaticsSpreadsheets() {
     console.log('📊 Importing Fanatics Spreadsheets...\n');
@@ -129,13 +109,16 @@ async function importFanaticsSpreadsheets() {
     // Upload to database
     console.log('\n\n💾 Uploading to database...\n');
 
+    const { run } = await startImportRun({ source: 'fanatics', input: files.join(', '), checksum: checksum(totalHelmets) });
+    console.log(`🧾 Import run #${run.id}\n`);
+
     let saved = 0;
     let pricesAdded = 0;
     let errors = 0;
 
     for (const helmet of totalHelmets) {
         try {
-            const parsed = parseHelmetTitle(helmet.title);
+            const parsed = parseListingTitle(helmet.title);
 
             // Create search query for lookup
             const searchQuery = helmet.title.toLowerCase().replace(/[^a-z0-9\s]/g, '').substring(0, 200);
@@ -158,12 +141,13 @@ async function importFanaticsSpreadsheets() {
                     .from('helmets')
                     .insert({
                         name: helmet.title.substring(0, 250),
-                        player: parsed.playerName || null,
+                        player: parsed.player,
                         team: parsed.team || null,
-                        helmet_type: parsed.type,
-                        design_type: 'authentic',
+                        helmet_type: parsed.helmetType,
+                        design_type: parsed.designType,
                         auth_company: 'Fanatics',
-                        ebay_search_query: searchQuery
+                        ebay_search_query: searchQuery,
+                        import_run_id: run.id
                     })
                     .select()
                     .single();
@@ -174,7 +158,7 @@ async function importFanaticsSpreadsheets() {
             }
 
             // Add price record using shared utility
-            const result = await upsertPrice(helmetId, 'fanatics', helmet.price);
+            const result = await upsertPrice(helmetId, 'fanatics', helmet.price, { importRunId: run.id });
             if (result.success) {
                 pricesAdded++;
             } else if (pricesAdded === 0) {
@@ -189,12 +173,15 @@ async function importFanaticsSpreadsheets() {
         }
     }
 
+    await finishImportRun(run.id, { counts: { added: saved, pricesUpdated: pricesAdded, errors } });
+
     console.log('\n═══════════════════════════════════════');
     console.log('✅ UPLOAD COMPLETE');
     console.log('═══════════════════════════════════════');
     console.log(`   New helmets: ${saved}`);
     console.log(`   Prices recorded: ${pricesAdded}`);
     console.log(`   Errors: ${errors}`);
+    console.log(`   Import run: #${run.id} (undo: node scripts/import.js rollback ${run.id})`);
     console.log('═══════════════════════════════════════\n');
 }
 
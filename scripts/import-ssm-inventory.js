@@ -4,11 +4,13 @@
  */
 
 const XLSX = require('xlsx');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 const { upsertPrice } = require('./lib/price-utils');
+const { checksum, startImportRun, finishImportRun } = require('./lib/import-runs');
+const { classifyHelmet } = require('./lib/helmet-classifier');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 const SOURCE = 'signaturesports';
 
@@ -30,6 +32,9 @@ async function importSSMInventory() {
 
     console.log(`Found ${rows.length} helmet records\n`);
 
+    const { run } = await startImportRun({ source: SOURCE, input: filePath, checksum: checksum(filePath) });
+    console.log(`Import run #${run.id}\n`);
+
     let processed = 0;
     let newHelmets = 0;
     let existingHelmets = 0;
@@ -40,15 +45,21 @@ async function importSSMInventory() {
         try {
             const team = String(row[0] || '').trim();
             const player = String(row[1] || '').trim();
-            const helmetType = String(row[2] || '').trim();
+            const helmetTypeCol = String(row[2] || '').trim();
             const price = parseFloat(row[3]);
 
             if (!player || !price || price <= 0) {
                 continue;
             }
 
+            // Everything in this sheet is an authentic unless the type column says otherwise
+            const { helmetType, designType } = classifyHelmet('', {
+                type: helmetTypeCol,
+                defaultHelmetType: 'fullsize-authentic'
+            });
+
             // Build helmet name
-            const name = `${player} ${team} ${helmetType} Autographed Helmet`.trim();
+            const name = `${player} ${team} ${helmetTypeCol} Autographed Helmet`.trim();
 
             // Check if helmet exists
             const { data: existing } = await supabase
@@ -73,7 +84,8 @@ async function importSSMInventory() {
                         player,
                         team,
                         helmet_type: helmetType,
-                        design_type: 'Standard'
+                        design_type: designType,
+                        import_run_id: run.id
                     })
                     .select()
                     .single();
@@ -91,7 +103,7 @@ async function importSSMInventory() {
             }
 
             // Add price using shared utility
-            const result = await upsertPrice(helmetId, SOURCE, price);
+            const result = await upsertPrice(helmetId, SOURCE, price, { importRunId: run.id });
             if (result.success) {
                 pricesAdded++;
             }
@@ -110,6 +122,8 @@ async function importSSMInventory() {
         }
     }
 
+    await finishImportRun(run.id, { counts: { added: newHelmets, existing: existingHelmets, pricesUpdated: pricesAdded, errors } });
+
     console.log('\n═══════════════════════════════════════════════════════');
     console.log('Import Complete');
     console.log('═══════════════════════════════════════════════════════');
@@ -118,6 +132,7 @@ async function importSSMInventory() {
     console.log(`   Existing helmets: ${existingHelmets}`);
     console.log(`   Prices recorded: ${pricesAdded}`);
     console.log(`   Errors: ${errors}`);
+    console.log(`   Import run: #${run.id} (undo: node scripts/import.js rollback ${run.id})`);
     console.log('═══════════════════════════════════════════════════════\n');
 }
 
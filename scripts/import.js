@@ -3,53 +3,47 @@
  * HelmetPulse - Master Import Controller
  *
  * Usage:
- *   node scripts/import.js <source> [--use-cache] [--dry-run]
+ *   node scripts/import.js <source> [--use-cache] [--fixtures] [--file <path>] [--dry-run] [--report <file>]
  *
- * Sources:
- *   radtke    - Import from Radtke Sports (3000+ helmets)
- *   rsa       - Import from Shop RSA (1400+ helmets)
- *   fanatics  - Import from Fanatics Excel file
- *   all       - Run all importers sequentially
+ * Sources come from the adapter registry (scripts/adapters):
+ *   radtke, rsa, fanatics, greatsports, denverautographs, denverautographs-web, ebay
+ *   all       - Run every adapter sequentially (except discovery-only eBay)
  *   status    - Show current database stats
+ *   runs      - List recent import runs (--limit N, --source <name>)
+ *   rollback <runId> - Undo an import run's helmets and prices (--dry-run, --force)
  *
  * Options:
  *   --use-cache   Skip scraping, use cached data from previous run
- *   --dry-run     Validate data but don't import to database
+ *   --fixtures    Parse the adapter's saved fixtures instead of fetching
+ *   --file        Spreadsheet to read (spreadsheet sources)
+ *   --dry-run     Parse and match, then report the changes without writing anything
+ *   --report      Save the import report as JSON
  *
  * Examples:
  *   npm run import radtke
  *   npm run import rsa -- --use-cache
  *   npm run import all
  *   npm run import status
+ *   node scripts/import.js rollback 42 --dry-run
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
-const { createClient } = require('@supabase/supabase-js');
+const { isDatabaseConfigured, getDatabase } = require('./lib/db');
+const { listAdapters, getAdapter } = require('./adapters');
+const { runAdapter, parseRunOptions } = require('./lib/adapter-runner');
+const { saveReports } = require('./lib/import-report');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-// Available import sources
-const SOURCES = {
-    radtke: {
-        script: 'import-radtke-all.js',
-        description: 'Radtke Sports - Full helmet catalog via web scraping',
-        url: 'https://www.radtkesports.com/?s=helmet&product_cat=0&post_type=product'
-    },
-    rsa: {
-        script: 'import-rsa-all.js',
-        description: 'Shop RSA - Full helmet catalog via Shopify API',
-        url: 'https://www.shoprsa.com/collections/signed-nfl-football-helmets'
-    },
-    fanatics: {
-        script: 'import-fanatics-inventory.js',
-        description: 'Fanatics - Import from Excel inventory file',
-        url: 'Local Excel file'
-    }
-};
+// Not needed for --fixtures, so parsers can be checked without credentials
+const supabase = isDatabaseConfigured() ? getDatabase() : null;
+
+// Available import sources, one per adapter
+const SOURCES = Object.fromEntries(listAdapters().map(adapter => [adapter.name, adapter]));
 
 function printUsage() {
+    const sources = Object.values(SOURCES)
+        .map(adapter => `  ${adapter.name.padEnd(22)} ${adapter.description}`)
+        .join('\n');
+
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║           HELMETPULSE - DATA IMPORT CONTROLLER                ║
@@ -59,21 +53,30 @@ USAGE:
   npm run import <source> [options]
 
 SOURCES:
-  radtke     Import from Radtke Sports (~3000 helmets, web scraping)
-  rsa        Import from Shop RSA (~1400 helmets, Shopify API)
-  fanatics   Import from Fanatics Excel file
-  all        Run all importers sequentially
-  status     Show current database statistics
+${sources}
+  all                    Run all importers sequentially (except eBay)
+  status                 Show current database statistics
+  runs                   List recent import runs (--limit N, --source <name>)
+  rollback <runId>       Delete the helmets and prices an import run added
+                         (--dry-run to preview, --force past conflicts)
 
 OPTIONS:
-  --use-cache   Use cached data from previous scrape (skip network)
-  --dry-run     Validate only, don't write to database
+  --use-cache     Use cached data from previous scrape (skip network)
+  --fixtures      Parse saved fixtures (scripts/adapters/fixtures) - no network
+  --file <path>   Spreadsheet to read instead of the default inventory file
+  --dry-run       Parse and match, then report new helmets, price changes,
+                  unmatched and skipped rows - nothing is written
+  --report <file> Save the report as JSON (works with or without --dry-run)
 
 EXAMPLES:
-  npm run import radtke              # Fresh scrape from Radtke
-  npm run import rsa -- --use-cache  # Use cached RSA data
-  npm run import all                 # Import from all sources
-  npm run import status              # Check database stats
+  npm run import radtke                          # Fresh scrape from Radtke
+  npm run import rsa -- --use-cache              # Use cached RSA data
+  npm run import rsa -- --fixtures --dry-run     # Check the RSA parser offline
+  npm run import fanatics -- --file new.xlsx --dry-run --report fanatics.json
+  npm run import all                             # Import from all sources
+  npm run import status                          # Check database stats
+  node scripts/import.js runs --source rsa       # Recent RSA imports
+  node scripts/import.js rollback 42 --dry-run   # What undoing run 42 removes
 
 INDIVIDUAL SCRIPTS:
   npm run import:radtke     # Direct Radtke import
@@ -148,81 +151,120 @@ async function showStatus() {
     console.log('\n═══════════════════════════════════════════════════════════════\n');
 }
 
-function runScript(scriptName, args = []) {
-    return new Promise((resolve, reject) => {
-        const scriptPath = path.join(__dirname, scriptName);
-        console.log(`\n🚀 Running: ${scriptName} ${args.join(' ')}\n`);
-        console.log('─'.repeat(60) + '\n');
+function flagValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] || null : null;
+}
 
-        const child = spawn('node', [scriptPath, ...args], {
-            stdio: 'inherit',
-            cwd: path.join(__dirname, '..')
-        });
+async function showRuns(args) {
+    const { listImportRuns } = require('./lib/import-runs');
+    const runs = await listImportRuns({
+        limit: parseInt(flagValue(args, '--limit')) || 20,
+        source: flagValue(args, '--source')
+    });
 
-        child.on('close', (code) => {
-            if (code === 0) {
-                resolve();
-            } else {
-                reject(new Error(`Script exited with code ${code}`));
-            }
-        });
+    if (runs.length === 0) {
+        console.log('\nNo import runs recorded yet.\n');
+        return;
+    }
 
-        child.on('error', reject);
-    });
+    console.log('\n  RUN   STARTED              SOURCE              STATUS        ADDED  MATCHED  BY');
+    for (const run of runs) {
+        const counts = run.counts || {};
+        const added = counts.added !== undefined ? counts.added : '-';
+        // Adapter runs count matched listings as existing, auto-import as updated
+        const matched = counts.existing !== undefined ? counts.existing : counts.updated !== undefined ? counts.updated : '-';
+        console.log(
+            `  ${String(run.id).padStart(4)}  ${String(run.started_at || '').replace('T', ' ').substring(0, 19).padEnd(19)}  ` +
+            `${run.source.padEnd(18)}  ${run.status.padEnd(12)}  ${String(added).padStart(5)}  ${String(matched).padStart(7)}  ${run.triggered_by || ''}`
+        );
+        if (run.input) console.log(`        ${run.input}`);
+        if (run.error) console.log(`        ✗ ${run.error}`);
+    }
+    console.log('');
+}
+
+async function rollback(args) {
+    const { rollbackImportRun } = require('./lib/import-runs');
+    const runId = args[1];
+    const dryRun = args.includes('--dry-run');
+    const result = await rollbackImportRun(runId, { dryRun, force: args.includes('--force') });
+
+    if (!result.success) {
+        console.error(`\n❌ ${result.error}\n`);
+        process.exit(1);
+    }
+
+    const { run } = result;
+    console.log(`\n${dryRun ? '🔍 Would roll back' : '↩️  Rolled back'} run #${run.id} (${run.source}, ${run.started_at})`);
+    if (run.input) console.log(`   Input: ${run.input}`);
+    console.log(`   Price rows deleted:    ${result.pricesDeleted}`);
+    console.log(`   Helmets deleted:       ${result.helmetsDeleted}`);
+    if (result.otherPricesDeleted > 0) {
+        console.log(`   Other imports' prices: ${result.otherPricesDeleted}${args.includes('--force') ? '' : ' - needs --force'}`);
+    }
+    console.log(`   Helmets repriced:      ${result.helmetsRepriced}`);
+
+    if (!dryRun && result.repricedHelmetIds.length > 0) {
+        const { checkAlertsAfterImport } = require('./lib/price-alerts');
+        await checkAlertsAfterImport(run.id, { helmetIds: result.repricedHelmetIds, log: message => console.log(`   ${message}`) });
+    }
+    console.log(`\n✅ ${dryRun ? 'Dry run complete - nothing was changed' : 'Done'}\n`);
 }
 
 async function main() {
     const args = process.argv.slice(2);
     const source = args[0]?.toLowerCase();
-    const options = args.slice(1);
+    const options = parseRunOptions(args.slice(1));
 
     if (!source || source === 'help' || source === '-h' || source === '--help') {
         printUsage();
         process.exit(0);
     }
 
-    if (source === 'status') {
-        await showStatus();
+    if (['status', 'runs', 'rollback'].includes(source)) {
+        if (!supabase) {
+            console.error('\n❌ SUPABASE_URL is not set (or set DATA_BACKEND=local)');
+            process.exit(1);
+        }
+        if (source === 'status') await showStatus();
+        if (source === 'runs') await showRuns(args);
+        if (source === 'rollback') await rollback(args);
         process.exit(0);
     }
 
     if (source === 'all') {
         console.log('\n🔄 Running ALL importers sequentially...\n');
+        const reports = [];
 
-        for (const [name, config] of Object.entries(SOURCES)) {
+        for (const adapter of Object.values(SOURCES).filter(a => a.includeInAll)) {
             try {
-                console.log(`\n${'═'.repeat(60)}`);
-                console.log(`  IMPORTING FROM: ${name.toUpperCase()}`);
-                console.log(`  ${config.description}`);
-                console.log('═'.repeat(60));
-
-                await runScript(config.script, options);
+                const summary = await runAdapter(adapter, options);
+                reports.push(summary.report);
             } catch (error) {
-                console.error(`\n❌ Error importing from ${name}: ${error.message}`);
+                console.error(`\n❌ Error importing from ${adapter.name}: ${error.message}`);
             }
         }
 
-        console.log('\n✅ All imports complete!\n');
-        await showStatus();
+        console.log(`\n✅ All ${options.dryRun ? 'dry runs' : 'imports'} complete!\n`);
+        if (options.report) saveReports(options.report, reports);
+        if (supabase && !options.dryRun) await showStatus();
         process.exit(0);
     }
 
-    if (!SOURCES[source]) {
+    const adapter = getAdapter(source);
+    if (!adapter) {
         console.error(`\n❌ Unknown source: ${source}`);
-        console.log(`   Valid sources: ${Object.keys(SOURCES).join(', ')}, all, status`);
+        console.log(`   Valid sources: ${Object.keys(SOURCES).join(', ')}, all, status, runs, rollback`);
         process.exit(1);
     }
 
     try {
-        const config = SOURCES[source];
-        console.log(`\n${'═'.repeat(60)}`);
-        console.log(`  IMPORTING FROM: ${source.toUpperCase()}`);
-        console.log(`  ${config.description}`);
-        console.log('═'.repeat(60));
-
-        await runScript(config.script, options);
+        const summary = await runAdapter(adapter, options);
+        if (options.report) saveReports(options.report, [summary.report]);
 
-        console.log('\n✅ Import complete!\n');
+        console.log(`\n✅ ${options.dryRun ? 'Dry run' : 'Import'} complete!\n`);
+        process.exit(0);
     } catch (error) {
         console.error(`\n❌ Import failed: ${error.message}`);
         process.exit(1);
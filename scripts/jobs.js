@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Scheduled Jobs
+ *
+ * Usage:
+ *   node scripts/jobs.js                 List jobs: schedule, next run, last run
+ *   node scripts/jobs.js worker          Run the scheduler (instead of JOBS_ENABLED in the server)
+ *   node scripts/jobs.js run <job>       Run a job now (skipped if it's already running)
+ *   node scripts/jobs.js history [--job <name>] [--limit N]
+ *
+ * Jobs and their schedules are in lib/job-scheduler.js; override one with
+ * JOB_SCHEDULE_<NAME>="0 2 * * *" (or "off").
+ */
+
+const { isDatabaseConfigured } = require('./lib/db');
+const { listJobs, getJob, runJob, startScheduler, jobStatus } = require('./lib/job-scheduler');
+require('dotenv').config();
+
+function flagValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] || null : null;
+}
+
+const shortTime = value => (value ? String(value).replace('T', ' ').substring(0, 16) : '-');
+
+function duration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+async function showJobs() {
+    const jobs = await jobStatus({ history: 0 });
+
+    console.log('\n  JOB                          SCHEDULE        NEXT RUN          LAST RUN          OUTCOME     DURATION');
+    for (const job of jobs) {
+        const last = job.lastRun;
+        console.log(
+            `  ${job.name.padEnd(28)} ${(job.schedule || 'off').padEnd(14)}  ${shortTime(job.nextRun).padEnd(16)}  ` +
+            `${shortTime(last && last.startedAt).padEnd(16)}  ${(job.running ? 'running' : last ? last.status : '-').padEnd(10)}  ` +
+            `${duration(last && last.durationMs)}`
+        );
+        if (last && last.error) console.log(`        ✗ ${last.error}`);
+    }
+    console.log('');
+}
+
+async function showHistory(args) {
+    const { listJobRuns } = require('./lib/job-runs');
+    const runs = await listJobRuns({
+        job: flagValue(args, '--job'),
+        limit: parseInt(flagValue(args, '--limit')) || 20
+    });
+
+    if (runs.length === 0) {
+        console.log('\nNo job runs recorded yet.\n');
+        return;
+    }
+
+    console.log('\n  RUN   STARTED           JOB                          TRIGGER   STATUS      DURATION  HOST');
+    for (const run of runs) {
+        console.log(
+            `  ${String(run.id).padStart(4)}  ${shortTime(run.started_at).padEnd(16)}  ${run.job_name.padEnd(28)} ` +
+            `${run.trigger.padEnd(8)}  ${run.status.padEnd(10)}  ${duration(run.duration_ms).padStart(8)}  ${run.host || ''}`
+        );
+        if (run.error) console.log(`        ✗ ${run.error}`);
+    }
+    console.log('');
+}
+
+async function runNow(name) {
+    const job = getJob(name);
+    if (!job) {
+        console.error(`\n❌ Unknown job: ${name}`);
+        console.log(`   Jobs: ${listJobs().map(j => j.name).join(', ')}\n`);
+        process.exit(1);
+    }
+
+    const result = await runJob(job, { trigger: 'manual' });
+    process.exit(result.status === 'succeeded' ? 0 : 1);
+}
+
+function startWorker() {
+    console.log('\n═══════════════════════════════════════════════════════');
+    console.log('  JOB WORKER');
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    const { jobs, stop } = startScheduler({ strict: true });
+    if (jobs.length === 0) {
+        console.log('No jobs are scheduled (every JOB_SCHEDULE_* is off)');
+        process.exit(0);
+    }
+    console.log('\nPress Ctrl+C to stop\n');
+
+    process.on('SIGINT', () => {
+        stop();
+        process.exit(0);
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0] || 'list';
+
+    if (!isDatabaseConfigured()) {
+        console.error('\n❌ SUPABASE_URL is not set (or set DATA_BACKEND=local)');
+        process.exit(1);
+    }
+
+    if (command === 'list') {
+        await showJobs();
+    } else if (command === 'history') {
+        await showHistory(args);
+    } else if (command === 'run' && args[1]) {
+        await runNow(args[1]);
+    } else if (command === 'worker') {
+        startWorker();
+    } else {
+        console.log('Usage: node scripts/jobs.js [list | worker | run <job> | history [--job <name>] [--limit N]]');
+        process.exit(command === 'help' || command === '--help' ? 0 : 1);
+    }
+}
+
+main().catch(error => {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,423 @@
+/**
+ * Adapter Runner
+ *
+ * Runs a retailer adapter end to end: collect products (or reuse the cache /
+ * saved fixtures), normalize and validate them, then match each listing
+ * against the catalog and record prices. Used by scripts/import.js and the
+ * per-retailer import scripts. Each import that writes is recorded as an
+ * import run (lib/import-runs.js) so it can be rolled back, then the price
+ * alerts on the helmets it priced are checked (lib/price-alerts.js).
+ *
+ * Options (parseRunOptions):
+ *   --use-cache     Reuse scripts/<adapter>-cache.json from the last fetch
+ *   --fixtures      Parse the adapter's saved fixtures instead of fetching
+ *   --file <path>   Spreadsheet to read (file adapters)
+ *   --dry-run       Parse, match and report the changes without writing anything
+ *   --report <file> Save the import report (lib/import-report.js) as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { collectProducts, normalizeProducts, parseFixtures } = require('./retailer-adapter');
+const { getAdapter } = require('../adapters');
+const { createImportReport, printReport, saveReports } = require('./import-report');
+
+const BATCH_SIZE = 50;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function cacheFile(adapter) {
+    return path.join(__dirname, '..', `${adapter.name}-cache.json`);
+}
+
+/**
+ * Parse import flags
+ *
+ * @returns {object} - { useCache, dryRun, fixtures, file, report }
+ */
+function parseRunOptions(argv) {
+    const value = flag => {
+        const index = argv.indexOf(flag);
+        return index !== -1 ? argv[index + 1] || null : null;
+    };
+    return {
+        useCache: argv.includes('--use-cache'),
+        dryRun: argv.includes('--dry-run'),
+        fixtures: argv.includes('--fixtures'),
+        file: value('--file'),
+        report: value('--report')
+    };
+}
+
+/**
+ * One puppeteer page shared by a run, launched on first use
+ */
+function createBrowser() {
+    let browser = null;
+    let page = null;
+
+    return {
+        async getPage() {
+            if (page) return page;
+
+            // Only browser adapters pay for loading puppeteer
+            const puppeteer = require('puppeteer');
+            console.log('🌐 Launching browser...\n');
+            browser = await puppeteer.launch({
+                headless: 'new',
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-blink-features=AutomationControlled']
+            });
+            page = await browser.newPage();
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1920, height: 1080 });
+            await page.evaluateOnNewDocument(() => {
+                Object.defineProperty(navigator, 'webdriver', { get: () => false });
+            });
+            return page;
+        },
+        async close() {
+            if (browser) await browser.close();
+        }
+    };
+}
+
+/**
+ * Products for this run: fixtures, cache or a fresh fetch (which refreshes the cache)
+ */
+async function loadProducts(adapter, options) {
+    if (options.fixtures) {
+        console.log(`📁 Parsing ${adapter.fixtures.length} saved fixture(s)...\n`);
+        return parseFixtures(adapter);
+    }
+
+    const file = cacheFile(adapter);
+    if (fs.existsSync(file) && adapter.kind !== 'file') {
+        const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`📁 Found cached data from previous fetch (${cached.length} products)`);
+
+        if (options.useCache) {
+            console.log('   Using cached data (--use-cache flag)\n');
+            return cached;
+        }
+        console.log('   Re-fetching (use --use-cache to skip)\n');
+    }
+
+    const browser = createBrowser();
+    let products;
+    try {
+        products = await collectProducts(adapter, {
+            getPage: browser.getPage,
+            log: message => console.log(message),
+            options
+        });
+    } finally {
+        await browser.close();
+    }
+
+    if (adapter.kind !== 'file') {
+        fs.writeFileSync(file, JSON.stringify(products, null, 2));
+        console.log(`\n💾 Cached ${products.length} products to ${file}`);
+    }
+
+    return products;
+}
+
+function printDistribution(title, listings, field, limit) {
+    const counts = {};
+    listings.forEach(l => {
+        const value = l[field] || 'Unknown';
+        counts[value] = (counts[value] || 0) + 1;
+    });
+
+    console.log(`\n📊 ${title}:`);
+    Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .forEach(([value, count]) => console.log(`   ${value}: ${count}`));
+}
+
+function printValidation(listings, rejected) {
+    console.log('   Validation Results:');
+    console.log(`   ✓ Valid helmets:     ${listings.length}`);
+    Object.entries(rejected)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([reason, count]) => console.log(`   ✗ ${reason}: ${count}`));
+
+    console.log('\n📋 SAMPLE VALIDATED DATA:\n');
+    listings.slice(0, 10).forEach((l, i) => {
+        console.log(`   ${i + 1}. ${l.player} - ${l.team || 'Unknown'}`);
+        console.log(`      Type: ${l.helmetType}, Design: ${l.designType}, Price: $${l.price || 'N/A'}`);
+    });
+
+    printDistribution('TEAM DISTRIBUTION (top 10)', listings, 'team', 10);
+    printDistribution('HELMET TYPE DISTRIBUTION', listings, 'helmetType');
+}
+
+/**
+ * Match listings against the catalog, add new helmets and record prices
+ *
+ * A dry run makes the same decisions and fills in the report, but writes
+ * nothing - not even the review queue.
+ *
+ * @param {object} options - { dryRun, report, importRunId } - report from createImportReport,
+ *                           importRunId tags the helmets and prices written
+ * @returns {object} - { added, existing, review, ignored, pricesUpdated, errors } -
+ *                     on a dry run, added and pricesUpdated count what would be written
+ */
+async function saveListings(adapter, listings, { dryRun = false, report = createImportReport({ source: adapter.source }), importRunId = null } = {}) {
+    // Loaded here so --fixtures works without database credentials
+    const { supabase, upsertPrice, loadHelmetIndex, loadLatestSourcePrices, matchHelmet, VALID_SOURCES } = require('./price-utils');
+
+    // Discovery-only adapters (eBay) add helmets but have no price source
+    const recordsPrices = VALID_SOURCES.includes(adapter.source);
+    const stats = { added: 0, existing: 0, review: 0, ignored: 0, pricesUpdated: 0, errors: 0 };
+
+    console.log('📥 Loading existing helmets...');
+    const index = await loadHelmetIndex('ebay_search_query');
+    const latestPrices = recordsPrices ? await loadLatestSourcePrices(adapter.source) : new Map();
+
+    const ebayQuerySet = new Set();
+    index.helmets.forEach(h => {
+        if (h.ebay_search_query) ebayQuerySet.add(h.ebay_search_query.toLowerCase());
+    });
+    console.log(`   Found ${index.helmets.length} existing helmets\n`);
+
+    const newHelmets = [];
+    const priceUpdates = [];
+
+    for (const listing of listings) {
+        const match = await matchHelmet(listing, { index, source: adapter.source, price: listing.price, url: listing.url, dryRun });
+        if (match.decision === 'review') {
+            stats.review++;
+            report.unmatched(listing, match);
+            continue;
+        }
+        if (match.decision === 'ignored') {
+            stats.ignored++;
+            report.skipped('Ignored (admin decision)', listing);
+            continue;
+        }
+
+        const ebayQuery = `${listing.player} ${listing.team || ''} ${listing.helmetType} ${listing.designType} autographed helmet`
+            .toLowerCase().replace(/\s+/g, ' ').trim();
+
+        if (match.helmet || ebayQuerySet.has(ebayQuery)) {
+            if (listing.price && match.helmet) {
+                priceUpdates.push({ helmetId: match.helmet.id, price: listing.price, url: listing.url });
+                if (recordsPrices) {
+                    const previous = latestPrices.get(match.helmet.id);
+                    report.price(match.helmet, listing.price, previous ? previous.price : null);
+                }
+            } else if (!match.helmet) {
+                report.skipped('Same search query as an existing helmet', listing);
+            }
+            stats.existing++;
+        } else {
+            ebayQuerySet.add(ebayQuery);
+            newHelmets.push({ listing, ebayQuery });
+            report.newHelmet(listing);
+        }
+    }
+
+    console.log(`📝 New helmets to add: ${newHelmets.length}`);
+    console.log(`💰 Price updates for existing: ${priceUpdates.length}`);
+    console.log(`🔎 ${dryRun ? 'For review' : 'Queued for review'}: ${stats.review}`);
+    console.log(`🚫 Ignored (admin decision): ${stats.ignored}\n`);
+
+    if (dryRun) {
+        stats.added = newHelmets.length;
+        stats.pricesUpdated = recordsPrices
+            ? newHelmets.filter(h => h.listing.price).length + priceUpdates.length
+            : 0;
+        return stats;
+    }
+
+    const recordPrice = async (helmetId, price, url) => {
+        if (!recordsPrices || !price) return;
+        const result = await upsertPrice(helmetId, adapter.source, price, { ebayUrl: url || null, importRunId });
+        if (result.success) stats.pricesUpdated++;
+    };
+
+    if (newHelmets.length > 0) {
+        console.log('➕ Adding new helmets...');
+
+        for (let i = 0; i < newHelmets.length; i += BATCH_SIZE) {
+            const batch = newHelmets.slice(i, i + BATCH_SIZE);
+
+            const { data: inserted, error } = await supabase
+                .from('helmets')
+                .insert(batch.map(({ listing, ebayQuery }) => ({
+                    name: listing.title,
+                    player: listing.player,
+                    team: listing.team,
+                    helmet_type: listing.helmetType,
+                    design_type: listing.designType,
+                    auth_company: listing.authCompany,
+                    inscription: listing.inscription,
+                    ebay_search_query: ebayQuery,
+                    is_active: true,
+                    import_run_id: importRunId
+                })))
+                .select('id');
+
+            if (error) {
+                console.log(`   ✗ Batch error: ${error.message}`);
+                stats.errors += batch.length;
+                continue;
+            }
+
+            stats.added += inserted.length;
+            for (let idx = 0; idx < inserted.length; idx++) {
+                await recordPrice(inserted[idx].id, batch[idx].listing.price, batch[idx].listing.url);
+            }
+            process.stdout.write(`   ✓ Added ${stats.added}/${newHelmets.length}\r`);
+        }
+        console.log(`\n   ✓ Added ${stats.added} new helmets`);
+    }
+
+    if (priceUpdates.length > 0 && recordsPrices) {
+        console.log('\n💰 Updating prices for existing helmets...');
+
+        for (let i = 0; i < priceUpdates.length; i++) {
+            const update = priceUpdates[i];
+            await recordPrice(update.helmetId, update.price, update.url);
+            if ((i + 1) % BATCH_SIZE === 0 || i === priceUpdates.length - 1) {
+                process.stdout.write(`   ✓ Updated ${i + 1}/${priceUpdates.length}\r`);
+            }
+        }
+        console.log('');
+    }
+
+    return stats;
+}
+
+/**
+ * What a run read, for the import_runs ledger: { input, checksum }
+ */
+function describeInput(adapter, options, products) {
+    const { checksum } = require('./import-runs');
+
+    if (options.file) {
+        const file = path.resolve(options.file);
+        return { input: file, checksum: checksum(file) };
+    }
+    const input = options.fixtures ? `${adapter.name} fixtures` : adapter.url;
+    return { input, checksum: checksum(products) };
+}
+
+/**
+ * Run an adapter end to end
+ *
+ * @param {object} adapter - From the registry (scripts/adapters)
+ * @param {object} options - See parseRunOptions
+ * @returns {object} - { adapter, fetched, valid, rejected, dryRun, added, existing,
+ *                       review, ignored, pricesUpdated, errors, report, runId } - the save
+ *                       counts are absent when a dry run has no database to match against,
+ *                       runId unless it was a dry run
+ */
+async function runAdapter(adapter, options = {}) {
+    console.log('═'.repeat(60));
+    console.log(`  ${adapter.description.toUpperCase()}`);
+    console.log('═'.repeat(60) + '\n');
+
+    const products = await loadProducts(adapter, options);
+
+    console.log('\n' + '─'.repeat(60));
+    console.log(`📊 FETCHED: ${products.length} total products`);
+    console.log('─'.repeat(60));
+
+    const dryRun = !!options.dryRun;
+    const collector = createImportReport({ source: adapter.source, file: options.file || null, dryRun });
+    const summary = { adapter: adapter.name, fetched: products.length, valid: 0, rejected: {}, dryRun, report: collector.report };
+
+    if (products.length === 0) {
+        console.log('⚠️  No products found.');
+        return summary;
+    }
+
+    console.log('\n🔍 VALIDATING DATA...\n');
+    const { listings, rejected, rejects } = normalizeProducts(adapter, products);
+    summary.valid = listings.length;
+    summary.rejected = rejected;
+    rejects.forEach(({ reason, product }) => collector.skipped(reason, product));
+    printValidation(listings, rejected);
+
+    // Matching a dry run needs the catalog; without a database it stops at validation
+    if (dryRun && !require('./db').isDatabaseConfigured()) {
+        console.log('\n⚠️  No database configured - skipping matching (set DATA_BACKEND=local to match offline)');
+        printReport(collector.report);
+        console.log('✅ Dry run complete - nothing was written\n');
+        return summary;
+    }
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(dryRun ? '  MATCHING AGAINST DATABASE (DRY RUN)' : '  IMPORTING TO DATABASE');
+    console.log('═'.repeat(60) + '\n');
+
+    if (dryRun) {
+        Object.assign(summary, await saveListings(adapter, listings, { dryRun, report: collector }));
+        printReport(collector.report);
+        console.log('✅ Dry run complete - nothing was written\n');
+        return summary;
+    }
+
+    const { startImportRun, finishImportRun } = require('./import-runs');
+    const { run, previous } = await startImportRun({ source: adapter.source, ...describeInput(adapter, options, products) });
+    summary.runId = run.id;
+    console.log(`🧾 Import run #${run.id}`);
+    if (previous) {
+        console.log(`⚠️  Same input as run #${previous.id} (${previous.started_at}) - importing again\n`);
+    }
+
+    try {
+        Object.assign(summary, await saveListings(adapter, listings, { report: collector, importRunId: run.id }));
+    } catch (error) {
+        await finishImportRun(run.id, { status: 'failed', error: error.message });
+        throw error;
+    }
+
+    const { added, existing, review, ignored, pricesUpdated, errors } = summary;
+    await finishImportRun(run.id, {
+        counts: { fetched: summary.fetched, valid: summary.valid, added, existing, review, ignored, pricesUpdated, errors }
+    });
+
+    const { checkAlertsAfterImport } = require('./price-alerts');
+    await checkAlertsAfterImport(run.id);
+
+    console.log('\n' + '═'.repeat(60));
+    console.log('  IMPORT COMPLETE');
+    console.log('═'.repeat(60));
+    console.log(`  Products fetched:     ${summary.fetched}`);
+    console.log(`  Valid after cleanup:  ${summary.valid}`);
+    console.log('  ─────────────────────────────────────────');
+    console.log(`  New helmets added:    ${summary.added}`);
+    console.log(`  Existing (matched):   ${summary.existing}`);
+    console.log(`  Queued for review:    ${summary.review}`);
+    console.log(`  Ignored by admin:     ${summary.ignored}`);
+    console.log(`  Prices added/updated: ${summary.pricesUpdated}`);
+    console.log(`  Errors:               ${summary.errors}`);
+    console.log(`  Import run:           #${run.id} (undo: node scripts/import.js rollback ${run.id})`);
+    console.log('═'.repeat(60) + '\n');
+
+    return summary;
+}
+
+/**
+ * Entry point for the per-retailer scripts (import-rsa-all.js, ...)
+ */
+function runAdapterCli(name) {
+    const options = parseRunOptions(process.argv.slice(2));
+    runAdapter(getAdapter(name), options)
+        .then(summary => {
+            if (options.report) saveReports(options.report, [summary.report]);
+            console.log('🎉 Done!\n');
+            process.exit(0);
+        })
+        .catch(error => { console.error('❌ Fatal:', error); process.exit(1); });
+}
+
+module.exports = {
+    parseRunOptions,
+    runAdapter,
+    runAdapterCli
+};
@@ -0,0 +1,65 @@
+/**
+ * Database Access
+ *
+ * The one place the server and scripts get their database client from.
+ * DATA_BACKEND picks the implementation:
+ *
+ *   supabase (default) - the hosted project (SUPABASE_URL, SUPABASE_KEY)
+ *   local              - in-memory database built from supabase/migrations,
+ *                        kept in LOCAL_DB_FILE (see local-db.js)
+ *
+ * Both return the same supabase-js query builder interface.
+ */
+
+require('dotenv').config();
+
+const BACKENDS = ['supabase', 'local'];
+
+let database = null;
+
+/**
+ * Selected backend name
+ */
+function dataBackend() {
+    const backend = (process.env.DATA_BACKEND || 'supabase').trim().toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown DATA_BACKEND "${backend}" (expected ${BACKENDS.join(' or ')})`);
+    }
+    return backend;
+}
+
+/**
+ * Whether getDatabase() can connect - the local backend always can
+ */
+function isDatabaseConfigured() {
+    if (dataBackend() === 'local') return true;
+    return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_KEY);
+}
+
+/**
+ * Shared database client for this process
+ *
+ * @returns {object} - supabase-js client or local database
+ */
+function getDatabase() {
+    if (database) return database;
+
+    if (dataBackend() === 'local') {
+        const { createLocalDatabase } = require('./local-db');
+        database = createLocalDatabase();
+    } else {
+        if (!isDatabaseConfigured()) {
+            throw new Error('SUPABASE_URL and SUPABASE_KEY are required (or set DATA_BACKEND=local)');
+        }
+        const { createClient } = require('@supabase/supabase-js');
+        database = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+    }
+
+    return database;
+}
+
+module.exports = {
+    dataBackend,
+    isDatabaseConfigured,
+    getDatabase
+};
@@ -0,0 +1,203 @@
+/**
+ * Helmet Type / Design Type Classifier
+ *
+ * The controlled vocabulary for helmets.helmet_type and helmets.design_type,
+ * and the one classifier every importer and scraper uses to get there from a
+ * listing title plus whatever type/design columns or sheet name the source
+ * provides. Migration 010 enforces the same vocabulary with check constraints.
+ * Nothing in here touches the database.
+ */
+
+const HELMET_TYPES = ['mini', 'midi', 'fullsize-authentic', 'fullsize-replica', 'fullsize-speedflex'];
+
+const DESIGN_TYPES = ['regular', 'lunar-eclipse', 'eclipse', 'flash', 'camo', 'salute-to-service',
+    'rave', 'amp', 'slate', 'flat-white', 'chrome', 'throwback', 'alternate', 'rivalries', 'blaze',
+    'super-bowl'];
+
+// Spellings older parsers wrote to the database
+const LEGACY_HELMET_TYPES = {
+    'speedflex': 'fullsize-speedflex',
+    'speed-authentic': 'fullsize-authentic',
+    'speed-replica': 'fullsize-replica',
+    'midi-speedflex': 'midi',
+    'authentic': 'fullsize-authentic',
+    'replica': 'fullsize-replica',
+};
+
+const LEGACY_DESIGN_TYPES = {
+    'salute': 'salute-to-service',
+    'salute2': 'salute-to-service',
+    'lunar': 'lunar-eclipse',
+    'superbowl': 'super-bowl',
+    'standard': 'regular',
+    'authentic': 'regular',
+};
+
+// Ordered - sizes first so "Midi Speedflex" is a midi, not a full-size speedflex
+const HELMET_TYPE_RULES = [
+    ['mini', /\bminis?\b/],
+    ['midi', /\bmidis?\b|\bmid[- ]?size\b/],
+    ['fullsize-speedflex', /\bspeed\s*flex\b/],
+    ['fullsize-replica', /\breplica\b|\brep\b/],
+    ['fullsize-authentic', /\bauthentic\b|\bpro\s*line\b|\bf\/s\b|\bfull[- ]?size\b/],
+];
+
+// Ordered - "lunar eclipse" before "eclipse"
+const DESIGN_TYPE_RULES = [
+    ['lunar-eclipse', /\blunar\b/],
+    ['eclipse', /\beclipse\b/],
+    ['flash', /\bflash\b/],
+    ['camo', /\bcamo\b/],
+    ['salute-to-service', /\bsalute\b|\bsts\b/],
+    ['rave', /\brave\b/],
+    ['amp', /\bamp\b/],
+    ['slate', /\bslate\b/],
+    ['flat-white', /\bflat\s*white\b/],
+    ['chrome', /\bchrome\b/],
+    ['blaze', /\bblaze\b/],
+    ['rivalries', /\brivalr(?:y|ies)\b/],
+    // Only trusted from a design column - titles mention Super Bowls in inscriptions
+    ['super-bowl', /\bsuper\s*bowl\b/, { hintOnly: true }],
+    // Year ranges ("76-96") are how some sheets mark throwbacks
+    ['throwback', /\bthrowback\b|\btb\b/],
+    ['throwback', /\b\d{2}-\d{2}\b/, { hintOnly: true }],
+    ['alternate', /\balternate\b|\balt\b/],
+    ['regular', /\bregular\b|\bstandard\b/],
+];
+
+// How much each kind of evidence is trusted
+const SOURCE_CONFIDENCE = {
+    column: 0.95,
+    sheet: 0.9,
+    title: 0.85,
+    default: 0.4
+};
+const DEFAULT_DESIGN_CONFIDENCE = 0.7;
+
+/**
+ * Lowercase text and drop phrases that look like types but aren't
+ * ("Fanatics Authentic" is an authenticator, not a helmet style)
+ */
+function prepareText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/fanatics\s+authentic(?:ated)?/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Run ordered rules against evidence sources, strongest source first
+ *
+ * @returns {object|null} - { value, source, match } for the first rule that
+ *                          matches the strongest source with a match, or null
+ */
+function matchRules(rules, sources) {
+    // A type column beats any rule matched in the sheet name
+    for (const { source, text } of sources) {
+        if (!text) continue;
+        for (const [value, pattern, options = {}] of rules) {
+            if (options.hintOnly && source !== 'column') continue;
+            const match = text.match(pattern);
+            if (match) return { value, source, match: match[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Map a stored or source value to the controlled vocabulary
+ *
+ * @returns {string|null} - Canonical helmet type, or null if it isn't one
+ */
+function normalizeHelmetType(value) {
+    const lower = String(value || '').toLowerCase().trim();
+    if (HELMET_TYPES.includes(lower)) return lower;
+    return LEGACY_HELMET_TYPES[lower] || null;
+}
+
+/**
+ * Map a stored or source value to the controlled vocabulary
+ *
+ * @returns {string|null} - Canonical design type, or null if it isn't one
+ */
+function normalizeDesignType(value) {
+    const lower = String(value || '').toLowerCase().trim();
+    if (DESIGN_TYPES.includes(lower)) return lower;
+    return LEGACY_DESIGN_TYPES[lower] || null;
+}
+
+/**
+ * Classify a listing into a canonical helmet type and design type
+ *
+ * Evidence is checked strongest first: an explicit type/design column, then
+ * the listing title, then the sheet name. Whatever isn't found falls back to
+ * the default helmet type and 'regular'.
+ *
+ * @param {string} title - Listing title or product name
+ * @param {object} hints - Optional: { type, design, sheetName, defaultHelmetType }
+ *                         type/design are the source's own columns, if any
+ * @returns {object} - { helmetType, designType, confidence, helmetTypeConfidence,
+ *                       designTypeConfidence, evidence: { helmetType, designType } }
+ *                     confidence is the lower of the two (0-1)
+ */
+function classifyHelmet(title, hints = {}) {
+    const titleText = prepareText(title);
+    const typeText = prepareText(hints.type);
+    const designText = prepareText(hints.design);
+    const sheetText = prepareText(hints.sheetName);
+
+    // A column that already holds a canonical value needs no parsing
+    const typeFromColumn = normalizeHelmetType(hints.type);
+    const designFromColumn = normalizeDesignType(hints.design);
+
+    let helmet = typeFromColumn
+        ? { value: typeFromColumn, source: 'column', match: typeText }
+        : matchRules(HELMET_TYPE_RULES, [
+            { source: 'column', text: typeText },
+            { source: 'title', text: titleText },
+            { source: 'sheet', text: sheetText }
+        ]);
+
+    if (!helmet) {
+        helmet = {
+            value: normalizeHelmetType(hints.defaultHelmetType) || 'fullsize-authentic',
+            source: 'default',
+            match: null
+        };
+    }
+
+    let design = designFromColumn
+        ? { value: designFromColumn, source: 'column', match: designText }
+        : matchRules(DESIGN_TYPE_RULES, [
+            { source: 'column', text: [designText, typeText].filter(Boolean).join(' ') },
+            { source: 'title', text: titleText }
+        ]);
+
+    const helmetTypeConfidence = SOURCE_CONFIDENCE[helmet.source];
+    const designTypeConfidence = design ? SOURCE_CONFIDENCE[design.source] : DEFAULT_DESIGN_CONFIDENCE;
+
+    if (!design) design = { value: 'regular', source: 'default', match: null };
+
+    return {
+        helmetType: helmet.value,
+        designType: design.value,
+        confidence: Math.min(helmetTypeConfidence, designTypeConfidence),
+        helmetTypeConfidence,
+        designTypeConfidence,
+        evidence: {
+            helmetType: { source: helmet.source, match: helmet.match },
+            designType: { source: design.source, match: design.match }
+        }
+    };
+}
+
+module.exports = {
+    HELMET_TYPES,
+    DESIGN_TYPES,
+    LEGACY_HELMET_TYPES,
+    LEGACY_DESIGN_TYPES,
+    normalizeHelmetType,
+    normalizeDesignType,
+    classifyHelmet
+};
@@ -0,0 +1,245 @@
+/**
+ * Helmet Entity Resolution
+ *
+ * Decides whether a retailer listing is a helmet already in the catalog.
+ * Every candidate helmet for the listing's player is scored on the normalized
+ * attributes (team, helmet type, design, auth company, inscription). A clear
+ * winner above the threshold is auto-matched, a listing that conflicts with
+ * every candidate is a new helmet, and anything in between goes to the review
+ * queue instead of being guessed at.
+ *
+ * Nothing in here touches the database - price-utils.js loads candidates and
+ * writes the review queue.
+ */
+
+const { normalizeName } = require('./player-names');
+const { normalizeTeam } = require('./teams');
+
+// How much each attribute contributes to a candidate's score (sums to 1)
+const MATCH_WEIGHTS = {
+    team: 0.25,
+    helmetType: 0.3,
+    designType: 0.25,
+    authCompany: 0.1,
+    inscription: 0.1
+};
+
+// Different values on these mean a different product, not a weaker match
+const HARD_ATTRIBUTES = ['team', 'helmetType', 'designType'];
+
+// Best score needed to match without review
+const AUTO_MATCH_THRESHOLD = 0.85;
+
+// Runner-up within this much of the best score makes the match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// Classifier results below this were defaulted, not read from the listing
+const LOW_CONFIDENCE = 0.5;
+
+// Score for an attribute one side doesn't know
+const UNKNOWN_SCORE = 0.5;
+
+const MAX_REVIEW_CANDIDATES = 5;
+
+const AUTH_COMPANIES = [
+    ['JSA', /\bJSA\b|\bJames Spence\b/i],
+    ['Beckett', /\bBeckett\b|\bBAS\b/i],
+    ['PSA/DNA', /\bPSA\b/i],
+    ['Fanatics', /\bFanatics\b/i],
+    ['Tristar', /\bTristar\b/i],
+    ['Mounted Memories', /\bMounted Memories\b/i],
+];
+
+/**
+ * Authentication company named in a title or auth column
+ *
+ * @returns {string|null} - 'JSA', 'Beckett', 'PSA/DNA', 'Fanatics', ... or null
+ */
+function parseAuthCompany(text) {
+    if (!text) return null;
+    for (const [company, pattern] of AUTH_COMPANIES) {
+        if (pattern.test(text)) return company;
+    }
+    return null;
+}
+
+/**
+ * Inscription quoted in a title ('Signed Helmet w/ "SB LVII MVP"')
+ *
+ * @returns {string|null} - Inscription text without quotes, or null
+ */
+function parseInscription(title) {
+    if (!title) return null;
+    const match = String(title).match(/["“]([^"“”]{2,60})["”]/);
+    return match ? match[1].trim() : null;
+}
+
+function normalizeValue(value) {
+    const text = String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return text || null;
+}
+
+function normalizeListingTeam(value) {
+    return value ? normalizeValue(normalizeTeam(value)) : null;
+}
+
+/**
+ * Compare one attribute
+ *
+ * @returns {object} - { score (0-1), conflict }
+ */
+function compareAttribute(attribute, listingValue, helmetValue, listingConfidence) {
+    // An inscription's absence is information: a plain helmet isn't an inscribed one
+    if (attribute === 'inscription') {
+        if (!listingValue && !helmetValue) return { score: 1, conflict: false };
+        return { score: listingValue === helmetValue ? 1 : 0, conflict: false };
+    }
+
+    if (!listingValue || !helmetValue) return { score: UNKNOWN_SCORE, conflict: false };
+    if (listingValue === helmetValue) return { score: 1, conflict: false };
+
+    // A defaulted type doesn't contradict anything
+    if (listingConfidence !== undefined && listingConfidence < LOW_CONFIDENCE) {
+        return { score: UNKNOWN_SCORE, conflict: false };
+    }
+
+    return { score: 0, conflict: HARD_ATTRIBUTES.includes(attribute) };
+}
+
+/**
+ * Score a catalog helmet against a listing
+ *
+ * @param {object} listing - { team, helmetType, designType, authCompany, inscription,
+ *                           helmetTypeConfidence?, designTypeConfidence? }
+ * @param {object} helmet - helmets row (team, helmet_type, design_type, auth_company, inscription)
+ * @returns {object} - { helmet, score (0-1), breakdown, conflicts }
+ */
+function scoreCandidate(listing, helmet) {
+    const pairs = {
+        team: [normalizeListingTeam(listing.team), normalizeListingTeam(helmet.team)],
+        helmetType: [normalizeValue(listing.helmetType), normalizeValue(helmet.helmet_type), listing.helmetTypeConfidence],
+        designType: [normalizeValue(listing.designType), normalizeValue(helmet.design_type), listing.designTypeConfidence],
+        authCompany: [normalizeValue(listing.authCompany), normalizeValue(helmet.auth_company)],
+        inscription: [normalizeValue(listing.inscription), normalizeValue(helmet.inscription)]
+    };
+
+    let score = 0;
+    const breakdown = {};
+    const conflicts = [];
+
+    for (const [attribute, [listingValue, helmetValue, confidence]] of Object.entries(pairs)) {
+        const result = compareAttribute(attribute, listingValue, helmetValue, confidence);
+        breakdown[attribute] = result.score;
+        score += MATCH_WEIGHTS[attribute] * result.score;
+        if (result.conflict) conflicts.push(attribute);
+    }
+
+    return { helmet, score: Math.round(score * 1000) / 1000, breakdown, conflicts };
+}
+
+/**
+ * Score every candidate and decide
+ *
+ * @param {object} listing - See scoreCandidate
+ * @param {Array} helmets - Catalog helmets for the listing's player
+ * @returns {object} - { decision: 'matched' | 'review' | 'new', helmet, score, reason,
+ *                       candidates } - helmet is set only when matched; candidates are
+ *                       the top non-conflicting scores, best first
+ */
+function matchListing(listing, helmets) {
+    const scored = (helmets || []).map(h => scoreCandidate(listing, h));
+    const viable = scored
+        .filter(c => c.conflicts.length === 0)
+        .sort((a, b) => b.score - a.score);
+
+    const candidates = viable.slice(0, MAX_REVIEW_CANDIDATES);
+
+    if (viable.length === 0) {
+        return {
+            decision: 'new',
+            helmet: null,
+            score: 0,
+            reason: scored.length === 0 ? 'no helmets for player' : 'conflicts with every candidate',
+            candidates
+        };
+    }
+
+    const [best, runnerUp] = viable;
+
+    if (best.score < AUTO_MATCH_THRESHOLD) {
+        return { decision: 'review', helmet: null, score: best.score, reason: 'below threshold', candidates };
+    }
+
+    if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+        return { decision: 'review', helmet: null, score: best.score, reason: 'ambiguous', candidates };
+    }
+
+    return { decision: 'matched', helmet: best.helmet, score: best.score, reason: 'auto', candidates };
+}
+
+/**
+ * Fingerprint of a listing, so the same listing seen on the next run lines up
+ * with its review queue entry
+ */
+function listingKey(source, listing) {
+    return [
+        source,
+        normalizeName(listing.player),
+        normalizeListingTeam(listing.team),
+        listing.helmetType,
+        listing.designType,
+        normalizeValue(listing.authCompany),
+        normalizeValue(listing.inscription)
+    ].map(v => v || '').join('|');
+}
+
+/**
+ * In-memory candidate lookup for importers that load the whole catalog
+ *
+ * @param {Array} helmets - helmets rows (player_id and/or player required)
+ * @returns {object} - { helmets, add(helmet), get(id), candidatesFor(player) } where
+ *                     player is { id, name } from resolvePlayer
+ */
+function createHelmetIndex(helmets = []) {
+    const byId = new Map();
+    const byPlayerId = new Map();
+    const byPlayerName = new Map();
+
+    const push = (map, key, helmet) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(helmet);
+    };
+
+    const index = {
+        helmets: [],
+        add(helmet) {
+            index.helmets.push(helmet);
+            byId.set(helmet.id, helmet);
+            if (helmet.player_id) push(byPlayerId, helmet.player_id, helmet);
+            if (helmet.player) push(byPlayerName, normalizeName(helmet.player), helmet);
+        },
+        get(id) {
+            return byId.get(id) || null;
+        },
+        candidatesFor(player) {
+            if (!player) return [];
+            if (player.id && byPlayerId.has(player.id)) return byPlayerId.get(player.id);
+            return byPlayerName.get(normalizeName(player.name)) || [];
+        }
+    };
+
+    helmets.forEach(h => index.add(h));
+    return index;
+}
+
+module.exports = {
+    MATCH_WEIGHTS,
+    AUTO_MATCH_THRESHOLD,
+    AMBIGUITY_MARGIN,
+    parseAuthCompany,
+    parseInscription,
+    scoreCandidate,
+    matchListing,
+    listingKey,
+    createHelmetIndex
+};
@@ -0,0 +1,364 @@
+/**
+ * Helmet Merge / Split
+ *
+ * Merge combines duplicate catalog helmets into one surviving helmet: price
+ * history, match decisions and watchlist cards (watchlist_items helmet_id /
+ * helmet_ids) move to the survivor, and each deleted ID gets a
+ * helmet_redirects row so old links keep resolving.
+ *
+ * Split is the inverse for a helmet that wrongly mixes two variants: selected
+ * price rows move to a new helmet with the corrected attributes.
+ *
+ * Used by scripts/merge-helmets.js and the admin endpoints in server.js.
+ */
+
+const { supabase, updateHelmetMedianPrice } = require('./price-utils');
+const { normalizeHelmetType, normalizeDesignType } = require('./helmet-classifier');
+
+const HELMET_COLUMNS = 'id, name, player, team, helmet_type, design_type, auth_company, inscription, ebay_search_query, is_active';
+
+// Attributes a split can change on the new helmet
+const SPLIT_ATTRIBUTES = ['name', 'team', 'helmet_type', 'design_type', 'auth_company', 'inscription'];
+
+/**
+ * Point watchlist cards at surviving helmets
+ *
+ * @param {Array} cards - Cards with helmetId / helmetIds (lib/watchlist-items.js)
+ * @param {Map} idMap - Old helmet ID -> surviving helmet ID
+ * @returns {object} - { cards, changed } - cards is a new array when changed
+ */
+function rewriteWatchlistCards(cards, idMap) {
+    if (!Array.isArray(cards)) return { cards, changed: false };
+
+    const mapId = id => (idMap.has(Number(id)) ? idMap.get(Number(id)) : id);
+    let changed = false;
+
+    const rewritten = cards.map(card => {
+        if (!card || typeof card !== 'object') return card;
+        const next = { ...card };
+
+        if (card.helmetId !== null && card.helmetId !== undefined && idMap.has(Number(card.helmetId))) {
+            next.helmetId = mapId(card.helmetId);
+            changed = true;
+        }
+
+        if (Array.isArray(card.helmetIds) && card.helmetIds.some(id => idMap.has(Number(id)))) {
+            next.helmetIds = [...new Set(card.helmetIds.map(mapId))];
+            changed = true;
+        }
+
+        return next;
+    });
+
+    return { cards: changed ? rewritten : cards, changed };
+}
+
+/**
+ * Rewrite every user's watchlist through idMap
+ *
+ * @returns {number} - Watchlists updated
+ */
+async function rewriteWatchlists(idMap, dryRun) {
+    const oldIds = [...idMap.keys()];
+    const items = new Map();
+
+    // Single-helmet cards by helmet_id; grouped cards (helmet_ids) are all read
+    const { data: single, error } = await supabase
+        .from('watchlist_items')
+        .select('id, user_id, helmet_id, helmet_ids')
+        .in('helmet_id', oldIds);
+
+    if (error) throw error;
+    (single || []).forEach(item => items.set(item.id, item));
+
+    const pageSize = 1000;
+    let offset = 0;
+    while (true) {
+        const { data, error: groupedError } = await supabase
+            .from('watchlist_items')
+            .select('id, user_id, helmet_id, helmet_ids')
+            .not('helmet_ids', 'is', null)
+            .order('id')
+            .range(offset, offset + pageSize - 1);
+
+        if (groupedError) throw groupedError;
+        if (!data || data.length === 0) break;
+
+        data.forEach(item => items.set(item.id, item));
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    const users = new Set();
+    for (const item of items.values()) {
+        const { cards: [card], changed } = rewriteWatchlistCards([{ helmetId: item.helmet_id, helmetIds: item.helmet_ids }], idMap);
+        if (!changed) continue;
+
+        users.add(item.user_id);
+        if (dryRun) continue;
+
+        const helmetIds = Array.isArray(card.helmetIds) ? card.helmetIds : null;
+        const { error: updateError } = await supabase
+            .from('watchlist_items')
+            .update({ helmet_id: helmetIds ? helmetIds[0] : card.helmetId, helmet_ids: helmetIds })
+            .eq('id', item.id);
+
+        if (updateError) throw updateError;
+    }
+
+    return users.size;
+}
+
+async function countRows(table, column, ids) {
+    const { count, error } = await supabase
+        .from(table)
+        .select('*', { count: 'exact', head: true })
+        .in(column, ids);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Merge duplicate helmets into a surviving helmet
+ *
+ * @param {number} survivorId - Helmet that remains
+ * @param {Array<number>} duplicateIds - Helmets merged into it and deleted
+ * @param {object} options - Optional: { mergedBy, dryRun }
+ * @returns {object} - { success, survivor, merged, pricesMoved, watchlistsUpdated,
+ *                       decisionsMoved, dryRun } or { success: false, code, error }
+ *                     code is 'not_found' or 'invalid'
+ */
+async function mergeHelmets(survivorId, duplicateIds, options = {}) {
+    const dryRun = !!options.dryRun;
+    survivorId = parseInt(survivorId);
+    const ids = [...new Set((duplicateIds || []).map(id => parseInt(id)).filter(Boolean))];
+
+    if (!survivorId || ids.length === 0) {
+        return { success: false, code: 'invalid', error: 'A surviving helmet and at least one duplicate are required' };
+    }
+    if (ids.includes(survivorId)) {
+        return { success: false, code: 'invalid', error: 'A helmet cannot be merged into itself' };
+    }
+
+    const { data: helmets, error } = await supabase
+        .from('helmets')
+        .select(HELMET_COLUMNS)
+        .in('id', [survivorId, ...ids]);
+
+    if (error) throw error;
+
+    const byId = new Map((helmets || []).map(h => [h.id, h]));
+    const missing = [survivorId, ...ids].filter(id => !byId.has(id));
+    if (missing.length > 0) {
+        return { success: false, code: 'not_found', error: `Helmet not found: ${missing.join(', ')}` };
+    }
+
+    const survivor = byId.get(survivorId);
+    const merged = ids.map(id => byId.get(id));
+    const idMap = new Map(ids.map(id => [id, survivorId]));
+
+    const pricesMoved = await countRows('helmet_prices', 'helmet_id', ids);
+    const decisionsMoved = await countRows('helmet_match_decisions', 'helmet_id', ids);
+    const watchlistsUpdated = await rewriteWatchlists(idMap, true);
+
+    const summary = { success: true, survivor, merged, pricesMoved, decisionsMoved, watchlistsUpdated, dryRun };
+    if (dryRun) return summary;
+
+    // Move everything that references the duplicates before deleting them
+    const moves = [
+        ['helmet_prices', 'helmet_id'],
+        ['helmet_match_decisions', 'helmet_id'],
+        ['helmet_match_reviews', 'resolved_helmet_id'],
+        ['helmet_redirects', 'new_id']
+    ];
+    for (const [table, column] of moves) {
+        const { error: moveError } = await supabase
+            .from(table)
+            .update({ [column]: survivorId })
+            .in(column, ids);
+
+        if (moveError) throw moveError;
+    }
+
+    summary.watchlistsUpdated = await rewriteWatchlists(idMap, false);
+
+    const { error: redirectError } = await supabase
+        .from('helmet_redirects')
+        .upsert(merged.map(h => ({
+            old_id: h.id,
+            new_id: survivorId,
+            old_name: h.name,
+            merged_by: options.mergedBy || null
+        })), { onConflict: 'old_id' });
+
+    if (redirectError) throw redirectError;
+
+    const { error: deleteError } = await supabase
+        .from('helmets')
+        .delete()
+        .in('id', ids);
+
+    if (deleteError) throw deleteError;
+
+    await updateHelmetMedianPrice(survivorId);
+
+    return summary;
+}
+
+// helmets.ebay_search_query is unique: a split that describes an existing helmet is a merge
+function searchQueryTaken(query, helmetId) {
+    const owner = helmetId ? `Helmet ${helmetId}` : 'Another helmet';
+    return {
+        success: false,
+        code: 'conflict',
+        error: `${owner} already has the search query "${query}" - merge into it instead`
+    };
+}
+
+/**
+ * Split price rows off a helmet that mixes two variants
+ *
+ * Watchlist cards stay on the original helmet - there's no telling which
+ * variant a user meant.
+ *
+ * @param {number} helmetId - Helmet to split
+ * @param {object} selection - { priceIds } and/or { sources } - price rows to move
+ * @param {object} attributes - Overrides for the new helmet (helmet_type, design_type,
+ *                              team, auth_company, inscription, name)
+ * @param {object} options - Optional: { dryRun }
+ * @returns {object} - { success, original, helmet, pricesMoved, decisionsMoved, dryRun }
+ *                     or { success: false, code, error }
+ */
+async function splitHelmet(helmetId, selection = {}, attributes = {}, options = {}) {
+    const dryRun = !!options.dryRun;
+    helmetId = parseInt(helmetId);
+    const priceIds = (selection.priceIds || []).map(id => parseInt(id)).filter(Boolean);
+    const sources = (selection.sources || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+    if (!helmetId) {
+        return { success: false, code: 'invalid', error: 'Invalid helmet ID' };
+    }
+    if (priceIds.length === 0 && sources.length === 0) {
+        return { success: false, code: 'invalid', error: 'Select prices to move by priceIds or sources' };
+    }
+
+    const overrides = {};
+    for (const key of SPLIT_ATTRIBUTES) {
+        if (attributes[key] !== undefined && attributes[key] !== '') overrides[key] = attributes[key];
+    }
+    if (overrides.helmet_type !== undefined) {
+        overrides.helmet_type = normalizeHelmetType(overrides.helmet_type);
+        if (!overrides.helmet_type) return { success: false, code: 'invalid', error: `Unknown helmet type: ${attributes.helmet_type}` };
+    }
+    if (overrides.design_type !== undefined) {
+        overrides.design_type = normalizeDesignType(overrides.design_type);
+        if (!overrides.design_type) return { success: false, code: 'invalid', error: `Unknown design type: ${attributes.design_type}` };
+    }
+    if (Object.keys(overrides).length === 0) {
+        return { success: false, code: 'invalid', error: 'The new helmet needs at least one attribute that differs' };
+    }
+
+    const { data: original, error } = await supabase
+        .from('helmets')
+        .select(HELMET_COLUMNS)
+        .eq('id', helmetId)
+        .single();
+
+    if (error || !original) {
+        return { success: false, code: 'not_found', error: 'Helmet not found' };
+    }
+
+    let priceQuery = supabase.from('helmet_prices').select('id, source').eq('helmet_id', helmetId);
+    if (priceIds.length > 0) priceQuery = priceQuery.in('id', priceIds);
+    if (sources.length > 0) priceQuery = priceQuery.in('source', sources);
+
+    const { data: prices, error: priceError } = await priceQuery;
+    if (priceError) throw priceError;
+
+    if (!prices || prices.length === 0) {
+        return { success: false, code: 'invalid', error: 'No matching price rows on this helmet' };
+    }
+
+    const newHelmet = { ...original, ...overrides };
+    delete newHelmet.id;
+    if (!overrides.name) {
+        newHelmet.name = `${original.name} (${[overrides.helmet_type, overrides.design_type].filter(Boolean).join(' ') || 'split'})`;
+    }
+    // Sent to eBay as is, so it describes the new helmet like the importers' queries do
+    newHelmet.ebay_search_query = `${newHelmet.player || ''} ${newHelmet.team || ''} ${newHelmet.helmet_type || ''} ${newHelmet.design_type || ''} autographed helmet`
+        .toLowerCase().replace(/\s+/g, ' ').trim();
+
+    const { data: sameQuery, error: queryError } = await supabase
+        .from('helmets')
+        .select('id')
+        .eq('ebay_search_query', newHelmet.ebay_search_query)
+        .limit(1);
+
+    if (queryError) throw queryError;
+    if (sameQuery && sameQuery.length > 0) {
+        return searchQueryTaken(newHelmet.ebay_search_query, sameQuery[0].id);
+    }
+
+    // Remembered decisions for listings of the new variant follow it
+    const { data: decisions, error: decisionError } = await supabase
+        .from('helmet_match_decisions')
+        .select('id, listing_key')
+        .eq('helmet_id', helmetId);
+
+    if (decisionError) throw decisionError;
+
+    const movedDecisions = (decisions || []).filter(d => {
+        const [, , , helmetType, designType] = d.listing_key.split('|');
+        return helmetType === newHelmet.helmet_type && designType === newHelmet.design_type
+            && (helmetType !== original.helmet_type || designType !== original.design_type);
+    });
+
+    const summary = {
+        success: true,
+        original,
+        helmet: newHelmet,
+        pricesMoved: prices.length,
+        decisionsMoved: movedDecisions.length,
+        dryRun
+    };
+    if (dryRun) return summary;
+
+    const { data: inserted, error: insertError } = await supabase
+        .from('helmets')
+        .insert(newHelmet)
+        .select(HELMET_COLUMNS)
+        .single();
+
+    if (insertError && insertError.code === '23505') return searchQueryTaken(newHelmet.ebay_search_query);
+    if (insertError) throw insertError;
+
+    const { error: moveError } = await supabase
+        .from('helmet_prices')
+        .update({ helmet_id: inserted.id })
+        .in('id', prices.map(p => p.id));
+
+    if (moveError) throw moveError;
+
+    if (movedDecisions.length > 0) {
+        const { error: decisionMoveError } = await supabase
+            .from('helmet_match_decisions')
+            .update({ helmet_id: inserted.id })
+            .in('id', movedDecisions.map(d => d.id));
+
+        if (decisionMoveError) throw decisionMoveError;
+    }
+
+    await updateHelmetMedianPrice(helmetId);
+    await updateHelmetMedianPrice(inserted.id);
+
+    summary.helmet = inserted;
+    return summary;
+}
+
+module.exports = {
+    SPLIT_ATTRIBUTES,
+    rewriteWatchlistCards,
+    mergeHelmets,
+    splitHelmet
+};
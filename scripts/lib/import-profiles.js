@@ -0,0 +1,473 @@
+/**
+ * Spreadsheet Mapping Profiles
+ *
+ * A profile says where a retailer's spreadsheet keeps each field, so a renamed
+ * column fails the import instead of silently skipping every row. One JSON
+ * file per source in scripts/import-profiles/<source>.json:
+ *
+ *   {
+ *     "source": "fanatics",
+ *     "sheets": ["Full Size", "Mini"],       // omit or "*" for every sheet
+ *     "headerRow": 1,                        // 1-based row holding the headers
+ *     "columns": {
+ *       "player": ["PlayerFirst", "PlayerLast"],
+ *       "price": { "oneOf": ["Retail", "Price"] }
+ *     }
+ *   }
+ *
+ * A column is a header name, a list of columns joined with spaces, { oneOf }
+ * for the first non-empty of several headers (at least one must exist), or
+ * { column: "C" } by position. "sheets" can also map sheet names to their own
+ * { headerRow, columns }, merged over the top-level ones. Headers and sheet
+ * names match case-insensitively.
+ *
+ * Fields: player and price are required; team, type, design, title (the item
+ * description the classifier reads), sku and url are optional.
+ *
+ * An optional "detect" block helps lib/source-detection.js recognise the
+ * retailer's files: { filename: [...], sheets: [...], headers: [...],
+ * values: { price: "^\\$\\d" } } - name hints, sheet names and headers
+ * only this retailer uses, and regular expressions sample values match.
+ *
+ * CSV and JSON feeds are read as one-sheet workbooks (lib/input-files.js), so
+ * their profiles name CSV headers or feed paths ("variants.0.price").
+ *
+ * Used by scripts/auto-import.js, scripts/suggest-import-profile.js and
+ * lib/source-detection.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { readInputFile } = require('./input-files');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'import-profiles');
+
+const PROFILE_FIELDS = ['player', 'team', 'type', 'design', 'title', 'price', 'sku', 'url'];
+const REQUIRED_FIELDS = ['player', 'price'];
+
+// Header guesses for suggestProfile, best first
+const HEADER_PATTERNS = {
+    player: [/^player$/i, /^(player|athlete)[\s_]*name$/i, /^name$/i, /player|athlete/i],
+    team: [/^team$/i, /team/i],
+    type: [/^(helmet[\s_]*)?type$/i, /^size$/i, /^helmet$/i],
+    design: [/^design([\s_]*type)?$/i, /^(style|finish|color)$/i],
+    title: [/^item$/i, /^description$/i, /^(title|product([\s_]*name)?)$/i],
+    price: [/^retail$/i, /^(price|srp|msrp)$/i, /retail|price|srp/i],
+    sku: [/^(sku|item[\s_]*(#|no\.?|number)|product[\s_]*id)$/i],
+    url: [/^(url|link)$/i, /url|link/i]
+};
+
+// Header rows are looked for in the first few rows
+const HEADER_SCAN_ROWS = 10;
+
+function normalizeHeader(value) {
+    return String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+}
+
+function columnIndex(letters) {
+    let index = 0;
+    for (const ch of String(letters).trim().toUpperCase()) {
+        if (ch < 'A' || ch > 'Z') return -1;
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Problems with a column spec's shape (not whether the sheet has it)
+ */
+function specErrors(spec, label) {
+    if (typeof spec === 'string') return spec.trim() ? [] : [`${label}: empty header name`];
+    if (Array.isArray(spec)) {
+        if (spec.length === 0) return [`${label}: empty column list`];
+        return spec.flatMap((part, i) => specErrors(part, `${label}[${i}]`));
+    }
+    if (spec && typeof spec === 'object') {
+        if (Array.isArray(spec.oneOf)) {
+            if (spec.oneOf.length === 0) return [`${label}: empty oneOf`];
+            return spec.oneOf.flatMap((part, i) => specErrors(part, `${label}.oneOf[${i}]`));
+        }
+        if (typeof spec.column === 'string') {
+            return columnIndex(spec.column) >= 0 ? [] : [`${label}: "${spec.column}" is not a column letter`];
+        }
+    }
+    return [`${label}: expected a header name, a list, { oneOf } or { column }`];
+}
+
+function columnsErrors(columns, label) {
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) return [`${label}: expected an object`];
+    return Object.entries(columns).flatMap(([field, spec]) => PROFILE_FIELDS.includes(field)
+        ? specErrors(spec, `${label}.${field}`)
+        : [`${label}.${field}: unknown field (expected ${PROFILE_FIELDS.join(', ')})`]);
+}
+
+/**
+ * Sheet name -> { headerRow, columns } with the top-level settings merged in,
+ * or null for every sheet
+ */
+function sheetSettings(profile) {
+    const base = { headerRow: profile.headerRow || 1, columns: profile.columns || {} };
+    const sheets = profile.sheets;
+
+    if (sheets === undefined || sheets === '*') return { all: base, named: null };
+    if (Array.isArray(sheets)) return { all: null, named: new Map(sheets.map(name => [name, base])) };
+
+    return {
+        all: null,
+        named: new Map(Object.entries(sheets).map(([name, own]) => [name, {
+            headerRow: (own && own.headerRow) || base.headerRow,
+            columns: { ...base.columns, ...((own && own.columns) || {}) }
+        }]))
+    };
+}
+
+function detectErrors(detect) {
+    if (!detect || typeof detect !== 'object' || Array.isArray(detect)) return ['detect: expected an object'];
+
+    const errors = [];
+    for (const [key, value] of Object.entries(detect)) {
+        if (['filename', 'sheets', 'headers'].includes(key)) {
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item)) {
+                errors.push(`detect.${key}: expected a list of names`);
+            }
+        } else if (key === 'values') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push('detect.values: expected an object of field patterns');
+                continue;
+            }
+            for (const [field, pattern] of Object.entries(value)) {
+                if (!PROFILE_FIELDS.includes(field)) errors.push(`detect.values.${field}: unknown field`);
+                try {
+                    new RegExp(pattern);
+                } catch {
+                    errors.push(`detect.values.${field}: invalid pattern`);
+                }
+            }
+        } else {
+            errors.push(`detect.${key}: unknown setting`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check a profile's structure
+ *
+ * @returns {Array<string>} - Problems, empty when the profile is usable
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') return ['Profile must be an object'];
+
+    const errors = [];
+    if (!profile.source || typeof profile.source !== 'string') errors.push('source: required');
+
+    const { sheets } = profile;
+    const sheetsOk = sheets === undefined || sheets === '*' ||
+        (Array.isArray(sheets) && sheets.length > 0 && sheets.every(s => typeof s === 'string')) ||
+        (sheets && typeof sheets === 'object' && !Array.isArray(sheets) && Object.keys(sheets).length > 0);
+    if (!sheetsOk) errors.push('sheets: expected "*", a list of sheet names or an object of sheet settings');
+
+    const checkHeaderRow = (value, label) => {
+        if (value !== undefined && !(Number.isInteger(value) && value >= 1)) errors.push(`${label}: expected a row number from 1`);
+    };
+    checkHeaderRow(profile.headerRow, 'headerRow');
+    if (profile.columns !== undefined) errors.push(...columnsErrors(profile.columns, 'columns'));
+    if (profile.detect !== undefined) errors.push(...detectErrors(profile.detect));
+
+    if (!sheetsOk) return errors;
+
+    const { all, named } = sheetSettings(profile);
+    if (sheets && typeof sheets === 'object' && !Array.isArray(sheets)) {
+        for (const [name, own] of Object.entries(sheets)) {
+            checkHeaderRow(own && own.headerRow, `sheets.${name}.headerRow`);
+            if (own && own.columns !== undefined) errors.push(...columnsErrors(own.columns, `sheets.${name}.columns`));
+        }
+    }
+
+    for (const [name, settings] of all ? [['*', all]] : named) {
+        const missing = REQUIRED_FIELDS.filter(field => !settings.columns[field]);
+        if (missing.length > 0) {
+            errors.push(`${name === '*' ? 'columns' : `sheets.${name}`}: no column for ${missing.join(', ')}`);
+        }
+    }
+
+    return [...new Set(errors)];
+}
+
+/**
+ * Saved profile for a source, or null
+ *
+ * Throws when the file exists but isn't a valid profile - an import must not
+ * fall back to guessing because of a typo.
+ */
+function loadProfile(sourceOrFile) {
+    const file = sourceOrFile.endsWith('.json') ? path.resolve(sourceOrFile) : path.join(PROFILES_DIR, `${sourceOrFile}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Import profile ${file}: ${error.message}`);
+    }
+
+    const errors = validateProfile(profile);
+    if (errors.length > 0) throw new Error(`Import profile ${file}:\n  ${errors.join('\n  ')}`);
+    return profile;
+}
+
+/**
+ * Sources with a saved profile
+ */
+function listProfiles() {
+    if (!fs.existsSync(PROFILES_DIR)) return [];
+    return fs.readdirSync(PROFILES_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => path.basename(f, '.json'))
+        .sort();
+}
+
+/**
+ * Turn a column spec into a getter over a row array
+ *
+ * @returns {object} - { get, missing } - missing lists the headers/columns not in the sheet
+ */
+function resolveSpec(spec, headers) {
+    if (typeof spec === 'string') {
+        const index = headers.indexOf(normalizeHeader(spec));
+        return index === -1
+            ? { get: () => null, missing: [`"${spec}"`] }
+            : { get: row => row[index], missing: [] };
+    }
+
+    if (Array.isArray(spec)) {
+        const parts = spec.map(part => resolveSpec(part, headers));
+        return {
+            get: row => parts.map(p => p.get(row)).filter(v => !isEmpty(v)).map(v => String(v).trim()).join(' ') || null,
+            missing: parts.flatMap(p => p.missing)
+        };
+    }
+
+    if (spec.oneOf) {
+        const parts = spec.oneOf.map(part => resolveSpec(part, headers)).filter(p => p.missing.length === 0);
+        return {
+            get: row => {
+                for (const part of parts) {
+                    const value = part.get(row);
+                    if (!isEmpty(value)) return value;
+                }
+                return null;
+            },
+            missing: parts.length > 0 ? [] : [`one of ${spec.oneOf.map(s => (typeof s === 'string' ? `"${s}"` : JSON.stringify(s))).join(', ')}`]
+        };
+    }
+
+    const index = columnIndex(spec.column);
+    return index < headers.length
+        ? { get: row => row[index], missing: [] }
+        : { get: () => null, missing: [`column ${spec.column}`] };
+}
+
+function readWorkbook(fileOrWorkbook) {
+    return typeof fileOrWorkbook === 'string' ? readInputFile(fileOrWorkbook) : fileOrWorkbook;
+}
+
+function sheetRows(workbook, sheetName) {
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: null, blankrows: true });
+}
+
+/**
+ * Read a spreadsheet through a profile
+ *
+ * Every profile column must exist in every sheet it applies to, and at least
+ * one of the profile's sheets must exist - otherwise nothing is read.
+ *
+ * @param {string|object} file - Path or an XLSX workbook
+ * @param {object} profile - From loadProfile / suggestProfile
+ * @returns {object} - { success, sheets: [{ name, rows: [{ line, values, raw }] }], warnings }
+ *                     or { success: false, code, error, problems }
+ *                     code is 'missing_sheets' or 'missing_columns'
+ */
+function readWithProfile(file, profile) {
+    const workbook = readWorkbook(file);
+    const { all, named } = sheetSettings(profile);
+    const byName = new Map(workbook.SheetNames.map(name => [normalizeHeader(name), name]));
+    const warnings = [];
+
+    let targets;
+    if (all) {
+        targets = workbook.SheetNames.map(name => [name, all]);
+    } else {
+        targets = [];
+        for (const [name, settings] of named) {
+            const actual = byName.get(normalizeHeader(name));
+            if (actual) targets.push([actual, settings]);
+            else warnings.push(`Sheet "${name}" not found`);
+        }
+        if (targets.length === 0) {
+            return {
+                success: false,
+                code: 'missing_sheets',
+                error: `None of the profile's sheets (${[...named.keys()].join(', ')}) are in the file - it has ${workbook.SheetNames.join(', ')}`,
+                problems: warnings
+            };
+        }
+    }
+
+    const sheets = [];
+    const problems = [];
+
+    for (const [name, settings] of targets) {
+        const rows = sheetRows(workbook, name);
+        const headerIndex = settings.headerRow - 1;
+        const headers = (rows[headerIndex] || []).map(normalizeHeader);
+
+        const getters = {};
+        for (const [field, spec] of Object.entries(settings.columns)) {
+            const { get, missing } = resolveSpec(spec, headers);
+            if (missing.length > 0) problems.push(`Sheet "${name}": ${field} - missing ${missing.join(', ')}`);
+            getters[field] = get;
+        }
+
+        const rawHeaders = rows[headerIndex] || [];
+        sheets.push({
+            name,
+            rows: rows.slice(headerIndex + 1)
+                .map((row, i) => ({ row, line: headerIndex + i + 2 }))
+                .filter(({ row }) => row.some(v => !isEmpty(v)))
+                .map(({ row, line }) => ({
+                    line,
+                    values: Object.fromEntries(Object.entries(getters).map(([field, get]) => [field, get(row)])),
+                    raw: Object.fromEntries(rawHeaders.map((h, i) => [isEmpty(h) ? `col${i + 1}` : String(h).trim(), row[i]]).filter(([, v]) => !isEmpty(v)))
+                }))
+        });
+    }
+
+    if (problems.length > 0) {
+        return {
+            success: false,
+            code: 'missing_columns',
+            error: `The spreadsheet doesn't match the ${profile.source} profile:\n  ${problems.join('\n  ')}`,
+            problems
+        };
+    }
+
+    return { success: true, sheets, warnings };
+}
+
+// Header names a column spec reads
+function specHeaders(spec) {
+    if (typeof spec === 'string') return [spec];
+    if (Array.isArray(spec)) return spec.flatMap(specHeaders);
+    if (spec && spec.oneOf) return spec.oneOf.flatMap(specHeaders);
+    return [];
+}
+
+function guessColumn(field, headers, taken) {
+    for (const pattern of HEADER_PATTERNS[field]) {
+        const header = headers.find(h => h && !taken.has(normalizeHeader(h)) && pattern.test(String(h).trim()));
+        if (header) return String(header).trim();
+    }
+    return null;
+}
+
+/**
+ * Columns for one sheet's header row
+ */
+function guessColumns(headers) {
+    const taken = new Set();
+    const columns = {};
+    const take = (field, spec, names) => {
+        columns[field] = spec;
+        names.forEach(n => taken.add(normalizeHeader(n)));
+    };
+
+    // PlayerFirst + PlayerLast, First Name + Last Name
+    const first = headers.find(h => h && /^(player[\s_]*)?first([\s_]*name)?$/i.test(String(h).trim()));
+    const last = headers.find(h => h && /^(player[\s_]*)?last([\s_]*name)?$/i.test(String(h).trim()));
+    if (first && last) take('player', [String(first).trim(), String(last).trim()], [first, last]);
+
+    for (const field of PROFILE_FIELDS) {
+        if (columns[field]) continue;
+        const header = guessColumn(field, headers, taken);
+        if (header) take(field, header, [header]);
+    }
+
+    // Item and Description both present: the first non-empty one describes the helmet
+    const description = headers.find(h => h && /^description$/i.test(String(h).trim()));
+    if (columns.title === 'Item' && description) columns.title = { oneOf: ['Item', String(description).trim()] };
+
+    return columns;
+}
+
+function findHeaderRow(rows) {
+    let best = { index: 0, score: 0 };
+    rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+        const score = row.filter(cell => typeof cell === 'string' &&
+            PROFILE_FIELDS.some(field => HEADER_PATTERNS[field].some(p => p.test(cell.trim())))).length;
+        if (score > best.score) best = { index, score };
+    });
+    return best.index;
+}
+
+/**
+ * Suggest a profile for a spreadsheet
+ *
+ * Sheets without a player and a price column are left out. Sheets that map
+ * the same way share the top-level columns.
+ *
+ * @param {string|object} file - Path or an XLSX workbook
+ * @param {object} options - Optional: { source }
+ * @returns {object} - { profile, sheets: [{ name, headerRow, columns, unmapped, missing, rows }] }
+ */
+function suggestProfile(file, { source = 'unknown' } = {}) {
+    const workbook = readWorkbook(file);
+    const sheets = workbook.SheetNames.map(name => {
+        const rows = sheetRows(workbook, name);
+        const index = findHeaderRow(rows);
+        const headers = rows[index] || [];
+        const columns = guessColumns(headers);
+        const mapped = new Set(Object.values(columns).flatMap(specHeaders).map(normalizeHeader));
+
+        return {
+            name,
+            headerRow: index + 1,
+            columns,
+            unmapped: headers.filter(h => !isEmpty(h) && !mapped.has(normalizeHeader(h))).map(h => String(h).trim()),
+            missing: REQUIRED_FIELDS.filter(field => !columns[field]),
+            rows: Math.max(rows.length - index - 1, 0)
+        };
+    });
+
+    const usable = sheets.filter(s => s.missing.length === 0);
+    const profile = { source };
+    const layouts = new Set(usable.map(s => JSON.stringify({ headerRow: s.headerRow, columns: s.columns })));
+
+    if (usable.length > 0 && layouts.size === 1) {
+        profile.sheets = usable.length === sheets.length ? '*' : usable.map(s => s.name);
+        if (usable[0].headerRow !== 1) profile.headerRow = usable[0].headerRow;
+        profile.columns = usable[0].columns;
+    } else {
+        profile.sheets = Object.fromEntries(usable.map(s => [s.name, s.headerRow === 1
+            ? { columns: s.columns }
+            : { headerRow: s.headerRow, columns: s.columns }]));
+    }
+
+    return { profile, sheets };
+}
+
+module.exports = {
+    PROFILES_DIR,
+    PROFILE_FIELDS,
+    REQUIRED_FIELDS,
+    validateProfile,
+    loadProfile,
+    listProfiles,
+    readWithProfile,
+    suggestProfile
+};
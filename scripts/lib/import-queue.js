@@ -0,0 +1,242 @@
+/**
+ * Import Queue
+ *
+ * The auto-import watcher's queue of files dropped into imports/. It is kept
+ * in imports/.queue.json, so files waiting or between retries survive a
+ * restart of the watcher:
+ *
+ *   1. A new file is queued when a scan sees it
+ *   2. It is imported once its size and mtime have stopped changing for
+ *      STABLE_MS - a half-copied file is left alone, and a file replaced
+ *      while waiting for a retry starts over
+ *   3. A failed import is retried after 30s, 1m, 2m, ... (BACKOFF_MS doubling)
+ *   4. After MAX_ATTEMPTS failures it moves to imports/failed/ with a
+ *      <file>.error.json report of every attempt
+ *
+ * Imported files move to imports/processed/ with a <file>.summary.json of the
+ * run. Attempts are saved before the import starts, so a file that crashes
+ * the watcher is quarantined too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isImportFile } = require('./input-files');
+
+const QUEUE_FILE = '.queue.json';
+
+// A file's size and mtime must hold this long before it's imported
+const STABLE_MS = 2000;
+
+const MAX_ATTEMPTS = 5;
+
+// First retry delay, doubling per attempt
+const BACKOFF_MS = 30 * 1000;
+
+// How often the watcher rescans, on top of fs.watch events
+const POLL_MS = 5000;
+
+// Import files, not the queue itself (".queue.json") or other hidden files
+const isQueued = name => isImportFile(name) && !name.startsWith('.');
+
+function readQueue(file) {
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).files || {};
+    } catch (error) {
+        console.warn(`  ⚠️  Ignoring unreadable queue ${file}: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Delay before retry number `attempts` (1 = after the first failure)
+ */
+function backoffDelay(attempts, baseMs = BACKOFF_MS) {
+    return baseMs * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Queue for one import folder
+ *
+ * @param {object} options - { folder, importFile } plus, optionally, processedDir,
+ *                           failedDir, stableMs, maxAttempts, backoffMs and now
+ *                           (a clock, for tests). importFile(filePath) imports one
+ *                           file and resolves to its results or throws
+ */
+function createImportQueue(options) {
+    const {
+        folder,
+        importFile,
+        processedDir = path.join(folder, 'processed'),
+        failedDir = path.join(folder, 'failed'),
+        stableMs = STABLE_MS,
+        maxAttempts = MAX_ATTEMPTS,
+        backoffMs = BACKOFF_MS,
+        now = Date.now
+    } = options;
+
+    const queueFile = path.join(folder, QUEUE_FILE);
+    const files = readQueue(queueFile);
+    let busy = false;
+
+    const save = () => {
+        const tmp = `${queueFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ files }, null, 2));
+        fs.renameSync(tmp, queueFile);
+    };
+
+    // Timestamped name in processed/ or failed/, and its report next to it
+    const archive = (name, dir, suffix, report) => {
+        fs.mkdirSync(dir, { recursive: true });
+        const target = path.join(dir, `${now()}_${name}`);
+        fs.renameSync(path.join(folder, name), target);
+        fs.writeFileSync(`${target}.${suffix}.json`, JSON.stringify(report, null, 2));
+        return target;
+    };
+
+    /**
+     * Queue new files and note size/mtime changes
+     *
+     * @returns {Array<string>} - Names newly queued
+     */
+    function scan() {
+        const added = [];
+        const present = new Set(fs.readdirSync(folder)
+            .filter(name => isQueued(name) && fs.statSync(path.join(folder, name)).isFile()));
+        let changed = false;
+
+        for (const name of Object.keys(files)) {
+            if (!present.has(name)) {
+                delete files[name];
+                changed = true;
+            }
+        }
+
+        for (const name of present) {
+            const { size, mtimeMs } = fs.statSync(path.join(folder, name));
+            const entry = files[name];
+            if (!entry) {
+                files[name] = { size, mtimeMs, stableSince: now(), queuedAt: new Date(now()).toISOString(), attempts: 0, nextAttemptAt: 0, errors: [] };
+                added.push(name);
+                changed = true;
+            } else if (entry.size !== size || entry.mtimeMs !== mtimeMs) {
+                // Still being written, or replaced with a fixed file - which starts over
+                Object.assign(entry, { size, mtimeMs, stableSince: now(), attempts: 0, nextAttemptAt: 0, errors: [] });
+                changed = true;
+            }
+        }
+
+        if (changed) save();
+        return added;
+    }
+
+    /**
+     * Files ready to import: settled and not waiting for a retry
+     */
+    function due() {
+        const time = now();
+        return Object.entries(files)
+            .filter(([, entry]) => time - entry.stableSince >= stableMs && entry.nextAttemptAt <= time)
+            .map(([name]) => name)
+            .sort();
+    }
+
+    async function attempt(name) {
+        const entry = files[name];
+        entry.attempts++;
+        save();
+
+        try {
+            const results = await importFile(path.join(folder, name));
+            const { report, ...counts } = results || {};
+            const target = archive(name, processedDir, 'summary', {
+                file: name,
+                queuedAt: entry.queuedAt,
+                importedAt: new Date(now()).toISOString(),
+                attempts: entry.attempts,
+                source: report ? report.source : null,
+                ...counts
+            });
+            delete files[name];
+            save();
+            console.log(`  Moved to: processed/${path.basename(target)}\n`);
+            return { name, status: 'processed', file: target };
+        } catch (error) {
+            entry.errors.push({ at: new Date(now()).toISOString(), error: error.message });
+
+            if (entry.attempts >= maxAttempts) {
+                const target = archive(name, failedDir, 'error', {
+                    file: name,
+                    queuedAt: entry.queuedAt,
+                    failedAt: new Date(now()).toISOString(),
+                    attempts: entry.attempts,
+                    errors: entry.errors
+                });
+                delete files[name];
+                save();
+                console.error(`  ❌ ${name} failed ${entry.attempts} times - moved to failed/${path.basename(target)}\n`);
+                return { name, status: 'failed', file: target, error: error.message };
+            }
+
+            const delay = backoffDelay(entry.attempts, backoffMs);
+            entry.nextAttemptAt = now() + delay;
+            save();
+            console.error(`  Error processing ${name} (attempt ${entry.attempts}/${maxAttempts}, retrying in ${Math.round(delay / 1000)}s): ${error.message}\n`);
+            return { name, status: 'retry', error: error.message };
+        }
+    }
+
+    /**
+     * Scan, then import every due file, one at a time
+     *
+     * @returns {Array<object>} - { name, status: 'processed' | 'retry' | 'failed', file, error }
+     */
+    async function processDue() {
+        if (busy) return [];
+        busy = true;
+        try {
+            scan();
+            const outcomes = [];
+            for (const name of due()) {
+                outcomes.push(await attempt(name));
+            }
+            return outcomes;
+        } finally {
+            busy = false;
+        }
+    }
+
+    /**
+     * Watch the folder: fs.watch events plus a rescan every POLL_MS, which
+     * also picks up retries as they come due
+     *
+     * @returns {Function} - Stops watching
+     */
+    function start({ pollMs = POLL_MS } = {}) {
+        const run = () => processDue().catch(error => console.error(`  Queue error: ${error.message}`));
+        const watcher = fs.watch(folder, (eventType, filename) => {
+            if (filename && isQueued(filename)) run();
+        });
+        const timer = setInterval(run, pollMs);
+        run();
+
+        return () => {
+            watcher.close();
+            clearInterval(timer);
+        };
+    }
+
+    return {
+        files,
+        scan,
+        due,
+        processDue,
+        start
+    };
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    backoffDelay,
+    createImportQueue
+};
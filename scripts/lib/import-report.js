@@ -0,0 +1,219 @@
+/**
+ * Import Report
+ *
+ * What an import did - or, with --dry-run, would do: new helmets, price
+ * changes against the source's latest price (old → new, percent move),
+ * listings left unmatched and rows skipped, each with the reason. Both the
+ * adapter runner and auto-import fill one in; print it to the console or save
+ * it with --report <file>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Rows per section on the console - the saved report has them all
+const PRINT_LIMIT = 25;
+
+/**
+ * Change between two prices
+ *
+ * @returns {object} - { change, percent } - percent is null without an old price
+ */
+function priceMove(oldPrice, newPrice) {
+    if (oldPrice === null || oldPrice === undefined) return { change: null, percent: null };
+    const change = Math.round((newPrice - oldPrice) * 100) / 100;
+    const percent = oldPrice > 0 ? Math.round((change / oldPrice) * 1000) / 10 : null;
+    return { change, percent };
+}
+
+function describeListing(listing) {
+    return {
+        player: listing.player || null,
+        team: listing.team || null,
+        helmetType: listing.helmetType || null,
+        designType: listing.designType || null,
+        title: listing.title || null,
+        price: listing.price || null
+    };
+}
+
+/**
+ * Start a report for one source
+ *
+ * @param {object} options - { source, file, dryRun }
+ */
+function createImportReport({ source, file = null, dryRun = false }) {
+    const report = {
+        source,
+        file,
+        dryRun,
+        generatedAt: new Date().toISOString(),
+        newHelmets: [],
+        prices: [],
+        unmatched: [],
+        skipped: [],
+        errors: []
+    };
+
+    return {
+        report,
+
+        newHelmet(listing) {
+            report.newHelmets.push(describeListing(listing));
+        },
+
+        /**
+         * A price recorded for a matched helmet
+         *
+         * @param {object} helmet - Catalog helmet ({ id, name, ... }); id is null for a
+         *                          helmet that is new in this import
+         * @param {number} newPrice - Price from this import
+         * @param {number|null} oldPrice - The source's latest price for the helmet
+         */
+        price(helmet, newPrice, oldPrice) {
+            const { change, percent } = priceMove(oldPrice, newPrice);
+            report.prices.push({
+                helmetId: helmet.id,
+                helmet: helmet.name || null,
+                player: helmet.player || null,
+                team: helmet.team || null,
+                helmetType: helmet.helmet_type || null,
+                oldPrice: oldPrice ?? null,
+                newPrice,
+                change,
+                percent,
+                status: oldPrice === null || oldPrice === undefined
+                    ? 'first'
+                    : change === 0 ? 'unchanged' : 'changed'
+            });
+        },
+
+        unmatched(listing, match) {
+            report.unmatched.push({
+                ...describeListing(listing),
+                reason: match.reason,
+                candidates: (match.candidates || []).map(c => ({
+                    helmetId: c.helmet.id,
+                    helmet: c.helmet.name || null,
+                    score: c.score
+                }))
+            });
+        },
+
+        skipped(reason, row) {
+            report.skipped.push({ reason, row });
+        },
+
+        error(message, row) {
+            report.errors.push({ message, row });
+        }
+    };
+}
+
+/**
+ * Counts for each section
+ */
+function summarizeReport(report) {
+    const byStatus = status => report.prices.filter(p => p.status === status).length;
+    return {
+        newHelmets: report.newHelmets.length,
+        priceChanges: byStatus('changed'),
+        unchangedPrices: byStatus('unchanged'),
+        firstPrices: byStatus('first'),
+        unmatched: report.unmatched.length,
+        skipped: report.skipped.length,
+        errors: report.errors.length
+    };
+}
+
+function countBy(items, key) {
+    const counts = {};
+    items.forEach(item => { counts[item[key]] = (counts[item[key]] || 0) + 1; });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+function label(item) {
+    if (!item) return '';
+    const player = item.player || item.title || item.name || '';
+    return [player, item.team, item.helmetType].filter(Boolean).join(' - ') || JSON.stringify(item).slice(0, 80);
+}
+
+function money(value) {
+    return value === null || value === undefined ? '—' : `$${Number(value).toFixed(2)}`;
+}
+
+function printMore(total) {
+    if (total > PRINT_LIMIT) console.log(`   ... and ${total - PRINT_LIMIT} more (save them all with --report <file>)`);
+}
+
+/**
+ * Print a report to the console
+ */
+function printReport(report) {
+    const summary = summarizeReport(report);
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(`  ${report.dryRun ? 'DRY RUN' : 'IMPORT'} REPORT: ${report.source}${report.file ? ` (${path.basename(report.file)})` : ''}`);
+    console.log('═'.repeat(60));
+
+    console.log(`\n➕ New helmets: ${summary.newHelmets}`);
+    report.newHelmets.slice(0, PRINT_LIMIT).forEach(h => {
+        console.log(`   ${label(h)} / ${h.designType || '?'} - ${money(h.price)}`);
+    });
+    printMore(summary.newHelmets);
+
+    // Biggest moves first - those are the ones to double-check
+    const changed = report.prices
+        .filter(p => p.status === 'changed')
+        .sort((a, b) => Math.abs(b.percent ?? 0) - Math.abs(a.percent ?? 0));
+
+    console.log(`\n💰 Price changes: ${summary.priceChanges} (${summary.unchangedPrices} unchanged, ${summary.firstPrices} first price from this source)`);
+    changed.slice(0, PRINT_LIMIT).forEach(p => {
+        const sign = p.change > 0 ? '+' : '';
+        const percent = p.percent === null ? '' : ` (${sign}${p.percent}%)`;
+        console.log(`   #${p.helmetId} ${p.helmet || label(p)}: ${money(p.oldPrice)} → ${money(p.newPrice)}${percent}`);
+    });
+    printMore(changed.length);
+
+    console.log(`\n🔎 Unmatched (would go to review): ${summary.unmatched}`);
+    report.unmatched.slice(0, PRINT_LIMIT).forEach(u => {
+        const candidates = u.candidates.map(c => `#${c.helmetId} ${c.score.toFixed(2)}`).join(', ');
+        console.log(`   ${label(u)} - ${u.reason}${candidates ? ` [${candidates}]` : ''}`);
+    });
+    printMore(summary.unmatched);
+
+    console.log(`\n⏭️  Skipped: ${summary.skipped}`);
+    countBy(report.skipped, 'reason').forEach(([reason, count]) => console.log(`   ${reason}: ${count}`));
+
+    if (summary.errors > 0) {
+        console.log(`\n❌ Errors: ${summary.errors}`);
+        report.errors.slice(0, PRINT_LIMIT).forEach(e => console.log(`   ${label(e.row)}: ${e.message}`));
+        printMore(summary.errors);
+    }
+
+    console.log('\n' + '═'.repeat(60) + '\n');
+}
+
+/**
+ * Save reports as JSON
+ *
+ * @param {string} file - Output path
+ * @param {Array} reports - One per source / file imported
+ */
+function saveReports(file, reports) {
+    const output = {
+        generatedAt: new Date().toISOString(),
+        imports: reports.map(report => ({ ...report, summary: summarizeReport(report) }))
+    };
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(output, null, 2) + '\n');
+    console.log(`📝 Report saved to ${file}`);
+}
+
+module.exports = {
+    priceMove,
+    createImportReport,
+    summarizeReport,
+    printReport,
+    saveReports
+};
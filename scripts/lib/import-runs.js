@@ -0,0 +1,267 @@
+/**
+ * Import Run Ledger
+ *
+ * Every import records an import_runs row: source, the file or URL it read,
+ * a checksum of that input, who started it, and its counts. The helmets and
+ * helmet_prices rows it inserts carry import_run_id, so a bad file can be
+ * taken back out again:
+ *
+ *   rollbackImportRun(runId)  deletes the run's price rows and the helmets it
+ *                             created, then recalculates current_price on the
+ *                             helmets that keep their other prices
+ *
+ * Imports only ever insert rows (current_price is derived from the latest
+ * prices), so deleting what a run inserted restores the state before it.
+ *
+ * Used by lib/adapter-runner.js, scripts/auto-import.js and the `runs` /
+ * `rollback` commands in scripts/import.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { supabase, updateHelmetMedianPrice } = require('./price-utils');
+
+const RUN_COLUMNS = 'id, source, input, checksum, triggered_by, status, counts, error, started_at, finished_at, rolled_back_at, rolled_back_by';
+
+/**
+ * sha256 of a file, or of any other value as JSON (fetched products)
+ */
+function checksum(fileOrData) {
+    const hash = crypto.createHash('sha256');
+    if (typeof fileOrData === 'string' && fs.existsSync(fileOrData)) {
+        hash.update(fs.readFileSync(fileOrData));
+    } else {
+        hash.update(JSON.stringify(fileOrData));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Who is running this import - IMPORT_TRIGGERED_BY (cron, watcher) or the OS user
+ */
+function currentUser() {
+    if (process.env.IMPORT_TRIGGERED_BY) return process.env.IMPORT_TRIGGERED_BY;
+    try {
+        return `${os.userInfo().username}@${os.hostname()}`;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Record the start of an import
+ *
+ * @param {object} run - { source, input, checksum, triggeredBy }
+ * @returns {object} - { run, previous } - previous is the last completed run of the
+ *                     same input (by checksum), so callers can warn about re-imports
+ */
+async function startImportRun({ source, input = null, checksum: sum = null, triggeredBy }) {
+    let previous = null;
+    if (sum) {
+        const { data, error } = await supabase
+            .from('import_runs')
+            .select(RUN_COLUMNS)
+            .eq('checksum', sum)
+            .eq('status', 'completed')
+            .order('started_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        previous = data && data.length > 0 ? data[0] : null;
+    }
+
+    const { data: run, error } = await supabase
+        .from('import_runs')
+        .insert({
+            source,
+            input: input ? String(input).substring(0, 1000) : null,
+            checksum: sum,
+            triggered_by: triggeredBy !== undefined ? triggeredBy : currentUser()
+        })
+        .select(RUN_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return { run, previous };
+}
+
+/**
+ * Record the end of an import
+ *
+ * @param {number} runId - From startImportRun
+ * @param {object} result - { status: 'completed' | 'failed', counts, error }
+ */
+async function finishImportRun(runId, { status = 'completed', counts = {}, error: message = null } = {}) {
+    const { error } = await supabase
+        .from('import_runs')
+        .update({ status, counts, error: message, finished_at: new Date().toISOString() })
+        .eq('id', runId);
+
+    if (error) throw error;
+}
+
+/**
+ * Most recent runs first
+ *
+ * @param {object} options - Optional: { limit, source }
+ */
+async function listImportRuns({ limit = 20, source } = {}) {
+    let query = supabase
+        .from('import_runs')
+        .select(RUN_COLUMNS)
+        .order('started_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if (source) query = query.eq('source', source);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function getImportRun(runId) {
+    const { data, error } = await supabase
+        .from('import_runs')
+        .select(RUN_COLUMNS)
+        .eq('id', runId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Every row of `table` tagged with the run
+async function taggedRows(table, columns, runId) {
+    const pageSize = 1000;
+    const rows = [];
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .eq('import_run_id', runId)
+            .order('id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        rows.push(...data);
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    return rows;
+}
+
+/**
+ * Take an import back out
+ *
+ * Refuses, unless forced, when helmets the run created have since picked up
+ * prices from other imports - deleting the helmet would delete those too -
+ * or when the run is still marked running. A dry run reports either way.
+ *
+ * @param {number} runId - Run to roll back
+ * @param {object} options - Optional: { force, dryRun, rolledBackBy }
+ * @returns {object} - { success, run, pricesDeleted, helmetsDeleted, otherPricesDeleted,
+ *                       helmetsRepriced, repricedHelmetIds, dryRun } or { success: false, code, error }
+ *                     code is 'not_found', 'invalid' or 'conflict'
+ */
+async function rollbackImportRun(runId, options = {}) {
+    const dryRun = !!options.dryRun;
+    runId = parseInt(runId);
+    if (!runId) return { success: false, code: 'invalid', error: 'Invalid run ID' };
+
+    const run = await getImportRun(runId);
+    if (!run) return { success: false, code: 'not_found', error: `Import run not found: ${runId}` };
+    if (run.status === 'rolled_back') {
+        return { success: false, code: 'invalid', error: `Run ${runId} was already rolled back` };
+    }
+    if (run.status === 'running' && !options.force) {
+        return { success: false, code: 'conflict', error: `Run ${runId} is still running (use --force if it crashed)` };
+    }
+
+    const prices = await taggedRows('helmet_prices', 'id, helmet_id', runId);
+    const helmets = await taggedRows('helmets', 'id', runId);
+    const createdIds = new Set(helmets.map(h => h.id));
+
+    // Prices on the run's helmets that some other import (or a merge) put there
+    let otherPricesDeleted = 0;
+    if (createdIds.size > 0) {
+        const ids = [...createdIds];
+        for (let i = 0; i < ids.length; i += 200) {
+            const { count, error } = await supabase
+                .from('helmet_prices')
+                .select('*', { count: 'exact', head: true })
+                .in('helmet_id', ids.slice(i, i + 200))
+                .or(`import_run_id.is.null,import_run_id.neq.${runId}`);
+
+            if (error) throw error;
+            otherPricesDeleted += count || 0;
+        }
+    }
+
+    if (otherPricesDeleted > 0 && !options.force && !dryRun) {
+        return {
+            success: false,
+            code: 'conflict',
+            error: `${otherPricesDeleted} price row(s) from other imports belong to helmets this run created - use --force to delete them too`
+        };
+    }
+
+    const repriceIds = [...new Set(prices.map(p => p.helmet_id))].filter(id => !createdIds.has(id));
+    const summary = {
+        success: true,
+        run,
+        pricesDeleted: prices.length,
+        helmetsDeleted: createdIds.size,
+        otherPricesDeleted,
+        helmetsRepriced: repriceIds.length,
+        repricedHelmetIds: repriceIds,
+        dryRun
+    };
+    if (dryRun) return summary;
+
+    const { error: priceError } = await supabase
+        .from('helmet_prices')
+        .delete()
+        .eq('import_run_id', runId);
+
+    if (priceError) throw priceError;
+
+    // Their remaining prices, decisions and redirects cascade
+    const { error: helmetError } = await supabase
+        .from('helmets')
+        .delete()
+        .eq('import_run_id', runId);
+
+    if (helmetError) throw helmetError;
+
+    for (const helmetId of repriceIds) {
+        await updateHelmetMedianPrice(helmetId);
+    }
+
+    const rolledBackAt = new Date().toISOString();
+    const rolledBackBy = options.rolledBackBy !== undefined ? options.rolledBackBy : currentUser();
+    const { error: runError } = await supabase
+        .from('import_runs')
+        .update({ status: 'rolled_back', rolled_back_at: rolledBackAt, rolled_back_by: rolledBackBy })
+        .eq('id', runId);
+
+    if (runError) throw runError;
+
+    summary.run = { ...run, status: 'rolled_back', rolled_back_at: rolledBackAt, rolled_back_by: rolledBackBy };
+    return summary;
+}
+
+module.exports = {
+    checksum,
+    startImportRun,
+    finishImportRun,
+    listImportRuns,
+    getImportRun,
+    rollbackImportRun
+};
@@ -0,0 +1,289 @@
+/**
+ * Import Input Files
+ *
+ * Everything auto-import accepts, read into an XLSX workbook so spreadsheets,
+ * CSV exports and JSON feeds all go through the same mapping profiles
+ * (lib/import-profiles.js):
+ *
+ *   .xls .xlsx .ods     read by xlsx, one sheet per tab
+ *   .csv .tsv           encoding (BOM, UTF-8, else Windows-1252) and delimiter
+ *                       (, ; tab |) detected; one sheet named after the file
+ *   .json               an array of objects, or the first array of objects in
+ *                       the document ({ "products": [...] }); one sheet named
+ *                       after that key
+ *   .ndjson .jsonl      one object per line
+ *
+ * Feed objects become rows keyed by their flattened paths - nested fields are
+ * "price.amount", arrays "variants.0.price" - so a profile names them like
+ * any other header. CSV cells stay strings; lib/listing-parser parses prices.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const FORMATS = {
+    '.xls': 'spreadsheet',
+    '.xlsx': 'spreadsheet',
+    '.ods': 'spreadsheet',
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+
+const INPUT_EXTENSIONS = Object.keys(FORMATS);
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Lines sampled for delimiter detection
+const SAMPLE_LINES = 20;
+
+// Nesting deeper than this is kept as JSON text
+const MAX_FLATTEN_DEPTH = 4;
+
+/**
+ * Input format for a file name: 'spreadsheet', 'csv', 'json', 'ndjson' or null
+ */
+function inputFormat(file) {
+    return FORMATS[path.extname(file).toLowerCase()] || null;
+}
+
+function isImportFile(file) {
+    return inputFormat(file) !== null;
+}
+
+/**
+ * Text from a CSV's bytes
+ *
+ * @returns {object} - { text, encoding }
+ */
+function decodeText(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    // UTF-16 without a BOM: every other byte of ASCII text is zero
+    const sample = buffer.subarray(0, 200);
+    const oddZeros = sample.filter((byte, i) => i % 2 === 1 && byte === 0).length;
+    if (sample.length >= 4 && oddZeros >= sample.length / 4) {
+        return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch {
+        // Excel's "CSV" on Windows
+        return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+    }
+}
+
+// Delimiter counts per line, ignoring quoted text
+function countDelimiters(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+    for (const ch of line) {
+        if (ch === '"') quoted = !quoted;
+        else if (ch === delimiter && !quoted) count++;
+    }
+    return count;
+}
+
+/**
+ * The delimiter that splits the first lines into the same number of fields
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, SAMPLE_LINES);
+    let best = { delimiter: ',', score: 0 };
+
+    for (const delimiter of DELIMITERS) {
+        const counts = lines.map(line => countDelimiters(line, delimiter));
+        if (counts.length === 0 || counts[0] === 0) continue;
+
+        // Lines agreeing with the header, weighted by how many fields they make
+        const consistent = counts.filter(c => c === counts[0]).length / counts.length;
+        const score = consistent * Math.min(counts[0], 50);
+        if (score > best.score) best = { delimiter, score };
+    }
+
+    return best.delimiter;
+}
+
+/**
+ * Rows of a CSV (RFC 4180 quoting: "a, b", "say ""hi""", line breaks in quotes)
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.map(r => r.map(value => value.trim()));
+}
+
+/**
+ * { price: { amount: 5 } } -> { 'price.amount': 5 }
+ */
+function flattenRecord(value, prefix = '', out = {}, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        out[prefix] = value;
+    } else if (depth >= MAX_FLATTEN_DEPTH) {
+        out[prefix] = JSON.stringify(value);
+    } else {
+        const entries = Array.isArray(value) ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+        for (const [key, child] of entries) {
+            flattenRecord(child, prefix ? `${prefix}.${key}` : key, out, depth + 1);
+        }
+    }
+    return out;
+}
+
+const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * The records in a JSON document and what to call them
+ */
+function findRecords(document, name) {
+    if (Array.isArray(document)) return { records: document, name };
+    if (isRecord(document)) {
+        for (const [key, value] of Object.entries(document)) {
+            if (Array.isArray(value) && value.some(isRecord)) return { records: value, name: key };
+        }
+        return { records: [document], name };
+    }
+    throw new Error('JSON feed has no records - expected an array of objects');
+}
+
+function parseNdjson(text) {
+    return text.split(/\r\n|\n|\r/)
+        .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${number}: ${error.message}`);
+            }
+        });
+}
+
+function recordsSheet(records) {
+    const objects = records.filter(isRecord).map(r => flattenRecord(r));
+    const headers = [];
+    const seen = new Set();
+    for (const object of objects) {
+        for (const key of Object.keys(object)) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                headers.push(key);
+            }
+        }
+    }
+    const rows = objects.map(object => headers.map(h => (object[h] === undefined ? null : object[h])));
+    return XLSX.utils.aoa_to_sheet([headers, ...rows]);
+}
+
+function singleSheetWorkbook(name, sheet) {
+    const workbook = XLSX.utils.book_new();
+    // Sheet names are capped at 31 characters and can't contain : \ / ? * [ ]
+    XLSX.utils.book_append_sheet(workbook, sheet, String(name).replace(/[:\\/?*[\]]/g, ' ').substring(0, 31) || 'Sheet1');
+    return workbook;
+}
+
+/**
+ * Read input bytes as a workbook
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - From inputFormat
+ * @param {string} name - Sheet name for single-sheet formats
+ * @returns {object} - XLSX workbook, plus { format, encoding, delimiter } for CSV
+ */
+function readInput(buffer, format, name = 'Sheet1') {
+    if (format === 'spreadsheet') return XLSX.read(buffer, { type: 'buffer' });
+
+    const { text, encoding } = decodeText(buffer);
+
+    if (format === 'csv') {
+        const delimiter = detectDelimiter(text);
+        const workbook = singleSheetWorkbook(name, XLSX.utils.aoa_to_sheet(parseCsv(text, delimiter)));
+        return Object.assign(workbook, { format, encoding, delimiter });
+    }
+
+    let records;
+    if (format === 'ndjson') {
+        records = { records: parseNdjson(text), name };
+    } else if (format === 'json') {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        records = findRecords(document, name);
+    } else {
+        throw new Error(`Unsupported input format: ${format}`);
+    }
+
+    return Object.assign(singleSheetWorkbook(records.name, recordsSheet(records.records)), { format, encoding });
+}
+
+/**
+ * Read an import file as a workbook
+ */
+function readInputFile(file) {
+    const format = inputFormat(file);
+    if (!format) throw new Error(`Unsupported file type: ${path.basename(file)} (expected ${INPUT_EXTENSIONS.join(', ')})`);
+    return readInput(fs.readFileSync(file), format, path.basename(file, path.extname(file)));
+}
+
+module.exports = {
+    INPUT_EXTENSIONS,
+    inputFormat,
+    isImportFile,
+    decodeText,
+    detectDelimiter,
+    parseCsv,
+    flattenRecord,
+    readInput,
+    readInputFile
+};
@@ -0,0 +1,149 @@
+/**
+ * Job Run History
+ *
+ * Every scheduled or manual job run (lib/job-scheduler.js) is a job_runs row:
+ * when it started and finished, how long it took, its exit code and the tail
+ * of its output. The row is also the job's lock - migration 016 allows one
+ * 'running' row per job, so a second process trying to start the same job
+ * gets a unique violation and records a 'skipped' run instead.
+ *
+ * A process that dies mid-run leaves its row 'running'; startJobRun marks
+ * rows older than the job's timeout as failed before taking the lock.
+ */
+
+const os = require('os');
+const { getDatabase } = require('./db');
+
+const supabase = getDatabase();
+
+const RUN_COLUMNS = 'id, job_name, trigger, status, host, started_at, finished_at, duration_ms, exit_code, error, output';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// This process, for the host column
+function processName() {
+    try {
+        return `${os.userInfo().username}@${os.hostname()}:${process.pid}`;
+    } catch {
+        return `pid ${process.pid}`;
+    }
+}
+
+async function runningRun(jobName) {
+    const { data, error } = await supabase
+        .from('job_runs')
+        .select(RUN_COLUMNS)
+        .eq('job_name', jobName)
+        .eq('status', 'running')
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Take a job's lock and record the start of a run
+ *
+ * @param {string} jobName - Job name
+ * @param {object} options - Optional: { trigger: 'schedule' | 'manual', staleAfterMs }
+ *                           staleAfterMs - running rows older than this are abandoned
+ * @returns {object} - { run } when started, or { run: null, skipped, running } when
+ *                     another run holds the lock (skipped is the recorded 'skipped' row)
+ */
+async function startJobRun(jobName, { trigger = 'schedule', staleAfterMs = null } = {}) {
+    if (staleAfterMs) {
+        const cutoff = new Date(Date.now() - staleAfterMs).toISOString();
+        const { error } = await supabase
+            .from('job_runs')
+            .update({
+                status: 'failed',
+                finished_at: new Date().toISOString(),
+                error: `Abandoned - no finish recorded within ${Math.round(staleAfterMs / 60000)} minutes`
+            })
+            .eq('job_name', jobName)
+            .eq('status', 'running')
+            .lt('started_at', cutoff);
+
+        if (error) throw error;
+    }
+
+    const host = processName();
+    const { data: run, error } = await supabase
+        .from('job_runs')
+        .insert({ job_name: jobName, trigger, status: 'running', host })
+        .select(RUN_COLUMNS)
+        .single();
+
+    if (!error) return { run };
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+
+    const running = await runningRun(jobName);
+    const now = new Date().toISOString();
+    const { data: skipped, error: skipError } = await supabase
+        .from('job_runs')
+        .insert({
+            job_name: jobName,
+            trigger,
+            status: 'skipped',
+            host,
+            finished_at: now,
+            duration_ms: 0,
+            error: running ? `Already running since ${running.started_at} (run #${running.id} on ${running.host})` : 'Already running'
+        })
+        .select(RUN_COLUMNS)
+        .single();
+
+    if (skipError) throw skipError;
+    return { run: null, skipped, running };
+}
+
+/**
+ * Record the end of a run, releasing the lock
+ *
+ * @param {number} runId - From startJobRun
+ * @param {object} result - { status: 'succeeded' | 'failed', durationMs, exitCode, error, output }
+ */
+async function finishJobRun(runId, { status, durationMs = null, exitCode = null, error: message = null, output = null }) {
+    const { error } = await supabase
+        .from('job_runs')
+        .update({
+            status,
+            finished_at: new Date().toISOString(),
+            duration_ms: durationMs,
+            exit_code: exitCode,
+            error: message,
+            output
+        })
+        .eq('id', runId);
+
+    if (error) throw error;
+}
+
+/**
+ * Most recent runs first
+ *
+ * @param {object} options - Optional: { job, limit, statuses }
+ */
+async function listJobRuns({ job, limit = 20, statuses } = {}) {
+    let query = supabase
+        .from('job_runs')
+        .select(RUN_COLUMNS)
+        .order('started_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if (job) query = query.eq('job_name', job);
+    if (statuses) query = query.in('status', statuses);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    startJobRun,
+    finishJobRun,
+    listJobRuns,
+    runningRun
+};
@@ -0,0 +1,409 @@
+/**
+ * Job Scheduler
+ *
+ * Runs the import and price-update scripts on a schedule, each as a child
+ * process (they are CLI scripts that exit when done):
+ *
+ *   import-rsa                   import.js rsa                    daily 03:00
+ *   import-radtke                import.js radtke                 daily 03:30
+ *   import-denverautographs-web  import.js denverautographs-web   Mondays 04:00
+ *   import-all                   import.js all                    off
+ *   monthly-price-update         monthly-price-update.js          1st of the month 05:00
+ *   price-alerts                 price-alerts.js check            daily 07:00
+ *   portfolio-digest             portfolio-digest.js send         hourly (sends the digests due)
+ *
+ * Spreadsheet sources arrive as files, so they go through auto-import --watch
+ * instead. Each schedule is a 5-field cron expression, overridden per job with
+ * JOB_SCHEDULE_<NAME> (JOB_SCHEDULE_IMPORT_RSA="0 2 * * *", or "off"), in
+ * JOBS_TIMEZONE (default: the server's).
+ *
+ * Started from server.js with JOBS_ENABLED=true, or on its own with
+ * `node scripts/jobs.js worker`. Runs are recorded and locked through
+ * lib/job-runs.js, so a server and a worker never run the same job at once.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const cron = require('node-cron');
+
+const SCRIPTS_DIR = path.join(__dirname, '..');
+
+const JOBS = [
+    {
+        name: 'import-rsa',
+        description: 'Shop RSA catalog (Shopify API)',
+        script: 'import.js',
+        args: ['rsa'],
+        schedule: '0 3 * * *',
+        timeoutMinutes: 60
+    },
+    {
+        name: 'import-radtke',
+        description: 'Radtke Sports catalog (browser scrape)',
+        script: 'import.js',
+        args: ['radtke'],
+        schedule: '30 3 * * *',
+        timeoutMinutes: 180
+    },
+    {
+        name: 'import-denverautographs-web',
+        description: 'Denver Autographs listings (browser scrape)',
+        script: 'import.js',
+        args: ['denverautographs-web'],
+        schedule: '0 4 * * 1',
+        timeoutMinutes: 180
+    },
+    {
+        name: 'import-all',
+        description: 'Every importer in turn, as `npm run import all`',
+        script: 'import.js',
+        args: ['all'],
+        schedule: null,
+        timeoutMinutes: 360
+    },
+    {
+        name: 'monthly-price-update',
+        description: 'eBay sold prices for every helmet',
+        script: 'monthly-price-update.js',
+        args: [],
+        schedule: '0 5 1 * *',
+        timeoutMinutes: 360
+    },
+    {
+        name: 'price-alerts',
+        description: 'Watchlist price alerts for every card (imports check their own helmets)',
+        script: 'price-alerts.js',
+        args: ['check'],
+        schedule: '0 7 * * *',
+        timeoutMinutes: 30
+    },
+    {
+        name: 'portfolio-digest',
+        description: 'Weekly portfolio digests due this hour (users pick their day and hour)',
+        script: 'portfolio-digest.js',
+        args: ['send'],
+        schedule: '0 * * * *',
+        timeoutMinutes: 50
+    }
+];
+
+// Lines of a run's output kept in job_runs.output
+const OUTPUT_LINES = 40;
+
+// nextRun gives up after a year without a match (e.g. "0 0 31 2 *")
+const NEXT_RUN_HORIZON_MS = 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Cron fields, in order: [min, max, names]
+const CRON_FIELDS = [
+    [0, 59],
+    [0, 23],
+    [1, 31],
+    [1, 12, ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']],
+    [0, 7, ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']]
+];
+
+// A running row this much older than the job's timeout is abandoned
+const STALE_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * JOB_SCHEDULE_<NAME> for a job name
+ */
+function scheduleVariable(name) {
+    return `JOB_SCHEDULE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * A job with its schedule from the environment
+ *
+ * Throws on an invalid schedule - better than a job silently never running.
+ */
+function resolveJob(job, env = process.env) {
+    const override = env[scheduleVariable(job.name)];
+    let schedule = job.schedule;
+    if (override !== undefined) {
+        schedule = ['', 'off', 'false', 'none'].includes(override.trim().toLowerCase()) ? null : override.trim();
+    }
+
+    if (schedule !== null && (schedule.split(/\s+/).length !== 5 || !cron.validate(schedule))) {
+        throw new Error(`Invalid schedule for ${job.name}: "${schedule}" (${scheduleVariable(job.name)}) - expected 5 cron fields or "off"`);
+    }
+
+    return { ...job, schedule, enabled: schedule !== null };
+}
+
+/**
+ * The jobs with their schedules from the environment
+ *
+ * Throws on an invalid schedule (see resolveJob).
+ *
+ * @param {object} env - Defaults to process.env
+ * @returns {Array<object>} - { name, description, script, args, schedule, timeoutMinutes, enabled }
+ */
+function listJobs(env = process.env) {
+    return JOBS.map(job => resolveJob(job, env));
+}
+
+function getJob(name, env = process.env) {
+    return listJobs(env).find(job => job.name === name) || null;
+}
+
+// One cron field - "*", "5", "1-5", "*/15", "mon-fri", "1,15" - as the values it allows
+function cronValues(field, [min, max, names = []]) {
+    const value = text => {
+        const named = names.indexOf(text.slice(0, 3).toLowerCase());
+        return named !== -1 ? named + min : Number(text);
+    };
+
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [range, step = '1'] = part.split('/');
+        const [from, to] = range === '*' ? [min, max] : range.split('-').map(value);
+        const last = to !== undefined ? to : (part.includes('/') ? max : from);
+        for (let v = from; v <= last; v += Number(step)) values.add(v);
+    }
+    return values;
+}
+
+// A validated 5-field schedule as { minute, hour, day, month, weekday } value sets
+function parseSchedule(schedule) {
+    const [minute, hour, day, month, weekday] = schedule.trim().split(/\s+/).map((field, i) => cronValues(field, CRON_FIELDS[i]));
+    if (weekday.has(7)) weekday.add(0);
+    return { minute, hour, day, month, weekday };
+}
+
+// A time's wall clock in the timezone (or the server's)
+function wallClock(time, format) {
+    if (!format) {
+        return { year: time.getFullYear(), month: time.getMonth() + 1, day: time.getDate(), hour: time.getHours(), minute: time.getMinutes() };
+    }
+    const parts = Object.fromEntries(format.formatToParts(time).map(p => [p.type, Number(p.value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+/**
+ * Next time a schedule fires after `from`
+ *
+ * Steps an hour at a time until the day and hour match, then straight to the
+ * next matching minute - as node-cron matches, every field has to match
+ * (day of month and day of week alike).
+ *
+ * @returns {Date|null} - null for a disabled job or one that never fires
+ */
+function nextRun(schedule, from = new Date(), timezone = process.env.JOBS_TIMEZONE) {
+    if (!schedule) return null;
+    const fields = parseSchedule(schedule);
+    const format = timezone ? new Intl.DateTimeFormat('en-US', {
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23', timeZone: timezone
+    }) : null;
+
+    let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const end = from.getTime() + NEXT_RUN_HORIZON_MS;
+
+    while (time <= end) {
+        const wall = wallClock(new Date(time), format);
+        const weekday = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+        const minute = [...fields.minute].filter(m => m >= wall.minute).sort((a, b) => a - b)[0];
+
+        if (fields.month.has(wall.month) && fields.day.has(wall.day) && fields.weekday.has(weekday) &&
+            fields.hour.has(wall.hour) && minute !== undefined) {
+            if (minute === wall.minute) return new Date(time);
+            time += (minute - wall.minute) * MINUTE_MS;
+        } else {
+            time += (60 - wall.minute) * MINUTE_MS;
+        }
+    }
+    return null;
+}
+
+// Last lines of a stream's text
+function tail(text, lines = OUTPUT_LINES) {
+    return text.split('\n').slice(-lines - 1).join('\n').trim();
+}
+
+/**
+ * Run a job now, unless it's already running somewhere
+ *
+ * @param {object} job - From listJobs (script may be an absolute path)
+ * @param {object} options - Optional: { trigger: 'schedule' | 'manual', log }
+ * @returns {object} - { status: 'succeeded' | 'failed' | 'skipped', runId, exitCode,
+ *                       durationMs, error }
+ */
+async function runJob(job, { trigger = 'schedule', log = console.log } = {}) {
+    // Connects to the database on load, so listJobs/nextRun work without it
+    const { startJobRun, finishJobRun } = require('./job-runs');
+    const timeoutMs = job.timeoutMinutes * 60 * 1000;
+
+    const { run, skipped } = await startJobRun(job.name, { trigger, staleAfterMs: timeoutMs + STALE_GRACE_MS });
+    if (!run) {
+        log(`⏭  ${job.name}: ${skipped.error}`);
+        return { status: 'skipped', runId: skipped.id, exitCode: null, durationMs: 0, error: skipped.error };
+    }
+
+    log(`▶  ${job.name} (run #${run.id}, ${trigger})`);
+    const started = Date.now();
+
+    const result = await new Promise(resolve => {
+        let output = '';
+        let timedOut = false;
+        const child = spawn(process.execPath, [path.resolve(SCRIPTS_DIR, job.script), ...job.args], {
+            cwd: path.join(SCRIPTS_DIR, '..'),
+            env: { ...process.env, IMPORT_TRIGGERED_BY: `job:${job.name}` },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        const collect = chunk => {
+            // Only the tail is kept, so don't let a chatty scraper grow this forever
+            output = tail(output + chunk.toString(), OUTPUT_LINES * 4);
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGTERM');
+        }, timeoutMs);
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            resolve({ exitCode: null, error: error.message, output });
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            const error = timedOut ? `Timed out after ${job.timeoutMinutes} minutes`
+                : code !== 0 ? `Exited with ${signal ? `signal ${signal}` : `code ${code}`}` : null;
+            resolve({ exitCode: code, error, output });
+        });
+    });
+
+    const durationMs = Date.now() - started;
+    const status = result.error ? 'failed' : 'succeeded';
+    await finishJobRun(run.id, {
+        status,
+        durationMs,
+        exitCode: result.exitCode,
+        error: result.error,
+        output: tail(result.output)
+    });
+
+    log(`${status === 'succeeded' ? '✓' : '✗'}  ${job.name} ${status} in ${Math.round(durationMs / 1000)}s${result.error ? ` - ${result.error}` : ''}`);
+    return { status, runId: run.id, exitCode: result.exitCode, durationMs, error: result.error };
+}
+
+/**
+ * Schedule every enabled job
+ *
+ * A job with an invalid schedule is logged and left out, and an invalid
+ * timezone schedules nothing - inside the web server a bad JOB_SCHEDULE_*
+ * shouldn't take the site down. The standalone worker passes strict to fail
+ * on them instead.
+ *
+ * @param {object} options - Optional: { jobs, timezone, log, strict, env }
+ * @returns {object} - { jobs, stop } - the scheduled jobs, and a function that stops them
+ */
+function startScheduler({ jobs = null, timezone = process.env.JOBS_TIMEZONE, log = console.log, strict = false, env = process.env } = {}) {
+    const skip = error => {
+        if (strict) throw error;
+        log(`✗  ${error.message} - not scheduled`);
+    };
+
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            skip(new Error(`Invalid JOBS_TIMEZONE: "${timezone}" - no jobs`));
+            return { jobs: [], stop: () => {} };
+        }
+    }
+
+    const candidates = [];
+    for (const job of jobs || JOBS) {
+        try {
+            candidates.push(jobs ? job : resolveJob(job, env));
+        } catch (error) {
+            skip(error);
+        }
+    }
+
+    const scheduled = [];
+    const tasks = [];
+    for (const job of candidates.filter(j => j.enabled)) {
+        try {
+            tasks.push(cron.schedule(job.schedule, () => {
+                runJob(job, { log }).catch(error => log(`✗  ${job.name}: ${error.message}`));
+            }, { timezone: timezone || undefined }));
+            scheduled.push(job);
+        } catch (error) {
+            skip(new Error(`${job.name}: ${error.message}`));
+        }
+    }
+
+    for (const job of scheduled) {
+        const next = nextRun(job.schedule, new Date(), timezone);
+        log(`🕒 ${job.name.padEnd(28)} ${job.schedule.padEnd(14)} next ${next ? next.toISOString() : 'never'}`);
+    }
+
+    return {
+        jobs: scheduled,
+        stop: () => tasks.forEach(task => task.stop())
+    };
+}
+
+// Fields of a job_runs row the API shows
+function describeRun(run) {
+    if (!run) return null;
+    return {
+        id: run.id,
+        trigger: run.trigger,
+        status: run.status,
+        startedAt: run.started_at,
+        finishedAt: run.finished_at,
+        durationMs: run.duration_ms,
+        exitCode: run.exit_code,
+        error: run.error,
+        host: run.host
+    };
+}
+
+/**
+ * Every job with its schedule, last run, next run and whether it's running now
+ * (GET /api/admin/jobs)
+ *
+ * @param {object} options - Optional: { history, now } - history is how many recent
+ *                           runs (skips included) to list per job
+ */
+async function jobStatus({ history = 5, now = new Date() } = {}) {
+    const { listJobRuns, runningRun } = require('./job-runs');
+
+    return Promise.all(listJobs().map(async job => {
+        const [running, [lastRun], recent] = await Promise.all([
+            runningRun(job.name),
+            listJobRuns({ job: job.name, limit: 1, statuses: ['succeeded', 'failed'] }),
+            history > 0 ? listJobRuns({ job: job.name, limit: history }) : []
+        ]);
+        const next = nextRun(job.schedule, now);
+
+        return {
+            name: job.name,
+            description: job.description,
+            command: `node scripts/${job.script}${job.args.length ? ` ${job.args.join(' ')}` : ''}`,
+            schedule: job.schedule,
+            enabled: job.enabled,
+            running: describeRun(running),
+            lastRun: describeRun(lastRun),
+            nextRun: next ? next.toISOString() : null,
+            recentRuns: recent.map(describeRun)
+        };
+    }));
+}
+
+module.exports = {
+    JOBS,
+    scheduleVariable,
+    listJobs,
+    getJob,
+    nextRun,
+    runJob,
+    startScheduler,
+    jobStatus
+};
@@ -0,0 +1,176 @@
+/**
+ * Listing Title Parser
+ *
+ * Turns a retailer product title ("Patrick Mahomes Autographed Chiefs Mini
+ * Helmet Beckett") into the normalized listing the matcher scores: player,
+ * team, helmet type, design, auth company and inscription. Shared by every
+ * retailer adapter in scripts/adapters/ that only has a title to go on.
+ *
+ * Nothing in here touches the database.
+ */
+
+const { findTeamInText } = require('./teams');
+const { classifyHelmet } = require('./helmet-classifier');
+const { parseAuthCompany, parseInscription } = require('./helmet-matcher');
+
+// Highest price we believe for a single helmet
+const MAX_PRICE = 50000;
+
+const PRODUCT_WORDS = /\s+(Autographed|Signed|Auto|Helmet|Full|Size|Mini|Replica|Authentic|Pro|Line|F\/S|Midi|Speedflex)/gi;
+const BAD_NAME_WORDS = ['helmet', 'autographed', 'signed', 'full', 'size', 'mini', 'replica', 'nfl', 'football', 'midi'];
+const NAME_PATTERN = /^([A-Z][a-z]+(?:\s+[A-Z]\.?)?\s+[A-Z][a-z']+(?:\s+(?:Jr\.|Sr\.|III|II|IV))?)/;
+
+/**
+ * Clean and validate a player name pulled from a title
+ *
+ * @returns {string|null} - Cleaned name, or null if it doesn't look like one
+ */
+function cleanPlayerName(name) {
+    if (!name) return null;
+
+    let cleaned = name
+        .replace(PRODUCT_WORDS, '')
+        .replace(/^\s+|\s+$/g, '')
+        .replace(/\s+/g, ' ');
+
+    // 2+ words, starting with a capital
+    const parts = cleaned.split(' ').filter(p => p.length > 0);
+    if (parts.length < 2) return null;
+    if (!/^[A-Z]/.test(parts[0])) return null;
+
+    // Product words left over - keep just the name portion
+    if (BAD_NAME_WORDS.some(w => cleaned.toLowerCase().includes(w))) {
+        const nameMatch = cleaned.match(NAME_PATTERN);
+        if (!nameMatch) return null;
+        cleaned = nameMatch[1];
+    }
+
+    if (cleaned.length > 50) return null;
+    return cleaned;
+}
+
+/**
+ * "Mahomes, Patrick" -> "Patrick Mahomes"
+ */
+function normalizePlayerName(name) {
+    if (!name) return '';
+
+    const text = String(name).trim();
+    if (text.includes(',')) {
+        const parts = text.split(',').map(p => p.trim());
+        if (parts.length === 2) return `${parts[1]} ${parts[0]}`;
+    }
+    return text;
+}
+
+/**
+ * "AMON-RA ST. BROWN" -> "Amon-Ra St. Brown" (for sources that shout)
+ */
+function titleCaseName(name) {
+    if (!name) return '';
+    return String(name)
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/(^|[\s'-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+}
+
+/**
+ * Round a price to cents, or null if it isn't a believable helmet price
+ */
+function validatePrice(price) {
+    const value = typeof price === 'string' ? parseFloat(price.replace(/[$,]/g, '')) : price;
+    if (typeof value !== 'number' || isNaN(value)) return null;
+    if (value <= 0 || value > MAX_PRICE) return null;
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a product title
+ *
+ * @param {string} title - Retailer product title
+ * @param {object} options - Optional: { defaultHelmetType, requireHelmet } - requireHelmet
+ *                           rejects titles that don't say "helmet"
+ * @returns {object} - { player, team, helmetType, designType, authCompany, inscription,
+ *                       helmetTypeConfidence, designTypeConfidence, isValid, issues }
+ */
+function parseListingTitle(title, options = {}) {
+    const defaultHelmetType = options.defaultHelmetType || 'fullsize-authentic';
+    const result = {
+        player: null,
+        team: null,
+        helmetType: defaultHelmetType,
+        designType: 'regular',
+        authCompany: null,
+        inscription: null,
+        isValid: false,
+        issues: []
+    };
+
+    if (!title || title.length < 10) {
+        result.issues.push('Title too short');
+        return result;
+    }
+
+    const titleLower = title.toLowerCase();
+
+    if (options.requireHelmet && !titleLower.includes('helmet')) {
+        result.issues.push('Not a helmet');
+        return result;
+    }
+
+    // Display cases, stands and unsigned helmets
+    if (titleLower.includes('display case') || titleLower.includes('helmet stand') ||
+        titleLower.includes('unsigned') || titleLower.includes('un-signed')) {
+        result.issues.push('Not signed helmet');
+        return result;
+    }
+
+    const team = findTeamInText(title);
+    if (team) result.team = team.team;
+
+    // Title overrides the default type
+    const classification = classifyHelmet(title, { defaultHelmetType });
+    result.helmetType = classification.helmetType;
+    result.designType = classification.designType;
+    result.helmetTypeConfidence = classification.helmetTypeConfidence;
+    result.designTypeConfidence = classification.designTypeConfidence;
+
+    result.authCompany = parseAuthCompany(title);
+    result.inscription = parseInscription(title);
+
+    // Name before "Autographed/Signed", then the first two capitalized words,
+    // then "Signed by Name"
+    let playerName = null;
+    let match = title.match(new RegExp(`${NAME_PATTERN.source}\\s+(?:Autographed|Signed)`, 'i'));
+    if (match) playerName = match[1];
+
+    if (!playerName) {
+        match = title.match(/^([A-Z][a-z]+\s+[A-Z][a-z']+)/);
+        if (match) playerName = match[1];
+    }
+
+    if (!playerName) {
+        match = title.match(/(?:signed|autographed)\s+by\s+([A-Z][a-z]+\s+[A-Z][a-z']+)/i);
+        if (match) playerName = match[1];
+    }
+
+    result.player = cleanPlayerName(playerName);
+
+    if (result.player && result.player.length >= 3) {
+        result.isValid = true;
+    } else {
+        result.issues.push('Could not extract player name');
+    }
+
+    return result;
+}
+
+module.exports = {
+    MAX_PRICE,
+    cleanPlayerName,
+    normalizePlayerName,
+    titleCaseName,
+    validatePrice,
+    parseListingTitle
+};
@@ -0,0 +1,926 @@
+/**
+ * Local Database
+ *
+ * An in-memory stand-in for Supabase with the same query-builder interface
+ * (from().select().eq()... resolving to { data, error, count }), so the
+ * server, importers and tests run without a Supabase project. Select it with
+ * DATA_BACKEND=local - see db.js.
+ *
+ * The schema comes from supabase/migrations (local-schema.js) and is enforced
+ * the way Postgres would: types, defaults, NOT NULL, unique, foreign keys
+ * with ON DELETE, CHECK constraints, the migration triggers and views, and
+ * the migrations' SQL functions through rpc().
+ * Errors come back with Postgres/PostgREST codes ('23505', 'PGRST116', ...)
+ * and responses are capped at 1000 rows like the hosted project, so paging
+ * code behaves the same on both.
+ *
+ * Data is kept in a JSON file (LOCAL_DB_FILE, default .local-db.json) so the
+ * server and import scripts see each other's writes; ':memory:' keeps nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadSchema } = require('./local-schema');
+
+// PostgREST max-rows on the hosted project
+const MAX_ROWS = 1000;
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', '.local-db.json');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Postgres / PostgREST error, returned as `error` rather than thrown
+ */
+class DbError extends Error {
+    constructor(code, message, details = null, status = 400) {
+        super(message);
+        this.code = code;
+        this.details = details;
+        this.hint = null;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, details: this.details, hint: this.hint };
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// ============ VALUES ============
+
+/**
+ * Coerce a value for a column the way Postgres input parsing would
+ */
+function coerce(column, value) {
+    if (value === null || value === undefined) return null;
+    const fail = () => {
+        throw new DbError('22P02', `invalid input syntax for type ${column.type.toLowerCase()}: "${value}"`);
+    };
+
+    switch (column.kind) {
+        case 'integer': {
+            const n = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isFinite(n)) fail();
+            return Math.round(n);
+        }
+        case 'number': {
+            const n = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isFinite(n)) fail();
+            if (column.scale === undefined) return n;
+            const factor = 10 ** column.scale;
+            return Math.round(n * factor) / factor;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (/^(true|t|1)$/i.test(String(value))) return true;
+            if (/^(false|f|0)$/i.test(String(value))) return false;
+            return fail();
+        case 'timestamp': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new DbError('22007', `invalid input syntax for type timestamp: "${value}"`);
+            }
+            return date.toISOString();
+        }
+        case 'uuid':
+            if (!UUID_PATTERN.test(String(value))) fail();
+            return String(value).toLowerCase();
+        case 'json':
+            return clone(value);
+        case 'array':
+            if (!Array.isArray(value)) throw new DbError('22P02', `malformed array literal: "${value}"`);
+            return clone(value);
+        default: {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            if (column.maxLength && text.length > column.maxLength) {
+                throw new DbError('22001', `value too long for type character varying(${column.maxLength})`);
+            }
+            return text;
+        }
+    }
+}
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+// Numbers from a filter string ("median_price.gt.500") against untyped view or function rows
+const isNumeric = value => typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value));
+
+function compare(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'number' && isNumeric(b)) return a - Number(b);
+    if (isNumeric(a) && typeof b === 'number') return Number(a) - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    const x = String(a);
+    const y = String(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// LIKE pattern as a RegExp: % (or PostgREST's *) and _ are wildcards, a backslash escapes
+function likePattern(pattern, flags) {
+    const source = String(pattern).replace(/\\(.)|([%*])|(_)|[.+?^${}()|[\]\\]/g, (match, escaped, any, one) => {
+        if (escaped !== undefined) return escaped.replace(/[.+?^${}()|[\]\\*]/g, '\\$&');
+        if (any) return '.*';
+        if (one) return '.';
+        return `\\${match}`;
+    });
+    return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * to_tsquery for prefix searches: "patr:* & maho:*", "a | b", "!c"
+ */
+function compileTsQuery(query) {
+    const alternatives = String(query).split('|').map(alt => alt.split('&').map(term => {
+        let t = term.trim().toLowerCase();
+        const negate = t.startsWith('!');
+        if (negate) t = t.slice(1).trim();
+        const prefix = t.endsWith(':*');
+        const word = t.replace(/:\*$/, '').replace(/^'|'$/g, '');
+        return { word, prefix, negate };
+    }).filter(t => t.word));
+
+    return lexemes => alternatives.some(terms => terms.length > 0 && terms.every(({ word, prefix, negate }) => {
+        const found = lexemes.some(l => (prefix ? l.startsWith(word) : l === word));
+        return negate ? !found : found;
+    }));
+}
+
+/**
+ * Split a PostgREST list on top-level commas - only double quotes and
+ * parentheses group, so "name.ilike.%o'brien%" stays one condition. A
+ * backslash inside quotes escapes the next character
+ */
+function splitList(text) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let escaped = false;
+    let current = '';
+
+    for (const ch of String(text)) {
+        if (escaped) escaped = false;
+        else if (quoted && ch === '\\') escaped = true;
+        else if (ch === '"') quoted = !quoted;
+        else if (!quoted && ch === '(') depth++;
+        else if (!quoted && ch === ')') depth--;
+        else if (!quoted && depth === 0 && ch === ',') {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+// ============ DATABASE ============
+
+/**
+ * Open a local database
+ *
+ * @param {object} options - { file, schema } - JSON file to keep data in, or ':memory:'
+ *                           (default LOCAL_DB_FILE or .local-db.json); schema from loadSchema()
+ * @returns {object} - Supabase-compatible client: from(table), plus reset() and flush()
+ */
+function createLocalDatabase(options = {}) {
+    const schema = options.schema || loadSchema();
+    const file = options.file || process.env.LOCAL_DB_FILE || DEFAULT_FILE;
+    const persistent = file !== ':memory:';
+
+    let tables = {};
+    let loadedMtime = null;
+    let dirty = false;
+    let saveTimer = null;
+    let undoLog = null;
+
+    // ---------- storage ----------
+
+    function emptyTables() {
+        tables = {};
+        for (const name of Object.keys(schema.tables)) tables[name] = { rows: [], sequence: 0 };
+    }
+
+    function seed() {
+        for (const [name, rows] of Object.entries(schema.seeds || {})) {
+            if (tables[name] && tables[name].rows.length === 0) {
+                for (const row of rows()) insertRow(name, row);
+            }
+        }
+    }
+
+    function defaultValue(column) {
+        if (!column.default) return null;
+        if (column.default.fn === 'now') return new Date().toISOString();
+        if (column.default.fn === 'uuid') return crypto.randomUUID();
+        return clone(column.default.value);
+    }
+
+    // Rows saved under an older schema get new columns' defaults, like ADD COLUMN
+    function upgradeRows() {
+        for (const [name, def] of Object.entries(schema.tables)) {
+            const table = tables[name] || (tables[name] = { rows: [], sequence: 0 });
+            for (const row of table.rows) {
+                for (const column of Object.values(def.columns)) {
+                    if (!(column.name in row) && !column.generated) row[column.name] = defaultValue(column);
+                }
+                for (const key of Object.keys(row)) {
+                    if (!def.columns[key]) delete row[key];
+                }
+            }
+        }
+    }
+
+    function load() {
+        emptyTables();
+        if (persistent && fs.existsSync(file)) {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [name, table] of Object.entries(saved.tables || {})) {
+                if (schema.tables[name]) tables[name] = { rows: table.rows || [], sequence: table.sequence || 0 };
+            }
+            loadedMtime = fs.statSync(file).mtimeMs;
+            upgradeRows();
+        } else {
+            seed();
+            if (persistent) save();
+        }
+    }
+
+    function save() {
+        if (!persistent) return;
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ migrations: schema.migrations, tables }));
+        fs.renameSync(tmp, file);
+        loadedMtime = fs.statSync(file).mtimeMs;
+        dirty = false;
+    }
+
+    function scheduleSave() {
+        if (!persistent) return;
+        dirty = true;
+        if (!saveTimer) {
+            saveTimer = setTimeout(save, 50);
+            saveTimer.unref();
+        }
+    }
+
+    // Another process (an import script, the server) wrote the file since we read it
+    function refresh() {
+        if (!persistent || dirty || !fs.existsSync(file)) return;
+        if (fs.statSync(file).mtimeMs !== loadedMtime) load();
+    }
+
+    if (persistent) {
+        process.on('exit', () => {
+            if (dirty) save();
+        });
+    }
+
+    // ---------- rows ----------
+
+    function tableDef(name) {
+        const def = schema.tables[name];
+        if (!def) {
+            throw new DbError('42P01', `relation "public.${name}" does not exist`, null, 404);
+        }
+        return def;
+    }
+
+    function rows(name) {
+        if (schema.views[name]) return schema.views[name](api);
+        tableDef(name);
+        return tables[name].rows;
+    }
+
+    function columnValue(name, row, column) {
+        const generated = schema.generated[name] && schema.generated[name][column];
+        return generated ? generated(row) : row[column];
+    }
+
+    function violation(code, message, details) {
+        return new DbError(code, message, details, code === '23505' ? 409 : 400);
+    }
+
+    // NOT NULL, CHECK, foreign keys and unique constraints for one row
+    function validate(name, row, self) {
+        const def = tableDef(name);
+
+        for (const column of Object.values(def.columns)) {
+            if (column.notNull && !column.generated && isNull(row[column.name])) {
+                throw violation('23502', `null value in column "${column.name}" of relation "${name}" violates not-null constraint`);
+            }
+        }
+
+        for (const check of def.checks) {
+            if (!check.test(row)) {
+                throw violation('23514', `new row for relation "${name}" violates check constraint "${check.name}"`);
+            }
+        }
+
+        for (const fk of def.foreignKeys) {
+            const value = row[fk.column];
+            if (isNull(value)) continue;
+            if (!tables[fk.table].rows.some(r => r[fk.references] === value)) {
+                throw violation('23503', `insert or update on table "${name}" violates foreign key constraint "${fk.name}"`,
+                    `Key (${fk.column})=(${value}) is not present in table "${fk.table}".`);
+            }
+        }
+
+        const uniques = [{ name: `${name}_pkey`, columns: def.primaryKey }, ...def.uniques];
+        for (const unique of uniques) {
+            if (unique.where && !unique.where(row)) continue;
+            const key = r => unique.columns.map(c => (unique.lower && typeof r[c] === 'string' ? r[c].toLowerCase() : r[c]));
+            const mine = key(row);
+            if (mine.some(isNull)) continue;
+
+            const clash = tables[name].rows.some(other => other !== self &&
+                (!unique.where || unique.where(other)) &&
+                key(other).every((v, i) => v === mine[i]));
+            if (clash) {
+                throw violation('23505', `duplicate key value violates unique constraint "${unique.name}"`,
+                    `Key (${unique.columns.join(', ')})=(${mine.join(', ')}) already exists.`);
+            }
+        }
+    }
+
+    function checkWritable(name, values) {
+        const def = tableDef(name);
+        for (const key of Object.keys(values)) {
+            const column = def.columns[key];
+            if (!column) {
+                throw new DbError('PGRST204', `Could not find the '${key}' column of '${name}' in the schema cache`);
+            }
+            if (column.generated && !isNull(values[key])) {
+                throw new DbError('428C9', `cannot insert a non-DEFAULT value into column "${key}"`);
+            }
+        }
+    }
+
+    function runTriggers(name, row, old) {
+        for (const trigger of schema.triggers[name] || []) trigger(row, old, api);
+    }
+
+    /**
+     * Insert one row with defaults, triggers and constraints
+     *
+     * @returns {object} - The stored row
+     */
+    function insertRow(name, values) {
+        const def = tableDef(name);
+        const table = tables[name];
+        checkWritable(name, values);
+
+        const row = {};
+        for (const column of Object.values(def.columns)) {
+            if (column.generated) continue;
+            if (values[column.name] !== undefined) {
+                row[column.name] = coerce(column, values[column.name]);
+            } else if (column.serial) {
+                row[column.name] = table.sequence + 1;
+            } else {
+                row[column.name] = defaultValue(column);
+            }
+        }
+
+        runTriggers(name, row, null);
+        validate(name, row, null);
+
+        for (const column of Object.values(def.columns)) {
+            if (column.serial && typeof row[column.name] === 'number') {
+                table.sequence = Math.max(table.sequence, row[column.name]);
+            }
+        }
+
+        table.rows.push(row);
+        if (undoLog) undoLog.push(() => table.rows.splice(table.rows.indexOf(row), 1));
+        return row;
+    }
+
+    function updateRow(name, row, values) {
+        const def = tableDef(name);
+        checkWritable(name, values);
+
+        const old = { ...row };
+        const next = { ...row };
+        for (const [key, value] of Object.entries(values)) {
+            if (value !== undefined) next[key] = coerce(def.columns[key], value);
+        }
+
+        runTriggers(name, next, old);
+        validate(name, next, row);
+
+        Object.assign(row, next);
+        if (undoLog) undoLog.push(() => Object.assign(row, old));
+        return row;
+    }
+
+    function deleteRow(name, row) {
+        const table = tables[name];
+        const pk = tableDef(name).primaryKey;
+
+        // ON DELETE actions on every table that references this one
+        for (const [otherName, other] of Object.entries(schema.tables)) {
+            for (const fk of other.foreignKeys.filter(f => f.table === name)) {
+                const dependents = tables[otherName].rows.filter(r => !isNull(r[fk.column]) && r[fk.column] === row[fk.references]);
+                if (dependents.length === 0) continue;
+
+                if (fk.onDelete === 'CASCADE') {
+                    dependents.forEach(d => deleteRow(otherName, d));
+                } else if (fk.onDelete === 'SET NULL') {
+                    dependents.forEach(d => {
+                        const old = d[fk.column];
+                        d[fk.column] = null;
+                        if (undoLog) undoLog.push(() => { d[fk.column] = old; });
+                    });
+                } else {
+                    throw violation('23503', `update or delete on table "${name}" violates foreign key constraint "${fk.name}" on table "${otherName}"`,
+                        `Key (${pk.join(', ')})=(${pk.map(c => row[c]).join(', ')}) is still referenced from table "${otherName}".`);
+                }
+            }
+        }
+
+        const index = table.rows.indexOf(row);
+        if (index === -1) return;
+        table.rows.splice(index, 1);
+        if (undoLog) undoLog.push(() => table.rows.splice(index, 0, row));
+    }
+
+    /**
+     * Run a statement atomically - a failure undoes everything it wrote
+     */
+    function transaction(fn) {
+        const outer = undoLog;
+        undoLog = [];
+        try {
+            const result = fn();
+            if (outer) outer.push(...undoLog);
+            else if (undoLog.length > 0) scheduleSave();
+            return result;
+        } catch (error) {
+            undoLog.reverse().forEach(undo => undo());
+            throw error;
+        } finally {
+            undoLog = outer;
+        }
+    }
+
+    // ---------- select lists ----------
+
+    /**
+     * "id, name, alias:col, auth_users(*)" -> [{ column, alias } | { embed, alias, fields }]
+     */
+    function parseSelect(columns) {
+        return splitList(String(columns || '*').replace(/\s+/g, ' ')).map(item => {
+            const embed = item.match(/^(?:(\w+):)?(\w+)(?:!\w+)?\s*\((.*)\)$/);
+            if (embed) return { embed: embed[2], alias: embed[1] || embed[2], fields: parseSelect(embed[3]) };
+
+            const plain = item.trim().match(/^(?:(\w+):)?(\*|\w+)(?:::\w+)?$/);
+            if (!plain) throw new DbError('PGRST100', `failed to parse select parameter (${item})`);
+            return { column: plain[2], alias: plain[1] || plain[2] };
+        });
+    }
+
+    function columnNames(name, sample) {
+        if (schema.tables[name]) return Object.keys(schema.tables[name].columns);
+        return sample ? Object.keys(sample) : [];
+    }
+
+    function checkColumn(name, column) {
+        const def = schema.tables[name];
+        if (def && !def.columns[column]) {
+            throw new DbError('42703', `column ${name}.${column} does not exist`);
+        }
+    }
+
+    function relationship(name, embed) {
+        const def = schema.tables[name];
+        const other = schema.tables[embed];
+        const toOne = def && def.foreignKeys.find(fk => fk.table === embed);
+        if (toOne) return { many: false, from: toOne.column, to: toOne.references };
+        const toMany = other && other.foreignKeys.find(fk => fk.table === name);
+        if (toMany) return { many: true, from: toMany.references, to: toMany.column };
+        throw new DbError('PGRST200', `Could not find a relationship between '${name}' and '${embed}' in the schema cache`);
+    }
+
+    function formatValue(name, column, value) {
+        const def = schema.tables[name] && schema.tables[name].columns[column];
+        if (def && def.kind === 'tsvector') return value.map(l => `'${l}'`).join(' ');
+        return clone(value);
+    }
+
+    // Unknown columns and relationships fail even when no rows match
+    function checkFields(name, fields) {
+        for (const field of fields) {
+            if (field.embed) {
+                relationship(name, field.embed);
+                checkFields(field.embed, field.fields);
+            } else if (field.column !== '*') {
+                checkColumn(name, field.column);
+            }
+        }
+    }
+
+    function project(name, row, fields) {
+        const out = {};
+        for (const field of fields) {
+            if (field.embed) {
+                const rel = relationship(name, field.embed);
+                const related = rows(field.embed).filter(r => !isNull(row[rel.from]) && r[rel.to] === row[rel.from]);
+                out[field.alias] = rel.many
+                    ? related.map(r => project(field.embed, r, field.fields))
+                    : (related[0] ? project(field.embed, related[0], field.fields) : null);
+            } else if (field.column === '*') {
+                for (const column of columnNames(name, row)) out[column] = formatValue(name, column, columnValue(name, row, column));
+            } else {
+                checkColumn(name, field.column);
+                out[field.alias] = formatValue(name, field.column, columnValue(name, row, field.column));
+            }
+        }
+        return out;
+    }
+
+    // ---------- filters ----------
+
+    function filterValue(name, column, value) {
+        const def = schema.tables[name] && schema.tables[name].columns[column];
+        if (!def || isNull(value) || def.kind === 'tsvector') return value;
+        try {
+            return coerce(def.kind === 'json' || def.kind === 'array' ? { ...def, kind: 'text' } : def, value);
+        } catch (error) {
+            if (def.kind === 'uuid') return String(value);
+            throw error;
+        }
+    }
+
+    /**
+     * Row predicate for one operator
+     */
+    function predicate(name, column, op, value) {
+        checkColumn(name, column);
+        const get = row => columnValue(name, row, column);
+        const v = Array.isArray(value) ? value.map(x => filterValue(name, column, x)) : filterValue(name, column, value);
+
+        switch (op) {
+            case 'eq': return row => !isNull(get(row)) && compare(get(row), v) === 0;
+            case 'neq': return row => !isNull(get(row)) && compare(get(row), v) !== 0;
+            case 'gt': return row => !isNull(get(row)) && compare(get(row), v) > 0;
+            case 'gte': return row => !isNull(get(row)) && compare(get(row), v) >= 0;
+            case 'lt': return row => !isNull(get(row)) && compare(get(row), v) < 0;
+            case 'lte': return row => !isNull(get(row)) && compare(get(row), v) <= 0;
+            case 'like': { const re = likePattern(value, ''); return row => !isNull(get(row)) && re.test(String(get(row))); }
+            case 'ilike': { const re = likePattern(value, 'i'); return row => !isNull(get(row)) && re.test(String(get(row))); }
+            case 'in': return row => !isNull(get(row)) && v.some(x => compare(get(row), x) === 0);
+            case 'is':
+                if (value === null || value === 'null') return row => isNull(get(row));
+                return row => get(row) === (value === true || value === 'true');
+            case 'ov': case 'overlaps': return row => {
+                const actual = get(row);
+                return Array.isArray(actual) && [].concat(value).some(x => actual.includes(x));
+            };
+            case 'cs': case 'contains': return row => {
+                const actual = get(row);
+                if (isNull(actual)) return false;
+                if (Array.isArray(actual)) return [].concat(value).every(x => actual.includes(x));
+                return Object.entries(value).every(([k, x]) => JSON.stringify(actual[k]) === JSON.stringify(x));
+            };
+            case 'fts': case 'plfts': case 'wfts': {
+                const test = compileTsQuery(value);
+                return row => test(get(row) || []);
+            }
+            default:
+                throw new DbError('PGRST100', `unknown operator "${op}"`);
+        }
+    }
+
+    /**
+     * PostgREST filter string: "name.ilike.%x%", "player.in.("A","B")", "team.not.is.null",
+     * "and(price.eq.5,key.gt.x)"
+     */
+    function parseCondition(name, text) {
+        const group = text.match(/^(and|or)\((.*)\)$/s);
+        if (group) {
+            const tests = splitList(group[2]).map(c => parseCondition(name, c));
+            return group[1] === 'and' ? row => tests.every(t => t(row)) : row => tests.some(t => t(row));
+        }
+
+        const m = text.match(/^(\w+)\.(not\.)?(\w+)\.(.*)$/s);
+        if (!m) throw new DbError('PGRST100', `failed to parse filter (${text})`);
+        const [, column, not, op, raw] = m;
+        const test = predicate(name, column, op, parseRawValue(op, raw));
+        if (!not) return test;
+        const notNull = op === 'is' ? () => true : row => !isNull(columnValue(name, row, column));
+        return row => notNull(row) && !test(row);
+    }
+
+    function parseRawValue(op, raw) {
+        if (op === 'in' || op === 'cs' || op === 'ov') {
+            const inner = raw.replace(/^[({]|[)}]$/g, '');
+            return splitList(inner).map(unquote);
+        }
+        if (op === 'is') return raw === 'null' ? null : raw;
+        return unquote(raw);
+    }
+
+    // "Smith, Jr." -> Smith, Jr. (PostgREST quotes values holding , . ( ) or ")
+    function unquote(value) {
+        const m = value.match(/^"(.*)"$/s);
+        return m ? m[1].replace(/\\(.)/gs, '$1') : value;
+    }
+
+    // ---------- statements ----------
+
+    /**
+     * @param {string} name - Table or view
+     * @param {Function} source - Optional: the rows to select from instead (rpc)
+     */
+    function query(name, source = null) {
+        const state = {
+            action: 'select',
+            columns: '*',
+            count: null,
+            head: false,
+            filters: [],
+            orders: [],
+            offset: 0,
+            limit: null,
+            single: null,
+            returning: false,
+            values: null,
+            options: {}
+        };
+
+        const builder = {
+            select(columns = '*', options = {}) {
+                if (state.action === 'select') {
+                    state.columns = columns;
+                    state.count = options.count || null;
+                    state.head = !!options.head;
+                } else {
+                    state.returning = true;
+                    state.columns = columns;
+                }
+                return builder;
+            },
+            insert(values, options = {}) {
+                state.action = 'insert';
+                state.values = values;
+                state.options = options;
+                return builder;
+            },
+            upsert(values, options = {}) {
+                state.action = 'upsert';
+                state.values = values;
+                state.options = options;
+                return builder;
+            },
+            update(values, options = {}) {
+                state.action = 'update';
+                state.values = values;
+                state.options = options;
+                return builder;
+            },
+            delete(options = {}) {
+                state.action = 'delete';
+                state.options = options;
+                return builder;
+            },
+
+            eq: (column, value) => addFilter(column, 'eq', value),
+            neq: (column, value) => addFilter(column, 'neq', value),
+            gt: (column, value) => addFilter(column, 'gt', value),
+            gte: (column, value) => addFilter(column, 'gte', value),
+            lt: (column, value) => addFilter(column, 'lt', value),
+            lte: (column, value) => addFilter(column, 'lte', value),
+            like: (column, value) => addFilter(column, 'like', value),
+            ilike: (column, value) => addFilter(column, 'ilike', value),
+            in: (column, values) => addFilter(column, 'in', values),
+            is: (column, value) => addFilter(column, 'is', value),
+            contains: (column, value) => addFilter(column, 'cs', value),
+            overlaps: (column, value) => addFilter(column, 'ov', value),
+            textSearch: (column, value) => addFilter(column, 'fts', value),
+            match(values) {
+                Object.entries(values).forEach(([column, value]) => addFilter(column, 'eq', value));
+                return builder;
+            },
+            not(column, op, value) {
+                state.filters.push(() => {
+                    const test = predicate(name, column, op, typeof value === 'string' ? parseRawValue(op, value) : value);
+                    return op === 'is' ? row => !test(row) : row => !isNull(columnValue(name, row, column)) && !test(row);
+                });
+                return builder;
+            },
+            filter(column, op, value) {
+                state.filters.push(() => parseCondition(name, `${column}.${op}.${value}`));
+                return builder;
+            },
+            or(conditions) {
+                state.filters.push(() => {
+                    const tests = splitList(conditions).map(c => parseCondition(name, c));
+                    return row => tests.some(t => t(row));
+                });
+                return builder;
+            },
+
+            order(column, options = {}) {
+                state.orders.push({ column, ascending: options.ascending !== false, nullsFirst: options.nullsFirst });
+                return builder;
+            },
+            range(from, to) {
+                state.offset = from;
+                state.limit = to - from + 1;
+                return builder;
+            },
+            limit(count) {
+                state.limit = count;
+                return builder;
+            },
+            single() {
+                state.single = 'one';
+                return builder;
+            },
+            maybeSingle() {
+                state.single = 'maybe';
+                return builder;
+            },
+
+            then(resolve, reject) {
+                return Promise.resolve().then(execute).then(resolve, reject);
+            },
+            catch(reject) {
+                return builder.then(undefined, reject);
+            }
+        };
+
+        function addFilter(column, op, value) {
+            state.filters.push(() => predicate(name, column, op, value));
+            return builder;
+        }
+
+        function matching() {
+            const tests = state.filters.map(build => build());
+            return (source ? source() : rows(name)).filter(row => tests.every(test => test(row)));
+        }
+
+        function sorted(list) {
+            if (state.orders.length === 0) return list;
+            state.orders.forEach(o => checkColumn(name, o.column));
+            return [...list].sort((a, b) => {
+                for (const { column, ascending, nullsFirst } of state.orders) {
+                    const x = a[column];
+                    const y = b[column];
+                    if (isNull(x) && isNull(y)) continue;
+                    // Postgres default: NULLS LAST ascending, NULLS FIRST descending
+                    const nullsAtStart = nullsFirst === undefined ? !ascending : nullsFirst;
+                    if (isNull(x)) return nullsAtStart ? -1 : 1;
+                    if (isNull(y)) return nullsAtStart ? 1 : -1;
+                    const c = compare(x, y);
+                    if (c !== 0) return ascending ? c : -c;
+                }
+                return 0;
+            });
+        }
+
+        function runSelect() {
+            const fields = parseSelect(state.columns);
+            checkFields(name, fields);
+            const all = sorted(matching());
+            const limit = Math.min(state.limit === null ? MAX_ROWS : state.limit, MAX_ROWS);
+            const page = all.slice(state.offset, state.offset + limit);
+            return {
+                data: state.head ? null : page.map(row => project(name, row, fields)),
+                count: state.count ? all.length : null
+            };
+        }
+
+        function runWrite() {
+            if (schema.views[name]) {
+                throw new DbError('55000', `cannot change view "${name}"`);
+            }
+            const list = Array.isArray(state.values) ? state.values : (state.values ? [state.values] : []);
+
+            return transaction(() => {
+                if (state.action === 'insert') return list.map(values => insertRow(name, values));
+
+                if (state.action === 'upsert') {
+                    const def = tableDef(name);
+                    const conflict = state.options.onConflict
+                        ? state.options.onConflict.split(',').map(c => c.trim())
+                        : def.primaryKey;
+                    const written = [];
+                    for (const values of list) {
+                        const key = conflict.map(c => filterValue(name, c, values[c]));
+                        const existing = key.some(isNull)
+                            ? null
+                            : tables[name].rows.find(r => conflict.every((c, i) => r[c] === key[i]));
+                        if (existing && state.options.ignoreDuplicates) continue;
+                        written.push(existing ? updateRow(name, existing, values) : insertRow(name, values));
+                    }
+                    return written;
+                }
+
+                const targets = matching();
+                if (state.action === 'update') return targets.map(row => updateRow(name, row, state.values || {}));
+
+                targets.forEach(row => deleteRow(name, row));
+                return targets;
+            });
+        }
+
+        function execute() {
+            try {
+                refresh();
+                let data;
+                let count = null;
+
+                if (state.action === 'select') {
+                    ({ data, count } = runSelect());
+                } else {
+                    const written = runWrite();
+                    data = state.returning ? written.map(row => project(name, row, parseSelect(state.columns))) : null;
+                }
+
+                if (state.single) {
+                    const n = data ? data.length : 0;
+                    if (n === 1) {
+                        data = data[0];
+                    } else if (n === 0 && state.single === 'maybe') {
+                        data = null;
+                    } else {
+                        throw new DbError('PGRST116', 'JSON object requested, multiple (or no) rows returned',
+                            `The result contains ${n} rows`, 406);
+                    }
+                }
+
+                const status = state.action === 'insert' ? 201 : (state.action === 'select' || state.returning ? 200 : 204);
+                return { data, error: null, count, status, statusText: 'OK' };
+            } catch (error) {
+                if (!(error instanceof DbError)) throw error;
+                return { data: null, error: error.toJSON(), count: null, status: error.status, statusText: error.code };
+            }
+        }
+
+        return builder;
+    }
+
+    const api = {
+        backend: 'local',
+        file: persistent ? file : null,
+        schema,
+
+        from: name => query(name),
+
+        // A migration's table-returning function, filtered, ordered and limited like a table
+        rpc(fn, args = {}, options = {}) {
+            const source = () => {
+                if (!schema.functions[fn]) {
+                    throw new DbError('PGRST202', `Could not find the function public.${fn} in the schema cache`);
+                }
+                return schema.functions[fn](api, args);
+            };
+            return query(fn, source).select('*', options);
+        },
+
+        // Used by the schema's triggers, views and functions
+        rows,
+        insertRow,
+        matchesTsQuery: (lexemes, tsquery) => compileTsQuery(tsquery)(lexemes),
+
+        /**
+         * Drop all data and re-seed
+         */
+        reset() {
+            emptyTables();
+            seed();
+            if (persistent) save();
+        },
+
+        /**
+         * Write pending changes now instead of on the next tick
+         */
+        flush() {
+            if (dirty) save();
+        }
+    };
+
+    load();
+    return api;
+}
+
+module.exports = {
+    MAX_ROWS,
+    DEFAULT_FILE,
+    DbError,
+    createLocalDatabase
+};
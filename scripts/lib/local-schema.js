@@ -0,0 +1,746 @@
+/**
+ * Local Database Schema
+ *
+ * Reads supabase/migrations/*.sql in order and builds the table definitions
+ * the local database (local-db.js) enforces: columns and their types,
+ * defaults, NOT NULL, primary keys, unique constraints and indexes (including
+ * LOWER() and partial ones), foreign keys with their ON DELETE actions, and
+ * simple CHECK constraints.
+ *
+ * Views, functions, triggers and generated columns are plpgsql/SQL the parser
+ * doesn't run - they are mirrored in JS at the bottom of this file. Keep them
+ * in sync when a migration changes one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeTeamKey, teamRows } = require('./teams');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'supabase', 'migrations');
+
+// ============ SQL TOKENIZING ============
+
+/**
+ * Split SQL into statements on top-level semicolons, skipping comments and
+ * the bodies of $$-quoted functions
+ */
+function splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const rest = sql.slice(i);
+
+        if (rest.startsWith('--')) {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+        if (rest.startsWith('$$')) {
+            const end = sql.indexOf('$$', i + 2);
+            const stop = end === -1 ? sql.length : end + 2;
+            current += sql.slice(i, stop);
+            i = stop;
+            continue;
+        }
+        if (sql[i] === '\'') {
+            let j = i + 1;
+            while (j < sql.length && !(sql[j] === '\'' && sql[j + 1] !== '\'')) j += sql[j] === '\'' ? 2 : 1;
+            current += sql.slice(i, j + 1);
+            i = j + 1;
+            continue;
+        }
+        if (sql[i] === ';') {
+            if (current.trim()) statements.push(current.trim());
+            current = '';
+            i++;
+            continue;
+        }
+        current += sql[i];
+        i++;
+    }
+
+    if (current.trim()) statements.push(current.trim());
+    return statements.map(s => s.replace(/\s+/g, ' '));
+}
+
+/**
+ * Split on a separator outside parentheses and quotes
+ */
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '\'' || ch === '"') {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth--;
+        } else if (ch === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Text inside the parentheses that open at `start`
+ *
+ * @returns {object} - { inner, end } - end is the index after the closing paren
+ */
+function readParens(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')') {
+            depth--;
+            if (depth === 0) return { inner: text.slice(start + 1, i), end: i + 1 };
+        }
+    }
+    throw new Error(`Unbalanced parentheses in: ${text}`);
+}
+
+function unquote(value) {
+    return value.replace(/^"|"$/g, '');
+}
+
+// ============ EXPRESSIONS (CHECK, partial index WHERE) ============
+
+/**
+ * Compile the small SQL expressions our constraints use into a row predicate:
+ * OR / AND, parentheses, col IN (...), col IS [NOT] NULL, col = / <> literal,
+ * col > / >= / < / <= number
+ *
+ * @returns {Function|null} - row => boolean, or null if the expression isn't supported
+ */
+function compileExpression(sql) {
+    const text = sql.trim();
+
+    const orParts = splitKeyword(text, 'OR');
+    if (orParts.length > 1) {
+        const parts = orParts.map(compileExpression);
+        return parts.every(Boolean) ? row => parts.some(p => p(row)) : null;
+    }
+
+    const andParts = splitKeyword(text, 'AND');
+    if (andParts.length > 1) {
+        const parts = andParts.map(compileExpression);
+        return parts.every(Boolean) ? row => parts.every(p => p(row)) : null;
+    }
+
+    if (text.startsWith('(') && readParens(text, 0).end === text.length) {
+        return compileExpression(readParens(text, 0).inner);
+    }
+
+    let match = text.match(/^(\w+) IN \((.*)\)$/i);
+    if (match) {
+        const column = match[1];
+        const values = splitTopLevel(match[2]).map(parseLiteral);
+        return row => row[column] === null || row[column] === undefined || values.includes(row[column]);
+    }
+
+    match = text.match(/^(\w+) IS (NOT )?NULL$/i);
+    if (match) {
+        const [, column, not] = match;
+        return row => (row[column] === null || row[column] === undefined) === !not;
+    }
+
+    match = text.match(/^(\w+) (>=|<=|>|<) (-?\d+(?:\.\d+)?)$/);
+    if (match) {
+        const [, column, op, literal] = match;
+        const limit = Number(literal);
+        const compare = { '>': (x, y) => x > y, '>=': (x, y) => x >= y, '<': (x, y) => x < y, '<=': (x, y) => x <= y }[op];
+        // A NULL passes a CHECK, as in Postgres
+        return row => row[column] === null || row[column] === undefined || compare(Number(row[column]), limit);
+    }
+
+    match = text.match(/^(\w+) (=|<>|!=) (.+)$/);
+    if (match) {
+        const [, column, op, literal] = match;
+        const value = parseLiteral(literal);
+        return op === '=' ? row => row[column] === value : row => row[column] !== value;
+    }
+
+    return null;
+}
+
+// Split on a keyword surrounded by spaces, outside parentheses
+function splitKeyword(text, keyword) {
+    const marker = '\u0000';
+    let depth = 0;
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (depth === 0 && text.slice(i, i + keyword.length + 2).toUpperCase() === ` ${keyword} `) {
+            out += marker;
+            i += keyword.length + 1;
+            continue;
+        }
+        out += ch;
+    }
+    return out.split(marker).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * SQL literal -> JS value ('text', 'x'::jsonb, 42, true, NULL)
+ */
+function parseLiteral(text) {
+    const value = text.trim().replace(/::[\w\[\]]+$/, '');
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, '\'');
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (/^true$/i.test(value)) return true;
+    if (/^false$/i.test(value)) return false;
+    if (/^null$/i.test(value)) return null;
+    return value;
+}
+
+// ============ COLUMNS ============
+
+/**
+ * Column type -> the kind local-db.js coerces values to
+ */
+function columnKind(type) {
+    const t = type.toUpperCase();
+    if (t.endsWith('[]')) return 'array';
+    if (/^(SERIAL|INTEGER|INT|BIGINT|SMALLINT|BIGSERIAL)\b/.test(t)) return 'integer';
+    if (/^(DECIMAL|NUMERIC|REAL|DOUBLE|FLOAT)\b/.test(t)) return 'number';
+    if (/^BOOLEAN\b/.test(t)) return 'boolean';
+    if (/^TIMESTAMP\b|^DATE\b/.test(t)) return 'timestamp';
+    if (/^JSONB?\b/.test(t)) return 'json';
+    if (/^UUID\b/.test(t)) return 'uuid';
+    if (/^TSVECTOR\b/.test(t)) return 'tsvector';
+    return 'text';
+}
+
+// DEFAULT expression -> { value } or { fn: 'now' | 'uuid' }
+function parseDefault(expr) {
+    if (/^now\(\)$/i.test(expr)) return { fn: 'now' };
+    if (/^gen_random_uuid\(\)$/i.test(expr)) return { fn: 'uuid' };
+
+    const value = parseLiteral(expr);
+    if (/::jsonb?$/i.test(expr) && typeof value === 'string') return { value: JSON.parse(value) };
+    return { value };
+}
+
+const COLUMN_KEYWORDS = /\s+(?=NOT NULL|NULL\b|UNIQUE|PRIMARY KEY|REFERENCES|DEFAULT|CHECK|GENERATED)/i;
+
+/**
+ * Parse one column definition ("email VARCHAR(255) UNIQUE NOT NULL")
+ *
+ * @returns {object} - { column, unique, check, references }
+ */
+function parseColumn(table, definition) {
+    const nameMatch = definition.match(/^("?\w+"?)\s+(.*)$/);
+    const name = unquote(nameMatch[1]);
+    let rest = nameMatch[2];
+
+    // Type runs until the first constraint keyword
+    const typeEnd = rest.search(COLUMN_KEYWORDS);
+    const type = (typeEnd === -1 ? rest : rest.slice(0, typeEnd)).trim();
+    rest = typeEnd === -1 ? '' : rest.slice(typeEnd).trim();
+
+    const column = {
+        name,
+        type,
+        kind: columnKind(type),
+        notNull: false,
+        primaryKey: false,
+        serial: /^(BIG)?SERIAL\b/i.test(type),
+        default: null,
+        generated: false
+    };
+    const lengthMatch = type.match(/^(?:VARCHAR|CHARACTER VARYING)\((\d+)\)$/i);
+    if (lengthMatch) column.maxLength = Number(lengthMatch[1]);
+    const scaleMatch = type.match(/^(?:DECIMAL|NUMERIC)\(\s*\d+\s*,\s*(\d+)\s*\)$/i);
+    if (scaleMatch) column.scale = Number(scaleMatch[1]);
+
+    const result = { column, unique: false, check: null, references: null };
+
+    while (rest) {
+        let m;
+        if ((m = rest.match(/^NOT NULL\b/i))) {
+            column.notNull = true;
+        } else if ((m = rest.match(/^NULL\b/i))) {
+            // explicit NULL - nothing to do
+        } else if ((m = rest.match(/^PRIMARY KEY\b/i))) {
+            column.primaryKey = true;
+            column.notNull = true;
+        } else if ((m = rest.match(/^UNIQUE\b/i))) {
+            result.unique = true;
+        } else if ((m = rest.match(/^REFERENCES (\w+)\s*\((\w+)\)(?: ON DELETE (CASCADE|SET NULL|RESTRICT|NO ACTION))?/i))) {
+            result.references = { table: m[1], column: m[2], onDelete: (m[3] || 'NO ACTION').toUpperCase() };
+        } else if ((m = rest.match(/^DEFAULT /i))) {
+            const after = rest.slice(m[0].length);
+            const end = after.search(COLUMN_KEYWORDS);
+            const expr = (end === -1 ? after : after.slice(0, end)).trim();
+            column.default = parseDefault(expr);
+            if (column.kind === 'json' && typeof column.default.value === 'string') {
+                column.default = { value: JSON.parse(column.default.value) };
+            } else if (column.kind === 'array' && column.default.value === '{}') {
+                column.default = { value: [] };
+            }
+            m = [m[0] + (end === -1 ? after : after.slice(0, end))];
+        } else if ((m = rest.match(/^CHECK\s*(?=\()/i))) {
+            const { inner, end } = readParens(rest, m[0].length);
+            result.check = inner;
+            m = [rest.slice(0, end)];
+        } else if ((m = rest.match(/^GENERATED ALWAYS AS\s*(?=\()/i))) {
+            const { end } = readParens(rest, m[0].length);
+            column.generated = true;
+            const stored = rest.slice(end).match(/^\s*STORED/i);
+            m = [rest.slice(0, end) + (stored ? stored[0] : '')];
+        } else {
+            // Something we don't model (COLLATE, ...) - stop rather than misparse
+            break;
+        }
+        rest = rest.slice(m[0].length).trim();
+    }
+
+    return result;
+}
+
+// ============ STATEMENTS ============
+
+function createTable(schema, name) {
+    const table = {
+        name,
+        columns: {},
+        primaryKey: null,
+        uniques: [],
+        checks: [],
+        foreignKeys: []
+    };
+    schema.tables[name] = table;
+    return table;
+}
+
+function addColumn(table, definition) {
+    const { column, unique, check, references } = parseColumn(table.name, definition);
+    if (table.columns[column.name]) return;
+
+    table.columns[column.name] = column;
+    if (column.primaryKey) table.primaryKey = [column.name];
+    if (unique) table.uniques.push({ name: `${table.name}_${column.name}_key`, columns: [column.name] });
+    if (check) addCheck(table, `${table.name}_${column.name}_check`, check);
+    if (references) {
+        table.foreignKeys.push({
+            name: `${table.name}_${column.name}_fkey`,
+            column: column.name,
+            table: references.table,
+            references: references.column,
+            onDelete: references.onDelete
+        });
+    }
+}
+
+function addCheck(table, name, expression) {
+    const test = compileExpression(expression);
+    if (!test) return;
+    table.checks = table.checks.filter(c => c.name !== name);
+    table.checks.push({ name, expression, test });
+}
+
+function applyCreateTable(schema, statement) {
+    const m = statement.match(/^CREATE TABLE (?:IF NOT EXISTS )?(?:public\.)?(\w+)\s*\(/i);
+    if (schema.tables[m[1]]) return;
+
+    const table = createTable(schema, m[1]);
+    const { inner } = readParens(statement, statement.indexOf('('));
+
+    for (const item of splitTopLevel(inner)) {
+        let c;
+        if ((c = item.match(/^UNIQUE\s*\((.*)\)$/i))) {
+            const columns = c[1].split(',').map(s => unquote(s.trim()));
+            table.uniques.push({ name: `${table.name}_${columns.join('_')}_key`, columns });
+        } else if ((c = item.match(/^PRIMARY KEY\s*\((.*)\)$/i))) {
+            table.primaryKey = c[1].split(',').map(s => unquote(s.trim()));
+        } else if ((c = item.match(/^(?:CONSTRAINT (\w+) )?CHECK\s*(?=\()/i))) {
+            const { inner: expression } = readParens(item, c[0].length);
+            const taken = table.checks.filter(check => check.name.startsWith(`${table.name}_check`)).length;
+            addCheck(table, c[1] || `${table.name}_check${taken || ''}`, expression);
+        } else {
+            addColumn(table, item);
+        }
+    }
+}
+
+function applyAlterTable(schema, statement) {
+    const m = statement.match(/^ALTER TABLE (?:IF EXISTS )?(?:ONLY )?(?:public\.)?(\w+) (.*)$/i);
+    const table = m && schema.tables[m[1]];
+    if (!table) return;
+    const action = m[2];
+    let a;
+
+    if ((a = action.match(/^ADD COLUMN (?:IF NOT EXISTS )?(.*)$/i))) {
+        addColumn(table, a[1]);
+    } else if ((a = action.match(/^ADD CONSTRAINT (\w+) CHECK\s*(?=\()/i))) {
+        addCheck(table, a[1], readParens(action, a[0].length).inner);
+    } else if ((a = action.match(/^DROP CONSTRAINT (?:IF EXISTS )?(\w+)/i))) {
+        table.checks = table.checks.filter(c => c.name !== a[1]);
+        table.uniques = table.uniques.filter(u => u.name !== a[1]);
+    } else if ((a = action.match(/^ALTER COLUMN (\w+) SET NOT NULL/i))) {
+        if (table.columns[a[1]]) table.columns[a[1]].notNull = true;
+    } else if ((a = action.match(/^ALTER COLUMN (\w+) DROP NOT NULL/i))) {
+        if (table.columns[a[1]]) table.columns[a[1]].notNull = false;
+    } else if ((a = action.match(/^DROP COLUMN (?:IF EXISTS )?(\w+)/i))) {
+        delete table.columns[a[1]];
+    }
+}
+
+// Only unique indexes change behavior
+function applyCreateIndex(schema, statement) {
+    const m = statement.match(/^CREATE UNIQUE INDEX (?:IF NOT EXISTS )?(\w+) ON (?:public\.)?(\w+)\s*(?=\()/i);
+    const table = m && schema.tables[m[2]];
+    if (!table) return;
+
+    const { inner, end } = readParens(statement, m[0].length);
+    const columns = [];
+    let lower = false;
+    for (const part of splitTopLevel(inner)) {
+        const fn = part.match(/^LOWER\((\w+)\)$/i);
+        if (fn) lower = true;
+        columns.push(unquote(fn ? fn[1] : part));
+    }
+
+    const where = statement.slice(end).match(/^\s*WHERE (.*)$/i);
+    const unique = { name: m[1], columns, lower };
+    if (where) {
+        unique.where = compileExpression(where[1]);
+        if (!unique.where) return;
+    }
+    table.uniques = table.uniques.filter(u => u.name !== m[1]);
+    table.uniques.push(unique);
+}
+
+/**
+ * Schema from the migration files
+ *
+ * @param {string} dir - Defaults to supabase/migrations
+ * @returns {object} - { tables: { name: { columns, primaryKey, uniques, checks, foreignKeys } },
+ *                       views, functions, triggers, generated, migrations }
+ */
+function loadSchema(dir = MIGRATIONS_DIR) {
+    const schema = { tables: {}, migrations: [] };
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort();
+
+    for (const file of files) {
+        schema.migrations.push(file);
+        for (const statement of splitStatements(fs.readFileSync(path.join(dir, file), 'utf8'))) {
+            if (/^CREATE TABLE/i.test(statement)) applyCreateTable(schema, statement);
+            else if (/^ALTER TABLE/i.test(statement)) applyAlterTable(schema, statement);
+            else if (/^CREATE UNIQUE INDEX/i.test(statement)) applyCreateIndex(schema, statement);
+        }
+    }
+
+    // Primary key default: id, else the first column
+    for (const table of Object.values(schema.tables)) {
+        if (!table.primaryKey) table.primaryKey = [Object.keys(table.columns)[0]];
+    }
+
+    schema.views = VIEWS;
+    schema.functions = FUNCTIONS;
+    schema.triggers = TRIGGERS;
+    schema.generated = GENERATED;
+    schema.seeds = SEEDS;
+    return schema;
+}
+
+// ============ VIEWS (JS mirrors) ============
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Newest first, as ORDER BY scraped_at DESC, id DESC
+function byNewest(a, b) {
+    if (a.scraped_at !== b.scraped_at) return a.scraped_at < b.scraped_at ? 1 : -1;
+    return b.id - a.id;
+}
+
+// 005: DISTINCT ON (helmet_id, source) ... ORDER BY scraped_at DESC, id DESC
+function latestSourcePrices(db) {
+    const latest = new Map();
+    for (const p of [...db.rows('helmet_prices')].sort(byNewest)) {
+        const key = `${p.helmet_id}|${p.source}`;
+        if (!latest.has(key)) latest.set(key, p);
+    }
+    return [...latest.values()].map(p => ({
+        id: p.id,
+        helmet_id: p.helmet_id,
+        source: p.source,
+        median_price: p.median_price,
+        min_price: p.min_price,
+        max_price: p.max_price,
+        total_results: p.total_results,
+        ebay_url: p.ebay_url,
+        scraped_at: p.scraped_at
+    }));
+}
+
+// 005: one row per active helmet with its newest price and the cross-source median
+function latestPrices(db) {
+    const latest = latestSourcePrices(db);
+    const prices = db.rows('helmet_prices');
+
+    return db.rows('helmets').filter(h => h.is_active).map(h => {
+        const own = prices.filter(p => p.helmet_id === h.id).sort(byNewest);
+        const hp = own[0] || {};
+        const previous = hp.id
+            ? own.find(p => p.source === hp.source && p.scraped_at < hp.scraped_at)
+            : null;
+
+        return {
+            id: h.id,
+            name: h.name,
+            player: h.player,
+            team: h.team,
+            helmet_type: h.helmet_type,
+            design_type: h.design_type,
+            auth_company: h.auth_company,
+            ebay_search_query: h.ebay_search_query,
+            current_price: median(latest.filter(l => l.helmet_id === h.id && l.median_price !== null).map(l => l.median_price)),
+            min_price: hp.min_price ?? null,
+            max_price: hp.max_price ?? null,
+            total_results: hp.total_results ?? null,
+            ebay_url: hp.ebay_url ?? null,
+            source: hp.source ?? null,
+            last_updated: hp.scraped_at ?? null,
+            last_price: previous ? previous.median_price : null
+        };
+    });
+}
+
+// 005: latest price per source side by side
+function priceComparison(db) {
+    const latest = latestSourcePrices(db);
+    const priceFrom = (rows, source) => {
+        const values = rows.filter(r => r.source === source && r.median_price !== null).map(r => r.median_price);
+        return values.length ? Math.max(...values) : null;
+    };
+
+    return db.rows('helmets').filter(h => h.is_active).flatMap(h => {
+        const rows = latest.filter(l => l.helmet_id === h.id);
+        if (rows.length === 0) return [];
+        return [{
+            helmet_id: h.id,
+            name: h.name,
+            player: h.player,
+            team: h.team,
+            ebay_price: priceFrom(rows, 'ebay'),
+            rsa_price: priceFrom(rows, 'rsa'),
+            fanatics_price: priceFrom(rows, 'fanatics'),
+            radtke_price: priceFrom(rows, 'radtke'),
+            denver_price: priceFrom(rows, 'denverautographs'),
+            median_price_all_sources: median(rows.filter(r => r.median_price !== null).map(r => r.median_price)),
+            num_sources: new Set(rows.map(r => r.source)).size,
+            last_updated: rows.map(r => r.scraped_at).sort().pop()
+        }];
+    });
+}
+
+const VIEWS = {
+    helmet_latest_source_prices: latestSourcePrices,
+    helmet_latest_prices: latestPrices,
+    helmet_price_comparison: priceComparison
+};
+
+// ============ FUNCTIONS (JS mirrors, called through rpc) ============
+
+// SQL's LOWER(value) = ANY(list), with a NULL list matching everything
+function inFilter(list, value) {
+    return !list || (value !== null && value !== undefined && list.includes(String(value).toLowerCase()));
+}
+
+// 006: search_helmet_groups - active helmets matching the search, one row per
+// player|team|helmet_type|design_type
+function searchHelmetGroups(db, args = {}) {
+    const { p_query = null, p_teams = null, p_helmet_types = null, p_design_types = null, p_auth_companies = null } = args;
+    const helmets = db.rows('helmets')
+        .filter(h => h.is_active &&
+            (!p_query || db.matchesTsQuery(GENERATED.helmets.search_vector(h), p_query)) &&
+            inFilter(p_teams, h.team) &&
+            inFilter(p_helmet_types, h.helmet_type) &&
+            inFilter(p_design_types, h.design_type) &&
+            inFilter(p_auth_companies, h.auth_company))
+        .sort((a, b) => a.id - b.id);
+
+    const groups = new Map();
+    for (const h of helmets) {
+        const key = [h.player, h.team, h.helmet_type, h.design_type].map(v => String(v || '').trim().toLowerCase()).join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(h);
+    }
+
+    const latest = latestSourcePrices(db);
+    return [...groups].map(([key, members]) => {
+        const ids = members.map(h => h.id);
+        const prices = members.map(h => h.current_price).filter(p => p > 0);
+        const observed = latest.filter(p => ids.includes(p.helmet_id));
+        const [first] = members;
+
+        return {
+            group_key: key,
+            ids,
+            id: first.id,
+            name: first.name,
+            player: first.player,
+            team: first.team,
+            helmet_type: first.helmet_type,
+            design_type: first.design_type,
+            auth_companies: [...new Set(members.map(h => h.auth_company).filter(c => c !== null && c !== undefined))].sort(),
+            sources: [...new Set(observed.map(p => p.source))].sort(),
+            median_price: median(prices),
+            min_price: prices.length > 0 ? Math.min(...prices) : null,
+            max_price: prices.length > 0 ? Math.max(...prices) : null,
+            price_count: prices.length,
+            updated_at: observed.length > 0
+                ? observed.map(p => p.scraped_at).sort().pop()
+                : members.map(h => h.created_at).sort()[0] ?? null
+        };
+    });
+}
+
+// 006: search_helmet_facets - (facet, value, count) rows, each facet counted without
+// its own filter, plus the total
+function searchHelmetFacets(db, args = {}) {
+    const { p_sources = null, p_min_price = null, p_max_price = null, p_price_bounds = [0] } = args;
+    const sourceMatches = g => !p_sources || g.sources.some(s => p_sources.includes(s));
+    const priceMatches = g =>
+        (p_min_price === null || (g.median_price !== null && g.median_price >= p_min_price)) &&
+        (p_max_price === null || (g.median_price !== null && g.median_price <= p_max_price));
+    const groupsWithout = param => searchHelmetGroups(db, { ...args, [param]: null })
+        .filter(g => sourceMatches(g) && priceMatches(g));
+
+    const counted = (facet, values) => {
+        const counts = new Map();
+        values.filter(v => v !== null && v !== undefined && v !== '').forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+        return [...counts].map(([value, count]) => ({ facet, value: String(value), count }));
+    };
+
+    // WIDTH_BUCKET(price, bounds): how many of the (ascending) bounds the price has reached
+    const bucket = price => p_price_bounds.filter(bound => price >= bound).length;
+    const everything = searchHelmetGroups(db, args);
+
+    return [
+        ...counted('team', groupsWithout('p_teams').map(g => g.team)),
+        ...counted('helmet_type', groupsWithout('p_helmet_types').map(g => g.helmet_type)),
+        ...counted('design_type', groupsWithout('p_design_types').map(g => g.design_type)),
+        ...counted('auth_company', groupsWithout('p_auth_companies').flatMap(g => g.auth_companies)),
+        ...counted('source', everything.filter(priceMatches).flatMap(g => g.sources)),
+        ...counted('price', everything
+            .filter(g => sourceMatches(g) && g.median_price !== null && g.median_price >= p_price_bounds[0])
+            .map(g => bucket(g.median_price))),
+        { facet: 'total', value: null, count: everything.filter(g => sourceMatches(g) && priceMatches(g)).length }
+    ];
+}
+
+const FUNCTIONS = {
+    search_helmet_groups: searchHelmetGroups,
+    search_helmet_facets: searchHelmetFacets
+};
+
+// ============ TRIGGERS (JS mirrors) ============
+
+function touchUpdatedAt(row, old) {
+    if (old) row.updated_at = new Date().toISOString();
+}
+
+// 008: resolve_helmet_player - link helmets.player to the players registry
+function resolveHelmetPlayer(row, old, db) {
+    if (old && row.player === old.player) return;
+
+    const name = typeof row.player === 'string' ? row.player.trim() : '';
+    if (!name) {
+        row.player_id = null;
+        return;
+    }
+
+    const lower = name.toLowerCase();
+    let player = db.rows('players').find(p => p.name.toLowerCase() === lower);
+    if (!player) {
+        const alias = db.rows('player_aliases').find(a => a.player_id && a.alias.toLowerCase() === lower);
+        if (alias) player = db.rows('players').find(p => p.id === alias.player_id);
+    }
+    if (!player) player = db.insertRow('players', { name });
+
+    row.player_id = player.id;
+    row.player = player.name;
+}
+
+// 009: resolve_helmet_team - canonical helmets.team through the teams table
+function resolveHelmetTeam(row, old, db) {
+    if (old && row.team === old.team) return;
+
+    const key = normalizeTeamKey(row.team);
+    const team = key
+        ? db.rows('teams').filter(t => (t.lookup_names || []).includes(key)).sort((a, b) => a.sort_order - b.sort_order)[0]
+        : null;
+
+    if (team) row.team = team.team;
+    row.team_id = team ? team.id : null;
+}
+
+// BEFORE INSERT / UPDATE, in the order Postgres fires them (alphabetical by name)
+const TRIGGERS = {
+    helmets: [resolveHelmetPlayer, resolveHelmetTeam, touchUpdatedAt],
+    auth_users: [touchUpdatedAt],
+    auth_user_watchlists: [touchUpdatedAt],
+    watchlist_items: [touchUpdatedAt],
+    watchlists: [touchUpdatedAt],
+    players: [touchUpdatedAt]
+};
+
+// ============ GENERATED COLUMNS (JS mirrors) ============
+
+// to_tsvector('simple', ...): lowercase words, hyphenated words also whole
+function tsvector(...texts) {
+    const lexemes = new Set();
+    for (const text of texts) {
+        for (const word of String(text || '').toLowerCase().split(/[^a-z0-9'-]+/)) {
+            if (!word) continue;
+            lexemes.add(word.replace(/'/g, ''));
+            word.split(/[-']/).filter(Boolean).forEach(part => lexemes.add(part));
+        }
+    }
+    return [...lexemes].sort();
+}
+
+const GENERATED = {
+    helmets: {
+        // 006: search_vector over player, team, type/design, auth company and name
+        search_vector: row => tsvector(row.player, row.team, row.helmet_type, row.design_type, row.auth_company, row.name)
+    }
+};
+
+// ============ SEED DATA ============
+
+// 009 inserts the team registry; lib/teams.js is its source of truth
+const SEEDS = {
+    teams: teamRows
+};
+
+module.exports = {
+    MIGRATIONS_DIR,
+    splitStatements,
+    splitTopLevel,
+    compileExpression,
+    parseLiteral,
+    loadSchema
+};
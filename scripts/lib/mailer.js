@@ -0,0 +1,111 @@
+/**
+ * Email
+ *
+ * The one way the app sends email - password reset codes (server.js), price
+ * alerts (lib/price-alerts.js) and the weekly digest (lib/portfolio-digest.js):
+ *
+ *   RESEND_API_KEY                          Resend API
+ *   EMAIL_HOST, EMAIL_USER, EMAIL_PASS      SMTP through nodemailer (EMAIL_PORT, default 587)
+ *
+ * Resend wins when both are set. With neither, nothing is sent and callers
+ * log instead. Mail comes from EMAIL_FROM.
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'HelmetPulse <onboarding@resend.dev>';
+
+// Read on first use, after dotenv has loaded
+let transport = null;
+
+function emailTransport() {
+    if (transport) return transport;
+
+    const env = process.env;
+    const port = env.EMAIL_PORT || 587;
+
+    if (env.RESEND_API_KEY) {
+        transport = { method: 'resend', apiKey: env.RESEND_API_KEY };
+    } else if (env.EMAIL_HOST && env.EMAIL_USER && env.EMAIL_PASS) {
+        transport = {
+            method: 'smtp',
+            transporter: nodemailer.createTransport({
+                host: env.EMAIL_HOST,
+                port,
+                secure: port == 465,
+                auth: {
+                    user: env.EMAIL_USER,
+                    pass: env.EMAIL_PASS
+                }
+            })
+        };
+    } else {
+        transport = { method: null };
+    }
+    return transport;
+}
+
+/**
+ * Text for an HTML email template
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * How email goes out: 'resend', 'smtp', or null when it isn't configured
+ */
+function emailMethod() {
+    return emailTransport().method;
+}
+
+/**
+ * Send one email
+ *
+ * @param {object} message - { to, subject, html, text, headers } - text is an optional
+ *                           plain-text part, headers are extra message headers
+ *                           (e.g. List-Unsubscribe)
+ * @returns {object} - { success: true, method } or
+ *                     { success: false, code: 'not_configured' | 'send_failed', error }
+ */
+async function sendEmail({ to, subject, html, text, headers = {} }) {
+    const { method, apiKey, transporter } = emailTransport();
+    const from = process.env.EMAIL_FROM || DEFAULT_FROM;
+
+    if (!method) {
+        return { success: false, code: 'not_configured', error: 'Email is not configured (RESEND_API_KEY or EMAIL_HOST/EMAIL_USER/EMAIL_PASS)' };
+    }
+
+    try {
+        if (method === 'resend') {
+            const response = await fetch('https://api.resend.com/emails', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ from, to: [to], subject, html, ...(text ? { text } : {}), headers })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `Resend API error (${response.status})`);
+            }
+        } else {
+            await transporter.sendMail({ from, to, subject, html, text, headers });
+        }
+        return { success: true, method };
+    } catch (error) {
+        return { success: false, code: 'send_failed', error: error.message };
+    }
+}
+
+module.exports = {
+    escapeHtml,
+    emailMethod,
+    sendEmail
+};
@@ -0,0 +1,248 @@
+/**
+ * Match Review Queue
+ *
+ * Listing and resolving the helmet_match_reviews entries importers create
+ * when the matcher can't decide. Each resolution is remembered in
+ * helmet_match_decisions, and matchHelmet applies it on the next import.
+ * Used by the admin endpoints in server.js.
+ */
+
+const { supabase, upsertPrice, VALID_SOURCES } = require('./price-utils');
+
+const REVIEW_ACTIONS = ['match', 'create', 'ignore'];
+const REVIEW_STATUSES = ['pending', 'matched', 'new', 'rejected'];
+
+const CANDIDATE_COLUMNS = 'id, name, player, team, helmet_type, design_type, auth_company, inscription, current_price';
+
+/**
+ * List reviews with their candidate helmets
+ *
+ * @param {object} options - Optional: { status, limit, offset }
+ * @returns {object} - { reviews, total } - each review's candidates carry the helmet row
+ */
+async function listReviews(options = {}) {
+    const status = options.status || 'pending';
+    const limit = options.limit || 50;
+    const offset = options.offset || 0;
+
+    const { data, count, error } = await supabase
+        .from('helmet_match_reviews')
+        .select('*', { count: 'exact' })
+        .eq('status', status)
+        .order('times_seen', { ascending: false })
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const helmetIds = [...new Set((data || []).flatMap(r => [
+        ...(r.candidates || []).map(c => c.helmet_id),
+        r.resolved_helmet_id
+    ]).filter(Boolean))];
+
+    const helmetsById = new Map();
+    if (helmetIds.length > 0) {
+        const { data: helmets, error: helmetError } = await supabase
+            .from('helmets')
+            .select(CANDIDATE_COLUMNS)
+            .in('id', helmetIds);
+
+        if (helmetError) throw helmetError;
+        for (const h of helmets || []) helmetsById.set(h.id, h);
+    }
+
+    const reviews = (data || []).map(r => ({
+        ...r,
+        candidates: (r.candidates || [])
+            .map(c => ({ ...c, helmet: helmetsById.get(c.helmet_id) || null }))
+            // Candidates deleted or merged away since the import aren't attachable
+            .filter(c => c.helmet),
+        resolved_helmet: helmetsById.get(r.resolved_helmet_id) || null
+    }));
+
+    return { reviews, total: count || 0 };
+}
+
+/**
+ * Remember a decision so the next import applies it without review
+ */
+async function rememberDecision(review, decision, helmetId, decidedBy) {
+    const { error } = await supabase
+        .from('helmet_match_decisions')
+        .upsert({
+            listing_key: review.listing_key,
+            source: review.source,
+            decision,
+            helmet_id: helmetId,
+            review_id: review.id,
+            decided_by: decidedBy,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'listing_key' });
+
+    if (error) throw error;
+}
+
+/**
+ * Record the listing's price against the helmet it was resolved to
+ */
+async function recordReviewPrice(review, helmetId) {
+    if (!review.price || !VALID_SOURCES.includes(review.source)) return null;
+
+    return upsertPrice(helmetId, review.source, parseFloat(review.price), {
+        ebayUrl: review.listing.url || null
+    });
+}
+
+/**
+ * Create a catalog helmet from a reviewed listing
+ *
+ * ebay_search_query is unique and sent to eBay as is, so it's built like the
+ * importers build theirs. A helmet that already has the query is the same
+ * helmet to eBay - the listing is attached to it instead.
+ *
+ * @returns {object} - { helmetId, created }
+ */
+async function createHelmetFromListing(review) {
+    const l = review.listing;
+    const name = l.title || `${l.player} ${l.team || ''} Autographed ${l.helmetType} Helmet`.replace(/\s+/g, ' ');
+    const ebayQuery = `${l.player} ${l.team || ''} ${l.helmetType} ${l.designType} autographed helmet`
+        .toLowerCase().replace(/\s+/g, ' ').trim();
+
+    const { data, error } = await supabase
+        .from('helmets')
+        .insert({
+            name: name.substring(0, 250),
+            player: l.player,
+            team: l.team,
+            helmet_type: l.helmetType,
+            design_type: l.designType,
+            auth_company: l.authCompany,
+            inscription: l.inscription,
+            ebay_search_query: ebayQuery,
+            is_active: true
+        })
+        .select('id')
+        .single();
+
+    if (error && error.code === '23505') {
+        const { data: existing, error: existingError } = await supabase
+            .from('helmets')
+            .select('id')
+            .eq('ebay_search_query', ebayQuery)
+            .single();
+
+        if (existingError) throw existingError;
+        return { helmetId: existing.id, created: false };
+    }
+    if (error) throw error;
+    return { helmetId: data.id, created: true };
+}
+
+/**
+ * Resolve a pending review
+ *
+ * match  - attach the listing (and its price) to one of the catalog helmets
+ * create - add the listing as a new helmet, or attach it to the helmet that
+ *          already has its eBay search query (status 'matched')
+ * ignore - never import this listing again
+ *
+ * @param {number} reviewId - helmet_match_reviews.id
+ * @param {string} action - 'match', 'create' or 'ignore'
+ * @param {object} options - { helmetId (required for match), resolvedBy }
+ * @returns {object} - { success: boolean, status?, helmetId?, priceRecorded?, error?, code? }
+ *                     code is 'not_found', 'conflict' or 'invalid' on failure
+ */
+async function resolveReview(reviewId, action, options = {}) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+        return { success: false, code: 'invalid', error: `Action must be one of: ${REVIEW_ACTIONS.join(', ')}` };
+    }
+
+    let helmetId = null;
+    if (action === 'match') {
+        helmetId = parseInt(options.helmetId);
+        if (!helmetId) {
+            return { success: false, code: 'invalid', error: 'helmetId is required to match' };
+        }
+
+        const { data: helmet } = await supabase
+            .from('helmets')
+            .select('id')
+            .eq('id', helmetId)
+            .single();
+
+        if (!helmet) {
+            return { success: false, code: 'not_found', error: 'Helmet not found' };
+        }
+    }
+
+    // Claim the review first: of two concurrent resolutions only one updates a pending row
+    let status = { match: 'matched', create: 'new', ignore: 'rejected' }[action];
+    const { data: claimed, error } = await supabase
+        .from('helmet_match_reviews')
+        .update({
+            status,
+            resolved_helmet_id: helmetId,
+            resolved_by: options.resolvedBy || null,
+            resolved_at: new Date().toISOString()
+        })
+        .eq('id', reviewId)
+        .eq('status', 'pending')
+        .select('*');
+
+    if (error) throw error;
+
+    const review = claimed && claimed[0];
+    if (!review) {
+        const { data: existing } = await supabase
+            .from('helmet_match_reviews')
+            .select('status')
+            .eq('id', reviewId)
+            .single();
+
+        if (!existing) {
+            return { success: false, code: 'not_found', error: 'Review not found' };
+        }
+        return { success: false, code: 'conflict', error: `Review already resolved (${existing.status})` };
+    }
+
+    try {
+        if (action === 'create') {
+            const created = await createHelmetFromListing(review);
+            helmetId = created.helmetId;
+            if (!created.created) status = 'matched';
+
+            const { error: updateError } = await supabase
+                .from('helmet_match_reviews')
+                .update({ status, resolved_helmet_id: helmetId })
+                .eq('id', review.id);
+
+            if (updateError) throw updateError;
+        }
+
+        // Either way the listing now resolves to this helmet
+        await rememberDecision(review, action === 'ignore' ? 'ignore' : 'match', helmetId, options.resolvedBy || null);
+    } catch (err) {
+        // Put the review back in the queue rather than leave it resolved to nothing
+        await supabase
+            .from('helmet_match_reviews')
+            .update({ status: 'pending', resolved_helmet_id: null, resolved_by: null, resolved_at: null })
+            .eq('id', review.id);
+        throw err;
+    }
+
+    const price = helmetId ? await recordReviewPrice(review, helmetId) : null;
+
+    return {
+        success: true,
+        status,
+        helmetId,
+        priceRecorded: !!(price && price.success)
+    };
+}
+
+module.exports = {
+    REVIEW_ACTIONS,
+    REVIEW_STATUSES,
+    listReviews,
+    resolveReview
+};
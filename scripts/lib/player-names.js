@@ -0,0 +1,204 @@
+/**
+ * Player Name Utilities
+ *
+ * Shared name corrections, nicknames and fuzzy matching used by the cleanup
+ * scripts, the player alias seed and the suggestions search in server.js.
+ * Nothing in here touches the database.
+ */
+
+// Direct name replacements (truncated names, spelling errors, case fixes)
+// A null value marks an entry that is not a player and should be deleted
+const NAME_CORRECTIONS = {
+    // Truncated names
+    'Sam La': 'Sam LaPorta',
+    'Jim Mc': 'Jim McMahon',
+    'Trey Mc': 'Trey McBride',
+    'Ed Mc': 'Ed McCaffrey',
+    'Elly De': 'Elly De La Cruz',
+    'Sean Mc': 'LeSean McCoy',
+    'Christian Mc': 'Christian McCaffrey',
+    'Isaac Te': 'Isaac TeSlaa',
+    'Jalen Mc': 'Jalen McMillan',
+    'Terry Mc': 'Terry McLaurin',
+    'Broncos Ed': 'Ed McCaffrey',
+
+    // Case/spelling corrections
+    'Ceedee Lamb': 'CeeDee Lamb',
+    'Cooper Dejean': 'Cooper DeJean',
+    'Devonta Smith': 'DeVonta Smith',
+    'Emmit Smith': 'Emmitt Smith',
+    'Jaxon Smith': 'Jaxon Smith-Njigba',
+
+    // ALL CAPS to proper case
+    'ASHTON JEANTY': 'Ashton Jeanty',
+    'BARRY SANDERS': 'Barry Sanders',
+    'BRIAN KELLY': 'Brian Kelly',
+    'CALEB DOWNS': 'Caleb Downs',
+    'CHARLEY TRIPPI': 'Charley Trippi',
+    'CHRISTIAN MCCAFFREY': 'Christian McCaffrey',
+    'DENVER BRONCOS': null, // Will be deleted - not a player
+    'DICK BUTKUS': 'Dick Butkus',
+    'EMEKA EGBUKA': 'Emeka Egbuka',
+    'GEORGE KITTLE': 'George Kittle',
+    'JAHMYR GIBBS': 'Jahmyr Gibbs',
+    'JAMES HARRISON': 'James Harrison',
+    'JAXON SMITH-NJIGBA': 'Jaxon Smith-Njigba',
+    'JOE MONTANA': 'Joe Montana',
+    'KYLE WHITTINGHAM': 'Kyle Whittingham',
+    'MATT RHULE': 'Matt Rhule',
+    'NOTRE DAME': null, // Will be deleted - not a player
+    'PATRICK MAHOMES': 'Patrick Mahomes',
+    'RUDY RUETTIGER': 'Rudy Ruettiger',
+    'SHAUN ALEXANDER': 'Shaun Alexander',
+    'TRAVIS KELCE': 'Travis Kelce',
+    'TYREEK HILL': 'Tyreek Hill',
+    'WARREN MOON': 'Warren Moon',
+    'WILLIE ROAF': 'Willie Roaf',
+    'GEORGIA BULLDOGS': null, // Will be deleted - not a player
+};
+
+// Nicknames collectors actually type into the search box
+const NICKNAMES = {
+    'JSN': 'Jaxon Smith-Njigba',
+    'CMC': 'Christian McCaffrey',
+    'TB12': 'Tom Brady',
+    'Megatron': 'Calvin Johnson',
+    'Sweetness': 'Walter Payton',
+    'Prime Time': 'Deion Sanders',
+    'Coach Prime': 'Deion Sanders',
+    'The Bus': 'Jerome Bettis',
+    'Beast Mode': 'Marshawn Lynch',
+    'Joe Cool': 'Joe Montana',
+    'Broadway Joe': 'Joe Namath',
+    'Mr. Irrelevant': 'Brock Purdy',
+    'Cheetah': 'Tyreek Hill',
+    'Night Train': 'Dick Lane',
+};
+
+/**
+ * Lowercase a name and strip punctuation so "Smith-Njigba" and
+ * "smith njigba" compare equal
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s-]/g, '')
+        .replace(/-/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Initials of a name, counting hyphenated parts ("Jaxon Smith-Njigba" -> "jsn")
+ */
+function nameInitials(name) {
+    return normalizeName(name)
+        .split(' ')
+        .filter(Boolean)
+        .map(part => part[0])
+        .join('');
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    const d = [];
+    for (let i = 0; i <= a.length; i++) d.push([i]);
+    for (let j = 0; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + cost);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Similarity between 0 and 1 based on edit distance
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    return 1 - editDistance(a, b) / longest;
+}
+
+// Minimum similarity for a typo to still count as a match
+const FUZZY_THRESHOLD = 0.75;
+
+/**
+ * Score how well a search query matches a player
+ *
+ * Scores (higher is better):
+ *   1.00 exact name        0.95 exact alias/nickname
+ *   0.90 name prefix       0.85 last name           0.80 initials
+ *   0.75 last name prefix  0.70 alias prefix
+ *   <0.70 typo-tolerant match, scaled by similarity
+ *
+ * @param {string} query - What the user typed
+ * @param {string} player - Canonical player name
+ * @param {string[]} aliases - Known aliases/nicknames for the player
+ * @returns {number} - Score between 0 and 1 (0 = no match)
+ */
+function scorePlayerMatch(query, player, aliases = []) {
+    const q = normalizeName(query);
+    const name = normalizeName(player);
+    if (!q || !name) return 0;
+
+    const normalizedAliases = aliases.map(normalizeName).filter(Boolean);
+    const parts = name.split(' ');
+    const lastName = parts.length > 1 ? parts.slice(1).join(' ') : name;
+    const compactQuery = q.replace(/\s/g, '');
+
+    if (q === name) return 1;
+    if (normalizedAliases.includes(q)) return 0.95;
+    if (name.startsWith(q)) return 0.9;
+    if (q === lastName || q === parts[parts.length - 1]) return 0.85;
+    if (compactQuery.length >= 2 && compactQuery === nameInitials(player)) return 0.8;
+    if (q.length >= 3 && lastName.startsWith(q)) return 0.75;
+    if (q.length >= 3 && normalizedAliases.some(a => a.startsWith(q))) return 0.7;
+
+    // Typo tolerance: compare against the full name, each name part and each alias
+    if (q.length < 4) return 0;
+
+    const candidates = [name, ...parts.filter(p => p.length >= 3), ...normalizedAliases];
+    // Also compare a query prefix against the start of the name ("patrik mah" vs "patrick mahomes")
+    candidates.push(name.substring(0, q.length));
+
+    const best = Math.max(...candidates.map(c => similarity(q, c)));
+    return best >= FUZZY_THRESHOLD ? Math.round(best * 0.65 * 1000) / 1000 : 0;
+}
+
+/**
+ * Apply NAME_CORRECTIONS to a raw player name
+ *
+ * @returns {string|null|undefined} - Corrected name, null for non-players,
+ *                                    undefined when there is no correction
+ */
+function correctPlayerName(name) {
+    if (!name) return undefined;
+    return NAME_CORRECTIONS[name.trim()];
+}
+
+module.exports = {
+    NAME_CORRECTIONS,
+    NICKNAMES,
+    FUZZY_THRESHOLD,
+    normalizeName,
+    nameInitials,
+    editDistance,
+    similarity,
+    scorePlayerMatch,
+    correctPlayerName
+};
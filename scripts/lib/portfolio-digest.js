@@ -0,0 +1,507 @@
+/**
+ * Weekly Portfolio Digest
+ *
+ * A weekly email for users who would rather not log in to check their
+ * watchlist. Built from the database, not from what the browser last saw:
+ *
+ *   Portfolio      total value vs. cost basis, as the dashboard (updateDashboard
+ *                  in index.html) adds it up, and its change over the week
+ *   Biggest movers the cards whose price moved most since a week ago
+ *   New listings   retailers pricing a helmet of one of the user's players for the
+ *                  first time this week
+ *   Stale cards    cards no retailer has priced in DIGEST_STALE_DAYS (default 30)
+ *
+ * Users opt in and choose a weekday, hour and time zone (auth_users.digest_*,
+ * migration 018). The hourly portfolio-digest job (lib/job-scheduler.js) sends
+ * the digests that are due through lib/mailer.js, as HTML with a plain-text
+ * part. buildDigest + renderDigest render one without sending it
+ * (GET /api/digest/preview, `node scripts/portfolio-digest.js preview`).
+ */
+
+const { getDatabase } = require('./db');
+const { sendEmail, escapeHtml } = require('./mailer');
+const { unsubscribeToken } = require('./price-alerts');
+const {
+    chunks,
+    formatPrice,
+    cardHelmetIds,
+    followRedirects,
+    loadHelmetPrices,
+    loadPricesAsOf,
+    cardPrice,
+    currentCardPrice,
+    portfolioTotals
+} = require('./watchlist-prices');
+const { listCards } = require('./watchlist-items');
+
+const supabase = getDatabase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// How much of each section the email lists
+const MAX_MOVERS = 5;
+const MAX_NEW_LISTINGS = 10;
+const MAX_STALE = 10;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const USER_COLUMNS = 'id, email, full_name, alert_unsubscribe_token, digest_enabled, digest_day, digest_hour, digest_timezone, digest_last_sent_at';
+
+function settings(env = process.env) {
+    return {
+        staleMs: (parseFloat(env.DIGEST_STALE_DAYS) || 30) * DAY_MS,
+        appUrl: (env.APP_URL || 'https://www.helmetpulse.com').replace(/\/+$/, '')
+    };
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return typeof timezone === 'string' && timezone.length > 0;
+    } catch {
+        return false;
+    }
+}
+
+function describeSettings(user) {
+    return {
+        enabled: !!user.digest_enabled,
+        day: user.digest_day,
+        hour: user.digest_hour,
+        timezone: user.digest_timezone,
+        lastSentAt: user.digest_last_sent_at
+    };
+}
+
+async function loadUser(userId) {
+    const { data, error } = await supabase
+        .from('auth_users')
+        .select(USER_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * A user's digest settings: { enabled, day (0 = Sunday), hour, timezone, lastSentAt }
+ */
+async function getDigestSettings(userId) {
+    const user = await loadUser(userId);
+    return user ? describeSettings(user) : null;
+}
+
+/**
+ * Change a user's digest settings
+ *
+ * @param {object} changes - Any of { enabled, day, hour, timezone }
+ * @returns {object} - { success: true, settings } or { success: false, code: 'invalid', error }
+ */
+async function updateDigestSettings(userId, changes = {}) {
+    const update = {};
+    const invalid = error => ({ success: false, code: 'invalid', error });
+
+    if (changes.enabled !== undefined) {
+        if (typeof changes.enabled !== 'boolean') return invalid('enabled must be true or false');
+        update.digest_enabled = changes.enabled;
+    }
+    if (changes.day !== undefined) {
+        if (!Number.isInteger(changes.day) || changes.day < 0 || changes.day > 6) return invalid('day must be 0 (Sunday) to 6 (Saturday)');
+        update.digest_day = changes.day;
+    }
+    if (changes.hour !== undefined) {
+        if (!Number.isInteger(changes.hour) || changes.hour < 0 || changes.hour > 23) return invalid('hour must be 0 to 23');
+        update.digest_hour = changes.hour;
+    }
+    if (changes.timezone !== undefined) {
+        if (!isValidTimezone(changes.timezone)) return invalid(`Unknown time zone: ${changes.timezone}`);
+        update.digest_timezone = changes.timezone;
+    }
+    if (Object.keys(update).length === 0) return invalid('Nothing to change (enabled, day, hour, timezone)');
+
+    const { data, error } = await supabase
+        .from('auth_users')
+        .update(update)
+        .eq('id', userId)
+        .select(USER_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return { success: true, settings: describeSettings(data) };
+}
+
+// Weekday (0 = Sunday) and hour of a time in a time zone
+function localTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+        .formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    return { day: WEEKDAYS.indexOf(part('weekday')), hour: parseInt(part('hour')) % 24 };
+}
+
+/**
+ * When the user's digest was last due: the start of the most recent hour in the
+ * past day that falls on their chosen weekday and hour, or null
+ *
+ * A day's grace covers a job that missed its hour; a digest turned on later in
+ * the week waits for the next one.
+ */
+function dueSlot(user, now = new Date()) {
+    if (!user.digest_enabled || !isValidTimezone(user.digest_timezone)) return null;
+
+    const hourStart = new Date(now.getTime());
+    hourStart.setUTCMinutes(0, 0, 0);
+    for (let back = 0; back < 24; back++) {
+        const slot = new Date(hourStart.getTime() - back * 60 * 60 * 1000);
+        const local = localTime(slot, user.digest_timezone);
+        if (local.day === user.digest_day && local.hour === user.digest_hour) return slot;
+    }
+    return null;
+}
+
+/**
+ * Whether the user's digest should go out now
+ */
+function isDigestDue(user, now = new Date()) {
+    const slot = dueSlot(user, now);
+    if (!slot) return false;
+    return !user.digest_last_sent_at || new Date(user.digest_last_sent_at).getTime() < slot.getTime();
+}
+
+/**
+ * Retailers that priced a helmet of one of these players for the first time since `since`
+ *
+ * @returns {Array<object>} - { helmetId, name, player, source, price, url, listedAt, watched },
+ *                            newest first
+ */
+async function findNewListings(players, since, watchedIds) {
+    const helmets = new Map();
+    for (const names of chunks(players, 100)) {
+        const { data, error } = await supabase
+            .from('helmets')
+            .select('id, name, player')
+            .in('player', names);
+
+        if (error) throw error;
+        (data || []).forEach(h => helmets.set(h.id, h));
+    }
+
+    const recent = new Map();
+    for (const ids of chunks([...helmets.keys()])) {
+        const { data, error } = await supabase
+            .from('helmet_prices')
+            .select('helmet_id, source, median_price, ebay_url, scraped_at')
+            .in('helmet_id', ids)
+            .gte('scraped_at', since.toISOString())
+            .not('source', 'is', null)
+            .order('scraped_at', { ascending: false });
+
+        if (error) throw error;
+        for (const row of data || []) {
+            const key = `${row.helmet_id}|${row.source}`;
+            if (!recent.has(key)) recent.set(key, row);
+        }
+    }
+
+    // Drop retailers that already priced the helmet before this week
+    const recentIds = [...new Set([...recent.values()].map(r => r.helmet_id))];
+    for (const ids of chunks(recentIds)) {
+        const { data, error } = await supabase
+            .from('helmet_prices')
+            .select('helmet_id, source')
+            .in('helmet_id', ids)
+            .lt('scraped_at', since.toISOString())
+            .not('source', 'is', null);
+
+        if (error) throw error;
+        (data || []).forEach(r => recent.delete(`${r.helmet_id}|${r.source}`));
+    }
+
+    return [...recent.values()]
+        .filter(r => Number(r.median_price) > 0)
+        .sort((a, b) => new Date(b.scraped_at) - new Date(a.scraped_at))
+        .map(r => ({
+            helmetId: r.helmet_id,
+            name: helmets.get(r.helmet_id).name,
+            player: helmets.get(r.helmet_id).player,
+            source: r.source,
+            price: Number(r.median_price),
+            url: r.ebay_url || null,
+            listedAt: r.scraped_at,
+            watched: watchedIds.has(r.helmet_id)
+        }));
+}
+
+/**
+ * Everything a user's digest says, as data
+ *
+ * @param {string} userId - auth_users.id
+ * @param {object} options - Optional: { now, env }
+ * @returns {object|null} - { user, generatedAt, periodStart, cardCount, portfolio, movers,
+ *                            newListings, newListingCount, stale, staleCount }, or null for
+ *                            an unknown user
+ */
+async function buildDigest(userId, { now = new Date(), env = process.env } = {}) {
+    const config = settings(env);
+    const user = await loadUser(userId);
+    if (!user) return null;
+
+    const entries = (await listCards(userId)).map(card => ({ card, helmetIds: cardHelmetIds(card) }));
+    await followRedirects(entries);
+
+    const periodStart = new Date(now.getTime() - WEEK_MS);
+    const allIds = [...new Set(entries.flatMap(e => e.helmetIds))];
+    const { helmets, retailerPrices } = await loadHelmetPrices(allIds);
+    const weekAgo = await loadPricesAsOf(allIds, periodStart);
+
+    const cards = entries.map(({ card, helmetIds }) => {
+        const price = currentCardPrice(card, helmetIds, helmets);
+        const previous = cardPrice(helmetIds, weekAgo);
+        const costBasis = card.costBasis !== null && card.costBasis !== undefined && card.costBasis !== '' && !isNaN(card.costBasis)
+            ? Number(card.costBasis) : null;
+        const pricedAt = helmetIds
+            .flatMap(id => retailerPrices.get(id) || [])
+            .map(r => r.scraped_at)
+            .sort()
+            .pop() || null;
+
+        return {
+            id: card.id,
+            name: card.name,
+            price,
+            previousPrice: previous,
+            change: price && previous ? price - previous : null,
+            changePercent: price && previous ? ((price - previous) / previous) * 100 : null,
+            costBasis,
+            quantity: card.quantity || 1,
+            pricedAt,
+            helmetIds
+        };
+    });
+
+    const moved = cards.filter(c => c.change !== null);
+
+    const movers = moved
+        .filter(c => Math.abs(c.change) >= 0.01)
+        .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+
+    const stale = cards
+        .filter(c => c.helmetIds.length > 0 && (!c.pricedAt || now.getTime() - new Date(c.pricedAt).getTime() > config.staleMs))
+        .sort((a, b) => String(a.pricedAt || '').localeCompare(String(b.pricedAt || '')));
+
+    const players = [...new Set(allIds.map(id => helmets.get(id) && helmets.get(id).player).filter(Boolean))];
+    const newListings = players.length > 0 ? await findNewListings(players, periodStart, new Set(allIds)) : [];
+
+    return {
+        user: { id: user.id, email: user.email, name: user.full_name, unsubscribeToken: user.alert_unsubscribe_token },
+        generatedAt: now.toISOString(),
+        periodStart: periodStart.toISOString(),
+        cardCount: cards.length,
+        portfolio: {
+            ...portfolioTotals(cards),
+            weekChange: moved.reduce((sum, c) => sum + c.change * c.quantity, 0)
+        },
+        movers: movers.slice(0, MAX_MOVERS),
+        newListings: newListings.slice(0, MAX_NEW_LISTINGS),
+        newListingCount: newListings.length,
+        stale: stale.slice(0, MAX_STALE),
+        staleCount: stale.length
+    };
+}
+
+const signed = value => `${value >= 0 ? '+' : '-'}${formatPrice(Math.abs(value))}`;
+const percent = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+const shortDate = value => new Date(value).toISOString().substring(0, 10);
+
+function digestSubject(digest) {
+    const { value, profitPercent } = digest.portfolio;
+    return `Your HelmetPulse week: ${formatPrice(value)}${profitPercent !== null ? ` (${percent(profitPercent)})` : ''}`;
+}
+
+// The lines of each section, shared by the HTML and text templates
+function digestSections(digest) {
+    const { portfolio } = digest;
+    return {
+        summary: [
+            `Portfolio value: ${formatPrice(portfolio.value)} across ${digest.cardCount} helmet${digest.cardCount === 1 ? '' : 's'}`,
+            `Cost basis: ${formatPrice(portfolio.cost)}`,
+            `Profit: ${signed(portfolio.profit)}${portfolio.profitPercent !== null ? ` (${percent(portfolio.profitPercent)})` : ''}`,
+            `This week: ${signed(portfolio.weekChange)}`
+        ],
+        movers: digest.movers.map(c =>
+            `${c.name}: ${formatPrice(c.price)} (${signed(c.change)}, ${percent(c.changePercent)})`),
+        newListings: digest.newListings.map(l =>
+            `${l.name}: ${formatPrice(l.price)} at ${l.source}${l.watched ? ' (on your watchlist)' : ''}`),
+        stale: digest.stale.map(c =>
+            `${c.name}: ${c.pricedAt ? `last priced ${shortDate(c.pricedAt)}` : 'no retailer price yet'}`)
+    };
+}
+
+/**
+ * The digest as an email: { subject, html, text }
+ *
+ * @param {object} digest - From buildDigest
+ * @param {object} options - { unsubscribeUrl, appUrl }
+ */
+function renderDigest(digest, { unsubscribeUrl, appUrl = settings().appUrl }) {
+    const sections = digestSections(digest);
+    const more = (shown, total) => (total > shown ? total - shown : 0);
+    const blocks = [
+        ['Biggest movers', sections.movers, 0, 'No price changes this week.'],
+        ['New listings for your players', sections.newListings, more(digest.newListings.length, digest.newListingCount), 'No new retailer listings this week.'],
+        ['Needs a fresh price', sections.stale, more(digest.stale.length, digest.staleCount), null]
+    ].filter(([, lines, , empty]) => lines.length > 0 || empty);
+
+    const htmlList = lines => `<ul style="padding-left: 20px; line-height: 1.6;">${lines.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #f04a30;">Your Week in Helmets</h2>
+            <p>Hi ${escapeHtml(digest.user.name || 'there')},</p>
+            <div style="background: #f3f4f6; padding: 20px; margin: 20px 0; border-radius: 8px;">
+                ${sections.summary.map(l => `<p style="margin: 4px 0;">${escapeHtml(l)}</p>`).join('\n                ')}
+            </div>
+            ${blocks.map(([title, lines, extra, empty]) => `<h3 style="color: #1f2937;">${title}</h3>
+            ${lines.length > 0 ? htmlList(lines) : `<p>${empty}</p>`}${extra ? `<p style="color: #6b7280;">...and ${extra} more</p>` : ''}`).join('\n            ')}
+            <p><a href="${escapeHtml(appUrl)}" style="color: #f04a30;">Open your watchlist</a></p>
+            <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+            <p style="color: #6b7280; font-size: 14px;">HelmetPulse - Real-time helmet price tracking<br>
+            <a href="${escapeHtml(unsubscribeUrl)}" style="color: #6b7280;">Unsubscribe from the weekly digest</a></p>
+        </div>
+    `;
+
+    const text = [
+        'YOUR WEEK IN HELMETS',
+        '',
+        `Hi ${digest.user.name || 'there'},`,
+        '',
+        ...sections.summary,
+        ...blocks.flatMap(([title, lines, extra, empty]) => [
+            '',
+            title.toUpperCase(),
+            ...(lines.length > 0 ? lines.map(l => `- ${l}`) : [empty]),
+            ...(extra ? [`...and ${extra} more`] : [])
+        ]),
+        '',
+        `Open your watchlist: ${appUrl}`,
+        `Unsubscribe from the weekly digest: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject: digestSubject(digest), html, text };
+}
+
+function unsubscribeUrl(appUrl, token) {
+    return `${appUrl}/api/alerts/unsubscribe?token=${token || 'preview'}&list=digest`;
+}
+
+/**
+ * A user's digest rendered without sending it
+ *
+ * @returns {object|null} - { digest, subject, html, text }
+ */
+async function previewDigest(userId, { now = new Date(), env = process.env } = {}) {
+    const digest = await buildDigest(userId, { now, env });
+    if (!digest) return null;
+    const { appUrl } = settings(env);
+    return { digest, ...renderDigest(digest, { unsubscribeUrl: unsubscribeUrl(appUrl, digest.user.unsubscribeToken), appUrl }) };
+}
+
+/**
+ * Send every digest that is due
+ *
+ * @param {object} options - Optional: { now, dryRun, send, env, log }
+ * @returns {object} - { due, sent, empty, failed, results: [{ email, status, error }] } -
+ *                     empty counts users with nothing on their watchlist (not sent)
+ */
+async function sendDueDigests({ now = new Date(), dryRun = false, send = sendEmail, env = process.env, log = () => {} } = {}) {
+    const { appUrl } = settings(env);
+    const summary = { due: 0, sent: 0, empty: 0, failed: 0, results: [] };
+
+    const { data: users, error } = await supabase
+        .from('auth_users')
+        .select(USER_COLUMNS)
+        .eq('digest_enabled', true);
+
+    if (error) throw error;
+
+    for (const user of (users || []).filter(u => isDigestDue(u, now))) {
+        summary.due++;
+        const digest = await buildDigest(user.id, { now, env });
+
+        if (digest.cardCount === 0) {
+            summary.empty++;
+            summary.results.push({ email: user.email, status: 'empty' });
+            continue;
+        }
+        if (dryRun) {
+            summary.results.push({ email: user.email, status: 'would_send', subject: digestSubject(digest) });
+            continue;
+        }
+
+        const url = unsubscribeUrl(appUrl, await unsubscribeToken(user));
+        const { subject, html, text } = renderDigest(digest, { unsubscribeUrl: url, appUrl });
+        const result = await send({
+            to: user.email,
+            subject,
+            html,
+            text,
+            headers: {
+                'List-Unsubscribe': `<${url}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
+
+        if (!result.success) {
+            summary.failed++;
+            summary.results.push({ email: user.email, status: 'failed', error: result.error });
+            log(`✗ Digest for ${user.email}: ${result.error}`);
+            continue;
+        }
+
+        const { error: updateError } = await supabase
+            .from('auth_users')
+            .update({ digest_last_sent_at: now.toISOString() })
+            .eq('id', user.id);
+
+        if (updateError) throw updateError;
+        summary.sent++;
+        summary.results.push({ email: user.email, status: 'sent', subject });
+        log(`✓ Digest sent to ${user.email}`);
+    }
+
+    return summary;
+}
+
+/**
+ * Turn the digest off from its unsubscribe link
+ *
+ * @returns {object} - { success: true, email } or { success: false, code: 'not_found', error }
+ */
+async function unsubscribeDigest(token) {
+    if (!token || typeof token !== 'string') {
+        return { success: false, code: 'not_found', error: 'Unsubscribe link is invalid' };
+    }
+
+    const { data: user, error } = await supabase
+        .from('auth_users')
+        .select('id, email')
+        .eq('alert_unsubscribe_token', token)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return { success: false, code: 'not_found', error: 'Unsubscribe link is invalid' };
+
+    await updateDigestSettings(user.id, { enabled: false });
+    return { success: true, email: user.email };
+}
+
+module.exports = {
+    getDigestSettings,
+    updateDigestSettings,
+    isDigestDue,
+    buildDigest,
+    renderDigest,
+    previewDigest,
+    sendDueDigests,
+    unsubscribeDigest
+};
@@ -0,0 +1,641 @@
+/**
+ * Price Alerts
+ *
+ * Watchlist cards (watchlist_items, lib/watchlist-items.js) carry alert rules
+ * in card.alerts:
+ *
+ *   { type: 'below', price: 400 }     the card's price drops to $400 or less
+ *   { type: 'above', price: 900 }     ... rises to $900 or more
+ *   { type: 'change', percent: 15 }   ... is 15% above its base (-10: 10% below) - the
+ *                                     base is basePrice, else the card's costBasis
+ *   { type: 'lowest' }                a retailer prices it lower than ever seen before
+ *   { type: 'in_stock' }              a retailer prices it again after none had for
+ *                                     ALERT_STOCK_DAYS (default 30)
+ *
+ * A card's price is the median current_price of its helmets, as the watchlist
+ * shows it. checkAlerts runs after every import for the helmets it priced
+ * (lib/adapter-runner.js, auto-import.js, `import.js rollback`), and daily for
+ * every card (the price-alerts job in lib/job-scheduler.js).
+ *
+ * A rule fires when its condition starts to hold, not on every check while it
+ * holds - price_alert_states keeps each rule's last outcome. A user's matches
+ * go out as one email (lib/mailer.js) with an unsubscribe link. Limits: a rule
+ * fires at most once per ALERT_COOLDOWN_HOURS (default 24) and a user gets at
+ * most ALERT_DAILY_LIMIT (default 10) alerts a day; the rest are recorded as
+ * rate_limited in price_alert_notifications.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./db');
+const { sendEmail, escapeHtml } = require('./mailer');
+const { chunks, formatPrice, cardHelmetIds, followRedirects, loadHelmetPrices, cardPrice } = require('./watchlist-prices');
+const { toCard } = require('./watchlist-items');
+
+const supabase = getDatabase();
+
+const ALERT_TYPES = ['below', 'above', 'change', 'lowest', 'in_stock'];
+const MAX_RULES_PER_CARD = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function settings(env = process.env) {
+    return {
+        cooldownMs: (parseFloat(env.ALERT_COOLDOWN_HOURS) || 24) * HOUR_MS,
+        dailyLimit: parseInt(env.ALERT_DAILY_LIMIT) || 10,
+        stockWindowMs: (parseFloat(env.ALERT_STOCK_DAYS) || 30) * DAY_MS,
+        appUrl: (env.APP_URL || 'https://www.helmetpulse.com').replace(/\/+$/, '')
+    };
+}
+
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Check a card's alert rules
+ *
+ * @param {Array} alerts - card.alerts
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+function validateAlerts(alerts) {
+    const errors = [];
+    if (alerts === undefined || alerts === null) return { valid: true, errors };
+    if (!Array.isArray(alerts)) return { valid: false, errors: ['alerts must be a list'] };
+    if (alerts.length > MAX_RULES_PER_CARD) errors.push(`at most ${MAX_RULES_PER_CARD} alerts per card`);
+
+    alerts.forEach((rule, i) => {
+        const at = `alerts[${i}]`;
+        if (!rule || typeof rule !== 'object' || !ALERT_TYPES.includes(rule.type)) {
+            errors.push(`${at}.type: must be one of ${ALERT_TYPES.join(', ')}`);
+            return;
+        }
+        if ((rule.type === 'below' || rule.type === 'above') && !isPositive(rule.price)) {
+            errors.push(`${at}.price: must be a positive number`);
+        }
+        if (rule.type === 'change') {
+            if (typeof rule.percent !== 'number' || !Number.isFinite(rule.percent) || rule.percent === 0 || rule.percent <= -100) {
+                errors.push(`${at}.percent: must be a non-zero number above -100`);
+            }
+            if (rule.basePrice !== undefined && rule.basePrice !== null && !isPositive(rule.basePrice)) {
+                errors.push(`${at}.basePrice: must be a positive number`);
+            }
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validated rules with only their known fields
+ *
+ * A 'change' rule on a card without a costBasis is measured from the card's
+ * price when it was set.
+ */
+function normalizeAlerts(alerts, card = {}) {
+    return (alerts || []).map(rule => {
+        if (rule.type === 'below' || rule.type === 'above') return { type: rule.type, price: rule.price };
+        if (rule.type === 'change') {
+            const basePrice = isPositive(rule.basePrice) ? rule.basePrice
+                : isPositive(card.costBasis) ? null
+                    : isPositive(card.currentPrice) ? card.currentPrice : null;
+            return basePrice ? { type: 'change', percent: rule.percent, basePrice } : { type: 'change', percent: rule.percent };
+        }
+        return { type: rule.type };
+    });
+}
+
+// 'change' is measured from basePrice, else the card's cost basis
+function changeBase(rule, card) {
+    if (isPositive(rule.basePrice)) return rule.basePrice;
+    return isPositive(Number(card.costBasis)) ? Number(card.costBasis) : null;
+}
+
+/**
+ * Identifies a rule's state - a changed threshold or base starts afresh
+ */
+function ruleKey(rule, card = {}) {
+    if (rule.type === 'below' || rule.type === 'above') return `${rule.type}:${rule.price}`;
+    if (rule.type === 'change') return `change:${rule.percent}@${changeBase(rule, card)}`;
+    return rule.type;
+}
+
+/**
+ * Evaluate one rule against a card's prices
+ *
+ * @param {object} rule - From card.alerts
+ * @param {object} card - The watchlist card (name, costBasis)
+ * @param {object} snapshot - { price, lowest: { price, source }, inStock, cheapestInStock }
+ * @param {object|null} state - The rule's price_alert_states row from the last check
+ * @returns {object|null} - { matched, value, notify, price, message }, or null when the
+ *                          card has no price to judge the rule by
+ */
+function evaluateRule(rule, card, snapshot, state) {
+    const name = card.name || 'A watched helmet';
+    const wasMatched = !!(state && state.matched);
+
+    if (rule.type === 'below' || rule.type === 'above') {
+        if (!snapshot.price) return null;
+        const matched = rule.type === 'below' ? snapshot.price <= rule.price : snapshot.price >= rule.price;
+        return {
+            matched,
+            value: null,
+            notify: matched && !wasMatched,
+            price: snapshot.price,
+            message: `${name} is ${formatPrice(snapshot.price)} - ${rule.type} your ${formatPrice(rule.price)} target`
+        };
+    }
+
+    if (rule.type === 'change') {
+        const base = changeBase(rule, card);
+        if (!snapshot.price || !base) return null;
+        const change = ((snapshot.price - base) / base) * 100;
+        const matched = rule.percent > 0 ? change >= rule.percent : change <= rule.percent;
+        return {
+            matched,
+            value: null,
+            notify: matched && !wasMatched,
+            price: snapshot.price,
+            message: `${name} is ${formatPrice(snapshot.price)} - ${change >= 0 ? 'up' : 'down'} ${Math.abs(Math.round(change))}% from ${formatPrice(base)}`
+        };
+    }
+
+    if (rule.type === 'lowest') {
+        if (!snapshot.lowest) return null;
+        const previous = state && state.last_value !== null && state.last_value !== undefined ? Number(state.last_value) : null;
+        const matched = previous !== null && snapshot.lowest.price < previous;
+        return {
+            matched,
+            value: previous === null ? snapshot.lowest.price : Math.min(previous, snapshot.lowest.price),
+            notify: matched,
+            price: snapshot.lowest.price,
+            message: `${name} has a new lowest retailer price: ${formatPrice(snapshot.lowest.price)} at ${snapshot.lowest.source}` +
+                (previous !== null ? ` (was ${formatPrice(previous)})` : '')
+        };
+    }
+
+    // in_stock: only a card seen out of stock can come back
+    const cheapest = snapshot.cheapestInStock;
+    return {
+        matched: snapshot.inStock,
+        value: null,
+        notify: snapshot.inStock && !!state && !state.matched,
+        price: cheapest ? cheapest.price : null,
+        message: `${name} is back in stock${cheapest ? `: ${formatPrice(cheapest.price)} at ${cheapest.source}` : ''}`
+    };
+}
+
+/**
+ * Every watchlist card with alert rules: [{ userId, card, helmetIds }]
+ */
+async function loadAlertCards() {
+    const pageSize = 1000;
+    const cards = [];
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('watchlist_items')
+            .select('user_id, card_id, helmet_id, helmet_ids, name, cost_basis, quantity, alerts, card_data')
+            .order('id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        for (const row of data) {
+            const card = toCard(row);
+            if (card.alerts.length === 0 || !validateAlerts(card.alerts).valid) continue;
+            cards.push({ userId: row.user_id, card, helmetIds: cardHelmetIds(card) });
+        }
+
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    return followRedirects(cards);
+}
+
+/**
+ * A card's prices, as evaluateRule reads them
+ */
+function cardSnapshot(helmetIds, { helmets, retailerPrices }, { now, stockWindowMs }) {
+    const price = cardPrice(helmetIds, helmets);
+
+    const offers = helmetIds
+        .flatMap(id => retailerPrices.get(id) || [])
+        .map(r => ({
+            source: r.source,
+            price: Number(r.min_price || r.median_price),
+            recent: new Date(r.scraped_at).getTime() >= now.getTime() - stockWindowMs
+        }))
+        .sort((a, b) => a.price - b.price);
+    const inStock = offers.filter(o => o.recent);
+
+    return {
+        price,
+        lowest: offers[0] || null,
+        inStock: inStock.length > 0,
+        cheapestInStock: inStock[0] || null
+    };
+}
+
+async function loadStates(userIds) {
+    const states = new Map();
+    for (const ids of chunks(userIds)) {
+        const { data, error } = await supabase
+            .from('price_alert_states')
+            .select('user_id, card_id, rule_key, matched, last_value, notified_at')
+            .in('user_id', ids);
+
+        if (error) throw error;
+        (data || []).forEach(s => states.set(`${s.user_id}|${s.card_id}|${s.rule_key}`, s));
+    }
+    return states;
+}
+
+async function loadUsers(userIds) {
+    const users = new Map();
+    for (const ids of chunks(userIds)) {
+        const { data, error } = await supabase
+            .from('auth_users')
+            .select('id, email, full_name, alert_unsubscribe_token, alerts_unsubscribed_at')
+            .in('id', ids);
+
+        if (error) throw error;
+        (data || []).forEach(u => users.set(u.id, u));
+    }
+    return users;
+}
+
+// Alerts emailed to a user since `since`
+async function countSent(userId, since) {
+    const { count, error } = await supabase
+        .from('price_alert_notifications')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('status', 'sent')
+        .gte('created_at', since.toISOString());
+
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Rate-limited alerts still waiting to go out: the latest notification of
+ * each rule, where that one was held back
+ *
+ * @returns {Map} - 'userId|cardId|ruleKey' -> price_alert_notifications.id
+ */
+async function loadDeferredNotifications(alerts) {
+    const deferred = new Map();
+    if (alerts.length === 0) return deferred;
+
+    const { data, error } = await supabase
+        .from('price_alert_notifications')
+        .select('id, user_id, card_id, rule_key, status')
+        .in('user_id', [...new Set(alerts.map(a => a.userId))])
+        .in('card_id', [...new Set(alerts.map(a => a.cardId))])
+        .in('rule_key', [...new Set(alerts.map(a => a.ruleKey))])
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+    if (error) throw error;
+
+    const seen = new Set();
+    for (const row of data || []) {
+        const key = `${row.user_id}|${row.card_id}|${row.rule_key}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (row.status === 'rate_limited') deferred.set(key, row.id);
+    }
+    return deferred;
+}
+
+/**
+ * The user's unsubscribe token, created for their first email - alert emails
+ * and the weekly digest (lib/portfolio-digest.js) link to it
+ *
+ * @param {object} user - auth_users row with id and alert_unsubscribe_token
+ */
+async function unsubscribeToken(user) {
+    if (user.alert_unsubscribe_token) return user.alert_unsubscribe_token;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const { error } = await supabase
+        .from('auth_users')
+        .update({ alert_unsubscribe_token: token })
+        .eq('id', user.id);
+
+    if (error) throw error;
+    user.alert_unsubscribe_token = token;
+    return token;
+}
+
+function alertEmail(user, alerts, unsubscribeUrl, appUrl) {
+    const subject = alerts.length === 1 ? `Price alert: ${alerts[0].cardName}` : `${alerts.length} price alerts on your watchlist`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #f04a30;">Price Alert</h2>
+            <p>Hi ${escapeHtml(user.full_name || 'there')},</p>
+            <p>${alerts.length === 1 ? 'A helmet on your watchlist hit one of your alerts:' : 'Helmets on your watchlist hit your alerts:'}</p>
+            <ul style="padding-left: 20px; line-height: 1.6;">
+                ${alerts.map(a => `<li>${escapeHtml(a.message)}</li>`).join('\n                ')}
+            </ul>
+            <p><a href="${escapeHtml(appUrl)}" style="color: #f04a30;">Open your watchlist</a></p>
+            <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+            <p style="color: #6b7280; font-size: 14px;">HelmetPulse - Real-time helmet price tracking<br>
+            <a href="${escapeHtml(unsubscribeUrl)}" style="color: #6b7280;">Unsubscribe from price alerts</a></p>
+        </div>
+    `;
+    return { subject, html };
+}
+
+/**
+ * Check alert rules and email the matches
+ *
+ * @param {object} options - Optional: { helmetIds, dryRun, send, now, env }
+ *                           helmetIds - only cards watching these (default: every card)
+ *                           dryRun - evaluate only: nothing recorded or sent
+ *                           send - replaces lib/mailer.js sendEmail (tests)
+ * @returns {object} - { cards, alerts, sent, rateLimited, failed } - alerts lists
+ *                     { userId, email, cardId, cardName, ruleKey, price, message, status };
+ *                     on a dry run, status 'would_send' (counted in sent)
+ */
+async function checkAlerts({ helmetIds = null, dryRun = false, send = sendEmail, now = new Date(), env = process.env } = {}) {
+    const config = settings(env);
+    const summary = { cards: 0, alerts: [], sent: 0, rateLimited: 0, failed: 0 };
+
+    let cards = await loadAlertCards();
+    if (helmetIds) {
+        const wanted = new Set(helmetIds.map(Number));
+        cards = cards.filter(c => c.helmetIds.some(id => wanted.has(id)));
+    }
+    if (cards.length === 0) return summary;
+
+    const userIds = [...new Set(cards.map(c => c.userId))];
+    const users = await loadUsers(userIds);
+    cards = cards.filter(c => users.has(c.userId) && !users.get(c.userId).alerts_unsubscribed_at);
+    summary.cards = cards.length;
+    if (cards.length === 0) return summary;
+
+    const prices = await loadHelmetPrices([...new Set(cards.flatMap(c => c.helmetIds))]);
+    const states = await loadStates(userIds);
+    const checkedAt = now.toISOString();
+    const stateRows = [];
+    const byUser = new Map();
+
+    for (const { userId, card, helmetIds: ids } of cards) {
+        const snapshot = cardSnapshot(ids, prices, { now, stockWindowMs: config.stockWindowMs });
+
+        for (const rule of card.alerts) {
+            const key = ruleKey(rule, card);
+            const state = states.get(`${userId}|${card.id}|${key}`) || null;
+            const result = evaluateRule(rule, card, snapshot, state);
+            if (!result) continue;
+
+            const row = {
+                user_id: userId,
+                card_id: String(card.id),
+                rule_key: key,
+                matched: result.matched,
+                last_value: result.value,
+                checked_at: checkedAt,
+                notified_at: state ? state.notified_at : null
+            };
+            stateRows.push(row);
+            if (!result.notify) continue;
+
+            const alert = {
+                userId,
+                email: users.get(userId).email,
+                cardId: String(card.id),
+                cardName: card.name || null,
+                ruleKey: key,
+                price: result.price,
+                message: result.message,
+                status: null,
+                state: row,
+                previous: state
+            };
+            const cooling = state && state.notified_at && now.getTime() - new Date(state.notified_at).getTime() < config.cooldownMs;
+            if (cooling) alert.status = 'rate_limited';
+
+            if (!byUser.has(userId)) byUser.set(userId, []);
+            byUser.get(userId).push(alert);
+        }
+    }
+
+    for (const [userId, alerts] of byUser) {
+        const user = users.get(userId);
+        let allowance = config.dailyLimit - (dryRun ? 0 : await countSent(userId, new Date(now.getTime() - DAY_MS)));
+
+        const toSend = [];
+        for (const alert of alerts) {
+            if (alert.status) continue;
+            if (allowance <= 0) {
+                alert.status = 'rate_limited';
+                continue;
+            }
+            allowance--;
+            toSend.push(alert);
+        }
+
+        if (toSend.length > 0 && !dryRun) {
+            const token = await unsubscribeToken(user);
+            const unsubscribeUrl = `${config.appUrl}/api/alerts/unsubscribe?token=${token}`;
+            const { subject, html } = alertEmail(user, toSend, unsubscribeUrl, config.appUrl);
+            const result = await send({
+                to: user.email,
+                subject,
+                html,
+                headers: {
+                    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                }
+            });
+
+            for (const alert of toSend) {
+                alert.status = result.success ? 'sent' : 'failed';
+                alert.error = result.success ? null : result.error;
+                if (result.success) alert.state.notified_at = checkedAt;
+            }
+        } else if (dryRun) {
+            toSend.forEach(alert => { alert.status = 'would_send'; });
+        }
+
+        for (const { state, previous, ...alert } of alerts) {
+            // Not delivered: keep the rule's state from before this check, so the next
+            // check sees the same crossing and tries again
+            if (alert.status === 'failed' || alert.status === 'rate_limited') {
+                state.matched = previous ? previous.matched : false;
+                state.last_value = previous ? previous.last_value : null;
+            }
+
+            summary.alerts.push(alert);
+            if (alert.status === 'sent' || alert.status === 'would_send') summary.sent++;
+            else if (alert.status === 'rate_limited') summary.rateLimited++;
+            else summary.failed++;
+        }
+    }
+
+    if (dryRun) return summary;
+
+    for (const rows of chunks(stateRows, 500)) {
+        const { error } = await supabase
+            .from('price_alert_states')
+            .upsert(rows, { onConflict: 'user_id,card_id,rule_key' });
+
+        if (error) throw error;
+    }
+
+    // A held-back alert is found again on every check until it goes out: keep
+    // one rate_limited row per crossing, brought up to date, not one per check
+    const deferred = await loadDeferredNotifications(summary.alerts.filter(a => a.status === 'rate_limited'));
+    const logged = [];
+    for (const alert of summary.alerts) {
+        const id = alert.status === 'rate_limited' && deferred.get(`${alert.userId}|${alert.cardId}|${alert.ruleKey}`);
+        if (!id) {
+            logged.push(alert);
+            continue;
+        }
+
+        const { error } = await supabase
+            .from('price_alert_notifications')
+            .update({ price: alert.price, message: alert.message })
+            .eq('id', id);
+
+        if (error) throw error;
+    }
+
+    if (logged.length > 0) {
+        const { error } = await supabase
+            .from('price_alert_notifications')
+            .insert(logged.map(a => ({
+                user_id: a.userId,
+                card_id: a.cardId,
+                rule_key: a.ruleKey,
+                price: a.price,
+                message: a.message,
+                status: a.status,
+                error: a.error || null,
+                created_at: checkedAt
+            })));
+
+        if (error) throw error;
+    }
+
+    return summary;
+}
+
+/**
+ * Check the cards watching the helmets an import priced
+ *
+ * Never throws - a failed alert check shouldn't fail the import.
+ *
+ * @param {object} options - Optional: { helmetIds } - instead of the run's priced helmets
+ */
+async function checkAlertsAfterImport(runId, { helmetIds = null, log = console.log } = {}) {
+    try {
+        let ids = helmetIds;
+        if (!ids) {
+            const { data, error } = await supabase
+                .from('helmet_prices')
+                .select('helmet_id')
+                .eq('import_run_id', runId);
+
+            if (error) throw error;
+            ids = [...new Set((data || []).map(p => p.helmet_id))];
+        }
+        if (ids.length === 0) return null;
+
+        const summary = await checkAlerts({ helmetIds: ids });
+        if (summary.alerts.length > 0) {
+            log(`🔔 Price alerts: ${summary.sent} sent, ${summary.rateLimited} rate limited, ${summary.failed} failed`);
+        }
+        return summary;
+    } catch (error) {
+        log(`⚠️  Price alert check failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Turn alerts off from an email's unsubscribe link
+ *
+ * @returns {object} - { success: true, email } or { success: false, code: 'not_found', error }
+ */
+async function unsubscribe(token) {
+    if (!token || typeof token !== 'string') {
+        return { success: false, code: 'not_found', error: 'Unsubscribe link is invalid' };
+    }
+
+    const { data: user, error } = await supabase
+        .from('auth_users')
+        .select('id, email, alerts_unsubscribed_at')
+        .eq('alert_unsubscribe_token', token)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return { success: false, code: 'not_found', error: 'Unsubscribe link is invalid' };
+
+    if (!user.alerts_unsubscribed_at) await setAlertsEnabled(user.id, false);
+    return { success: true, email: user.email };
+}
+
+async function setAlertsEnabled(userId, enabled) {
+    const { error } = await supabase
+        .from('auth_users')
+        .update({ alerts_unsubscribed_at: enabled ? null : new Date().toISOString() })
+        .eq('id', userId);
+
+    if (error) throw error;
+}
+
+/**
+ * Whether a user gets alert emails, and their most recent alerts
+ */
+async function alertStatus(userId, { limit = 20 } = {}) {
+    const { data: user, error } = await supabase
+        .from('auth_users')
+        .select('alerts_unsubscribed_at')
+        .eq('id', userId)
+        .single();
+
+    if (error) throw error;
+
+    const { data: recent, error: recentError } = await supabase
+        .from('price_alert_notifications')
+        .select('id, card_id, rule_key, price, message, status, created_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if (recentError) throw recentError;
+    return {
+        enabled: !user.alerts_unsubscribed_at,
+        unsubscribedAt: user.alerts_unsubscribed_at,
+        recent: (recent || []).map(n => ({
+            id: n.id,
+            cardId: n.card_id,
+            rule: n.rule_key,
+            price: n.price === null ? null : Number(n.price),
+            message: n.message,
+            status: n.status,
+            createdAt: n.created_at
+        }))
+    };
+}
+
+module.exports = {
+    ALERT_TYPES,
+    validateAlerts,
+    normalizeAlerts,
+    ruleKey,
+    evaluateRule,
+    checkAlerts,
+    checkAlertsAfterImport,
+    unsubscribeToken,
+    unsubscribe,
+    setAlertsEnabled,
+    alertStatus
+};
@@ -5,10 +5,19 @@
  * All import scripts and scrapers should use these functions to ensure data consistency.
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./db');
+const { normalizeName, correctPlayerName } = require('./player-names');
+const { findTeamInText } = require('./teams');
+const {
+    matchListing,
+    listingKey,
+    createHelmetIndex,
+    parseAuthCompany,
+    parseInscription
+} = require('./helmet-matcher');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 // Valid price sources (retailer inventory only)
 const VALID_SOURCES = ['fanatics', 'rsa', 'radtke', 'pristine', 'signaturesports', 'greatsports', 'denverautographs'];
@@ -46,16 +55,20 @@ function calculateMedian(numbers) {
 }
 
 /**
- * Add or update a price for a helmet
+ * Record a price observation for a helmet
  *
- * Each source stores its OWN actual price. After storing, this function
- * recalculates the cross-source median and stores it directly on the helmet.
+ * Each source stores its OWN actual price. Every call adds a new dated row to
+ * helmet_prices, so repeated imports build a price history per helmet + source
+ * instead of overwriting the previous value. After storing, this function
+ * recalculates the cross-source median from the latest observation of each
+ * source and stores it directly on the helmet.
  *
  * @param {number} helmetId - The helmet ID
  * @param {string} source - Price source (ebay, fanatics, rsa, radtke, pristine, etc.)
  * @param {number} price - The price value from this source
- * @param {object} options - Optional: { minPrice, maxPrice, totalResults, ebayUrl }
- * @returns {object} - { success: boolean, action: 'inserted'|'updated', error?: string }
+ * @param {object} options - Optional: { minPrice, maxPrice, totalResults, ebayUrl, scrapedAt,
+ *                           importRunId } - importRunId tags the row (lib/import-runs.js)
+ * @returns {object} - { success: boolean, action: 'inserted', price?: number, error?: string }
  */
 async function upsertPrice(helmetId, source, price, options = {}) {
     try {
@@ -75,73 +88,96 @@ async function upsertPrice(helmetId, source, price, options = {}) {
         const minPrice = options.minPrice || price;
         const maxPrice = options.maxPrice || price;
         const totalResults = options.totalResults || 1;
+        const scrapedAt = options.scrapedAt || new Date().toISOString();
 
-        // Check if record exists for this helmet + source
-        const { data: existing } = await supabase
+        // Append a new observation with THIS source's actual price
+        const { error } = await supabase
             .from('helmet_prices')
-            .select('id')
-            .eq('helmet_id', helmetId)
-            .eq('source', source)
-            .single();
-
-        let action;
-        if (existing) {
-            // Update existing record with THIS source's actual price
-            const { error } = await supabase
-                .from('helmet_prices')
-                .update({
-                    median_price: price,
-                    min_price: minPrice,
-                    max_price: maxPrice,
-                    total_results: totalResults,
-                    ebay_url: ebayUrl,
-                    scraped_at: new Date().toISOString()
-                })
-                .eq('id', existing.id);
-
-            if (error) return { success: false, error: error.message };
-            action = 'updated';
-        } else {
-            // Insert new record with THIS source's actual price
-            const { error } = await supabase
-                .from('helmet_prices')
-                .insert({
-                    helmet_id: helmetId,
-                    source: source,
-                    median_price: price,
-                    min_price: minPrice,
-                    max_price: maxPrice,
-                    total_results: totalResults,
-                    ebay_url: ebayUrl,
-                    scraped_at: new Date().toISOString()
-                });
-
-            if (error) return { success: false, error: error.message };
-            action = 'inserted';
-        }
+            .insert({
+                helmet_id: helmetId,
+                source: source,
+                median_price: price,
+                min_price: minPrice,
+                max_price: maxPrice,
+                total_results: totalResults,
+                ebay_url: ebayUrl,
+                scraped_at: scrapedAt,
+                ...(options.importRunId ? { import_run_id: options.importRunId } : {})
+            });
+
+        if (error) return { success: false, error: error.message };
 
         // Recalculate and update the helmet's current_price with the cross-source median
         await updateHelmetMedianPrice(helmetId);
 
-        return { success: true, action, price };
+        return { success: true, action: 'inserted', price };
     } catch (err) {
         return { success: false, error: err.message };
     }
 }
 
+/**
+ * Get the latest price observation from each source for a helmet
+ *
+ * @param {number} helmetId - The helmet ID
+ * @returns {Array} - Rows from helmet_latest_source_prices (one per source)
+ */
+async function getLatestPrices(helmetId) {
+    const { data, error } = await supabase
+        .from('helmet_latest_source_prices')
+        .select('id, helmet_id, source, median_price, min_price, max_price, total_results, ebay_url, scraped_at')
+        .eq('helmet_id', helmetId);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Latest price from one source for every helmet
+ *
+ * For import reports, which compare each new price with the one it replaces.
+ *
+ * @param {string} source - Price source
+ * @returns {Map} - helmet_id -> { price, scrapedAt }
+ */
+async function loadLatestSourcePrices(source) {
+    const latest = new Map();
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('helmet_latest_source_prices')
+            .select('helmet_id, median_price, scraped_at')
+            .eq('source', source)
+            .order('helmet_id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        for (const p of data) latest.set(p.helmet_id, { price: p.median_price, scrapedAt: p.scraped_at });
+
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    return latest;
+}
+
 /**
  * Recalculate the median price across all sources for a helmet
  * and update the helmet's current_price column
  *
+ * Only the latest observation from each source counts, so older history
+ * rows don't pull the median toward stale prices.
+ *
  * @param {number} helmetId - The helmet ID
  */
 async function updateHelmetMedianPrice(helmetId) {
     try {
-        // Get all prices for this helmet
-        const { data: prices } = await supabase
-            .from('helmet_prices')
-            .select('median_price')
-            .eq('helmet_id', helmetId);
+        // Get the latest price from each source for this helmet
+        const prices = await getLatestPrices(helmetId);
 
         if (!prices || prices.length === 0) return;
 
@@ -161,53 +197,322 @@ async function updateHelmetMedianPrice(helmetId) {
     }
 }
 
+// Normalized player name/alias -> { id, name }, loaded once per run
+let playerRegistry = null;
+
 /**
- * Find a helmet by player and team with flexible matching
+ * Load the canonical players and their aliases into memory
  *
- * @param {string} player - Player name
- * @param {string} team - Team name
- * @param {string} helmetType - Helmet type (optional for exact match)
- * @param {string} designType - Design type (optional for exact match)
- * @returns {object|null} - Helmet object or null if not found
+ * Falls back to an empty registry (NAME_CORRECTIONS only) when the players
+ * table hasn't been migrated yet.
  */
-async function findHelmet(player, team, helmetType = null, designType = null) {
-    // Try exact match first
-    if (helmetType && designType) {
-        const { data: exact } = await supabase
-            .from('helmets')
-            .select('id, player, team, helmet_type, design_type')
-            .eq('player', player)
-            .eq('team', team)
-            .eq('helmet_type', helmetType)
-            .eq('design_type', designType);
+async function loadPlayerRegistry() {
+    if (playerRegistry) return playerRegistry;
+
+    const registry = new Map();
+    const byId = new Map();
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('players')
+            .select('id, name')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) {
+            console.warn(`Player registry unavailable: ${error.message}`);
+            playerRegistry = new Map();
+            return playerRegistry;
+        }
+        if (!data || data.length === 0) break;
+
+        for (const p of data) {
+            const entry = { id: p.id, name: p.name };
+            byId.set(p.id, entry);
+            registry.set(normalizeName(p.name), entry);
+        }
+
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    const { data: aliases, error: aliasError } = await supabase
+        .from('player_aliases')
+        .select('alias, player_id')
+        .not('player_id', 'is', null);
+
+    if (aliasError) {
+        console.warn(`Player aliases unavailable: ${aliasError.message}`);
+    } else {
+        for (const a of aliases || []) {
+            const key = normalizeName(a.alias);
+            // A real player's own name always wins over someone else's alias
+            if (byId.has(a.player_id) && !registry.has(key)) {
+                registry.set(key, byId.get(a.player_id));
+            }
+        }
+    }
+
+    playerRegistry = registry;
+    return playerRegistry;
+}
+
+/**
+ * Resolve a raw player name to the canonical player
+ *
+ * Checks the players table and its aliases, then NAME_CORRECTIONS.
+ *
+ * @param {string} name - Player name as it appears in the source data
+ * @returns {object|null} - { id, name } (id is null when only a correction matched),
+ *                          or null if the name is unknown or not a player
+ */
+async function resolvePlayer(name) {
+    if (!name || !name.trim()) return null;
+
+    const registry = await loadPlayerRegistry();
+    const known = registry.get(normalizeName(name));
+    if (known) return known;
 
-        if (exact && exact.length > 0) return exact[0];
+    const corrected = correctPlayerName(name);
+    if (corrected) {
+        return registry.get(normalizeName(corrected)) || { id: null, name: corrected };
     }
 
-    // Try player + team + helmet_type
-    if (helmetType) {
-        const { data: partial } = await supabase
+    return null;
+}
+
+// Columns the matcher scores on
+const HELMET_MATCH_COLUMNS = 'id, name, player, player_id, team, helmet_type, design_type, auth_company, inscription';
+
+/**
+ * Load every helmet into an in-memory matcher index
+ *
+ * For bulk importers that match thousands of listings in one run.
+ *
+ * @param {string} extraColumns - Additional helmets columns to load (comma separated)
+ * @returns {object} - Index from createHelmetIndex (index.helmets holds the rows)
+ */
+async function loadHelmetIndex(extraColumns = '') {
+    const columns = extraColumns ? `${HELMET_MATCH_COLUMNS}, ${extraColumns}` : HELMET_MATCH_COLUMNS;
+    const helmets = [];
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
             .from('helmets')
-            .select('id, player, team, helmet_type, design_type')
-            .eq('player', player)
-            .eq('team', team)
-            .eq('helmet_type', helmetType)
+            .select(columns)
+            .order('id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        helmets.push(...data);
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    return createHelmetIndex(helmets);
+}
+
+// listing_key -> { decision, helmet_id }, loaded once per run
+let matchDecisions = null;
+
+/**
+ * Load the review decisions admins have made, so the same listing is
+ * resolved the same way on every later import
+ *
+ * Falls back to no decisions when the table hasn't been migrated yet.
+ */
+async function loadMatchDecisions() {
+    if (matchDecisions) return matchDecisions;
+
+    const decisions = new Map();
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('helmet_match_decisions')
+            .select('listing_key, decision, helmet_id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) {
+            console.warn(`Match decisions unavailable: ${error.message}`);
+            break;
+        }
+        if (!data || data.length === 0) break;
+
+        for (const d of data) decisions.set(d.listing_key, d);
+
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    matchDecisions = decisions;
+    return matchDecisions;
+}
+
+/**
+ * Catalog helmets for a resolved player
+ */
+async function loadCandidates(player) {
+    const query = supabase.from('helmets').select(HELMET_MATCH_COLUMNS);
+    const { data, error } = player.id
+        ? await query.eq('player_id', player.id)
+        : await query.eq('player', player.name);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Put a listing the matcher couldn't decide on in the review queue
+ *
+ * A listing that is already pending review is updated in place (price,
+ * candidates, times_seen) rather than queued twice.
+ *
+ * @param {string} source - Price source
+ * @param {object} listing - The listing passed to matchHelmet
+ * @param {object} match - Result from matchListing
+ * @param {object} options - Optional: { price, url }
+ * @returns {object} - { success: boolean, action?: 'queued' | 'updated', error?: string }
+ */
+async function queueMatchReview(source, listing, match, options = {}) {
+    const key = listingKey(source, listing);
+    const row = {
+        source,
+        listing_key: key,
+        listing: {
+            player: listing.player,
+            team: listing.team || null,
+            helmetType: listing.helmetType || null,
+            designType: listing.designType || null,
+            authCompany: listing.authCompany || null,
+            inscription: listing.inscription || null,
+            title: listing.title || null,
+            url: options.url || listing.url || null
+        },
+        price: options.price || null,
+        candidates: match.candidates.map(c => ({
+            helmet_id: c.helmet.id,
+            score: c.score,
+            breakdown: c.breakdown
+        })),
+        best_score: match.score,
+        reason: match.reason
+    };
+
+    try {
+        const { data: pending } = await supabase
+            .from('helmet_match_reviews')
+            .select('id, times_seen')
+            .eq('listing_key', key)
+            .eq('status', 'pending')
             .limit(1);
 
-        if (partial && partial.length > 0) return partial[0];
+        if (pending && pending.length > 0) {
+            const { error } = await supabase
+                .from('helmet_match_reviews')
+                .update({ ...row, times_seen: pending[0].times_seen + 1, last_seen_at: new Date().toISOString() })
+                .eq('id', pending[0].id);
+
+            if (error) return { success: false, error: error.message };
+            return { success: true, action: 'updated' };
+        }
+
+        const { error } = await supabase.from('helmet_match_reviews').insert(row);
+        if (error) return { success: false, error: error.message };
+        return { success: true, action: 'queued' };
+    } catch (err) {
+        return { success: false, error: err.message };
     }
+}
 
-    // Try just player + team
-    const { data: basic } = await supabase
-        .from('helmets')
-        .select('id, player, team, helmet_type, design_type')
-        .eq('player', player)
-        .eq('team', team)
-        .limit(1);
+/**
+ * Match a retailer listing to a catalog helmet
+ *
+ * The player is resolved through the registry, then every helmet for that
+ * player is scored by lib/helmet-matcher.js. The auth company and inscription
+ * are read from the title when not given. Ambiguous listings are queued for
+ * review when a source is given, so their price isn't lost or misattributed,
+ * and a listing an admin already reviewed gets the remembered decision.
+ * A dry run matches the same way but queues nothing.
+ *
+ * @param {object} listing - { player, team, helmetType, designType, authCompany,
+ *                           inscription, title, url, helmetTypeConfidence, designTypeConfidence }
+ * @param {object} options - Optional: { source, price, url, index, dryRun }
+ *                           index is a loadHelmetIndex() result to match in memory
+ * @returns {object} - { decision: 'matched' | 'review' | 'new' | 'ignored', helmet, score,
+ *                       reason, candidates, player } - player is the resolved { id, name }
+ */
+async function matchHelmet(listing, options = {}) {
+    // Titles carry the auth company and inscription when the source has no column for them
+    listing = {
+        ...listing,
+        authCompany: listing.authCompany || parseAuthCompany(listing.title),
+        inscription: listing.inscription || parseInscription(listing.title)
+    };
 
-    if (basic && basic.length > 0) return basic[0];
+    const player = await resolvePlayer(listing.player)
+        || (listing.player ? { id: null, name: listing.player.trim() } : null);
 
-    return null;
+    if (!player) {
+        return { decision: 'new', helmet: null, score: 0, reason: 'no player', candidates: [], player };
+    }
+
+    if (options.source) {
+        const decisions = await loadMatchDecisions();
+        const remembered = decisions.get(listingKey(options.source, listing));
+
+        if (remembered && remembered.decision === 'ignore') {
+            return { decision: 'ignored', helmet: null, score: 0, reason: 'remembered', candidates: [], player };
+        }
+
+        if (remembered && remembered.decision === 'match') {
+            const helmet = options.index
+                ? options.index.get(remembered.helmet_id)
+                : (await supabase.from('helmets').select(HELMET_MATCH_COLUMNS).eq('id', remembered.helmet_id)).data?.[0];
+
+            // A helmet merged away since the decision falls through to scoring
+            if (helmet) {
+                return { decision: 'matched', helmet, score: 1, reason: 'remembered', candidates: [], player };
+            }
+        }
+    }
+
+    const candidates = options.index
+        ? options.index.candidatesFor(player)
+        : await loadCandidates(player);
+
+    const match = matchListing(listing, candidates);
+
+    if (match.decision === 'review' && options.source && !options.dryRun) {
+        const queued = await queueMatchReview(options.source, listing, match, options);
+        if (!queued.success) console.warn(`Could not queue match review: ${queued.error}`);
+    }
+
+    return { ...match, player };
+}
+
+/**
+ * Find a helmet by player and team
+ *
+ * Only returns a helmet the matcher is confident about - an ambiguous listing
+ * returns null rather than the first helmet for the player and team. Prefer
+ * matchHelmet, which can also queue the listing for review.
+ *
+ * @param {string} player - Player name
+ * @param {string} team - Team name
+ * @param {string} helmetType - Helmet type (optional)
+ * @param {string} designType - Design type (optional)
+ * @returns {object|null} - Helmet object or null if not found
+ */
+async function findHelmet(player, team, helmetType = null, designType = null) {
+    const match = await matchHelmet({ player, team, helmetType, designType });
+    return match.decision === 'matched' ? match.helmet : null;
 }
 
 /**
@@ -243,178 +548,12 @@ async function getPriceStats() {
  * Used to auto-populate team field when not provided
  *
  * @param {string} name - Helmet name or description
- * @returns {string|null} - Extracted team name or null if not found
+ * @returns {string|null} - Canonical team (see lib/teams.js) or null if not found
  */
 function extractTeamFromName(name) {
     if (!name) return null;
-
-    // Team extraction patterns (order matters - more specific patterns first)
-    const teamPatterns = [
-        // College Teams (check first as they're more specific)
-        { pattern: /georgia bulldogs/i, team: 'Georgia Bulldogs' },
-        { pattern: /colorado buffaloes/i, team: 'Colorado Buffaloes' },
-        { pattern: /alabama crimson tide/i, team: 'Alabama Crimson Tide' },
-        { pattern: /ohio state buckeyes/i, team: 'Ohio State Buckeyes' },
-        { pattern: /michigan wolverines/i, team: 'Michigan Wolverines' },
-        { pattern: /michigan state spartans/i, team: 'Michigan State Spartans' },
-        { pattern: /lsu tigers/i, team: 'LSU Tigers' },
-        { pattern: /clemson tigers/i, team: 'Clemson Tigers' },
-        { pattern: /auburn tigers/i, team: 'Auburn Tigers' },
-        { pattern: /notre dame fighting irish/i, team: 'Notre Dame Fighting Irish' },
-        { pattern: /notre dame/i, team: 'Notre Dame Fighting Irish' },
-        { pattern: /florida gators/i, team: 'Florida Gators' },
-        { pattern: /texas longhorns/i, team: 'Texas Longhorns' },
-        { pattern: /texas a&m aggies/i, team: 'Texas A&M Aggies' },
-        { pattern: /texas a&m/i, team: 'Texas A&M Aggies' },
-        { pattern: /oklahoma sooners/i, team: 'Oklahoma Sooners' },
-        { pattern: /usc trojans/i, team: 'USC Trojans' },
-        { pattern: /miami hurricanes/i, team: 'Miami Hurricanes' },
-        { pattern: /nebraska cornhuskers/i, team: 'Nebraska Cornhuskers' },
-        { pattern: /wisconsin badgers/i, team: 'Wisconsin Badgers' },
-        { pattern: /oregon ducks/i, team: 'Oregon Ducks' },
-        { pattern: /washington huskies/i, team: 'Washington Huskies' },
-        { pattern: /iowa hawkeyes/i, team: 'Iowa Hawkeyes' },
-        { pattern: /penn state/i, team: 'Penn State Nittany Lions' },
-        { pattern: /tennessee volunteers/i, team: 'Tennessee Volunteers' },
-        { pattern: /florida state seminoles/i, team: 'Florida State Seminoles' },
-        { pattern: /purdue boilermakers/i, team: 'Purdue Boilermakers' },
-        { pattern: /virginia tech hokies/i, team: 'Virginia Tech Hokies' },
-        { pattern: /ole miss rebels/i, team: 'Ole Miss Rebels' },
-        { pattern: /ole miss/i, team: 'Ole Miss Rebels' },
-        { pattern: /arizona state sun devils/i, team: 'Arizona State Sun Devils' },
-        { pattern: /arizona state/i, team: 'Arizona State Sun Devils' },
-        { pattern: /utah utes/i, team: 'Utah Utes' },
-        { pattern: /north dakota state bison/i, team: 'North Dakota State Bison' },
-        { pattern: /north dakota state/i, team: 'North Dakota State Bison' },
-        { pattern: /navy midshipmen/i, team: 'Navy Midshipmen' },
-        { pattern: /stanford/i, team: 'Stanford Cardinal' },
-        { pattern: /tn vols/i, team: 'Tennessee Volunteers' },
-
-        // NFL Teams
-        { pattern: /houston oilers/i, team: 'Houston Oilers' },
-        { pattern: /washington redskins/i, team: 'Commanders' },
-        { pattern: /las vegas raiders/i, team: 'Raiders' },
-        { pattern: /49ers/i, team: '49ers' },
-        { pattern: /bears/i, team: 'Bears' },
-        { pattern: /bengals/i, team: 'Bengals' },
-        { pattern: /bills/i, team: 'Bills' },
-        { pattern: /broncos/i, team: 'Broncos' },
-        { pattern: /browns/i, team: 'Browns' },
-        { pattern: /buccaneers/i, team: 'Buccaneers' },
-        { pattern: /cardinals/i, team: 'Cardinals' },
-        { pattern: /chargers/i, team: 'Chargers' },
-        { pattern: /chiefs/i, team: 'Chiefs' },
-        { pattern: /colts/i, team: 'Colts' },
-        { pattern: /commanders/i, team: 'Commanders' },
-        { pattern: /cowboys/i, team: 'Cowboys' },
-        { pattern: /dolphins/i, team: 'Dolphins' },
-        { pattern: /eagles/i, team: 'Eagles' },
-        { pattern: /falcons/i, team: 'Falcons' },
-        { pattern: /giants/i, team: 'Giants' },
-        { pattern: /jaguars/i, team: 'Jaguars' },
-        { pattern: /jets/i, team: 'Jets' },
-        { pattern: /lions/i, team: 'Lions' },
-        { pattern: /packers/i, team: 'Packers' },
-        { pattern: /panthers/i, team: 'Panthers' },
-        { pattern: /patriots/i, team: 'Patriots' },
-        { pattern: /raiders/i, team: 'Raiders' },
-        { pattern: /rams/i, team: 'Rams' },
-        { pattern: /ravens/i, team: 'Ravens' },
-        { pattern: /saints/i, team: 'Saints' },
-        { pattern: /seahawks/i, team: 'Seahawks' },
-        { pattern: /steelers/i, team: 'Steelers' },
-        { pattern: /texans/i, team: 'Texans' },
-        { pattern: /titans/i, team: 'Titans' },
-        { pattern: /vikings/i, team: 'Vikings' },
-
-        // NHL Teams
-        { pattern: /new york rangers/i, team: 'NY Rangers (NHL)' },
-        { pattern: /rangers/i, team: 'NY Rangers (NHL)' },
-        { pattern: /toronto maple leafs/i, team: 'Toronto Maple Leafs (NHL)' },
-        { pattern: /maple leafs/i, team: 'Toronto Maple Leafs (NHL)' },
-        { pattern: /montreal canadiens/i, team: 'Montreal Canadiens (NHL)' },
-        { pattern: /canadiens/i, team: 'Montreal Canadiens (NHL)' },
-        { pattern: /vancouver canucks/i, team: 'Vancouver Canucks (NHL)' },
-        { pattern: /canucks/i, team: 'Vancouver Canucks (NHL)' },
-        { pattern: /edmonton oilers/i, team: 'Edmonton Oilers (NHL)' },
-        { pattern: /colorado avalanche/i, team: 'Colorado Avalanche (NHL)' },
-        { pattern: /avalanche/i, team: 'Colorado Avalanche (NHL)' },
-        { pattern: /washington capitals/i, team: 'Washington Capitals (NHL)' },
-        { pattern: /capitals/i, team: 'Washington Capitals (NHL)' },
-        { pattern: /carolina hurricanes/i, team: 'Carolina Hurricanes (NHL)' },
-        { pattern: /new jersey devils/i, team: 'New Jersey Devils (NHL)' },
-        { pattern: /devils/i, team: 'New Jersey Devils (NHL)' },
-        { pattern: /calgary flames/i, team: 'Calgary Flames (NHL)' },
-        { pattern: /flames/i, team: 'Calgary Flames (NHL)' },
-        { pattern: /seattle kraken/i, team: 'Seattle Kraken (NHL)' },
-        { pattern: /kraken/i, team: 'Seattle Kraken (NHL)' },
-        { pattern: /nashville predators/i, team: 'Nashville Predators (NHL)' },
-        { pattern: /predators/i, team: 'Nashville Predators (NHL)' },
-        { pattern: /new york islanders/i, team: 'NY Islanders (NHL)' },
-        { pattern: /islanders/i, team: 'NY Islanders (NHL)' },
-        { pattern: /minnesota wild/i, team: 'Minnesota Wild (NHL)' },
-        { pattern: /buffalo sabres/i, team: 'Buffalo Sabres (NHL)' },
-        { pattern: /sabres/i, team: 'Buffalo Sabres (NHL)' },
-        { pattern: /columbus blue jackets/i, team: 'Columbus Blue Jackets (NHL)' },
-        { pattern: /blue jackets/i, team: 'Columbus Blue Jackets (NHL)' },
-        { pattern: /anaheim ducks/i, team: 'Anaheim Ducks (NHL)' },
-        { pattern: /los angeles kings/i, team: 'LA Kings (NHL)' },
-        { pattern: /vegas golden knights/i, team: 'Vegas Golden Knights (NHL)' },
-        { pattern: /golden knights/i, team: 'Vegas Golden Knights (NHL)' },
-        { pattern: /tampa bay lightning/i, team: 'Tampa Bay Lightning (NHL)' },
-        { pattern: /lightning/i, team: 'Tampa Bay Lightning (NHL)' },
-
-        // MLB Teams
-        { pattern: /new york yankees/i, team: 'NY Yankees (MLB)' },
-        { pattern: /yankees/i, team: 'NY Yankees (MLB)' },
-        { pattern: /new york mets/i, team: 'NY Mets (MLB)' },
-        { pattern: /mets/i, team: 'NY Mets (MLB)' },
-        { pattern: /boston red sox/i, team: 'Boston Red Sox (MLB)' },
-        { pattern: /red sox/i, team: 'Boston Red Sox (MLB)' },
-        { pattern: /chicago cubs/i, team: 'Chicago Cubs (MLB)' },
-        { pattern: /cubs/i, team: 'Chicago Cubs (MLB)' },
-        { pattern: /cincinnati reds/i, team: 'Cincinnati Reds (MLB)' },
-        { pattern: /reds/i, team: 'Cincinnati Reds (MLB)' },
-        { pattern: /seattle mariners/i, team: 'Seattle Mariners (MLB)' },
-        { pattern: /mariners/i, team: 'Seattle Mariners (MLB)' },
-        { pattern: /san diego padres/i, team: 'San Diego Padres (MLB)' },
-        { pattern: /padres/i, team: 'San Diego Padres (MLB)' },
-        { pattern: /los angeles angels/i, team: 'LA Angels (MLB)' },
-        { pattern: /angels/i, team: 'LA Angels (MLB)' },
-        { pattern: /milwaukee brewers/i, team: 'Milwaukee Brewers (MLB)' },
-        { pattern: /brewers/i, team: 'Milwaukee Brewers (MLB)' },
-        { pattern: /colorado rockies/i, team: 'Colorado Rockies (MLB)' },
-        { pattern: /rockies/i, team: 'Colorado Rockies (MLB)' },
-        { pattern: /texas rangers/i, team: 'Texas Rangers (MLB)' },
-        { pattern: /washington senators/i, team: 'Washington Senators (MLB)' },
-        { pattern: /senators/i, team: 'Washington Senators (MLB)' },
-
-        // Catch-all patterns (less specific)
-        { pattern: /bulldogs/i, team: 'Georgia Bulldogs' },
-        { pattern: /buffaloes/i, team: 'Colorado Buffaloes' },
-        { pattern: /buckeyes/i, team: 'Ohio State Buckeyes' },
-        { pattern: /wolverines/i, team: 'Michigan Wolverines' },
-        { pattern: /spartans/i, team: 'Michigan State Spartans' },
-        { pattern: /gators/i, team: 'Florida Gators' },
-        { pattern: /longhorns/i, team: 'Texas Longhorns' },
-        { pattern: /aggies/i, team: 'Texas A&M Aggies' },
-        { pattern: /sooners/i, team: 'Oklahoma Sooners' },
-        { pattern: /trojans/i, team: 'USC Trojans' },
-        { pattern: /cornhuskers/i, team: 'Nebraska Cornhuskers' },
-        { pattern: /badgers/i, team: 'Wisconsin Badgers' },
-        { pattern: /hawkeyes/i, team: 'Iowa Hawkeyes' },
-        { pattern: /seminoles/i, team: 'Florida State Seminoles' },
-        { pattern: /hokies/i, team: 'Virginia Tech Hokies' },
-        { pattern: /rebels/i, team: 'Ole Miss Rebels' },
-        { pattern: /sun devils/i, team: 'Arizona State Sun Devils' },
-    ];
-
-    for (const { pattern, team } of teamPatterns) {
-        if (pattern.test(name)) {
-            return team;
-        }
-    }
-    return null;
+    const team = findTeamInText(name);
+    return team ? team.team : null;
 }
 
 /**
@@ -460,6 +599,13 @@ module.exports = {
     validateSource,
     upsertPrice,
     updateHelmetMedianPrice,
+    getLatestPrices,
+    loadLatestSourcePrices,
+    resolvePlayer,
+    loadHelmetIndex,
+    loadMatchDecisions,
+    matchHelmet,
+    queueMatchReview,
     findHelmet,
     getPriceStats,
     validateSchema,
@@ -0,0 +1,247 @@
+/**
+ * Retailer Adapters
+ *
+ * Every retailer is one adapter file in scripts/adapters/ describing four steps:
+ *
+ *   discover(ctx)          -> targets to fetch (collections, result pages, sheets)
+ *   fetch(target, ctx)     -> raw response for one target (JSON, HTML, sheet rows)
+ *   parse(raw, target)     -> products found in it: { title, price, url, ... }
+ *   normalize(product)     -> listing for the matcher (see parseListingTitle)
+ *
+ * plus an optional next(raw, target) returning the following page's target.
+ * parse and normalize never touch the network, so each adapter can be run
+ * against the saved responses listed in its `fixtures`.
+ *
+ * Caching and saving are shared - see adapter-runner.js. Nothing in here
+ * touches the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { parseListingTitle, validatePrice } = require('./listing-parser');
+const { listingKey } = require('./helmet-matcher');
+
+// api: JSON over HTTP, browser: needs puppeteer, file: local spreadsheet
+const ADAPTER_KINDS = ['api', 'browser', 'file'];
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'adapters', 'fixtures');
+
+// Stop paginating a target after this many pages
+const DEFAULT_MAX_PAGES = 20;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Workbooks read this run, by path - file adapters read one sheet per target
+const workbooks = new Map();
+
+function readWorkbook(file) {
+    if (!workbooks.has(file)) {
+        if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+        workbooks.set(file, XLSX.readFile(file));
+    }
+    return workbooks.get(file);
+}
+
+/**
+ * Sheet names in a spreadsheet
+ */
+function listSheets(file) {
+    return readWorkbook(file).SheetNames;
+}
+
+/**
+ * Rows of one sheet - objects keyed by header, or arrays with { header: 1 }
+ */
+function readSheet(file, sheetName, options = {}) {
+    const workbook = readWorkbook(file);
+    if (!workbook.SheetNames.includes(sheetName)) {
+        throw new Error(`Sheet "${sheetName}" not found`);
+    }
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], options);
+}
+
+/**
+ * Listing from a product that only has a title
+ *
+ * @param {object} product - { title, price, url, defaultType? }
+ * @param {object} options - Passed to parseListingTitle
+ */
+function normalizeTitleProduct(product, options = {}) {
+    const parsed = parseListingTitle(product.title, { defaultHelmetType: product.defaultType, ...options });
+
+    return {
+        ...parsed,
+        title: String(product.title || '').substring(0, 250),
+        price: validatePrice(product.price),
+        url: product.url || null
+    };
+}
+
+/**
+ * Check an adapter definition and fill in defaults
+ *
+ * @param {object} spec - { name, description, url, kind, discover?, fetch, parse,
+ *                         normalize?, next?, source?, delay?, maxPages?, includeInAll?,
+ *                         fixtures? }
+ * @returns {object} - The adapter
+ */
+function defineAdapter(spec) {
+    for (const key of ['name', 'description', 'kind']) {
+        if (!spec[key]) throw new Error(`Adapter is missing ${key}`);
+    }
+    if (!ADAPTER_KINDS.includes(spec.kind)) {
+        throw new Error(`Adapter ${spec.name}: kind must be one of ${ADAPTER_KINDS.join(', ')}`);
+    }
+    for (const step of ['fetch', 'parse']) {
+        if (typeof spec[step] !== 'function') throw new Error(`Adapter ${spec.name} is missing ${step}()`);
+    }
+
+    return {
+        // helmet_prices.source the adapter's prices are recorded under
+        source: spec.name,
+        url: '',
+        delay: 0,
+        maxPages: DEFAULT_MAX_PAGES,
+        includeInAll: true,
+        fixtures: [],
+        discover: () => [{}],
+        normalize: normalizeTitleProduct,
+        next: null,
+        ...spec
+    };
+}
+
+/**
+ * Run discover -> fetch -> parse for every target, following pagination
+ *
+ * A target that fails is logged and skipped; the rest still run.
+ *
+ * @param {object} adapter - From defineAdapter
+ * @param {object} ctx - Passed to discover/fetch: { getPage, log, options }
+ * @returns {Array} - Products, deduplicated by URL (or title) where they have one
+ */
+async function collectProducts(adapter, ctx = {}) {
+    const log = ctx.log || (() => {});
+    const products = [];
+    const seen = new Set();
+    const targets = await adapter.discover(ctx);
+
+    for (const first of targets) {
+        let target = first;
+        let pages = 0;
+
+        while (target && pages < adapter.maxPages) {
+            pages++;
+            let raw;
+            try {
+                raw = await adapter.fetch(target, ctx);
+            } catch (error) {
+                log(`   ✗ ${describeTarget(target)}: ${error.message}`);
+                break;
+            }
+
+            const found = adapter.parse(raw, target);
+            let added = 0;
+            for (const product of found) {
+                // Spreadsheet rows have neither - normalizeProducts catches their repeats
+                const key = (product.url || product.title || '').toLowerCase();
+                if (key && seen.has(key)) continue;
+                if (key) seen.add(key);
+                products.push(product);
+                added++;
+            }
+            log(`   ${describeTarget(target)}: ${found.length} products (${added} new)`);
+
+            target = adapter.next ? adapter.next(raw, target) : null;
+            if (adapter.delay) await sleep(adapter.delay);
+        }
+    }
+
+    return products;
+}
+
+function describeTarget(target) {
+    const parts = Object.entries(target || {})
+        .filter(([key]) => key !== 'file')
+        .map(([key, value]) => `${key}=${value}`);
+    return parts.length > 0 ? parts.join(' ') : 'default';
+}
+
+/**
+ * Normalize products into listings, dropping invalid ones and repeats
+ *
+ * @returns {object} - { listings, rejected, rejects } - rejected counts by issue
+ *                     ('Could not extract player name', 'Not signed helmet', 'duplicate', ...),
+ *                     rejects lists each dropped product with its reason
+ */
+function normalizeProducts(adapter, products) {
+    const listings = [];
+    const rejected = {};
+    const rejects = [];
+    const seen = new Set();
+    const reject = (reason, product) => {
+        rejected[reason] = (rejected[reason] || 0) + 1;
+        rejects.push({ reason, product });
+    };
+
+    for (const product of products) {
+        const listing = adapter.normalize(product);
+
+        if (!listing || !listing.isValid) {
+            reject((listing && listing.issues && listing.issues[0]) || 'invalid', product);
+            continue;
+        }
+
+        const key = listingKey(adapter.source, listing);
+        if (seen.has(key)) {
+            reject('duplicate', product);
+            continue;
+        }
+        seen.add(key);
+        listings.push(listing);
+    }
+
+    return { listings, rejected, rejects };
+}
+
+/**
+ * Saved responses for an adapter
+ *
+ * @returns {Array} - [{ file, target, raw }] - .json fixtures are parsed, anything else
+ *                    (HTML) is returned as text
+ */
+function loadFixtures(adapter) {
+    return adapter.fixtures.map(fixture => {
+        const file = path.join(FIXTURES_DIR, fixture.file);
+        const text = fs.readFileSync(file, 'utf8');
+        return {
+            file: fixture.file,
+            target: fixture.target || {},
+            raw: file.endsWith('.json') ? JSON.parse(text) : text
+        };
+    });
+}
+
+/**
+ * Parse an adapter's fixtures, the offline equivalent of collectProducts
+ */
+function parseFixtures(adapter) {
+    return loadFixtures(adapter).flatMap(({ raw, target }) => adapter.parse(raw, target));
+}
+
+module.exports = {
+    ADAPTER_KINDS,
+    FIXTURES_DIR,
+    sleep,
+    listSheets,
+    readSheet,
+    defineAdapter,
+    normalizeTitleProduct,
+    collectProducts,
+    normalizeProducts,
+    loadFixtures,
+    parseFixtures
+};
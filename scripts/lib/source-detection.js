@@ -0,0 +1,160 @@
+/**
+ * Source Detection
+ *
+ * Works out which retailer a file came from by its contents, not its name:
+ * every saved mapping profile (lib/import-profiles.js) is scored against the
+ * workbook, and auto-import only goes ahead when one profile clearly wins.
+ *
+ * A profile's score, 0-1, combines:
+ *
+ *   structure  0.50  the profile reads the file - every column it maps exists
+ *                    (a profile that can't read the file scores 0)
+ *   headers    0.20  the distinctive headers in detect.headers are present
+ *   values     0.15  sampled rows have a player and a price, matching the
+ *                    patterns in detect.values ("^\\$\\d" for "$119.00" prices)
+ *   sheets     0.10  the sheet names in detect.sheets are present
+ *   filename   0.05  the file name contains one of detect.filename
+ *
+ * Components a profile has no hints for are left out of its score. The file
+ * name alone can never get an import through.
+ */
+
+const { listProfiles, loadProfile, readWithProfile } = require('./import-profiles');
+const { normalizePlayerName, validatePrice } = require('./listing-parser');
+const XLSX = require('xlsx');
+
+const WEIGHTS = { structure: 0.5, headers: 0.2, values: 0.15, sheets: 0.1, filename: 0.05 };
+
+// Below this the import is refused
+const MIN_CONFIDENCE = 0.75;
+
+// ...and when the runner-up is this close
+const MIN_MARGIN = 0.1;
+
+// Rows sampled for the values check
+const SAMPLE_ROWS = 25;
+
+// Rows searched for headers
+const HEADER_ROWS = 10;
+
+const normalize = value => String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+function fileHeaders(workbook) {
+    const headers = new Set();
+    for (const name of workbook.SheetNames) {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: null });
+        rows.slice(0, HEADER_ROWS).forEach(row => row.forEach(cell => {
+            if (typeof cell === 'string' && cell.trim()) headers.add(normalize(cell));
+        }));
+    }
+    return headers;
+}
+
+function fraction(found, total) {
+    return total === 0 ? 0 : found / total;
+}
+
+/**
+ * Score one profile against a workbook
+ *
+ * @returns {object} - { source, confidence, reasons, profile }
+ */
+function scoreProfile(profile, workbook, { filename = '', headers = fileHeaders(workbook) } = {}) {
+    const detect = profile.detect || {};
+    const read = readWithProfile(workbook, profile);
+
+    if (!read.success) {
+        return { source: profile.source, confidence: 0, reasons: read.problems.slice(0, 3), profile };
+    }
+
+    const parts = { structure: 1 };
+    const reasons = [`columns match (${read.sheets.map(s => s.name).join(', ')})`];
+
+    if (detect.headers && detect.headers.length > 0) {
+        const present = detect.headers.filter(h => headers.has(normalize(h)));
+        parts.headers = fraction(present.length, detect.headers.length);
+        reasons.push(`headers ${present.length}/${detect.headers.length}${present.length < detect.headers.length
+            ? ` (no ${detect.headers.filter(h => !present.includes(h)).join(', ')})` : ''}`);
+    }
+
+    const rows = read.sheets.flatMap(s => s.rows).slice(0, SAMPLE_ROWS);
+    const patterns = Object.entries(detect.values || {}).map(([field, pattern]) => [field, new RegExp(pattern)]);
+    const good = rows.filter(({ values }) =>
+        normalizePlayerName(values.player) &&
+        validatePrice(values.price) !== null &&
+        patterns.every(([field, regex]) => regex.test(String(values[field] === null || values[field] === undefined ? '' : values[field]).trim())));
+    parts.values = fraction(good.length, rows.length);
+    reasons.push(`${good.length}/${rows.length} sample rows look right`);
+
+    if (detect.sheets && detect.sheets.length > 0) {
+        const names = new Set(workbook.SheetNames.map(normalize));
+        const present = detect.sheets.filter(s => names.has(normalize(s)));
+        parts.sheets = fraction(present.length, detect.sheets.length);
+        reasons.push(`sheets ${present.length}/${detect.sheets.length}`);
+    }
+
+    if (detect.filename && detect.filename.length > 0) {
+        const lower = filename.toLowerCase();
+        parts.filename = detect.filename.some(hint => lower.includes(hint.toLowerCase())) ? 1 : 0;
+        if (parts.filename) reasons.push('file name matches');
+    }
+
+    const weight = Object.keys(parts).reduce((sum, part) => sum + WEIGHTS[part], 0);
+    const score = Object.entries(parts).reduce((sum, [part, value]) => sum + WEIGHTS[part] * value, 0);
+
+    return { source: profile.source, confidence: Math.round((score / weight) * 1000) / 1000, reasons, profile };
+}
+
+/**
+ * Which source a workbook came from
+ *
+ * @param {object} workbook - From lib/input-files.js
+ * @param {object} options - Optional: { filename, profiles } - profiles defaults to every saved one
+ * @returns {object} - { success, source, confidence, profile, candidates }
+ *                     or { success: false, code: 'unknown_source' | 'ambiguous', error, candidates }
+ *                     candidates are every profile's { source, confidence, reasons }, best first
+ */
+function detectSource(workbook, options = {}) {
+    const profiles = options.profiles || listProfiles().map(loadProfile);
+    const headers = fileHeaders(workbook);
+
+    const scored = profiles
+        .map(profile => scoreProfile(profile, workbook, { filename: options.filename, headers }))
+        .sort((a, b) => b.confidence - a.confidence);
+    const candidates = scored.map(({ source, confidence, reasons }) => ({ source, confidence, reasons }));
+    const [best, runnerUp] = scored;
+
+    const explain = () => candidates
+        .map(c => `  ${c.source.padEnd(18)} ${percent(c.confidence).padStart(4)}  ${c.reasons.join('; ')}`)
+        .join('\n');
+
+    if (!best || best.confidence < MIN_CONFIDENCE) {
+        return {
+            success: false,
+            code: 'unknown_source',
+            error: `Could not tell which retailer this file is from${best && best.confidence > 0
+                ? ` - best guess ${best.source} at ${percent(best.confidence)}, below ${percent(MIN_CONFIDENCE)}` : ''}:\n${explain()}`,
+            candidates
+        };
+    }
+
+    if (runnerUp && best.confidence - runnerUp.confidence < MIN_MARGIN) {
+        return {
+            success: false,
+            code: 'ambiguous',
+            error: `The file fits both ${best.source} (${percent(best.confidence)}) and ${runnerUp.source} (${percent(runnerUp.confidence)}):\n${explain()}`,
+            candidates
+        };
+    }
+
+    return { success: true, source: best.source, confidence: best.confidence, profile: best.profile, candidates };
+}
+
+module.exports = {
+    MIN_CONFIDENCE,
+    MIN_MARGIN,
+    scoreProfile,
+    detectSource
+};
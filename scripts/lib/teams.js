@@ -0,0 +1,348 @@
+/**
+ * Team Registry
+ *
+ * The one list of teams used by every importer, scraper and cleanup script.
+ * Each entry knows its league, full name, nickname, abbreviation, URL slugs,
+ * historical names and colors, plus the canonical `team` value stored in
+ * helmets.team ("Chiefs", "Georgia Bulldogs", "NY Rangers (NHL)").
+ *
+ * Mirrored in the `teams` table (migration 009, npm run db:seed-teams).
+ * Nothing in here touches the database.
+ */
+
+const LEAGUES = ['NFL', 'NCAA', 'NHL', 'MLB'];
+
+/**
+ * Lowercase and strip punctuation so "St. Louis Rams" and "st louis rams"
+ * compare equal ("&" is kept for Texas A&M)
+ */
+function normalizeTeamKey(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9&\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function slugify(value) {
+    return normalizeTeamKey(value).replace(/&/g, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Build a registry entry
+ *
+ * @param {object} def - { league, team, fullName, city, nickname, abbreviation, colors,
+ *                         aliases?, historicalNames?, ambiguousNickname? }
+ */
+function defineTeam(def) {
+    const historicalNames = def.historicalNames || [];
+    const slug = slugify(def.fullName);
+
+    return {
+        key: slug,
+        league: def.league,
+        team: def.team,
+        fullName: def.fullName,
+        city: def.city,
+        nickname: def.nickname,
+        abbreviation: def.abbreviation || null,
+        slug,
+        slugs: [slug, ...historicalNames.map(slugify)],
+        aliases: def.aliases || [],
+        historicalNames,
+        colors: def.colors || [],
+        // Nicknames like "Wild" or "Kings" are ordinary words - only match them
+        // as part of the full name
+        ambiguousNickname: def.ambiguousNickname || false
+    };
+}
+
+function nfl(city, nickname, abbreviation, colors, extra = {}) {
+    return defineTeam({
+        league: 'NFL', team: nickname, fullName: `${city} ${nickname}`,
+        city, nickname, abbreviation, colors, ...extra
+    });
+}
+
+function college(school, nickname, abbreviation, colors, extra = {}) {
+    const fullName = `${school} ${nickname}`;
+    return defineTeam({
+        league: 'NCAA', team: fullName, fullName,
+        city: school, nickname, abbreviation, colors, ...extra
+    });
+}
+
+function pro(league, team, city, nickname, abbreviation, colors, extra = {}) {
+    return defineTeam({
+        league, team, fullName: `${city} ${nickname}`,
+        city, nickname, abbreviation, colors, ...extra
+    });
+}
+
+const TEAMS = [
+    // NFL
+    nfl('Arizona', 'Cardinals', 'ARI', ['#97233F', '#000000'], {
+        aliases: ['arizona'],
+        historicalNames: ['St. Louis Cardinals', 'Phoenix Cardinals', 'Chicago Cardinals']
+    }),
+    nfl('Atlanta', 'Falcons', 'ATL', ['#A71930', '#000000'], { aliases: ['atlanta'] }),
+    nfl('Baltimore', 'Ravens', 'BAL', ['#241773', '#9E7C0C'], { aliases: ['baltimore'] }),
+    nfl('Buffalo', 'Bills', 'BUF', ['#00338D', '#C60C30'], { aliases: ['buffalo'] }),
+    nfl('Carolina', 'Panthers', 'CAR', ['#0085CA', '#101820'], { aliases: ['carolina'] }),
+    nfl('Chicago', 'Bears', 'CHI', ['#0B162A', '#C83803'], { aliases: ['chicago'] }),
+    nfl('Cincinnati', 'Bengals', 'CIN', ['#FB4F14', '#000000'], { aliases: ['cincinnati'] }),
+    nfl('Cleveland', 'Browns', 'CLE', ['#311D00', '#FF3C00'], { aliases: ['cleveland'] }),
+    nfl('Dallas', 'Cowboys', 'DAL', ['#003594', '#869397'], { aliases: ['dallas'] }),
+    nfl('Denver', 'Broncos', 'DEN', ['#FB4F14', '#002244'], { aliases: ['denver'] }),
+    nfl('Detroit', 'Lions', 'DET', ['#0076B6', '#B0B7BC'], { aliases: ['detroit'] }),
+    nfl('Green Bay', 'Packers', 'GB', ['#203731', '#FFB612'], { aliases: ['green bay'] }),
+    nfl('Houston', 'Texans', 'HOU', ['#03202F', '#A71930'], { aliases: ['houston'] }),
+    nfl('Indianapolis', 'Colts', 'IND', ['#002C5F', '#A2AAAD'], {
+        aliases: ['indianapolis'],
+        historicalNames: ['Baltimore Colts']
+    }),
+    nfl('Jacksonville', 'Jaguars', 'JAX', ['#006778', '#D7A22A'], { aliases: ['jacksonville', 'jags'] }),
+    nfl('Kansas City', 'Chiefs', 'KC', ['#E31837', '#FFB81C'], { aliases: ['kansas city'] }),
+    nfl('Las Vegas', 'Raiders', 'LV', ['#000000', '#A5ACAF'], {
+        aliases: ['las vegas', 'oakland', 'la raiders'],
+        historicalNames: ['Oakland Raiders', 'Los Angeles Raiders']
+    }),
+    nfl('Los Angeles', 'Chargers', 'LAC', ['#0080C6', '#FFC20E'], {
+        aliases: ['la chargers', 'san diego'],
+        historicalNames: ['San Diego Chargers']
+    }),
+    nfl('Los Angeles', 'Rams', 'LAR', ['#003594', '#FFA300'], {
+        aliases: ['la rams'],
+        historicalNames: ['St. Louis Rams']
+    }),
+    nfl('Miami', 'Dolphins', 'MIA', ['#008E97', '#FC4C02'], { aliases: ['miami'] }),
+    nfl('Minnesota', 'Vikings', 'MIN', ['#4F2683', '#FFC62F'], { aliases: ['minnesota'] }),
+    nfl('New England', 'Patriots', 'NE', ['#002244', '#C60C30'], {
+        aliases: ['new england', 'pats'],
+        historicalNames: ['Boston Patriots']
+    }),
+    nfl('New Orleans', 'Saints', 'NO', ['#D3BC8D', '#101820'], { aliases: ['new orleans'] }),
+    nfl('New York', 'Giants', 'NYG', ['#0B2265', '#A71930'], { aliases: ['ny giants'] }),
+    nfl('New York', 'Jets', 'NYJ', ['#125740', '#000000'], { aliases: ['ny jets'] }),
+    nfl('Philadelphia', 'Eagles', 'PHI', ['#004C54', '#A5ACAF'], { aliases: ['philadelphia', 'philly'] }),
+    nfl('Pittsburgh', 'Steelers', 'PIT', ['#FFB612', '#101820'], { aliases: ['pittsburgh'] }),
+    nfl('San Francisco', '49ers', 'SF', ['#AA0000', '#B3995D'], { aliases: ['san francisco', 'niners'] }),
+    nfl('Seattle', 'Seahawks', 'SEA', ['#002244', '#69BE28'], { aliases: ['seattle'] }),
+    nfl('Tampa Bay', 'Buccaneers', 'TB', ['#D50A0A', '#34302B'], { aliases: ['tampa bay', 'bucs'] }),
+    nfl('Tennessee', 'Titans', 'TEN', ['#0C2340', '#4B92DB'], {
+        aliases: ['tennessee'],
+        historicalNames: ['Houston Oilers', 'Tennessee Oilers']
+    }),
+    nfl('Washington', 'Commanders', 'WAS', ['#5A1414', '#FFB612'], {
+        aliases: ['washington', 'redskins', 'football team'],
+        historicalNames: ['Washington Redskins', 'Washington Football Team']
+    }),
+
+    // College
+    college('Georgia', 'Bulldogs', 'UGA', ['#BA0C2F', '#000000']),
+    college('Colorado', 'Buffaloes', 'CU', ['#CFB87C', '#000000']),
+    college('Alabama', 'Crimson Tide', 'BAMA', ['#9E1B32', '#828A8F'], { aliases: ['alabama'] }),
+    college('Ohio State', 'Buckeyes', 'OSU', ['#BB0000', '#666666'], { aliases: ['ohio state'] }),
+    college('Michigan', 'Wolverines', 'UM', ['#00274C', '#FFCB05']),
+    college('Michigan State', 'Spartans', 'MSU', ['#18453B', '#FFFFFF'], { aliases: ['michigan state'] }),
+    college('LSU', 'Tigers', 'LSU', ['#461D7C', '#FDD023'], { aliases: ['lsu'] }),
+    college('Clemson', 'Tigers', 'CLEM', ['#F56600', '#522D80'], { aliases: ['clemson'] }),
+    college('Auburn', 'Tigers', 'AUB', ['#0C2340', '#E87722'], { aliases: ['auburn'] }),
+    college('Notre Dame', 'Fighting Irish', 'ND', ['#0C2340', '#C99700'], { aliases: ['notre dame'] }),
+    college('Florida', 'Gators', 'UF', ['#0021A5', '#FA4616']),
+    college('Texas', 'Longhorns', 'UT', ['#BF5700', '#FFFFFF']),
+    college('Texas A&M', 'Aggies', 'TAMU', ['#500000', '#FFFFFF'], { aliases: ['texas a&m'] }),
+    college('Texas Tech', 'Red Raiders', 'TTU', ['#CC0000', '#000000'], { aliases: ['texas tech', 'tech red raiders'] }),
+    college('Oklahoma', 'Sooners', 'OU', ['#841617', '#FDF9D8']),
+    college('USC', 'Trojans', 'USC', ['#990000', '#FFC72C'], { aliases: ['usc'] }),
+    college('Miami', 'Hurricanes', null, ['#F47321', '#005030']),
+    college('Nebraska', 'Cornhuskers', 'NEB', ['#E41C38', '#FDF2D9'], { aliases: ['nebraska'] }),
+    college('Wisconsin', 'Badgers', 'WIS', ['#C5050C', '#FFFFFF'], { aliases: ['wisconsin'] }),
+    college('Oregon', 'Ducks', 'ORE', ['#154733', '#FEE123'], { aliases: ['oregon'] }),
+    college('Washington', 'Huskies', 'UW', ['#4B2E83', '#B7A57A']),
+    college('Iowa', 'Hawkeyes', 'IOWA', ['#FFCD00', '#000000']),
+    college('Penn State', 'Nittany Lions', 'PSU', ['#041E42', '#FFFFFF'], { aliases: ['penn state'] }),
+    college('Tennessee', 'Volunteers', 'UTK', ['#FF8200', '#FFFFFF'], { aliases: ['tn vols', 'tennessee vols', 'vols'] }),
+    college('Florida State', 'Seminoles', 'FSU', ['#782F40', '#CEB888'], { aliases: ['florida state'] }),
+    college('Purdue', 'Boilermakers', 'PUR', ['#CEB888', '#000000'], { aliases: ['purdue'] }),
+    college('Virginia Tech', 'Hokies', 'VT', ['#630031', '#CF4420'], { aliases: ['virginia tech'] }),
+    college('Ole Miss', 'Rebels', 'MISS', ['#CE1126', '#14213D'], { aliases: ['ole miss'] }),
+    college('Arizona State', 'Sun Devils', 'ASU', ['#8C1D40', '#FFC627'], { aliases: ['arizona state'] }),
+    college('Utah', 'Utes', 'UTAH', ['#CC0000', '#FFFFFF']),
+    college('North Dakota State', 'Bison', 'NDSU', ['#0A5640', '#FFC72A'], { aliases: ['north dakota state'] }),
+    college('Navy', 'Midshipmen', 'NAVY', ['#00205B', '#C5B783']),
+    college('Stanford', 'Cardinal', 'STAN', ['#8C1515', '#FFFFFF'], { aliases: ['stanford'], ambiguousNickname: true }),
+
+    // NHL
+    pro('NHL', 'NY Rangers (NHL)', 'New York', 'Rangers', 'NYR', ['#0038A8', '#CE1126'], { aliases: ['rangers'] }),
+    pro('NHL', 'Toronto Maple Leafs (NHL)', 'Toronto', 'Maple Leafs', 'TOR', ['#00205B', '#FFFFFF']),
+    pro('NHL', 'Montreal Canadiens (NHL)', 'Montreal', 'Canadiens', 'MTL', ['#AF1E2D', '#192168']),
+    pro('NHL', 'Vancouver Canucks (NHL)', 'Vancouver', 'Canucks', 'VAN', ['#00205B', '#00843D']),
+    pro('NHL', 'Edmonton Oilers (NHL)', 'Edmonton', 'Oilers', 'EDM', ['#041E42', '#FF4C00'], { ambiguousNickname: true }),
+    pro('NHL', 'Colorado Avalanche (NHL)', 'Colorado', 'Avalanche', 'COL', ['#6F263D', '#236192']),
+    pro('NHL', 'Washington Capitals (NHL)', 'Washington', 'Capitals', 'WSH', ['#041E42', '#C8102E']),
+    pro('NHL', 'Carolina Hurricanes (NHL)', 'Carolina', 'Hurricanes', null, ['#CC0000', '#000000']),
+    pro('NHL', 'New Jersey Devils (NHL)', 'New Jersey', 'Devils', 'NJD', ['#CE1126', '#000000']),
+    pro('NHL', 'Calgary Flames (NHL)', 'Calgary', 'Flames', 'CGY', ['#C8102E', '#F1BE48']),
+    pro('NHL', 'Seattle Kraken (NHL)', 'Seattle', 'Kraken', null, ['#001628', '#99D9D9']),
+    pro('NHL', 'Nashville Predators (NHL)', 'Nashville', 'Predators', 'NSH', ['#FFB81C', '#041E42']),
+    pro('NHL', 'NY Islanders (NHL)', 'New York', 'Islanders', 'NYI', ['#00539B', '#F47D30']),
+    pro('NHL', 'Minnesota Wild (NHL)', 'Minnesota', 'Wild', null, ['#154734', '#A6192E'], { ambiguousNickname: true }),
+    pro('NHL', 'Buffalo Sabres (NHL)', 'Buffalo', 'Sabres', null, ['#003087', '#FFB81C']),
+    pro('NHL', 'Columbus Blue Jackets (NHL)', 'Columbus', 'Blue Jackets', 'CBJ', ['#002654', '#CE1126']),
+    pro('NHL', 'Anaheim Ducks (NHL)', 'Anaheim', 'Ducks', 'ANA', ['#F47A38', '#B9975B']),
+    pro('NHL', 'LA Kings (NHL)', 'Los Angeles', 'Kings', 'LAK', ['#111111', '#A2AAAD'], { ambiguousNickname: true }),
+    pro('NHL', 'Vegas Golden Knights (NHL)', 'Vegas', 'Golden Knights', 'VGK', ['#B4975A', '#333F42']),
+    pro('NHL', 'Tampa Bay Lightning (NHL)', 'Tampa Bay', 'Lightning', 'TBL', ['#002868', '#FFFFFF']),
+
+    // MLB
+    pro('MLB', 'NY Yankees (MLB)', 'New York', 'Yankees', 'NYY', ['#003087', '#E4002C']),
+    pro('MLB', 'NY Mets (MLB)', 'New York', 'Mets', 'NYM', ['#002D72', '#FF5910']),
+    pro('MLB', 'Boston Red Sox (MLB)', 'Boston', 'Red Sox', 'BOS', ['#BD3039', '#0C2340']),
+    pro('MLB', 'Chicago Cubs (MLB)', 'Chicago', 'Cubs', 'CHC', ['#0E3386', '#CC3433']),
+    pro('MLB', 'Cincinnati Reds (MLB)', 'Cincinnati', 'Reds', null, ['#C6011F', '#000000']),
+    pro('MLB', 'Seattle Mariners (MLB)', 'Seattle', 'Mariners', null, ['#0C2C56', '#005C5C']),
+    pro('MLB', 'San Diego Padres (MLB)', 'San Diego', 'Padres', 'SD', ['#2F241D', '#FFC425']),
+    pro('MLB', 'LA Angels (MLB)', 'Los Angeles', 'Angels', 'LAA', ['#BA0021', '#003263']),
+    pro('MLB', 'Milwaukee Brewers (MLB)', 'Milwaukee', 'Brewers', 'MIL', ['#12284B', '#FFC52F']),
+    pro('MLB', 'Colorado Rockies (MLB)', 'Colorado', 'Rockies', null, ['#33006F', '#C4CED4']),
+    pro('MLB', 'Texas Rangers (MLB)', 'Texas', 'Rangers', 'TEX', ['#003278', '#C0111F']),
+    pro('MLB', 'Washington Senators (MLB)', 'Washington', 'Senators', null, ['#14225A', '#AB0003']),
+];
+
+// ============================================
+// LOOKUP INDEXES
+// ============================================
+
+// Nicknames shared by more than one team ("Tigers", "Rangers") can't identify a team alone
+const nicknameCounts = new Map();
+for (const t of TEAMS) {
+    const key = normalizeTeamKey(t.nickname);
+    nicknameCounts.set(key, (nicknameCounts.get(key) || 0) + 1);
+}
+
+function usableNickname(team) {
+    return !team.ambiguousNickname && nicknameCounts.get(normalizeTeamKey(team.nickname)) === 1;
+}
+
+/**
+ * Every exact identifier for a team, most specific first
+ */
+function teamIdentifiers(team) {
+    const ids = [team.team, team.fullName, team.key, ...team.slugs, ...team.historicalNames, ...team.aliases];
+    if (usableNickname(team)) ids.push(team.nickname);
+    if (team.abbreviation) ids.push(team.abbreviation);
+    return ids;
+}
+
+// Exact lookup: normalized identifier -> team (first registration wins, so NFL
+// abbreviations beat NHL/MLB ones)
+const exactIndex = new Map();
+for (const t of TEAMS) {
+    for (const id of teamIdentifiers(t)) {
+        const key = normalizeTeamKey(id);
+        if (key && !exactIndex.has(key)) exactIndex.set(key, t);
+    }
+}
+
+// Free-text phrases, longest first so "georgia bulldogs" beats "bulldogs" and
+// "new york rangers" beats "rangers". Abbreviations are too short to scan for.
+const textPhrases = [];
+for (const t of TEAMS) {
+    const phrases = new Set([t.fullName, ...t.historicalNames, ...t.aliases].map(normalizeTeamKey));
+    if (usableNickname(t)) phrases.add(normalizeTeamKey(t.nickname));
+
+    for (const phrase of phrases) {
+        if (!phrase) continue;
+        const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        textPhrases.push({ phrase, team: t, pattern: new RegExp(`(^|[^a-z0-9&])${escaped}($|[^a-z0-9&])`) });
+    }
+}
+textPhrases.sort((a, b) => b.phrase.length - a.phrase.length);
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Look up a team by any exact identifier: canonical value, full name,
+ * nickname, abbreviation, slug, alias or historical name
+ *
+ * @param {string} value - e.g. "Kansas City Chiefs", "KC", "oakland-raiders", "Redskins"
+ * @returns {object|null} - Registry entry or null
+ */
+function getTeam(value) {
+    return exactIndex.get(normalizeTeamKey(value)) || null;
+}
+
+/**
+ * Find the team mentioned in free text such as a product title
+ *
+ * @param {string} text - e.g. "Patrick Mahomes Signed Chiefs Lunar Eclipse Mini Helmet"
+ * @returns {object|null} - Registry entry for the longest matching phrase, or null
+ */
+function findTeamInText(text) {
+    const haystack = normalizeTeamKey(text);
+    if (!haystack) return null;
+
+    for (const { pattern, team } of textPhrases) {
+        if (pattern.test(haystack)) return team;
+    }
+    return null;
+}
+
+/**
+ * Normalize a team column value to the canonical helmets.team value
+ *
+ * Tries an exact identifier first, then looks for a team inside the text.
+ * Unknown teams are returned trimmed so nothing is lost.
+ *
+ * @param {string} value - Team as it appears in the source data
+ * @returns {string} - Canonical team ("Chiefs", "Georgia Bulldogs") or the trimmed input
+ */
+function normalizeTeam(value) {
+    if (!value) return '';
+    const team = getTeam(value) || findTeamInText(value);
+    return team ? team.team : String(value).trim();
+}
+
+/**
+ * All teams in a league, in registry order
+ */
+function teamsByLeague(league) {
+    return TEAMS.filter(t => t.league === league);
+}
+
+/**
+ * The registry as teams table rows (migration 009, seed-teams.js)
+ */
+function teamRows() {
+    return TEAMS.map((t, i) => ({
+        key: t.key,
+        league: t.league,
+        team: t.team,
+        full_name: t.fullName,
+        city: t.city,
+        nickname: t.nickname,
+        abbreviation: t.abbreviation,
+        slugs: t.slugs,
+        aliases: t.aliases,
+        historical_names: t.historicalNames,
+        colors: t.colors,
+        lookup_names: [...new Set(teamIdentifiers(t).map(normalizeTeamKey))],
+        sort_order: i + 1
+    }));
+}
+
+module.exports = {
+    LEAGUES,
+    TEAMS,
+    normalizeTeamKey,
+    slugify,
+    teamIdentifiers,
+    getTeam,
+    findTeamInText,
+    normalizeTeam,
+    teamsByLeague,
+    teamRows
+};
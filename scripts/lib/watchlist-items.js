@@ -0,0 +1,643 @@
+/**
+ * Watchlist Items
+ *
+ * A user's watchlist cards, one watchlist_items row each (migration 019).
+ * Cards keep the shape the browser has always used - { id, name, helmetId,
+ * helmetIds, costBasis, alerts, currentPrice, ... } - plus quantity and notes:
+ *
+ *   card.id            card_id (unique per user)
+ *   card.helmetId      helmet_id, a foreign key to helmets; helmet_ids for a
+ *                      card grouping several variants (helmetIds)
+ *   costBasis          cost_basis, per card - the portfolio counts it quantity times
+ *   quantity, notes    quantity (default 1), notes
+ *   alerts             alerts - rules as lib/price-alerts.js validates them
+ *   watchlistId        watchlist_id - the named list it's on (lib/watchlists.js); cards
+ *                      added without one go on the user's default list
+ *   anything else      card_data (cached prices, search query, category, ...)
+ *
+ * listCards returns a user's cards from every list, lists in their order.
+ * Each card is created, changed and removed on its own, so edits from two tabs
+ * no longer overwrite each other. replaceWatchlist keeps the old
+ * whole-list PUT /api/watchlist working on top of that.
+ *
+ * Watchlists saved before migration 019 sit in auth_user_watchlists as one
+ * JSON array; migrateWatchlist copies a user's over the first time their
+ * items are listed, and scripts/migrations/migrate-watchlists.js copies
+ * everyone's.
+ */
+
+const { getDatabase } = require('./db');
+const { chunks, followRedirects } = require('./watchlist-prices');
+
+const supabase = getDatabase();
+
+const ITEM_COLUMNS = 'id, user_id, watchlist_id, card_id, helmet_id, helmet_ids, name, cost_basis, quantity, notes, alerts, card_data, position, created_at, updated_at';
+
+const DEFAULT_WATCHLIST_NAME = 'My watchlist';
+
+// Card fields with their own column (or set by the server); the rest go to card_data
+const CARD_FIELDS = ['id', 'watchlistId', 'name', 'helmetId', 'helmetIds', 'costBasis', 'quantity', 'notes', 'alerts', 'addedAt', 'updatedAt'];
+
+const MAX_CARD_ID_LENGTH = 64;
+const MAX_NOTES_LENGTH = 2000;
+
+const isBlank = value => value === undefined || value === null || value === '';
+const isHelmetId = value => Number.isInteger(value) && value > 0;
+
+// Browsers have always used Date.now() numbers for card IDs
+function cardIdValue(cardId) {
+    return /^\d{1,15}$/.test(cardId) ? Number(cardId) : cardId;
+}
+
+/**
+ * A watchlist_items row as the card the browser works with
+ */
+function toCard(row) {
+    const card = {
+        ...(row.card_data || {}),
+        id: cardIdValue(row.card_id),
+        watchlistId: row.watchlist_id,
+        name: row.name,
+        helmetId: row.helmet_id,
+        costBasis: row.cost_basis === null || row.cost_basis === undefined ? null : Number(row.cost_basis),
+        quantity: row.quantity,
+        notes: row.notes,
+        alerts: row.alerts || [],
+        addedAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+    if (Array.isArray(row.helmet_ids) && row.helmet_ids.length > 0) card.helmetIds = row.helmet_ids;
+    return card;
+}
+
+/**
+ * Check card fields and turn them into watchlist_items columns
+ *
+ * @param {object} card - Card fields; with `partial`, only the ones being changed
+ * @param {object} options - { partial, current } - current is the card being changed
+ * @returns {object} - { errors, columns }
+ */
+function cardColumns(card, { partial = false, current = {} } = {}) {
+    const errors = [];
+    const columns = {};
+    const has = field => !partial || card[field] !== undefined;
+
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+        return { errors: ['card must be an object'], columns };
+    }
+
+    // Only moved when given - a whole-list save leaves each card on its list
+    if (card.watchlistId !== undefined) {
+        if (typeof card.watchlistId !== 'string' || !card.watchlistId) errors.push('watchlistId: must be a watchlist ID');
+        else columns.watchlist_id = card.watchlistId;
+    }
+
+    if (has('name')) {
+        if (typeof card.name !== 'string' || !card.name.trim()) errors.push('name: required');
+        else columns.name = card.name.trim();
+    }
+
+    // Setting helmetId alone makes the card a single-helmet card
+    if (has('helmetId') || has('helmetIds')) {
+        const helmetId = has('helmetId') ? card.helmetId : current.helmetId;
+        const helmetIds = has('helmetIds') ? card.helmetIds : null;
+
+        if (!isBlank(helmetId) && !isHelmetId(Number(helmetId))) errors.push('helmetId: must be a helmet ID');
+        if (!isBlank(helmetIds) && (!Array.isArray(helmetIds) || !helmetIds.every(id => isHelmetId(Number(id))))) {
+            errors.push('helmetIds: must be a list of helmet IDs');
+        }
+        if (errors.length === 0) {
+            const ids = Array.isArray(helmetIds) && helmetIds.length > 0 ? [...new Set(helmetIds.map(Number))] : null;
+            columns.helmet_ids = ids;
+            columns.helmet_id = ids ? ids[0] : (isBlank(helmetId) ? null : Number(helmetId));
+        }
+    }
+
+    if (has('costBasis')) {
+        if (isBlank(card.costBasis)) columns.cost_basis = null;
+        else if (!Number.isFinite(Number(card.costBasis))) errors.push('costBasis: must be a number');
+        else columns.cost_basis = Number(card.costBasis);
+    }
+
+    if (has('quantity')) {
+        if (isBlank(card.quantity)) columns.quantity = 1;
+        else if (!Number.isInteger(Number(card.quantity)) || Number(card.quantity) < 1) errors.push('quantity: must be a whole number of at least 1');
+        else columns.quantity = Number(card.quantity);
+    }
+
+    if (has('notes')) {
+        if (isBlank(card.notes)) columns.notes = null;
+        else if (typeof card.notes !== 'string') errors.push('notes: must be text');
+        else if (card.notes.length > MAX_NOTES_LENGTH) errors.push(`notes: at most ${MAX_NOTES_LENGTH} characters`);
+        else columns.notes = card.notes;
+    }
+
+    if (has('alerts')) {
+        // Required here: price-alerts reads cards through this module
+        const { validateAlerts, normalizeAlerts } = require('./price-alerts');
+        const alerts = isBlank(card.alerts) ? [] : card.alerts;
+        const result = validateAlerts(alerts);
+        if (!result.valid) errors.push(...result.errors);
+        else columns.alerts = normalizeAlerts(alerts, { ...current, ...card });
+    }
+
+    const extra = Object.entries(card).filter(([field]) => !CARD_FIELDS.includes(field));
+    if (extra.length > 0 || !partial) {
+        columns.card_data = { ...(partial ? current.cardData : {}), ...Object.fromEntries(extra) };
+        // null clears a field
+        Object.keys(columns.card_data).forEach(k => columns.card_data[k] === null && delete columns.card_data[k]);
+    }
+
+    return { errors, columns };
+}
+
+function cardIdErrors(id) {
+    if (isBlank(id)) return [];
+    if (typeof id !== 'string' && typeof id !== 'number') return ['id: must be text or a number'];
+    if (String(id).length > MAX_CARD_ID_LENGTH) return [`id: at most ${MAX_CARD_ID_LENGTH} characters`];
+    return [];
+}
+
+/**
+ * Point helmet_id / helmet_ids at surviving helmets, and report IDs of helmets
+ * that don't exist
+ *
+ * @param {Array<object>} records - watchlist_items columns, updated in place
+ * @returns {Array<number>} - Unknown helmet IDs
+ */
+async function resolveHelmets(records) {
+    const entries = records
+        .filter(r => r.helmet_id || r.helmet_ids)
+        .map(record => ({ record, helmetIds: record.helmet_ids || [record.helmet_id] }));
+    if (entries.length === 0) return [];
+
+    await followRedirects(entries);
+    const ids = [...new Set(entries.flatMap(e => e.helmetIds))];
+    const known = new Set();
+
+    for (const batch of chunks(ids)) {
+        const { data, error } = await supabase
+            .from('helmets')
+            .select('id')
+            .in('id', batch);
+
+        if (error) throw error;
+        (data || []).forEach(h => known.add(h.id));
+    }
+
+    for (const { record, helmetIds } of entries) {
+        if (record.helmet_ids) record.helmet_ids = helmetIds;
+        record.helmet_id = helmetIds[0];
+    }
+    return ids.filter(id => !known.has(id));
+}
+
+async function maxPosition(watchlistId) {
+    const { data, error } = await supabase
+        .from('watchlist_items')
+        .select('position')
+        .eq('watchlist_id', watchlistId)
+        .order('position', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0].position : -1;
+}
+
+// ============ LISTS ============
+
+/**
+ * The user's default list, created with their first card
+ *
+ * @returns {string} - watchlists.id
+ */
+async function defaultWatchlistId(userId) {
+    const find = () => supabase
+        .from('watchlists')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('is_default', true)
+        .maybeSingle();
+
+    const { data: existing, error } = await find();
+    if (error) throw error;
+    if (existing) return existing.id;
+
+    const { data, error: insertError } = await supabase
+        .from('watchlists')
+        .insert({ user_id: userId, name: DEFAULT_WATCHLIST_NAME, is_default: true, position: 0 })
+        .select('id')
+        .single();
+
+    // Created by another request in the meantime
+    if (insertError && insertError.code === '23505') {
+        const { data: created, error: retryError } = await find();
+        if (retryError) throw retryError;
+        return created.id;
+    }
+    if (insertError) throw insertError;
+    return data.id;
+}
+
+/**
+ * The user's lists, in order
+ */
+async function loadWatchlists(userId) {
+    const { data, error } = await supabase
+        .from('watchlists')
+        .select('id, name, is_default, position, created_at, updated_at')
+        .eq('user_id', userId)
+        .order('position')
+        .order('created_at');
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Lists a card is being put on that aren't the user's
+async function unknownWatchlistErrors(userId, records) {
+    const ids = [...new Set(records.map(r => r.watchlist_id).filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const known = new Set((await loadWatchlists(userId)).map(list => list.id));
+    const unknown = ids.filter(id => !known.has(id));
+    return unknown.length > 0 ? [`no watchlist with ID ${unknown.join(', ')}`] : [];
+}
+
+// ============ LEGACY auth_user_watchlists ============
+
+/**
+ * A card from an auth_user_watchlists array as watchlist_items columns - fields
+ * that don't validate are dropped rather than losing the card
+ *
+ * @returns {object|null} - Columns, or null for a card that can't be kept
+ */
+function legacyCardColumns(card) {
+    if (!card || typeof card !== 'object' || isBlank(card.id) || cardIdErrors(card.id).length > 0) return null;
+    if (typeof card.name !== 'string' || !card.name.trim()) return null;
+
+    const clean = { ...card };
+    for (const field of ['helmetId', 'helmetIds', 'costBasis', 'quantity', 'notes', 'alerts']) {
+        if (cardColumns({ [field]: card[field] }, { partial: true }).errors.length > 0) delete clean[field];
+    }
+
+    const { columns } = cardColumns(clean);
+    const addedAt = new Date(card.addedAt);
+    if (card.addedAt && !isNaN(addedAt)) columns.created_at = addedAt.toISOString();
+    return { ...columns, card_id: String(card.id) };
+}
+
+/**
+ * Copy a user's auth_user_watchlists cards into watchlist_items, once
+ *
+ * @returns {object} - { migrated, copied, skipped } - migrated is false when there
+ *                     was nothing left to copy
+ */
+async function migrateWatchlist(userId, { dryRun = false } = {}) {
+    const { data: legacy, error } = await supabase
+        .from('auth_user_watchlists')
+        .select('id, watchlist_data, migrated_at')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!legacy || legacy.migrated_at) return { migrated: false, copied: 0, skipped: 0 };
+
+    const seen = new Set();
+    const records = [];
+    let skipped = 0;
+
+    for (const card of Array.isArray(legacy.watchlist_data) ? legacy.watchlist_data : []) {
+        const columns = legacyCardColumns(card);
+        if (!columns || seen.has(columns.card_id)) {
+            skipped++;
+            continue;
+        }
+        seen.add(columns.card_id);
+        records.push({ ...columns, user_id: userId, position: records.length });
+    }
+
+    // Helmets deleted since the card was saved: keep the card, without the link
+    const unknown = new Set(await resolveHelmets(records));
+    for (const record of records) {
+        if (record.helmet_ids) record.helmet_ids = record.helmet_ids.filter(id => !unknown.has(id));
+        if (record.helmet_ids && record.helmet_ids.length === 0) record.helmet_ids = null;
+        record.helmet_id = record.helmet_ids ? record.helmet_ids[0] : (unknown.has(record.helmet_id) ? null : record.helmet_id);
+    }
+
+    if (!dryRun) {
+        if (records.length > 0) {
+            const watchlistId = await defaultWatchlistId(userId);
+            records.forEach(record => { record.watchlist_id = watchlistId; });
+
+            // A copy already made by another request wins
+            const { error: insertError } = await supabase
+                .from('watchlist_items')
+                .upsert(records, { onConflict: 'user_id,card_id', ignoreDuplicates: true });
+
+            if (insertError) throw insertError;
+        }
+
+        const { error: markError } = await supabase
+            .from('auth_user_watchlists')
+            .update({ migrated_at: new Date().toISOString() })
+            .eq('id', legacy.id);
+
+        if (markError) throw markError;
+    }
+
+    return { migrated: true, copied: records.length, skipped };
+}
+
+/**
+ * Copy every user's auth_user_watchlists cards that haven't been copied yet
+ *
+ * @returns {object} - { users, copied, skipped }
+ */
+async function migrateAllWatchlists({ dryRun = false, log = () => {} } = {}) {
+    const summary = { users: 0, copied: 0, skipped: 0 };
+    const pageSize = 1000;
+    const userIds = [];
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('auth_user_watchlists')
+            .select('user_id')
+            .is('migrated_at', null)
+            .order('id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        userIds.push(...data.map(row => row.user_id));
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    for (const userId of userIds) {
+        const result = await migrateWatchlist(userId, { dryRun });
+        if (!result.migrated) continue;
+
+        summary.users++;
+        summary.copied += result.copied;
+        summary.skipped += result.skipped;
+        log(`${userId}: ${result.copied} cards${result.skipped ? `, ${result.skipped} skipped` : ''}`);
+    }
+
+    return summary;
+}
+
+// ============ ITEMS ============
+
+async function loadItems(userId) {
+    const { data, error } = await supabase
+        .from('watchlist_items')
+        .select(ITEM_COLUMNS)
+        .eq('user_id', userId)
+        .order('position')
+        .order('created_at');
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * A user's cards - from one list, or from all of them with the lists in order
+ *
+ * @param {object} options - Optional: { watchlistId }
+ * @returns {Array<object>} - Cards (see toCard)
+ */
+async function listCards(userId, { watchlistId = null } = {}) {
+    let rows = await loadItems(userId);
+    if (rows.length === 0 && (await migrateWatchlist(userId)).copied > 0) {
+        rows = await loadItems(userId);
+    }
+
+    // Cards from before lists, or whose list was deleted outside the API
+    if (rows.some(row => !row.watchlist_id)) {
+        const { error } = await supabase
+            .from('watchlist_items')
+            .update({ watchlist_id: await defaultWatchlistId(userId) })
+            .eq('user_id', userId)
+            .is('watchlist_id', null);
+
+        if (error) throw error;
+        rows = await loadItems(userId);
+    }
+
+    if (watchlistId) return rows.filter(row => row.watchlist_id === watchlistId).map(toCard);
+
+    const order = new Map((await loadWatchlists(userId)).map((list, i) => [list.id, i]));
+    return rows
+        .sort((a, b) => order.get(a.watchlist_id) - order.get(b.watchlist_id))
+        .map(toCard);
+}
+
+async function loadItem(userId, cardId) {
+    const { data, error } = await supabase
+        .from('watchlist_items')
+        .select(ITEM_COLUMNS)
+        .eq('user_id', userId)
+        .eq('card_id', String(cardId))
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * One card, or null
+ */
+async function getCard(userId, cardId) {
+    const row = await loadItem(userId, cardId);
+    return row ? toCard(row) : null;
+}
+
+function invalid(errors) {
+    return { success: false, code: 'invalid', error: 'Invalid card', details: errors };
+}
+
+async function unknownHelmetErrors(records) {
+    const unknown = await resolveHelmets(records);
+    return unknown.length > 0 ? [`no helmet with ID ${unknown.join(', ')}`] : [];
+}
+
+/**
+ * Add a card at the end of the watchlist
+ *
+ * @param {object} card - { name, helmetId | helmetIds, costBasis, quantity, notes, alerts, ... };
+ *                        id is optional, watchlistId defaults to the user's default list
+ * @returns {object} - { success: true, card } or
+ *                     { success: false, code: 'invalid' | 'conflict', error, details }
+ */
+async function createCard(userId, card) {
+    const { errors, columns } = cardColumns(card);
+    errors.unshift(...cardIdErrors(card && card.id));
+    if (errors.length > 0) return invalid(errors);
+
+    const referenceErrors = [...await unknownWatchlistErrors(userId, [columns]), ...await unknownHelmetErrors([columns])];
+    if (referenceErrors.length > 0) return invalid(referenceErrors);
+
+    // A JSON watchlist is copied before the first change, not after it
+    await migrateWatchlist(userId);
+
+    const cardId = isBlank(card.id) ? String(Date.now()) : String(card.id);
+    const watchlistId = columns.watchlist_id || await defaultWatchlistId(userId);
+    const { data, error } = await supabase
+        .from('watchlist_items')
+        .insert({ ...columns, user_id: userId, watchlist_id: watchlistId, card_id: cardId, position: (await maxPosition(watchlistId)) + 1 })
+        .select(ITEM_COLUMNS)
+        .single();
+
+    if (error && error.code === '23505') {
+        return { success: false, code: 'conflict', error: `Card ${cardId} is already on the watchlist` };
+    }
+    if (error) throw error;
+    return { success: true, card: toCard(data) };
+}
+
+/**
+ * Change some of a card's fields, leaving the rest as they are
+ *
+ * @param {object} changes - Any card fields but id; null clears one, watchlistId moves
+ *                           the card to another of the user's lists
+ * @returns {object} - { success: true, card } or
+ *                     { success: false, code: 'not_found' | 'invalid', error, details }
+ */
+async function updateCard(userId, cardId, changes) {
+    const row = await loadItem(userId, cardId);
+    if (!row) return { success: false, code: 'not_found', error: 'Card not found' };
+
+    const current = toCard(row);
+    const { id, addedAt, updatedAt, ...fields } = changes || {};
+    const { errors, columns } = cardColumns(fields, { partial: true, current: { ...current, cardData: row.card_data || {} } });
+    if (errors.length > 0) return invalid(errors);
+    if (Object.keys(columns).length === 0) return { success: true, card: current };
+
+    const referenceErrors = [...await unknownWatchlistErrors(userId, [columns]), ...await unknownHelmetErrors([columns])];
+    if (referenceErrors.length > 0) return invalid(referenceErrors);
+
+    // A card moved to another list goes to its end
+    if (columns.watchlist_id && columns.watchlist_id !== row.watchlist_id) {
+        columns.position = (await maxPosition(columns.watchlist_id)) + 1;
+    }
+
+    const { data, error } = await supabase
+        .from('watchlist_items')
+        .update(columns)
+        .eq('id', row.id)
+        .select(ITEM_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return { success: true, card: toCard(data) };
+}
+
+/**
+ * Remove a card
+ *
+ * @returns {object} - { success: true } or { success: false, code: 'not_found', error }
+ */
+async function deleteCard(userId, cardId) {
+    const { data, error } = await supabase
+        .from('watchlist_items')
+        .delete()
+        .eq('user_id', userId)
+        .eq('card_id', String(cardId))
+        .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) return { success: false, code: 'not_found', error: 'Card not found' };
+    return { success: true };
+}
+
+/**
+ * Make the watchlist exactly these cards, in this order - the whole-list save
+ * PUT /api/watchlist has always done, across all of the user's lists. Cards
+ * that didn't change aren't written.
+ *
+ * @returns {object} - { success: true, cards } or { success: false, code: 'invalid', error, details }
+ */
+async function replaceWatchlist(userId, cards) {
+    if (!Array.isArray(cards)) return invalid(['watchlist must be a list']);
+
+    await migrateWatchlist(userId);
+    const existing = new Map((await loadItems(userId)).map(row => [row.card_id, row]));
+    const errors = [];
+    const records = [];
+    const seen = new Set();
+
+    cards.forEach((card, i) => {
+        const at = `watchlist[${i}]`;
+        const idErrors = cardIdErrors(card && card.id);
+        const { errors: cardErrors, columns } = cardColumns(card);
+        errors.push(...[...idErrors, ...cardErrors].map(e => `${at}.${e}`));
+        if (idErrors.length > 0 || cardErrors.length > 0) return;
+
+        // Cards saved without an ID get one, as POST /api/watchlist/add gives them
+        const cardId = isBlank(card.id) ? String(Date.now() + i) : String(card.id);
+        if (seen.has(cardId)) errors.push(`${at}.id: ${cardId} is on the list twice`);
+        seen.add(cardId);
+        records.push({ ...columns, user_id: userId, card_id: cardId, position: i });
+    });
+    if (errors.length > 0) return invalid(errors);
+
+    const referenceErrors = [...await unknownWatchlistErrors(userId, records), ...await unknownHelmetErrors(records)];
+    if (referenceErrors.length > 0) return invalid(referenceErrors);
+
+    // New cards go on the default list; the rest stay where they are unless moved
+    const newRecords = records.filter(record => !existing.has(record.card_id) && !record.watchlist_id);
+    if (newRecords.length > 0) {
+        const watchlistId = await defaultWatchlistId(userId);
+        newRecords.forEach(record => { record.watchlist_id = watchlistId; });
+    }
+
+    const changed = records.filter(record => {
+        const row = existing.get(record.card_id);
+        return !row || Object.keys(record).some(column => JSON.stringify(normalizeValue(row[column])) !== JSON.stringify(normalizeValue(record[column])));
+    });
+
+    if (changed.length > 0) {
+        const { error } = await supabase
+            .from('watchlist_items')
+            .upsert(changed, { onConflict: 'user_id,card_id' });
+
+        if (error) throw error;
+    }
+
+    const removed = [...existing.keys()].filter(cardId => !seen.has(cardId));
+    for (const batch of chunks(removed)) {
+        const { error } = await supabase
+            .from('watchlist_items')
+            .delete()
+            .eq('user_id', userId)
+            .in('card_id', batch);
+
+        if (error) throw error;
+    }
+
+    return { success: true, cards: await listCards(userId) };
+}
+
+// Decimals may come back as strings
+function normalizeValue(value) {
+    return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+module.exports = {
+    DEFAULT_WATCHLIST_NAME,
+    toCard,
+    defaultWatchlistId,
+    loadWatchlists,
+    maxPosition,
+    listCards,
+    getCard,
+    createCard,
+    updateCard,
+    deleteCard,
+    replaceWatchlist,
+    migrateWatchlist,
+    migrateAllWatchlists
+};
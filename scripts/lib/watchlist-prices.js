@@ -0,0 +1,209 @@
+/**
+ * Watchlist Card Prices
+ *
+ * Prices for the cards users keep on their watchlists (lib/watchlist-items.js),
+ * read the way the watchlist shows them: a card is one helmet (helmetId) or a group
+ * of them (helmetIds), and its price is the median current_price of those
+ * helmets. Cards saved before a merge still carry merged-away IDs, which are
+ * followed through helmet_redirects.
+ *
+ * Shared by the emails built from watchlists - price alerts (lib/price-alerts.js)
+ * and the weekly digest (lib/portfolio-digest.js) - and the per-list totals
+ * (lib/watchlists.js).
+ */
+
+const { getDatabase } = require('./db');
+
+const supabase = getDatabase();
+
+// Helmet IDs per .in() query
+const CHUNK_SIZE = 200;
+
+function chunks(list, size = CHUNK_SIZE) {
+    const out = [];
+    for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+    return out;
+}
+
+function median(values) {
+    const sorted = values.filter(v => v > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function formatPrice(value) {
+    return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Numeric helmet IDs of a card (single helmet or a grouped card)
+ */
+function cardHelmetIds(card) {
+    const ids = Array.isArray(card.helmetIds) && card.helmetIds.length > 0 ? card.helmetIds : [card.helmetId];
+    return [...new Set(ids.map(id => parseInt(id)).filter(Boolean))];
+}
+
+/**
+ * Point each entry's helmetIds at the surviving helmets of any merges
+ *
+ * @param {Array<object>} entries - Objects with a helmetIds list, updated in place
+ */
+async function followRedirects(entries) {
+    const allIds = [...new Set(entries.flatMap(e => e.helmetIds))];
+    const redirects = new Map();
+
+    for (const ids of chunks(allIds)) {
+        const { data, error } = await supabase
+            .from('helmet_redirects')
+            .select('old_id, new_id')
+            .in('old_id', ids);
+
+        if (error) throw error;
+        (data || []).forEach(r => redirects.set(r.old_id, r.new_id));
+    }
+
+    if (redirects.size > 0) {
+        entries.forEach(e => {
+            e.helmetIds = [...new Set(e.helmetIds.map(id => redirects.get(id) || id))];
+        });
+    }
+    return entries;
+}
+
+/**
+ * Current price, player and latest retailer prices of each helmet
+ *
+ * @returns {object} - { helmets: Map id -> { price, player, name },
+ *                       retailerPrices: Map id -> helmet_latest_source_prices rows with a source }
+ */
+async function loadHelmetPrices(helmetIds) {
+    const helmets = new Map();
+    const retailerPrices = new Map();
+
+    for (const ids of chunks(helmetIds)) {
+        const { data, error } = await supabase
+            .from('helmets')
+            .select('id, name, player, current_price')
+            .in('id', ids);
+
+        if (error) throw error;
+        (data || []).forEach(h => helmets.set(h.id, {
+            name: h.name,
+            player: h.player,
+            price: h.current_price === null ? null : Number(h.current_price)
+        }));
+
+        const { data: latest, error: latestError } = await supabase
+            .from('helmet_latest_source_prices')
+            .select('helmet_id, source, median_price, min_price, ebay_url, scraped_at')
+            .in('helmet_id', ids);
+
+        if (latestError) throw latestError;
+        for (const row of latest || []) {
+            if (!row.source || !(Number(row.median_price) > 0)) continue;
+            if (!retailerPrices.has(row.helmet_id)) retailerPrices.set(row.helmet_id, []);
+            retailerPrices.get(row.helmet_id).push(row);
+        }
+    }
+
+    return { helmets, retailerPrices };
+}
+
+/**
+ * What each helmet's current_price was at a past time: the median of the
+ * latest price from each source up to then (as price-utils computes it now)
+ *
+ * @returns {Map} - helmet id -> price
+ */
+async function loadPricesAsOf(helmetIds, asOf) {
+    const latest = new Map();
+
+    for (const ids of chunks(helmetIds)) {
+        const { data, error } = await supabase
+            .from('helmet_prices')
+            .select('helmet_id, source, median_price, scraped_at')
+            .in('helmet_id', ids)
+            .lte('scraped_at', asOf.toISOString())
+            .order('scraped_at', { ascending: false })
+            .order('id', { ascending: false });
+
+        if (error) throw error;
+        for (const row of data || []) {
+            const key = `${row.helmet_id}|${row.source}`;
+            if (!latest.has(key)) latest.set(key, row);
+        }
+    }
+
+    const bySource = new Map();
+    for (const row of latest.values()) {
+        if (!bySource.has(row.helmet_id)) bySource.set(row.helmet_id, []);
+        bySource.get(row.helmet_id).push(Number(row.median_price));
+    }
+
+    return new Map([...bySource].map(([id, prices]) => [id, median(prices)]));
+}
+
+/**
+ * A card's price - the median price of its helmets
+ *
+ * @param {Array<number>} helmetIds - The card's (redirected) helmet IDs
+ * @param {Map} prices - helmet id -> price, or -> { price } from loadHelmetPrices
+ */
+function cardPrice(helmetIds, prices) {
+    return median(helmetIds.map(id => {
+        const entry = prices.get(id);
+        return entry && typeof entry === 'object' ? entry.price : entry;
+    }));
+}
+
+/**
+ * What a card is worth now: its helmets' price, or for a card without catalog
+ * helmets the price the browser last saved on it
+ *
+ * @param {Map} helmets - From loadHelmetPrices
+ */
+function currentCardPrice(card, helmetIds, helmets) {
+    return cardPrice(helmetIds, helmets) || (card.currentPrice > 0 ? Number(card.currentPrice) : null);
+}
+
+/**
+ * Current price of each card (see currentCardPrice)
+ *
+ * @param {Array<object>} cards - Cards from lib/watchlist-items.js
+ * @returns {Array<number|null>} - In the order of cards
+ */
+async function currentCardPrices(cards) {
+    const entries = cards.map(card => ({ card, helmetIds: cardHelmetIds(card) }));
+    await followRedirects(entries);
+    const { helmets } = await loadHelmetPrices([...new Set(entries.flatMap(e => e.helmetIds))]);
+    return entries.map(({ card, helmetIds }) => currentCardPrice(card, helmetIds, helmets));
+}
+
+/**
+ * Totals as the dashboard (updateDashboard in index.html) adds them up: every
+ * card's price and every cost entered, times the card's quantity
+ *
+ * @param {Array<object>} cards - { price, costBasis, quantity }
+ * @returns {object} - { value, cost, profit, profitPercent } - profitPercent is null
+ *                     without a cost
+ */
+function portfolioTotals(cards) {
+    const value = cards.reduce((sum, c) => sum + (c.price || 0) * (c.quantity || 1), 0);
+    const cost = cards.reduce((sum, c) => sum + (c.costBasis !== null && c.costBasis !== undefined ? c.costBasis : 0) * (c.quantity || 1), 0);
+    const profit = value - cost;
+    return { value, cost, profit, profitPercent: cost > 0 ? (profit / cost) * 100 : null };
+}
+
+module.exports = {
+    chunks,
+    formatPrice,
+    cardHelmetIds,
+    followRedirects,
+    loadHelmetPrices,
+    loadPricesAsOf,
+    cardPrice,
+    currentCardPrice,
+    currentCardPrices,
+    portfolioTotals
+};
@@ -0,0 +1,216 @@
+/**
+ * Named Watchlists
+ *
+ * A user's cards are kept in named lists - "My collection", "Want list",
+ * "Flip candidates" - in the watchlists table (migration 020). Every user has
+ * one default list ("My watchlist" until renamed): cards added without a list
+ * go there, and it takes the cards of a list that is deleted, so it can't be
+ * deleted itself.
+ *
+ * Cards move between lists by changing their watchlistId (updateCard in
+ * lib/watchlist-items.js). Card IDs are unique across all of a user's lists,
+ * and the slot limit counts every list together (server.js).
+ *
+ * Each list comes with its own totals - value, cost and profit - added up as
+ * the dashboard does (lib/watchlist-prices.js portfolioTotals).
+ */
+
+const { getDatabase } = require('./db');
+const { listCards, defaultWatchlistId, loadWatchlists, maxPosition } = require('./watchlist-items');
+const { currentCardPrices, portfolioTotals } = require('./watchlist-prices');
+
+const supabase = getDatabase();
+
+const MAX_WATCHLISTS = 20;
+const MAX_NAME_LENGTH = 100;
+
+function describeWatchlist(list) {
+    return {
+        id: list.id,
+        name: list.name,
+        isDefault: list.is_default,
+        position: list.position,
+        createdAt: list.created_at,
+        updatedAt: list.updated_at
+    };
+}
+
+function nameError(name) {
+    if (typeof name !== 'string' || !name.trim()) return 'name: required';
+    if (name.trim().length > MAX_NAME_LENGTH) return `name: at most ${MAX_NAME_LENGTH} characters`;
+    return null;
+}
+
+function nameTaken(name) {
+    return { success: false, code: 'conflict', error: `You already have a list called "${name.trim()}"` };
+}
+
+async function findWatchlist(userId, watchlistId) {
+    const { data, error } = await supabase
+        .from('watchlists')
+        .select('id, name, is_default, position, created_at, updated_at')
+        .eq('user_id', userId)
+        .eq('id', watchlistId)
+        .maybeSingle();
+
+    // Not a UUID
+    if (error && error.code === '22P02') return null;
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * The user's lists in order, each with its card count and totals
+ *
+ * @returns {Array<object>} - [{ id, name, isDefault, position, cardCount,
+ *                            totals: { value, cost, profit, profitPercent } }]
+ */
+async function listWatchlists(userId) {
+    await defaultWatchlistId(userId);
+    const cards = await listCards(userId);
+    const prices = await currentCardPrices(cards);
+    const priced = cards.map((card, i) => ({ ...card, price: prices[i] }));
+
+    return (await loadWatchlists(userId)).map(list => {
+        const onList = priced.filter(card => card.watchlistId === list.id);
+        return { ...describeWatchlist(list), cardCount: onList.length, totals: portfolioTotals(onList) };
+    });
+}
+
+/**
+ * One list and its cards
+ *
+ * @returns {object|null} - { watchlist, cards }, or null when the user has no such list
+ */
+async function getWatchlist(userId, watchlistId) {
+    const list = await findWatchlist(userId, watchlistId);
+    if (!list) return null;
+    return { watchlist: describeWatchlist(list), cards: await listCards(userId, { watchlistId: list.id }) };
+}
+
+/**
+ * Add a list at the end
+ *
+ * @returns {object} - { success: true, watchlist } or
+ *                     { success: false, code: 'invalid' | 'conflict', error }
+ */
+async function createWatchlist(userId, name) {
+    const error = nameError(name);
+    if (error) return { success: false, code: 'invalid', error };
+
+    await defaultWatchlistId(userId);
+    const lists = await loadWatchlists(userId);
+    if (lists.length >= MAX_WATCHLISTS) {
+        return { success: false, code: 'invalid', error: `At most ${MAX_WATCHLISTS} lists` };
+    }
+
+    const { data, error: insertError } = await supabase
+        .from('watchlists')
+        .insert({ user_id: userId, name: name.trim(), position: Math.max(...lists.map(l => l.position)) + 1 })
+        .select('id, name, is_default, position, created_at, updated_at')
+        .single();
+
+    if (insertError && insertError.code === '23505') return nameTaken(name);
+    if (insertError) throw insertError;
+    return { success: true, watchlist: describeWatchlist(data) };
+}
+
+/**
+ * @returns {object} - { success: true, watchlist } or
+ *                     { success: false, code: 'invalid' | 'not_found' | 'conflict', error }
+ */
+async function renameWatchlist(userId, watchlistId, name) {
+    const error = nameError(name);
+    if (error) return { success: false, code: 'invalid', error };
+
+    const list = await findWatchlist(userId, watchlistId);
+    if (!list) return { success: false, code: 'not_found', error: 'Watchlist not found' };
+
+    const { data, error: updateError } = await supabase
+        .from('watchlists')
+        .update({ name: name.trim() })
+        .eq('id', list.id)
+        .select('id, name, is_default, position, created_at, updated_at')
+        .single();
+
+    if (updateError && updateError.code === '23505') return nameTaken(name);
+    if (updateError) throw updateError;
+    return { success: true, watchlist: describeWatchlist(data) };
+}
+
+/**
+ * Delete a list, moving its cards to the end of another one
+ *
+ * @param {object} options - Optional: { moveTo } - the list that takes the cards
+ *                           (default: the user's default list)
+ * @returns {object} - { success: true, moved, moveTo } or
+ *                     { success: false, code: 'invalid' | 'not_found', error }
+ */
+async function deleteWatchlist(userId, watchlistId, { moveTo = null } = {}) {
+    const list = await findWatchlist(userId, watchlistId);
+    if (!list) return { success: false, code: 'not_found', error: 'Watchlist not found' };
+    if (list.is_default) return { success: false, code: 'invalid', error: 'The default list can\'t be deleted' };
+
+    const target = moveTo ? await findWatchlist(userId, moveTo) : { id: await defaultWatchlistId(userId) };
+    if (!target || target.id === list.id) {
+        return { success: false, code: 'invalid', error: 'moveTo: must be another of your lists' };
+    }
+
+    const start = await maxPosition(target.id) + 1;
+    const cards = await listCards(userId, { watchlistId: list.id });
+    for (const [i, card] of cards.entries()) {
+        const { error } = await supabase
+            .from('watchlist_items')
+            .update({ watchlist_id: target.id, position: start + i })
+            .eq('user_id', userId)
+            .eq('card_id', String(card.id));
+
+        if (error) throw error;
+    }
+
+    const { error } = await supabase
+        .from('watchlists')
+        .delete()
+        .eq('id', list.id);
+
+    if (error) throw error;
+    return { success: true, moved: cards.length, moveTo: target.id };
+}
+
+/**
+ * Put the user's lists in this order
+ *
+ * @param {Array<string>} watchlistIds - Every one of the user's list IDs
+ * @returns {object} - { success: true, watchlists } or { success: false, code: 'invalid', error }
+ */
+async function reorderWatchlists(userId, watchlistIds) {
+    await defaultWatchlistId(userId);
+    const lists = await loadWatchlists(userId);
+    const ids = Array.isArray(watchlistIds) ? watchlistIds : [];
+
+    if (ids.length !== lists.length || new Set(ids).size !== ids.length || !lists.every(l => ids.includes(l.id))) {
+        return { success: false, code: 'invalid', error: 'ids: must list each of your watchlists once' };
+    }
+
+    for (const [position, id] of ids.entries()) {
+        if (lists.find(l => l.id === id).position === position) continue;
+
+        const { error } = await supabase
+            .from('watchlists')
+            .update({ position })
+            .eq('id', id);
+
+        if (error) throw error;
+    }
+
+    return { success: true, watchlists: (await loadWatchlists(userId)).map(describeWatchlist) };
+}
+
+module.exports = {
+    listWatchlists,
+    getWatchlist,
+    createWatchlist,
+    renameWatchlist,
+    deleteWatchlist,
+    reorderWatchlists
+};
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Merge duplicate helmets, or split one that mixes two variants
+ *
+ * Unlike the old cleanup scripts this keeps price history, remembered match
+ * decisions and user watchlists pointing at the right helmet, and leaves a
+ * redirect for every merged-away ID (see lib/helmet-merge.js).
+ *
+ * Usage:
+ *   node scripts/merge-helmets.js merge <survivorId> <duplicateId> [duplicateId...] [--dry-run]
+ *   node scripts/merge-helmets.js split <helmetId> (--prices 12,13 | --sources rsa,radtke)
+ *        [--type mini] [--design regular] [--team Chiefs] [--auth JSA] [--inscription "HOF"]
+ *        [--name "..."] [--dry-run]
+ *   npm run db:merge -- merge 120 121 --dry-run
+ */
+
+const { mergeHelmets, splitHelmet } = require('./lib/helmet-merge');
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            flags.dryRun = true;
+        } else if (arg.startsWith('--')) {
+            flags[arg.slice(2)] = argv[++i];
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, flags };
+}
+
+function list(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+function describe(helmet) {
+    return `#${helmet.id || 'new'} ${helmet.name} [${helmet.helmet_type}/${helmet.design_type}]`;
+}
+
+async function runMerge(positional, flags) {
+    const [survivorId, ...duplicateIds] = positional;
+    const result = await mergeHelmets(survivorId, duplicateIds, { dryRun: flags.dryRun, mergedBy: 'cli' });
+
+    if (!result.success) {
+        console.error(`❌ ${result.error}`);
+        process.exit(1);
+    }
+
+    console.log(`   Survivor: ${describe(result.survivor)}`);
+    for (const h of result.merged) console.log(`   Merged:   ${describe(h)}`);
+    console.log('');
+    console.log(`   Price rows moved:      ${result.pricesMoved}`);
+    console.log(`   Match decisions moved: ${result.decisionsMoved}`);
+    console.log(`   Watchlists rewritten:  ${result.watchlistsUpdated}`);
+    console.log(`   Redirects added:       ${result.merged.length}`);
+}
+
+async function runSplit(positional, flags) {
+    const [helmetId] = positional;
+    const result = await splitHelmet(
+        helmetId,
+        { priceIds: list(flags.prices), sources: list(flags.sources) },
+        {
+            helmet_type: flags.type,
+            design_type: flags.design,
+            team: flags.team,
+            auth_company: flags.auth,
+            inscription: flags.inscription,
+            name: flags.name
+        },
+        { dryRun: flags.dryRun }
+    );
+
+    if (!result.success) {
+        console.error(`❌ ${result.error}`);
+        process.exit(1);
+    }
+
+    console.log(`   Original:   ${describe(result.original)}`);
+    console.log(`   New helmet: ${describe(result.helmet)}`);
+    console.log('');
+    console.log(`   Price rows moved:      ${result.pricesMoved}`);
+    console.log(`   Match decisions moved: ${result.decisionsMoved}`);
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const { positional, flags } = parseArgs(rest);
+
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`Helmets: ${command || '?'}${flags.dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    if (command === 'merge') {
+        await runMerge(positional, flags);
+    } else if (command === 'split') {
+        await runSplit(positional, flags);
+    } else {
+        console.log('Usage:');
+        console.log('  node scripts/merge-helmets.js merge <survivorId> <duplicateId...> [--dry-run]');
+        console.log('  node scripts/merge-helmets.js split <helmetId> --prices <ids> | --sources <sources> --type <type> [--dry-run]');
+        process.exit(1);
+    }
+
+    console.log(`\n✅ ${flags.dryRun ? 'Dry run complete - nothing was changed' : 'Done'}\n`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('Failed:', err);
+        process.exit(1);
+    });
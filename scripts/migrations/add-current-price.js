@@ -7,10 +7,10 @@
  * 3. Updates each helmet with its calculated median
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('../lib/db');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 function calculateMedian(numbers) {
     if (!numbers || numbers.length === 0) return null;
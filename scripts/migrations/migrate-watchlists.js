@@ -0,0 +1,44 @@
+/**
+ * Migration: Copy JSON watchlists into watchlist_items
+ *
+ * Run once after supabase/migrations/019_watchlist_items.sql. Every
+ * auth_user_watchlists array not copied yet becomes watchlist_items rows
+ * (lib/watchlist-items.js):
+ * 1. Card IDs, order, names, cost basis, alerts and the cached fields carry over
+ * 2. Helmet IDs of merged helmets are followed to the survivor; IDs of helmets
+ *    that no longer exist are dropped, keeping the card
+ * 3. Cards without an ID or name, and repeats of an ID, are skipped
+ *
+ * Each copied watchlist is stamped migrated_at, so a rerun only picks up the
+ * rest. Users who load their watchlist first are copied then.
+ *
+ * Usage:
+ *   node scripts/migrations/migrate-watchlists.js [--dry-run]
+ *   npm run db:migrate-watchlists -- --dry-run
+ */
+
+const { migrateAllWatchlists } = require('../lib/watchlist-items');
+require('dotenv').config();
+
+async function migrate() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`Migration: Watchlists to watchlist_items${dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    const summary = await migrateAllWatchlists({ dryRun, log: line => console.log(`   ${line}`) });
+
+    console.log(`\n${'═'.repeat(50)}`);
+    console.log('📊 SUMMARY');
+    console.log(`${'═'.repeat(50)}`);
+    console.log(`   Watchlists ${dryRun ? 'to copy' : 'copied'}: ${summary.users}`);
+    console.log(`   Cards: ${summary.copied}`);
+    if (summary.skipped > 0) console.log(`   Skipped (no ID or name, or a repeated ID): ${summary.skipped}`);
+    console.log(`${'═'.repeat(50)}\n`);
+}
+
+migrate().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,207 @@
+/**
+ * Migration: Reclassify helmet_type / design_type with the shared classifier
+ *
+ * Replaces update-helmet-types.js. Every helmet is run back through
+ * lib/helmet-classifier.js:
+ * 1. A type or design found in the helmet name wins
+ * 2. Otherwise a legacy spelling already stored is mapped to the controlled
+ *    vocabulary ("salute" -> "salute-to-service", "speedflex" -> "fullsize-speedflex")
+ * 3. Otherwise the classifier's default is used
+ *
+ * Every change is written to a CSV report (old value, new value, reason,
+ * confidence) so it can be reviewed or reverted.
+ *
+ * After a clean run, validate the check constraints added in
+ * supabase/migrations/010_helmet_vocabulary.sql.
+ *
+ * Usage:
+ *   node scripts/migrations/reclassify-helmet-types.js [--dry-run] [--report <file.csv>]
+ *   npm run db:reclassify -- --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDatabase } = require('../lib/db');
+const {
+    classifyHelmet,
+    normalizeHelmetType,
+    normalizeDesignType
+} = require('../lib/helmet-classifier');
+require('dotenv').config();
+
+const supabase = getDatabase();
+
+const REPORT_DIR = path.join(__dirname, '..', 'reports');
+
+async function fetchAllHelmets() {
+    const helmets = [];
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('helmets')
+            .select('id, name, helmet_type, design_type')
+            .order('id')
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        helmets.push(...data);
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    return helmets;
+}
+
+/**
+ * Decide the new value for one field
+ *
+ * @returns {object} - { value, reason }
+ */
+function resolveField(current, classified, source, normalize) {
+    if (source !== 'default') {
+        return { value: classified, reason: `name (${source})` };
+    }
+
+    const normalized = normalize(current);
+    if (normalized) {
+        return { value: normalized, reason: normalized === current ? 'unchanged' : 'legacy value' };
+    }
+
+    return { value: classified, reason: current ? 'invalid value' : 'missing value' };
+}
+
+/**
+ * Classify one helmet
+ *
+ * @returns {object|null} - Change record, or null if nothing changes
+ */
+function reclassify(helmet) {
+    const result = classifyHelmet(helmet.name || '');
+
+    const helmetType = resolveField(helmet.helmet_type, result.helmetType,
+        result.evidence.helmetType.source, normalizeHelmetType);
+    const designType = resolveField(helmet.design_type, result.designType,
+        result.evidence.designType.source, normalizeDesignType);
+
+    if (helmetType.value === helmet.helmet_type && designType.value === helmet.design_type) {
+        return null;
+    }
+
+    return {
+        id: helmet.id,
+        name: helmet.name,
+        oldHelmetType: helmet.helmet_type,
+        newHelmetType: helmetType.value,
+        helmetTypeReason: helmetType.reason,
+        oldDesignType: helmet.design_type,
+        newDesignType: designType.value,
+        designTypeReason: designType.reason,
+        confidence: result.confidence
+    };
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeReport(changes, reportPath) {
+    const columns = ['id', 'name', 'oldHelmetType', 'newHelmetType', 'helmetTypeReason',
+        'oldDesignType', 'newDesignType', 'designTypeReason', 'confidence'];
+
+    const lines = [columns.join(',')];
+    for (const change of changes) {
+        lines.push(columns.map(c => csvValue(change[c])).join(','));
+    }
+
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, lines.join('\n') + '\n');
+}
+
+function countTransitions(changes, from, to) {
+    const counts = {};
+    for (const change of changes) {
+        if (change[from] === change[to]) continue;
+        const key = `${change[from] || '(empty)'} → ${change[to]}`;
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+async function migrate() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const reportIndex = args.indexOf('--report');
+    const reportPath = reportIndex !== -1 && args[reportIndex + 1]
+        ? path.resolve(args[reportIndex + 1])
+        : path.join(REPORT_DIR, `reclassify-helmet-types-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`Migration: Reclassify helmet types${dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    const helmets = await fetchAllHelmets();
+    console.log(`Found ${helmets.length} helmets to process\n`);
+
+    const changes = helmets.map(reclassify).filter(Boolean);
+    let updated = 0;
+    let failed = 0;
+
+    if (!dryRun) {
+        for (const change of changes) {
+            const { error } = await supabase
+                .from('helmets')
+                .update({
+                    helmet_type: change.newHelmetType,
+                    design_type: change.newDesignType
+                })
+                .eq('id', change.id);
+
+            if (error) {
+                failed++;
+                change.error = error.message;
+                console.log(`❌ Error updating ID ${change.id}: ${error.message}`);
+            } else {
+                updated++;
+            }
+        }
+    }
+
+    writeReport(changes, reportPath);
+
+    console.log('Helmet type changes:');
+    for (const [transition, count] of countTransitions(changes, 'oldHelmetType', 'newHelmetType')) {
+        console.log(`   ${transition}: ${count}`);
+    }
+    console.log('\nDesign type changes:');
+    for (const [transition, count] of countTransitions(changes, 'oldDesignType', 'newDesignType')) {
+        console.log(`   ${transition}: ${count}`);
+    }
+
+    const lowConfidence = changes.filter(c => c.confidence < 0.5).length;
+
+    console.log(`\n${'═'.repeat(50)}`);
+    console.log('📊 SUMMARY');
+    console.log(`${'═'.repeat(50)}`);
+    console.log(`   ${dryRun ? 'Would update' : 'Updated'}: ${dryRun ? changes.length : updated} helmets`);
+    console.log(`   Unchanged: ${helmets.length - changes.length} helmets`);
+    if (failed > 0) console.log(`   Failed: ${failed} helmets`);
+    console.log(`   Low confidence (< 0.5): ${lowConfidence} helmets`);
+    console.log(`   Report: ${reportPath}`);
+    console.log(`${'═'.repeat(50)}\n`);
+
+    if (!dryRun && failed === 0) {
+        console.log('All rows now use the controlled vocabulary. Validate the constraints with:');
+        console.log('   ALTER TABLE helmets VALIDATE CONSTRAINT helmets_helmet_type_check;');
+        console.log('   ALTER TABLE helmets VALIDATE CONSTRAINT helmets_design_type_check;\n');
+    }
+}
+
+migrate().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
@@ -1,8 +1,9 @@
 const puppeteer = require('puppeteer');
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
+const { checkAlerts } = require('./lib/price-alerts');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -71,6 +72,7 @@ async function updateAllHelmetPrices() {
 
         let updated = 0;
         let failed = 0;
+        const repricedIds = [];
 
         for (const helmet of helmets) {
             try {
@@ -97,6 +99,7 @@ async function updateAllHelmetPrices() {
                     } else {
                         console.log(`   ✅ Updated: $${priceData.median} (${priceData.total} sales)`);
                         updated++;
+                        repricedIds.push(helmet.id);
                     }
                 } else {
                     console.log(`   ⚠️  No sales found`);
@@ -116,6 +119,16 @@ async function updateAllHelmetPrices() {
         console.log(`   📈 Successfully updated: ${updated}`);
         console.log(`   ❌ Failed: ${failed}`);
 
+        // Alerts on the repriced helmets go out now, not at the next daily check
+        if (repricedIds.length > 0) {
+            try {
+                const alerts = await checkAlerts({ helmetIds: repricedIds });
+                console.log(`   🔔 Price alerts: ${alerts.sent} sent, ${alerts.rateLimited} rate limited, ${alerts.failed} failed`);
+            } catch (alertError) {
+                console.error('   ⚠️  Price alert check failed:', alertError.message);
+            }
+        }
+
     } catch (error) {
         console.error('❌ Fatal error:', error);
     } finally {
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Weekly Portfolio Digest
+ *
+ * Usage:
+ *   node scripts/portfolio-digest.js send [--dry-run]          Send the digests due now
+ *   node scripts/portfolio-digest.js preview <email> [--html]  Print a user's digest (text, or HTML)
+ *
+ * `send` runs hourly as the portfolio-digest job; each user's digest goes out
+ * once a week at the weekday and hour they picked. See lib/portfolio-digest.js.
+ */
+
+const { isDatabaseConfigured, getDatabase } = require('./lib/db');
+require('dotenv').config();
+
+async function send(args) {
+    const { sendDueDigests } = require('./lib/portfolio-digest');
+    const dryRun = args.includes('--dry-run');
+    const summary = await sendDueDigests({ dryRun });
+
+    console.log(`\n📬 ${summary.due} digest(s) due${dryRun ? ' (dry run)' : ''}`);
+    for (const result of summary.results) {
+        console.log(`   ${result.status.padEnd(10)}  ${result.email.padEnd(30)}  ${result.subject || ''}`);
+        if (result.error) console.log(`        ✗ ${result.error}`);
+    }
+    console.log(`\n   Sent: ${summary.sent}   Empty watchlist: ${summary.empty}   Failed: ${summary.failed}\n`);
+
+    if (summary.failed > 0) process.exit(1);
+}
+
+async function preview(args) {
+    const { previewDigest } = require('./lib/portfolio-digest');
+    const email = args[1];
+
+    const { data: user, error } = await getDatabase()
+        .from('auth_users')
+        .select('id')
+        .eq('email', email.toLowerCase())
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!user) {
+        console.error(`\n❌ User not found: ${email}\n`);
+        process.exit(1);
+    }
+
+    const digest = await previewDigest(user.id);
+    console.log(`Subject: ${digest.subject}\n`);
+    console.log(args.includes('--html') ? digest.html : digest.text);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    if (!isDatabaseConfigured()) {
+        console.error('\n❌ SUPABASE_URL is not set (or set DATA_BACKEND=local)');
+        process.exit(1);
+    }
+
+    if (command === 'send') {
+        await send(args);
+    } else if (command === 'preview' && args[1]) {
+        await preview(args);
+    } else {
+        console.log('Usage: node scripts/portfolio-digest.js [send [--dry-run] | preview <email> [--html]]');
+        process.exit(command === 'help' || command === '--help' ? 0 : 1);
+    }
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Price Alerts
+ *
+ * Usage:
+ *   node scripts/price-alerts.js check [--dry-run]    Check every card's alerts and email matches
+ *   node scripts/price-alerts.js history [--limit N]  Recent alerts: sent, rate limited, failed
+ *
+ * Imports check the cards watching the helmets they priced on their own; this
+ * checks everything, and runs daily as the price-alerts job. Rules and limits
+ * are described in lib/price-alerts.js.
+ */
+
+const { isDatabaseConfigured, getDatabase } = require('./lib/db');
+require('dotenv').config();
+
+function flagValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] || null : null;
+}
+
+async function check(args) {
+    const { checkAlerts } = require('./lib/price-alerts');
+    const dryRun = args.includes('--dry-run');
+    const summary = await checkAlerts({ dryRun });
+
+    console.log(`\n🔔 ${summary.cards} card(s) with alerts checked${dryRun ? ' (dry run)' : ''}`);
+    for (const alert of summary.alerts) {
+        console.log(`   ${alert.status.padEnd(12)}  ${alert.email.padEnd(30)}  ${alert.message}`);
+        if (alert.error) console.log(`        ✗ ${alert.error}`);
+    }
+    console.log(`\n   ${dryRun ? 'Would send' : 'Sent'}: ${summary.sent}   Rate limited: ${summary.rateLimited}   Failed: ${summary.failed}\n`);
+
+    if (summary.failed > 0) process.exit(1);
+}
+
+async function history(args) {
+    const { data, error } = await getDatabase()
+        .from('price_alert_notifications')
+        .select('id, user_id, card_id, message, status, error, created_at')
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(parseInt(flagValue(args, '--limit')) || 20);
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+        console.log('\nNo price alerts raised yet.\n');
+        return;
+    }
+
+    console.log('\n  RAISED            STATUS        ALERT');
+    for (const n of data) {
+        console.log(`  ${String(n.created_at).replace('T', ' ').substring(0, 16)}  ${n.status.padEnd(12)}  ${n.message}`);
+        if (n.error) console.log(`        ✗ ${n.error}`);
+    }
+    console.log('');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    if (!isDatabaseConfigured()) {
+        console.error('\n❌ SUPABASE_URL is not set (or set DATA_BACKEND=local)');
+        process.exit(1);
+    }
+
+    if (command === 'check') {
+        await check(args);
+    } else if (command === 'history') {
+        await history(args);
+    } else {
+        console.log('Usage: node scripts/price-alerts.js [check [--dry-run] | history [--limit N]]');
+        process.exit(command === 'help' || command === '--help' ? 0 : 1);
+    }
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exit(1);
+});
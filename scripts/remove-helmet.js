@@ -1,7 +1,7 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
 require('dotenv').config();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 async function removeHelmet() {
     console.log('🔍 Searching for Josh Allen Bills Mini helmet...\n');
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Seed the player_aliases table
+ *
+ * Loads NAME_CORRECTIONS (truncations, misspellings) and NICKNAMES from
+ * lib/player-names.js so the suggestions search and findHelmet can resolve
+ * them, linking each alias to its row in the players registry.
+ * Safe to re-run - existing aliases are updated in place.
+ *
+ * Usage:
+ *   node scripts/seed-player-aliases.js
+ *   npm run db:seed-aliases
+ */
+
+const { getDatabase } = require('./lib/db');
+const { NAME_CORRECTIONS, NICKNAMES, normalizeName } = require('./lib/player-names');
+require('dotenv').config();
+
+const supabase = getDatabase();
+
+function buildAliasRows() {
+    const rows = [];
+
+    for (const [alias, playerName] of Object.entries(NAME_CORRECTIONS)) {
+        // null = not a player; case-only fixes match the canonical name anyway
+        if (!playerName) continue;
+        if (normalizeName(alias) === normalizeName(playerName)) continue;
+        rows.push({ alias, player_name: playerName, alias_type: 'correction' });
+    }
+
+    for (const [alias, playerName] of Object.entries(NICKNAMES)) {
+        rows.push({ alias, player_name: playerName, alias_type: 'nickname' });
+    }
+
+    return rows;
+}
+
+async function main() {
+    console.log('═══════════════════════════════════════════════════════');
+    console.log('Seed: player_aliases');
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    const rows = buildAliasRows();
+
+    // Make sure every alias target exists in the players registry
+    const playerNames = [...new Set(rows.map(r => r.player_name))];
+    const { error: playerError } = await supabase
+        .from('players')
+        .upsert(playerNames.map(name => ({ name })), { onConflict: 'name', ignoreDuplicates: true });
+
+    if (playerError) {
+        console.error('❌ Failed to register players:', playerError.message);
+        process.exit(1);
+    }
+
+    const { data: players, error: lookupError } = await supabase
+        .from('players')
+        .select('id, name')
+        .in('name', playerNames);
+
+    if (lookupError) {
+        console.error('❌ Failed to look up players:', lookupError.message);
+        process.exit(1);
+    }
+
+    const playerIds = new Map(players.map(p => [p.name, p.id]));
+    for (const row of rows) {
+        row.player_id = playerIds.get(row.player_name) || null;
+    }
+
+    const { error } = await supabase
+        .from('player_aliases')
+        .upsert(rows, { onConflict: 'alias' });
+
+    if (error) {
+        console.error('❌ Failed to seed aliases:', error.message);
+        process.exit(1);
+    }
+
+    const corrections = rows.filter(r => r.alias_type === 'correction').length;
+    console.log(`   Corrections: ${corrections}`);
+    console.log(`   Nicknames:   ${rows.length - corrections}`);
+    console.log(`\n✅ Seeded ${rows.length} aliases\n`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('Seed failed:', err);
+        process.exit(1);
+    });
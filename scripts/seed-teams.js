@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Sync the teams table with lib/teams.js
+ *
+ * The JS registry is the source of truth; run this after adding a team,
+ * alias or historical name so database-side lookups (the helmets.team
+ * trigger) see the same data as the importers.
+ * Safe to re-run - existing teams are updated in place.
+ *
+ * Usage:
+ *   node scripts/seed-teams.js
+ *   npm run db:seed-teams
+ */
+
+const { getDatabase } = require('./lib/db');
+const { teamRows } = require('./lib/teams');
+require('dotenv').config();
+
+const supabase = getDatabase();
+
+async function main() {
+    console.log('═══════════════════════════════════════════════════════');
+    console.log('Seed: teams');
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    const rows = teamRows();
+
+    const { error } = await supabase
+        .from('teams')
+        .upsert(rows, { onConflict: 'key' });
+
+    if (error) {
+        console.error('❌ Failed to seed teams:', error.message);
+        process.exit(1);
+    }
+
+    const byLeague = {};
+    for (const row of rows) {
+        byLeague[row.league] = (byLeague[row.league] || 0) + 1;
+    }
+    for (const [league, count] of Object.entries(byLeague)) {
+        console.log(`   ${league.padEnd(5)} ${count}`);
+    }
+    console.log(`\n✅ Seeded ${rows.length} teams\n`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('Seed failed:', err);
+        process.exit(1);
+    });
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Suggest a column mapping profile for a spreadsheet
+ *
+ * Inspects each sheet's header row, guesses which columns hold player, team,
+ * type, design, title, price, SKU and URL, and prints the profile
+ * (lib/import-profiles.js). When the source already has a profile it also
+ * checks the file against it - the quickest way to see what a retailer renamed.
+ * Without --source the source is detected from the file (lib/source-detection.js),
+ * falling back to the first word of the file name.
+ *
+ * Usage:
+ *   node scripts/suggest-import-profile.js <file> [--source <name>] [--save] [--force]
+ *   npm run import:profile -- imports/fanatics-inventory.xlsx --source fanatics
+ *
+ *   --save    Write scripts/import-profiles/<source>.json (--force to replace one)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROFILES_DIR, loadProfile, readWithProfile, suggestProfile, validateProfile } = require('./lib/import-profiles');
+const { readInputFile } = require('./lib/input-files');
+const { detectSource } = require('./lib/source-detection');
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--save' || arg === '--force') {
+            flags[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            flags[arg.slice(2)] = argv[++i];
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, flags };
+}
+
+function describeSpec(spec) {
+    if (typeof spec === 'string') return `"${spec}"`;
+    if (Array.isArray(spec)) return spec.map(describeSpec).join(' + ');
+    if (spec.oneOf) return `first of ${spec.oneOf.map(describeSpec).join(', ')}`;
+    return `column ${spec.column}`;
+}
+
+function checkExisting(file, source) {
+    let profile;
+    try {
+        profile = loadProfile(source);
+    } catch (error) {
+        console.log(`❌ ${error.message}\n`);
+        return;
+    }
+    if (!profile) {
+        console.log(`No saved profile for "${source}" yet.\n`);
+        return;
+    }
+
+    const read = readWithProfile(file, profile);
+    if (read.success) {
+        const rows = read.sheets.reduce((sum, s) => sum + s.rows.length, 0);
+        console.log(`✓ Matches the saved ${source} profile (${rows} rows in ${read.sheets.map(s => s.name).join(', ')})`);
+        read.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+    } else {
+        console.log(`✗ ${read.error}`);
+        (read.code === 'missing_sheets' ? read.problems : []).forEach(problem => console.log(`  ${problem}`));
+    }
+    console.log('');
+}
+
+function main() {
+    const { positional, flags } = parseArgs(process.argv.slice(2));
+    const [file] = positional;
+
+    if (!file) {
+        console.log('Usage: node scripts/suggest-import-profile.js <file> [--source <name>] [--save] [--force]');
+        process.exit(1);
+    }
+    if (!fs.existsSync(file)) {
+        console.error(`❌ File not found: ${file}`);
+        process.exit(1);
+    }
+
+    const detection = flags.source ? null : detectSource(readInputFile(file), { filename: path.basename(file) });
+    const source = flags.source || (detection.success ? detection.source : path.basename(file).split(/[_\-\s.]/)[0].toLowerCase());
+
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`Import profile: ${path.basename(file)} (${source})`);
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    if (detection) {
+        const best = detection.candidates[0];
+        console.log(detection.success
+            ? `Detected ${source} (${Math.round(detection.confidence * 100)}% confident)\n`
+            : `Source not detected${best && best.confidence > 0 ? ` - closest is ${best.source} at ${Math.round(best.confidence * 100)}%` : ''}; pass --source to name it\n`);
+    }
+
+    checkExisting(file, source);
+
+    const { profile, sheets } = suggestProfile(file, { source });
+
+    for (const sheet of sheets) {
+        console.log(`Sheet "${sheet.name}" - header row ${sheet.headerRow}, ${sheet.rows} rows`);
+        for (const [field, spec] of Object.entries(sheet.columns)) {
+            console.log(`   ${field.padEnd(8)} ${describeSpec(spec)}`);
+        }
+        if (sheet.missing.length > 0) console.log(`   ✗ No ${sheet.missing.join(' or ')} column - left out of the profile`);
+        if (sheet.unmapped.length > 0) console.log(`   Unused: ${sheet.unmapped.join(', ')}`);
+        console.log('');
+    }
+
+    if (!sheets.some(sheet => sheet.missing.length === 0)) {
+        console.log('❌ No sheet has both a player and a price column - nothing to suggest');
+        process.exit(1);
+    }
+
+    // Guesses only use known fields, so this only trips on a bug
+    const errors = validateProfile(profile);
+    if (errors.length > 0) throw new Error(`Suggested profile is invalid: ${errors.join('; ')}`);
+
+    const json = JSON.stringify(profile, null, 4);
+    console.log('Suggested profile (check it - especially which sheets to include):\n');
+    console.log(json + '\n');
+
+    if (flags.save) {
+        const target = path.join(PROFILES_DIR, `${source}.json`);
+        if (fs.existsSync(target) && !flags.force) {
+            console.error(`❌ ${target} exists - use --force to replace it`);
+            process.exit(1);
+        }
+        fs.mkdirSync(PROFILES_DIR, { recursive: true });
+        fs.writeFileSync(target, json + '\n');
+        console.log(`💾 Saved ${path.relative(process.cwd(), target)}\n`);
+    }
+}
+
+main();
@@ -1,19 +1,12 @@
-const { createClient } = require('@supabase/supabase-js');
+const { getDatabase } = require('./lib/db');
+const { teamsByLeague } = require('./lib/teams');
 require('dotenv').config();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = getDatabase();
 
 (async () => {
     const { data: all } = await supabase.from('helmets').select('id, player, team, name').order('player');
 
-    const teamNames = ['Eagles', 'Cowboys', 'Patriots', 'Chiefs', 'Broncos', 'Packers', 'Bears',
-        'Lions', 'Vikings', 'Rams', 'Seahawks', 'Cardinals', 'Falcons', 'Saints', 'Buccaneers',
-        'Panthers', 'Giants', 'Jets', 'Bills', 'Dolphins', 'Ravens', 'Steelers', 'Bengals',
-        'Browns', 'Texans', 'Colts', 'Jaguars', 'Titans', 'Raiders', 'Chargers', '49ers',
-        'Commanders', 'Redskins', 'Philadelphia', 'New England', 'Kansas City',
-        'Denver', 'Green Bay', 'Chicago', 'Detroit', 'Minnesota', 'Los Angeles', 'Seattle',
-        'Arizona', 'Atlanta', 'New Orleans', 'Tampa Bay', 'Carolina', 'New York', 'Buffalo',
-        'Miami', 'Baltimore', 'Pittsburgh', 'Cincinnati', 'Cleveland', 'Houston', 'Indianapolis',
-        'Jacksonville', 'Tennessee', 'Las Vegas', 'San Francisco', 'Washington'];
+    const teamNames = [...new Set(teamsByLeague('NFL').flatMap(t => [t.nickname, t.city, ...t.aliases]))];
 
     const badPatterns = [/^Super Bowl/i, /^NFL /i, /^Full Size/i, /^Mini /i, /^Authentic/i, /^Replica/i];
 
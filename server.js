@@ -5,8 +5,13 @@
  * - User registration & login via Supabase
  * - JWT token management
  * - Access logging
- * - Persistent watchlist storage
+ * - Persistent watchlist storage, one row per card (scripts/lib/watchlist-items.js)
+ * - Named watchlists with per-list totals (scripts/lib/watchlists.js)
  * - Helmet price data from retailer imports
+ * - Time-bucketed price history per helmet and source
+ * - Scheduled imports and price updates (JOBS_ENABLED, scripts/lib/job-scheduler.js)
+ * - Price alerts on watchlist cards, emailed after imports (scripts/lib/price-alerts.js)
+ * - Weekly portfolio digest emails (scripts/lib/portfolio-digest.js)
  */
 
 const express = require('express');
@@ -15,9 +20,10 @@ const path = require('path');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const nodemailer = require('nodemailer');
-const { createClient } = require('@supabase/supabase-js');
 const Stripe = require('stripe');
+const { scorePlayerMatch } = require('./scripts/lib/player-names');
+const { dataBackend, isDatabaseConfigured, getDatabase } = require('./scripts/lib/db');
+const { emailMethod, sendEmail } = require('./scripts/lib/mailer');
 require('dotenv').config();
 
 const app = express();
@@ -28,17 +34,18 @@ const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 const stripe = STRIPE_SECRET_KEY ? Stripe(STRIPE_SECRET_KEY) : null;
 
-// Email Configuration (Resend or SMTP)
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
-const EMAIL_HOST = process.env.EMAIL_HOST;
-const EMAIL_PORT = process.env.EMAIL_PORT || 587;
-const EMAIL_USER = process.env.EMAIL_USER;
-const EMAIL_PASS = process.env.EMAIL_PASS;
-const EMAIL_FROM = process.env.EMAIL_FROM || 'HelmetPulse <onboarding@resend.dev>';
-
 // reCAPTCHA Configuration
 const RECAPTCHA_SECRET_KEY = process.env.RECAPTCHA_SECRET_KEY;
 
+// Run scheduled imports from this process (or run `node scripts/jobs.js worker` instead)
+const JOBS_ENABLED = process.env.JOBS_ENABLED === 'true';
+
+// Admin accounts (comma-separated emails) - can use /api/admin/* and admin.html
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
 // Security secrets (MUST be set in environment variables for production)
 const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
 const PASSWORD_SALT = process.env.PASSWORD_SALT || crypto.randomBytes(16).toString('hex');
@@ -51,32 +58,26 @@ if (!process.env.PASSWORD_SALT) {
     console.warn('⚠️  WARNING: PASSWORD_SALT not set - using random value (legacy passwords may break)');
 }
 
-// Initialize email (Resend API or Nodemailer SMTP)
-let emailTransporter = null;
-let useResend = false;
-
-if (RESEND_API_KEY) {
-    useResend = true;
+// Email (Resend API or SMTP) - see scripts/lib/mailer.js
+if (emailMethod() === 'resend') {
     console.log('✓ Email configured (Resend API)');
-} else if (EMAIL_HOST && EMAIL_USER && EMAIL_PASS) {
-    emailTransporter = nodemailer.createTransport({
-        host: EMAIL_HOST,
-        port: EMAIL_PORT,
-        secure: EMAIL_PORT == 465,
-        auth: {
-            user: EMAIL_USER,
-            pass: EMAIL_PASS
-        }
-    });
+} else if (emailMethod() === 'smtp') {
     console.log('✓ Email configured (SMTP)');
 } else {
     console.log('⚠ Email not configured - password reset codes will be logged only');
 }
 
-// Initialize Supabase client for helmet data
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-const supabase = SUPABASE_URL && SUPABASE_KEY ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
+// Database client (Supabase, or the local database with DATA_BACKEND=local)
+const supabase = isDatabaseConfigured() ? getDatabase() : null;
+
+// Import tooling shares the scripts' database client, so only load it when configured
+const matchReviews = supabase ? require('./scripts/lib/match-reviews') : null;
+const helmetMerge = supabase ? require('./scripts/lib/helmet-merge') : null;
+const jobScheduler = supabase ? require('./scripts/lib/job-scheduler') : null;
+const priceAlerts = supabase ? require('./scripts/lib/price-alerts') : null;
+const portfolioDigest = supabase ? require('./scripts/lib/portfolio-digest') : null;
+const watchlistItems = supabase ? require('./scripts/lib/watchlist-items') : null;
+const watchlists = supabase ? require('./scripts/lib/watchlists') : null;
 
 // Middleware
 app.set('trust proxy', 1); // Trust first proxy (Render's load balancer)
@@ -250,29 +251,26 @@ async function logAccess(userId, eventType, req, tokenId = null, notes = '') {
 }
 
 async function getUserWatchlist(userId) {
-    if (!supabase) return [];
+    if (!watchlistItems) return [];
+    return watchlistItems.listCards(userId);
+}
 
-    const { data, error } = await supabase
-        .from('auth_user_watchlists')
-        .select('watchlist_data')
-        .eq('user_id', userId)
+// Cards a user can keep: 10, plus any they've bought
+async function getTotalSlots(userId) {
+    const { data: user } = await supabase
+        .from('auth_users')
+        .select('purchased_slots')
+        .eq('id', userId)
         .single();
 
-    if (error || !data) return [];
-    return data.watchlist_data || [];
+    return 10 + (user?.purchased_slots || 0);
 }
 
-async function saveUserWatchlist(userId, watchlistData) {
-    if (!supabase) throw new Error('Database not configured');
-
-    const { error } = await supabase
-        .from('auth_user_watchlists')
-        .upsert({
-            user_id: userId,
-            watchlist_data: watchlistData
-        }, { onConflict: 'user_id' });
+// Status for a { success: false, code } from lib/watchlist-items.js and lib/watchlists.js
+const WATCHLIST_ERROR_STATUS = { invalid: 400, not_found: 404, conflict: 409 };
 
-    if (error) throw error;
+function sendWatchlistError(res, result) {
+    res.status(WATCHLIST_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
 }
 
 // ============================================
@@ -407,6 +405,16 @@ async function optionalAuth(req, res, next) {
     next();
 }
 
+// Must run after authenticateToken
+function requireAdmin(req, res, next) {
+    const email = (req.user?.email || '').toLowerCase();
+
+    if (!email || !ADMIN_EMAILS.includes(email)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
 // ============================================
 // CAPTCHA VERIFICATION
 // ============================================
@@ -706,56 +714,19 @@ async function sendResetEmail(email, resetToken, userName) {
         </div>
     `;
 
-    // Use Resend API
-    if (useResend) {
-        try {
-            const response = await fetch('https://api.resend.com/emails', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${RESEND_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    from: EMAIL_FROM,
-                    to: [email],
-                    subject: 'Reset Your HelmetPulse Password',
-                    html: htmlContent
-                })
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.message || 'Resend API error');
-            }
-
-            console.log(`✓ Reset email sent to ${email} (Resend)`);
-            return true;
-        } catch (error) {
-            console.error('Failed to send reset email (Resend):', error);
-            return false;
-        }
+    if (!emailMethod()) {
+        console.log(`⚠ Email not configured - Reset code for ${email}: ${resetToken}`);
+        return false;
     }
 
-    // Use Nodemailer SMTP
-    if (emailTransporter) {
-        try {
-            await emailTransporter.sendMail({
-                from: EMAIL_FROM,
-                to: email,
-                subject: 'Reset Your HelmetPulse Password',
-                html: htmlContent
-            });
-            console.log(`✓ Reset email sent to ${email} (SMTP)`);
-            return true;
-        } catch (error) {
-            console.error('Failed to send reset email (SMTP):', error);
-            return false;
-        }
+    const result = await sendEmail({ to: email, subject: 'Reset Your HelmetPulse Password', html: htmlContent });
+    if (!result.success) {
+        console.error(`Failed to send reset email (${emailMethod()}):`, result.error);
+        return false;
     }
 
-    // No email configured
-    console.log(`⚠ Email not configured - Reset code for ${email}: ${resetToken}`);
-    return false;
+    console.log(`✓ Reset email sent to ${email} (${result.method === 'resend' ? 'Resend' : 'SMTP'})`);
+    return true;
 }
 
 // Forgot Password - Request reset token
@@ -802,7 +773,7 @@ app.post('/api/auth/forgot-password', async (req, res) => {
         };
 
         // Include debug token only if NO email is configured (for local testing only)
-        if (!emailTransporter && !useResend) {
+        if (!emailMethod()) {
             response._debug_token = resetToken;
         }
 
@@ -893,6 +864,10 @@ app.get('/api/auth/me', authenticateToken, (req, res) => {
 // WATCHLIST ENDPOINTS
 // ============================================
 
+// The endpoints below /api/watchlist/items edit one card at a time. The older
+// whole-list endpoints (GET/PUT /api/watchlist, /add, /:cardId) stay for the
+// current site and work on the same watchlist_items rows.
+
 // Get user's watchlist
 app.get('/api/watchlist', authenticateToken, async (req, res) => {
     try {
@@ -904,41 +879,36 @@ app.get('/api/watchlist', authenticateToken, async (req, res) => {
     }
 });
 
-// Save entire watchlist
+// Save entire watchlist - replaces every card, so prefer the item endpoints
 app.put('/api/watchlist', authenticateToken, async (req, res) => {
     try {
+        if (!watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
         const { watchlist } = req.body;
 
         if (!Array.isArray(watchlist)) {
             return res.status(400).json({ error: 'Watchlist must be an array' });
         }
 
-        // Get user's slot limit from database
-        const { data: user } = await supabase
-            .from('auth_users')
-            .select('purchased_slots')
-            .eq('id', req.userId)
-            .single();
-
-        const purchasedSlots = user?.purchased_slots || 0;
-        const totalSlots = 10 + purchasedSlots;
-
         // Enforce dynamic slot limit
+        const totalSlots = await getTotalSlots(req.userId);
         if (watchlist.length > totalSlots) {
             return res.status(400).json({ error: `Maximum ${totalSlots} cards allowed` });
         }
 
-        // Save to Supabase
-        await saveUserWatchlist(req.userId, watchlist);
+        const result = await watchlistItems.replaceWatchlist(req.userId, watchlist);
+        if (!result.success) return sendWatchlistError(res, result);
 
-        res.json({ success: true, watchlist });
+        res.json({ success: true, watchlist: result.cards });
     } catch (error) {
         console.error('Save watchlist error:', error);
         res.status(500).json({ error: 'Failed to save watchlist' });
     }
 });
 
-// Add card to watchlist
+// Add card to watchlist (same as POST /api/watchlist/items, but returns the whole list)
 app.post('/api/watchlist/add', authenticateToken, async (req, res) => {
     try {
         const { card } = req.body;
@@ -947,63 +917,518 @@ app.post('/api/watchlist/add', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Card data required' });
         }
 
-        // Get user's slot limit from database
-        const { data: user } = await supabase
-            .from('auth_users')
-            .select('purchased_slots')
-            .eq('id', req.userId)
-            .single();
+        const result = await addWatchlistCard(req.userId, card);
+        if (!result.success) return sendWatchlistError(res, result);
+
+        res.json({ success: true, card: result.card, watchlist: await getUserWatchlist(req.userId) });
+    } catch (error) {
+        console.error('Add card error:', error);
+        res.status(500).json({ error: 'Failed to add card' });
+    }
+});
 
-        const purchasedSlots = user?.purchased_slots || 0;
-        const totalSlots = 10 + purchasedSlots;
+// Create a card within the user's slot limit
+async function addWatchlistCard(userId, card) {
+    if (!watchlistItems) throw new Error('Database not configured');
 
-        // Get current watchlist
-        const watchlist = await getUserWatchlist(req.userId);
+    const totalSlots = await getTotalSlots(userId);
+    const { count, error } = await supabase
+        .from('watchlist_items')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId);
 
-        if (watchlist.length >= totalSlots) {
-            return res.status(400).json({ error: `Maximum ${totalSlots} cards allowed` });
+    if (error) throw error;
+    if (count >= totalSlots) {
+        return { success: false, code: 'invalid', error: `Maximum ${totalSlots} cards allowed` };
+    }
+
+    const result = await watchlistItems.createCard(userId, card);
+    if (!result.success) return result;
+
+    // Two adds at once can both pass the count above - check again now the card is
+    // in, and take it back out if it went over
+    const { count: after, error: recountError } = await supabase
+        .from('watchlist_items')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+    if (recountError) throw recountError;
+    if (after > totalSlots) {
+        await watchlistItems.deleteCard(userId, result.card.id);
+        return { success: false, code: 'invalid', error: `Maximum ${totalSlots} cards allowed` };
+    }
+    return result;
+}
+
+// Set a card's price alert rules (see scripts/lib/price-alerts.js)
+// Body: { alerts: [{ type: 'below', price }, { type: 'change', percent }, { type: 'lowest' }, ...] }
+app.put('/api/watchlist/:cardId/alerts', authenticateToken, async (req, res) => {
+    try {
+        if (!priceAlerts || !watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
         }
 
-        // Add card
-        card.id = card.id || Date.now();
-        card.addedAt = new Date().toISOString();
-        watchlist.push(card);
+        const { alerts } = req.body;
+        if (!Array.isArray(alerts)) {
+            return res.status(400).json({ error: 'Alerts must be an array' });
+        }
 
-        // Save to Supabase
-        await saveUserWatchlist(req.userId, watchlist);
+        const { errors } = priceAlerts.validateAlerts(alerts);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid alerts', details: errors });
+        }
+
+        const result = await watchlistItems.updateCard(req.userId, req.params.cardId, { alerts });
+        if (!result.success) return sendWatchlistError(res, result);
 
-        res.json({ success: true, card, watchlist });
+        res.json({ success: true, card: result.card });
     } catch (error) {
-        console.error('Add card error:', error);
-        res.status(500).json({ error: 'Failed to add card' });
+        console.error('Set alerts error:', error);
+        res.status(500).json({ error: 'Failed to save alerts' });
     }
 });
 
-// Remove card from watchlist
+// Remove card from watchlist (same as DELETE /api/watchlist/items/:cardId, but returns the whole list)
 app.delete('/api/watchlist/:cardId', authenticateToken, async (req, res) => {
     try {
-        const cardId = parseInt(req.params.cardId);
+        if (!watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        await watchlistItems.deleteCard(req.userId, req.params.cardId);
+        res.json({ success: true, watchlist: await getUserWatchlist(req.userId) });
+    } catch (error) {
+        console.error('Remove card error:', error);
+        res.status(500).json({ error: 'Failed to remove card' });
+    }
+});
+
+// ============================================
+// WATCHLIST ITEM ENDPOINTS
+// ============================================
+// A card: { id, name, watchlistId, helmetId | helmetIds, costBasis, quantity, notes, alerts,
+// addedAt, updatedAt, ... } - fields the server doesn't know (cached prices, query, ...) are kept as sent.
+
+// List the user's cards - Query: ?watchlistId= for one list's
+app.get('/api/watchlist/items', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        res.json({ items: await watchlistItems.listCards(req.userId, { watchlistId: req.query.watchlistId || null }) });
+    } catch (error) {
+        console.error('List watchlist items error:', error);
+        res.status(500).json({ error: 'Failed to load watchlist' });
+    }
+});
 
-        let watchlist = await getUserWatchlist(req.userId);
-        watchlist = watchlist.filter(c => c.id !== cardId);
+// Add a card - Body: a card; id is optional (409 if the user already has it)
+app.post('/api/watchlist/items', authenticateToken, async (req, res) => {
+    try {
+        const result = await addWatchlistCard(req.userId, req.body);
+        if (!result.success) return sendWatchlistError(res, result);
+        res.status(201).json({ item: result.card });
+    } catch (error) {
+        console.error('Create watchlist item error:', error);
+        res.status(500).json({ error: 'Failed to add card' });
+    }
+});
 
-        await saveUserWatchlist(req.userId, watchlist);
+// One card
+app.get('/api/watchlist/items/:cardId', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
 
-        res.json({ success: true, watchlist });
+        const item = await watchlistItems.getCard(req.userId, req.params.cardId);
+        if (!item) {
+            return res.status(404).json({ error: 'Card not found' });
+        }
+        res.json({ item });
     } catch (error) {
-        console.error('Remove card error:', error);
+        console.error('Get watchlist item error:', error);
+        res.status(500).json({ error: 'Failed to load card' });
+    }
+});
+
+// Change some of a card's fields - Body: the fields to change (null clears one)
+app.patch('/api/watchlist/items/:cardId', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlistItems.updateCard(req.userId, req.params.cardId, req.body);
+        if (!result.success) return sendWatchlistError(res, result);
+        res.json({ item: result.card });
+    } catch (error) {
+        console.error('Update watchlist item error:', error);
+        res.status(500).json({ error: 'Failed to update card' });
+    }
+});
+
+// Remove a card
+app.delete('/api/watchlist/items/:cardId', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlistItems) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlistItems.deleteCard(req.userId, req.params.cardId);
+        if (!result.success) return sendWatchlistError(res, result);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete watchlist item error:', error);
         res.status(500).json({ error: 'Failed to remove card' });
     }
 });
 
+// ============================================
+// NAMED WATCHLISTS
+// ============================================
+// A list: { id, name, isDefault, position } - cards move between lists through
+// PATCH /api/watchlist/items/:cardId { watchlistId }. The slot limit counts every list.
+
+// The user's lists in order, with card counts and totals
+app.get('/api/watchlists', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlists) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const lists = await watchlists.listWatchlists(req.userId);
+        res.json({
+            watchlists: lists,
+            slots: {
+                used: lists.reduce((sum, list) => sum + list.cardCount, 0),
+                total: await getTotalSlots(req.userId)
+            }
+        });
+    } catch (error) {
+        console.error('List watchlists error:', error);
+        res.status(500).json({ error: 'Failed to load watchlists' });
+    }
+});
+
+// Add a list - Body: { name }
+app.post('/api/watchlists', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlists) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlists.createWatchlist(req.userId, req.body.name);
+        if (!result.success) return sendWatchlistError(res, result);
+        res.status(201).json({ watchlist: result.watchlist });
+    } catch (error) {
+        console.error('Create watchlist error:', error);
+        res.status(500).json({ error: 'Failed to create watchlist' });
+    }
+});
+
+// Reorder the lists - Body: { ids } - every one of the user's list IDs, in the new order
+app.put('/api/watchlists/order', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlists) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlists.reorderWatchlists(req.userId, req.body.ids);
+        if (!result.success) return sendWatchlistError(res, result);
+        res.json({ watchlists: result.watchlists });
+    } catch (error) {
+        console.error('Reorder watchlists error:', error);
+        res.status(500).json({ error: 'Failed to reorder watchlists' });
+    }
+});
+
+// One list and its cards
+app.get('/api/watchlists/:id/items', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlists) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlists.getWatchlist(req.userId, req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Watchlist not found' });
+        }
+        res.json({ watchlist: result.watchlist, items: result.cards });
+    } catch (error) {
+        console.error('Get watchlist error:', error);
+        res.status(500).json({ error: 'Failed to load watchlist' });
+    }
+});
+
+// Rename a list - Body: { name }
+app.patch('/api/watchlists/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlists) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlists.renameWatchlist(req.userId, req.params.id, req.body.name);
+        if (!result.success) return sendWatchlistError(res, result);
+        res.json({ watchlist: result.watchlist });
+    } catch (error) {
+        console.error('Rename watchlist error:', error);
+        res.status(500).json({ error: 'Failed to rename watchlist' });
+    }
+});
+
+// Delete a list - Query: ?moveTo= the list that takes its cards (default: the default list)
+app.delete('/api/watchlists/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!watchlists) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const result = await watchlists.deleteWatchlist(req.userId, req.params.id, { moveTo: req.query.moveTo || null });
+        if (!result.success) return sendWatchlistError(res, result);
+        res.json({ success: true, moved: result.moved, moveTo: result.moveTo });
+    } catch (error) {
+        console.error('Delete watchlist error:', error);
+        res.status(500).json({ error: 'Failed to delete watchlist' });
+    }
+});
+
+// ============================================
+// PRICE ALERTS
+// ============================================
+
+// Whether alert emails are on, and the user's recent alerts
+app.get('/api/alerts', authenticateToken, async (req, res) => {
+    try {
+        if (!priceAlerts) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        res.json(await priceAlerts.alertStatus(req.userId));
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({ error: 'Failed to load alerts' });
+    }
+});
+
+// Turn alert emails on or off - Body: { enabled: boolean }
+app.put('/api/alerts', authenticateToken, async (req, res) => {
+    try {
+        if (typeof req.body.enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+        if (!priceAlerts) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        await priceAlerts.setAlertsEnabled(req.userId, req.body.enabled);
+        res.json({ success: true, enabled: req.body.enabled });
+    } catch (error) {
+        console.error('Update alerts error:', error);
+        res.status(500).json({ error: 'Failed to update alerts' });
+    }
+});
+
+function unsubscribePage(title, message) {
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${title} - HelmetPulse</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 60px auto; text-align: center;">
+    <h2 style="color: #f04a30;">${title}</h2>
+    <p>${message}</p>
+    <p><a href="/" style="color: #f04a30;">Back to HelmetPulse</a></p>
+</body></html>`;
+}
+
+// Unsubscribe link in alert and digest emails (GET), and one-click unsubscribe from mail clients (POST)
+// Query: token, list - 'digest' for the weekly digest, otherwise price alerts
+async function handleUnsubscribe(req, res) {
+    try {
+        if (!priceAlerts) {
+            return res.status(500).send(unsubscribePage('Something went wrong', 'Please try again later.'));
+        }
+
+        const digest = req.query.list === 'digest';
+        const result = digest
+            ? await portfolioDigest.unsubscribeDigest(req.query.token)
+            : await priceAlerts.unsubscribe(req.query.token);
+        if (!result.success) {
+            return res.status(404).send(unsubscribePage('Link not recognised', 'This unsubscribe link is invalid or out of date.'));
+        }
+
+        console.log(`✓ ${digest ? 'Weekly digest' : 'Price alerts'} unsubscribed: ${result.email}`);
+        res.send(unsubscribePage('Unsubscribed', digest
+            ? 'You won\'t get the weekly digest any more. Turn it back on from your watchlist at any time.'
+            : 'You won\'t get price alert emails any more. Turn them back on from your watchlist at any time.'));
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).send(unsubscribePage('Something went wrong', 'Please try again later.'));
+    }
+}
+
+app.get('/api/alerts/unsubscribe', handleUnsubscribe);
+app.post('/api/alerts/unsubscribe', handleUnsubscribe);
+
+// ============================================
+// WEEKLY DIGEST
+// ============================================
+
+// Digest settings: { enabled, day (0 = Sunday), hour (0-23), timezone, lastSentAt }
+app.get('/api/digest/settings', authenticateToken, async (req, res) => {
+    try {
+        if (!portfolioDigest) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        res.json(await portfolioDigest.getDigestSettings(req.userId));
+    } catch (error) {
+        console.error('Get digest settings error:', error);
+        res.status(500).json({ error: 'Failed to load digest settings' });
+    }
+});
+
+// Opt in or out, and pick when it arrives - Body: any of { enabled, day, hour, timezone }
+app.put('/api/digest/settings', authenticateToken, async (req, res) => {
+    try {
+        if (!portfolioDigest) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const { enabled, day, hour, timezone } = req.body;
+        const result = await portfolioDigest.updateDigestSettings(req.userId, { enabled, day, hour, timezone });
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result.settings);
+    } catch (error) {
+        console.error('Update digest settings error:', error);
+        res.status(500).json({ error: 'Failed to update digest settings' });
+    }
+});
+
+// Render a digest without sending it
+// Query: format - html (default), text or json; email - another user's digest (admins only)
+app.get('/api/digest/preview', authenticateToken, (req, res, next) => {
+    if (req.query.email) return requireAdmin(req, res, next);
+    next();
+}, async (req, res) => {
+    try {
+        if (!portfolioDigest) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        let userId = req.userId;
+        if (req.query.email) {
+            const user = await findUserByEmail(req.query.email);
+            if (!user) {
+                return res.status(404).json({ error: `User not found: ${req.query.email}` });
+            }
+            userId = user.id;
+        }
+
+        const preview = await portfolioDigest.previewDigest(userId);
+        if (req.query.format === 'json') {
+            return res.json({ subject: preview.subject, digest: preview.digest });
+        }
+        if (req.query.format === 'text') {
+            return res.type('text').send(`Subject: ${preview.subject}\n\n${preview.text}`);
+        }
+        res.type('html').send(preview.html);
+    } catch (error) {
+        console.error('Digest preview error:', error);
+        res.status(500).json({ error: 'Failed to render digest' });
+    }
+});
+
 // ============================================
 // HELMET SUGGESTIONS ENDPOINT
 // ============================================
 
+// Grouping key shared by suggestions, search and the watchlist's grouped cards
+function helmetGroupKey(h) {
+    return [
+        (h.player || '').toLowerCase().trim(),
+        (h.team || '').toLowerCase().trim(),
+        (h.helmet_type || '').toLowerCase().trim(),
+        (h.design_type || '').toLowerCase().trim()
+    ].join('|');
+}
+
+// Player names + aliases used for typo-tolerant matching, refreshed every 10 minutes
+const PLAYER_INDEX_TTL_MS = 10 * 60 * 1000;
+const PLAYER_MATCH_LIMIT = 20;
+const PRODUCT_NAME_MATCH_SCORE = 0.4; // below the weakest fuzzy player match
+let playerIndexCache = { players: null, loadedAt: 0 };
+
+async function loadPlayerIndex() {
+    if (playerIndexCache.players && Date.now() - playerIndexCache.loadedAt < PLAYER_INDEX_TTL_MS) {
+        return playerIndexCache.players;
+    }
+
+    // Map of canonical player name -> aliases
+    const players = new Map();
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('helmets')
+            .select('player')
+            .not('player', 'is', null)
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        for (const row of data) {
+            const player = row.player.trim();
+            if (player && !players.has(player)) players.set(player, []);
+        }
+
+        if (data.length < pageSize) break;
+        offset += pageSize;
+    }
+
+    const { data: aliases, error: aliasError } = await supabase
+        .from('player_aliases')
+        .select('alias, player_name');
+
+    // The alias table is optional - fall back to name-only matching without it
+    if (aliasError) {
+        console.warn('Player aliases unavailable:', aliasError.message);
+    } else {
+        for (const row of aliases || []) {
+            if (players.has(row.player_name)) {
+                players.get(row.player_name).push(row.alias);
+            }
+        }
+    }
+
+    playerIndexCache = { players, loadedAt: Date.now() };
+    return players;
+}
+
+// Score every known player against the query and keep the best matches
+async function matchPlayers(query) {
+    const players = await loadPlayerIndex();
+    const matches = [];
+
+    for (const [player, aliases] of players) {
+        const score = scorePlayerMatch(query, player, aliases);
+        if (score > 0) matches.push({ player, score });
+    }
+
+    matches.sort((a, b) => b.score - a.score || a.player.localeCompare(b.player));
+    return matches.slice(0, PLAYER_MATCH_LIMIT);
+}
+
+// Text matched literally by ilike: LIKE's own wildcards escaped, and PostgREST's * (its
+// alias for %) dropped, as it can't be escaped
+function likeLiteral(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&').replace(/\*/g, '');
+}
+
 // Get helmet suggestions for autocomplete
 app.get('/api/helmets/suggestions', async (req, res) => {
     try {
-        const query = req.query.q || '';
+        const query = String(req.query.q || '');
 
         if (!query || query.length < 2) {
             return res.json({ suggestions: [] });
@@ -1013,29 +1438,40 @@ app.get('/api/helmets/suggestions', async (req, res) => {
             return res.status(500).json({ error: 'Database not configured' });
         }
 
-        // Search helmets by player name - now includes current_price directly
-        const { data: helmets, error } = await supabase
-            .from('helmets')
-            .select('id, name, player, team, helmet_type, design_type, current_price')
-            .or(`player.ilike.%${query}%,name.ilike.%${query}%`)
-            .order('player')
-            .limit(50);
+        // Fuzzy player matches (typos, nicknames, initials, last name only)
+        const playerMatches = await matchPlayers(query);
+        const playerScores = new Map(playerMatches.map(m => [m.player, m.score]));
+
+        // Helmets for the matched players plus anything whose product name contains the query -
+        // two queries rather than one .or() string, so nothing typed is read as filter syntax
+        const columns = 'id, name, player, team, helmet_type, design_type, current_price';
+        const namePattern = likeLiteral(query.trim());
+        const lookups = [];
+        if (playerMatches.length > 0) {
+            lookups.push(supabase.from('helmets').select(columns).in('player', playerMatches.map(m => m.player)).order('player').limit(200));
+        }
+        if (namePattern) {
+            lookups.push(supabase.from('helmets').select(columns).ilike('name', `%${namePattern}%`).order('player').limit(200));
+        }
 
-        if (error) {
-            console.error('Supabase search error:', error);
+        const results = await Promise.all(lookups);
+        const failed = results.find(r => r.error);
+        if (failed) {
+            console.error('Supabase search error:', failed.error);
             return res.status(500).json({ error: 'Search failed' });
         }
 
+        const helmetsById = new Map();
+        for (const { data } of results) {
+            for (const h of data || []) helmetsById.set(h.id, h);
+        }
+        const helmets = [...helmetsById.values()];
+
         // Group helmets by player + team + helmet_type + design_type
         const groupedMap = new Map();
 
         for (const h of helmets) {
-            const key = [
-                (h.player || '').toLowerCase().trim(),
-                (h.team || '').toLowerCase().trim(),
-                (h.helmet_type || '').toLowerCase().trim(),
-                (h.design_type || '').toLowerCase().trim()
-            ].join('|');
+            const key = helmetGroupKey(h);
 
             if (!groupedMap.has(key)) {
                 groupedMap.set(key, {
@@ -1077,12 +1513,15 @@ app.get('/api/helmets/suggestions', async (req, res) => {
                 helmetType: group.helmetType,
                 designType: group.designType,
                 medianPrice: medianPrice,
-                priceCount: group.prices.length
+                priceCount: group.prices.length,
+                matchScore: playerScores.get((group.player || '').trim()) || PRODUCT_NAME_MATCH_SCORE
             });
         }
 
-        // Sort by player name and limit to 10
-        suggestions.sort((a, b) => (a.player || '').localeCompare(b.player || ''));
+        // Best player match first (product-name-only matches last), then by player name
+        suggestions.sort((a, b) =>
+            b.matchScore - a.matchScore || (a.player || '').localeCompare(b.player || '')
+        );
 
         res.json({ suggestions: suggestions.slice(0, 10) });
     } catch (error) {
@@ -1091,6 +1530,107 @@ app.get('/api/helmets/suggestions', async (req, res) => {
     }
 });
 
+// ============================================
+// RETAILER PRICE HELPERS
+// ============================================
+
+// Latest observation from each source for one or more helmets
+async function fetchLatestSourcePrices(helmetIds) {
+    const { data, error } = await supabase
+        .from('helmet_latest_source_prices')
+        .select('helmet_id, source, median_price, min_price, max_price, ebay_url, scraped_at')
+        .in('helmet_id', helmetIds);
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Build the per-retailer breakdown plus the cross-source min/max/spread. The spread is
+// between the retailers' prices (median_price) - one retailer's own min-max range
+// doesn't widen it - so it says how much buying at the cheapest one saves.
+function summarizeRetailerPrices(rows) {
+    const retailers = rows
+        .filter(r => Number(r.median_price) > 0)
+        .map(r => ({
+            helmetId: r.helmet_id,
+            source: r.source,
+            price: Number(r.median_price),
+            minPrice: Number(r.min_price || r.median_price),
+            maxPrice: Number(r.max_price || r.median_price),
+            url: r.ebay_url || null,
+            scrapedAt: r.scraped_at
+        }))
+        .sort((a, b) => a.price - b.price);
+
+    if (retailers.length === 0) {
+        return { retailers, minPrice: null, maxPrice: null, spread: null, spreadPercent: null, lowestSource: null, highestSource: null };
+    }
+
+    const lowest = retailers[0];
+    const highest = retailers[retailers.length - 1];
+    const spread = highest.price - lowest.price;
+
+    return {
+        retailers,
+        minPrice: lowest.price,
+        maxPrice: highest.price,
+        spread,
+        spreadPercent: (spread / lowest.price) * 100,
+        lowestSource: lowest.source,
+        highestSource: highest.source
+    };
+}
+
+// Name the price source for the response: the retailer itself, or 'multiple'
+function describeSource(retailers) {
+    const sources = [...new Set(retailers.map(r => r.source))];
+    if (sources.length === 0) return null;
+    return sources.length === 1 ? sources[0] : 'multiple';
+}
+
+// ============================================
+// HELMET REDIRECTS
+// ============================================
+
+// Merged-away helmet ID -> surviving helmet ID, for the given IDs that have one
+async function resolveHelmetRedirects(ids) {
+    const numericIds = ids.map(id => parseInt(id)).filter(Boolean);
+    if (numericIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+        .from('helmet_redirects')
+        .select('old_id, new_id')
+        .in('old_id', numericIds);
+
+    if (error) {
+        console.error('Helmet redirect lookup error:', error);
+        return new Map();
+    }
+    return new Map((data || []).map(r => [r.old_id, r.new_id]));
+}
+
+// Load a helmet by ID, following a merge redirect if the ID was merged away
+// Returns { helmet, redirectedFrom } - redirectedFrom is the requested ID when redirected
+async function findHelmetFollowingRedirect(helmetId, columns) {
+    const fetchHelmet = async id => {
+        const { data, error } = await supabase
+            .from('helmets')
+            .select(columns)
+            .eq('id', id)
+            .single();
+        return error ? null : data;
+    };
+
+    const helmet = await fetchHelmet(helmetId);
+    if (helmet) return { helmet, redirectedFrom: null };
+
+    const redirects = await resolveHelmetRedirects([helmetId]);
+    const newId = redirects.get(parseInt(helmetId));
+    if (!newId) return { helmet: null, redirectedFrom: null };
+
+    return { helmet: await fetchHelmet(newId), redirectedFrom: parseInt(helmetId) };
+}
+
 // Get prices for a specific helmet from database
 app.get('/api/helmets/:id/prices', async (req, res) => {
     try {
@@ -1100,24 +1640,24 @@ app.get('/api/helmets/:id/prices', async (req, res) => {
             return res.status(500).json({ error: 'Database not configured' });
         }
 
-        // Get the helmet info with current_price directly
-        const { data: helmet, error: helmetError } = await supabase
-            .from('helmets')
-            .select('id, name, player, team, helmet_type, current_price')
-            .eq('id', helmetId)
-            .single();
+        // Get the helmet info with current_price directly (merged IDs follow their redirect)
+        const { helmet, redirectedFrom } = await findHelmetFollowingRedirect(
+            helmetId, 'id, name, player, team, helmet_type, current_price'
+        );
 
-        if (helmetError || !helmet) {
+        if (!helmet) {
             return res.status(404).json({ error: 'Helmet not found' });
         }
 
+        const summary = summarizeRetailerPrices(await fetchLatestSourcePrices([helmet.id]));
+
         // Return the stored median price directly
         if (!helmet.current_price) {
             return res.json({
                 helmet,
+                redirectedFrom,
                 medianPrice: null,
-                minPrice: null,
-                maxPrice: null,
+                ...summary,
                 totalResults: 0,
                 source: null,
                 message: 'No price data available for this helmet'
@@ -1126,12 +1666,12 @@ app.get('/api/helmets/:id/prices', async (req, res) => {
 
         res.json({
             helmet,
+            redirectedFrom,
             medianPrice: helmet.current_price,
-            minPrice: null,
-            maxPrice: null,
-            totalResults: 1,
-            source: 'database',
-            priceCount: 1
+            ...summary,
+            totalResults: summary.retailers.length,
+            source: describeSource(summary.retailers),
+            priceCount: summary.retailers.length
         });
     } catch (error) {
         console.error('Helmet prices error:', error);
@@ -1139,6 +1679,179 @@ app.get('/api/helmets/:id/prices', async (req, res) => {
     }
 });
 
+// ============================================
+// PRICE HISTORY HELPERS
+// ============================================
+
+const HISTORY_INTERVALS = ['day', 'week', 'month'];
+const HISTORY_DEFAULT_DAYS = 90;
+
+function medianOf(values) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Start of the day/week/month (UTC) that a timestamp falls into, as YYYY-MM-DD
+// Weeks start on Monday
+function bucketStart(timestamp, interval) {
+    const d = new Date(timestamp);
+    const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+
+    if (interval === 'week') {
+        const offset = (day.getUTCDay() + 6) % 7;
+        day.setUTCDate(day.getUTCDate() - offset);
+    } else if (interval === 'month') {
+        day.setUTCDate(1);
+    }
+
+    return day.toISOString().substring(0, 10);
+}
+
+// Summarize a list of price rows into one bucket entry
+function summarizeBucket(bucket, rows) {
+    const prices = rows.map(r => Number(r.median_price)).filter(p => p > 0);
+    const mins = rows.map(r => Number(r.min_price || r.median_price)).filter(p => p > 0);
+    const maxes = rows.map(r => Number(r.max_price || r.median_price)).filter(p => p > 0);
+
+    return {
+        bucket,
+        median: medianOf(prices),
+        min: mins.length > 0 ? Math.min(...mins) : null,
+        max: maxes.length > 0 ? Math.max(...maxes) : null,
+        count: rows.length
+    };
+}
+
+// Group price rows into time buckets, per source and across all sources
+function buildPriceHistory(rows, interval) {
+    const bySource = new Map();
+    const combined = new Map();
+
+    for (const row of rows) {
+        const bucket = bucketStart(row.scraped_at, interval);
+        const source = row.source || 'unknown';
+
+        if (!bySource.has(source)) bySource.set(source, new Map());
+        const sourceBuckets = bySource.get(source);
+        if (!sourceBuckets.has(bucket)) sourceBuckets.set(bucket, []);
+        sourceBuckets.get(bucket).push(row);
+
+        if (!combined.has(bucket)) combined.set(bucket, []);
+        combined.get(bucket).push(row);
+    }
+
+    const sources = {};
+    for (const [source, buckets] of bySource) {
+        sources[source] = [...buckets.keys()].sort().map(b => summarizeBucket(b, buckets.get(b)));
+    }
+
+    const series = [...combined.keys()].sort().map(b => {
+        const bucketRows = combined.get(b);
+        return {
+            ...summarizeBucket(b, bucketRows),
+            sources: [...new Set(bucketRows.map(r => r.source))].sort()
+        };
+    });
+
+    return { sources, series };
+}
+
+// Fetch every price row for a helmet in a date range (paginated past the 1000 row limit)
+async function fetchPriceRows(helmetId, from, to) {
+    const rows = [];
+    const PAGE_SIZE = 1000;
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('helmet_prices')
+            .select('source, median_price, min_price, max_price, scraped_at')
+            .eq('helmet_id', helmetId)
+            .gte('scraped_at', from.toISOString())
+            .lte('scraped_at', to.toISOString())
+            .order('scraped_at', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) break;
+        offset += PAGE_SIZE;
+    }
+
+    return rows;
+}
+
+// Get time-bucketed price history for a helmet
+// Query: interval=day|week|month (default week), from/to as ISO dates (default last 90 days)
+app.get('/api/helmets/:id/history', async (req, res) => {
+    try {
+        const helmetId = parseInt(req.params.id);
+        // String() - a repeated parameter arrives as an array, and is just invalid
+        const interval = String(req.query.interval || 'week').toLowerCase();
+
+        if (!helmetId) {
+            return res.status(400).json({ error: 'Invalid helmet ID' });
+        }
+
+        if (!HISTORY_INTERVALS.includes(interval)) {
+            return res.status(400).json({ error: `Interval must be one of: ${HISTORY_INTERVALS.join(', ')}` });
+        }
+
+        const toParam = req.query.to ? String(req.query.to) : null;
+        const to = toParam ? new Date(toParam) : new Date();
+
+        // A date-only "to" means the whole day
+        if (toParam && /^\d{4}-\d{2}-\d{2}$/.test(toParam)) {
+            to.setUTCHours(23, 59, 59, 999);
+        }
+
+        // The default range ends where "to" does
+        const from = req.query.from
+            ? new Date(String(req.query.from))
+            : new Date(to.getTime() - HISTORY_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            return res.status(400).json({ error: 'Invalid from/to date' });
+        }
+
+        if (from > to) {
+            return res.status(400).json({ error: '"from" must be before "to"' });
+        }
+
+        if (!supabase) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const { helmet, redirectedFrom } = await findHelmetFollowingRedirect(
+            helmetId, 'id, name, player, team, helmet_type, design_type, current_price'
+        );
+
+        if (!helmet) {
+            return res.status(404).json({ error: 'Helmet not found' });
+        }
+
+        const rows = await fetchPriceRows(helmet.id, from, to);
+        const { sources, series } = buildPriceHistory(rows, interval);
+
+        res.json({
+            helmet,
+            redirectedFrom,
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            totalObservations: rows.length,
+            sources,
+            series
+        });
+    } catch (error) {
+        console.error('Price history error:', error);
+        res.status(500).json({ error: 'Failed to get price history' });
+    }
+});
+
 // Get prices for multiple helmet IDs (grouped helmets)
 app.post('/api/helmets/grouped-prices', async (req, res) => {
     try {
@@ -1152,11 +1865,15 @@ app.post('/api/helmets/grouped-prices', async (req, res) => {
             return res.status(500).json({ error: 'Database not configured' });
         }
 
+        // Cards saved before a merge still carry the merged-away IDs
+        const redirects = await resolveHelmetRedirects(ids);
+        const helmetIds = [...new Set(ids.map(id => redirects.get(Number(id)) || id))];
+
         // Get current_price directly from helmets table
         const { data: helmets, error: helmetError } = await supabase
             .from('helmets')
             .select('id, current_price')
-            .in('id', ids);
+            .in('id', helmetIds);
 
         if (helmetError) {
             console.error('Helmet fetch error:', helmetError);
@@ -1168,13 +1885,14 @@ app.post('/api/helmets/grouped-prices', async (req, res) => {
             .map(h => h.current_price)
             .filter(p => p !== null && p > 0);
 
+        const summary = summarizeRetailerPrices(await fetchLatestSourcePrices(helmetIds));
+
         if (allPrices.length === 0) {
             return res.json({
                 medianPrice: null,
-                minPrice: null,
-                maxPrice: null,
+                ...summary,
                 totalResults: 0,
-                source: 'database',
+                source: null,
                 message: 'No price data available'
             });
         }
@@ -1188,10 +1906,9 @@ app.post('/api/helmets/grouped-prices', async (req, res) => {
 
         res.json({
             medianPrice,
-            minPrice: null,
-            maxPrice: null,
-            totalResults: allPrices.length,
-            source: 'database',
+            ...summary,
+            totalResults: summary.retailers.length,
+            source: describeSource(summary.retailers),
             priceCount: allPrices.length
         });
     } catch (error) {
@@ -1200,6 +1917,387 @@ app.post('/api/helmets/grouped-prices', async (req, res) => {
     }
 });
 
+// ============================================
+// CATALOG SEARCH
+// ============================================
+
+// search_helmet_groups column each sort orders by
+const SEARCH_SORTS = {
+    player: { column: 'player', defaultOrder: 'asc' },
+    price: { column: 'median_price', defaultOrder: 'asc' },
+    recent: { column: 'updated_at', defaultOrder: 'desc' }
+};
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const PRICE_FACET_RANGES = [
+    { label: 'Under $250', min: 0, max: 250 },
+    { label: '$250 - $500', min: 250, max: 500 },
+    { label: '$500 - $1,000', min: 500, max: 1000 },
+    { label: '$1,000 - $2,500', min: 1000, max: 2500 },
+    { label: '$2,500+', min: 2500, max: null }
+];
+
+// Parse a comma-separated filter value into a lowercase list
+function parseListParam(value) {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// Turn free text into a prefix tsquery ("patr maho" -> "patr:* & maho:*")
+function buildPrefixQuery(text) {
+    const terms = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    return terms.map(t => `${t}:*`).join(' & ');
+}
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === 2 ? values : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Arguments for the search_helmet_groups / search_helmet_facets database functions
+// (migration 006) - text search and the helmet-level filters; null is no filter
+function searchArgs(prefixQuery, filters) {
+    const list = values => (values.length > 0 ? values : null);
+    return {
+        p_query: prefixQuery || null,
+        p_teams: list(filters.team),
+        p_helmet_types: list(filters.helmetType),
+        p_design_types: list(filters.designType),
+        p_auth_companies: list(filters.authCompany)
+    };
+}
+
+// A value inside a PostgREST filter string, quoted so commas, dots and parentheses
+// in player names stay part of it
+function filterLiteral(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Keyset condition for the groups after the cursor's [sort value, group key] -
+// nulls sort last in either order, ties go by group key
+function afterCursor(column, order, [value, key]) {
+    const sameValueLaterKey = `group_key.gt.${filterLiteral(key)}`;
+    if (value === null || value === undefined) return `and(${column}.is.null,${sameValueLaterKey})`;
+
+    const beyond = order === 'desc' ? 'lt' : 'gt';
+    return [
+        `${column}.${beyond}.${filterLiteral(value)}`,
+        `and(${column}.eq.${filterLiteral(value)},${sameValueLaterKey})`,
+        `${column}.is.null`
+    ].join(',');
+}
+
+// A search_helmet_groups row as a search result
+function searchResult(row) {
+    const price = value => (value === null || value === undefined ? null : Number(value));
+    return {
+        ids: row.ids,
+        id: row.id,
+        name: row.name,
+        player: row.player,
+        team: row.team,
+        helmetType: row.helmet_type,
+        designType: row.design_type,
+        authCompanies: row.auth_companies || [],
+        sources: row.sources || [],
+        medianPrice: price(row.median_price),
+        minPrice: price(row.min_price),
+        maxPrice: price(row.max_price),
+        priceCount: row.price_count,
+        updatedAt: row.updated_at
+    };
+}
+
+// Facet counts for every filter and the total, counted by the database; each facet
+// ignores its own filter so the client can show how many results selecting another
+// value would give
+async function fetchSearchFacets(prefixQuery, filters) {
+    const { data, error } = await supabase
+        .rpc('search_helmet_facets', {
+            ...searchArgs(prefixQuery, filters),
+            p_sources: filters.source.length > 0 ? filters.source : null,
+            p_min_price: filters.minPrice,
+            p_max_price: filters.maxPrice,
+            p_price_bounds: PRICE_FACET_RANGES.map(range => range.min)
+        })
+        .order('count', { ascending: false })
+        .order('value');
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const facet = name => rows
+        .filter(r => r.facet === name)
+        .map(r => ({ value: r.value, count: r.count }));
+    const total = rows.find(r => r.facet === 'total');
+
+    return {
+        total: total ? total.count : 0,
+        facets: {
+            team: facet('team'),
+            helmetType: facet('helmet_type'),
+            designType: facet('design_type'),
+            authCompany: facet('auth_company'),
+            source: facet('source'),
+            price: PRICE_FACET_RANGES.map((range, i) => {
+                const bucket = rows.find(r => r.facet === 'price' && r.value === String(i + 1));
+                return { label: range.label, min: range.min, max: range.max, count: bucket ? bucket.count : 0 };
+            })
+        }
+    };
+}
+
+// Search the catalog with filters, facets, sorting and cursor pagination
+// Query: q, team, helmet_type, design_type, auth_company, source (comma-separated lists),
+//        min_price, max_price, sort=player|price|recent, order=asc|desc, limit, cursor
+app.get('/api/helmets/search', async (req, res) => {
+    try {
+        const sortName = (req.query.sort || 'player').toLowerCase();
+        const sort = SEARCH_SORTS[sortName];
+
+        if (!sort) {
+            return res.status(400).json({ error: `Sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}` });
+        }
+
+        const order = (req.query.order || sort.defaultOrder).toLowerCase();
+        if (!['asc', 'desc'].includes(order)) {
+            return res.status(400).json({ error: 'Order must be asc or desc' });
+        }
+
+        if (req.query.limit !== undefined && !/^-?\d+$/.test(req.query.limit)) {
+            return res.status(400).json({ error: 'Limit must be a whole number' });
+        }
+        const requested = req.query.limit !== undefined ? parseInt(req.query.limit) : SEARCH_DEFAULT_LIMIT;
+        const limit = Math.max(1, Math.min(requested, SEARCH_MAX_LIMIT));
+
+        const filters = {
+            team: parseListParam(req.query.team),
+            helmetType: parseListParam(req.query.helmet_type),
+            designType: parseListParam(req.query.design_type),
+            authCompany: parseListParam(req.query.auth_company),
+            source: parseListParam(req.query.source),
+            minPrice: req.query.min_price !== undefined ? parseFloat(req.query.min_price) : null,
+            maxPrice: req.query.max_price !== undefined ? parseFloat(req.query.max_price) : null
+        };
+
+        if (Number.isNaN(filters.minPrice) || Number.isNaN(filters.maxPrice)) {
+            return res.status(400).json({ error: 'min_price and max_price must be numbers' });
+        }
+
+        let after = null;
+        if (req.query.cursor) {
+            after = decodeCursor(req.query.cursor);
+            if (!after) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+        }
+
+        if (!supabase) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const prefixQuery = buildPrefixQuery(req.query.q);
+        let query = supabase.rpc('search_helmet_groups', searchArgs(prefixQuery, filters));
+
+        if (filters.source.length > 0) query = query.overlaps('sources', filters.source);
+        if (filters.minPrice !== null) query = query.gte('median_price', filters.minPrice);
+        if (filters.maxPrice !== null) query = query.lte('median_price', filters.maxPrice);
+        if (after) query = query.or(afterCursor(sort.column, order, after));
+
+        // One extra row says whether there's another page
+        const { data, error } = await query
+            .order(sort.column, { ascending: order === 'asc', nullsFirst: false })
+            .order('group_key')
+            .limit(limit + 1);
+
+        if (error) throw error;
+
+        const rows = data || [];
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const { total, facets } = await fetchSearchFacets(prefixQuery, filters);
+
+        res.json({
+            results: page.map(searchResult),
+            total,
+            nextCursor: rows.length > limit && last ? encodeCursor([last[sort.column], last.group_key]) : null,
+            facets
+        });
+    } catch (error) {
+        console.error('Catalog search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+// ============================================
+// ADMIN: MATCH REVIEW QUEUE
+// ============================================
+
+// Error codes returned by the admin libraries -> HTTP status
+const ADMIN_ERROR_STATUS = { not_found: 404, conflict: 409, invalid: 400 };
+
+// List import listings the matcher couldn't decide on
+// Query: status=pending|matched|new|rejected, limit, offset
+app.get('/api/admin/reviews', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        if (!matchReviews) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const status = (req.query.status || 'pending').toLowerCase();
+        if (!matchReviews.REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${matchReviews.REVIEW_STATUSES.join(', ')}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const { reviews, total } = await matchReviews.listReviews({ status, limit, offset });
+        res.json({ reviews, total, limit, offset });
+    } catch (error) {
+        console.error('List reviews error:', error);
+        res.status(500).json({ error: 'Failed to load reviews' });
+    }
+});
+
+// Resolve a review: attach to a candidate, create a new helmet, or ignore the listing
+// Body: { action: 'match' | 'create' | 'ignore', helmetId } - helmetId for match only
+app.post('/api/admin/reviews/:id/resolve', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const reviewId = parseInt(req.params.id);
+
+        if (!reviewId) {
+            return res.status(400).json({ error: 'Invalid review ID' });
+        }
+
+        if (!matchReviews) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const { action, helmetId } = req.body || {};
+        const result = await matchReviews.resolveReview(reviewId, action, {
+            helmetId,
+            resolvedBy: req.user.email
+        });
+
+        if (!result.success) {
+            return res.status(ADMIN_ERROR_STATUS[result.code] || 400).json({ error: result.error });
+        }
+
+        await logAccess(req.userId, 'admin_review', req, req.tokenId, `Review ${reviewId}: ${action}`);
+        res.json(result);
+    } catch (error) {
+        console.error('Resolve review error:', error);
+        res.status(500).json({ error: 'Failed to resolve review' });
+    }
+});
+
+// ============================================
+// ADMIN: MERGE / SPLIT HELMETS
+// ============================================
+
+// Merge duplicates into one helmet (prices, watchlists and match decisions move; old IDs redirect)
+// Body: { survivorId, duplicateIds: [], dryRun }
+app.post('/api/admin/helmets/merge', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        if (!helmetMerge) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const { survivorId, duplicateIds, dryRun } = req.body || {};
+
+        if (!Array.isArray(duplicateIds)) {
+            return res.status(400).json({ error: 'duplicateIds must be an array' });
+        }
+
+        const result = await helmetMerge.mergeHelmets(survivorId, duplicateIds, {
+            dryRun: !!dryRun,
+            mergedBy: req.user.email
+        });
+
+        if (!result.success) {
+            return res.status(ADMIN_ERROR_STATUS[result.code] || 400).json({ error: result.error });
+        }
+
+        if (!result.dryRun) {
+            await logAccess(req.userId, 'admin_merge', req, req.tokenId,
+                `Merged ${result.merged.map(h => h.id).join(', ')} into ${result.survivor.id}`);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Merge helmets error:', error);
+        res.status(500).json({ error: 'Failed to merge helmets' });
+    }
+});
+
+// Split price rows off a helmet into a new helmet with corrected attributes
+// Body: { priceIds: [], sources: [], attributes: { helmet_type, design_type, ... }, dryRun }
+app.post('/api/admin/helmets/:id/split', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const helmetId = parseInt(req.params.id);
+
+        if (!helmetId) {
+            return res.status(400).json({ error: 'Invalid helmet ID' });
+        }
+
+        if (!helmetMerge) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const { priceIds, sources, attributes, dryRun } = req.body || {};
+        const result = await helmetMerge.splitHelmet(
+            helmetId,
+            { priceIds: Array.isArray(priceIds) ? priceIds : [], sources: Array.isArray(sources) ? sources : [] },
+            attributes || {},
+            { dryRun: !!dryRun }
+        );
+
+        if (!result.success) {
+            return res.status(ADMIN_ERROR_STATUS[result.code] || 400).json({ error: result.error });
+        }
+
+        if (!result.dryRun) {
+            await logAccess(req.userId, 'admin_split', req, req.tokenId,
+                `Split ${result.pricesMoved} prices from ${helmetId} into ${result.helmet.id}`);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Split helmet error:', error);
+        res.status(500).json({ error: 'Failed to split helmet' });
+    }
+});
+
+// ============================================
+// ADMIN: SCHEDULED JOBS
+// ============================================
+
+// Scheduled imports and price updates: schedule, last run (duration, outcome), next run
+// Query: history - recent runs to include per job (default 5, max 50)
+app.get('/api/admin/jobs', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        if (!jobScheduler) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+
+        const history = req.query.history === undefined ? 5 : Math.min(Math.max(parseInt(req.query.history) || 0, 0), 50);
+        const jobs = await jobScheduler.jobStatus({ history });
+
+        // The scheduler may be a separate worker, so this only says whether the server runs it
+        res.json({ jobs, serverScheduler: JOBS_ENABLED, timezone: process.env.JOBS_TIMEZONE || null });
+    } catch (error) {
+        console.error('List jobs error:', error);
+        res.status(500).json({ error: 'Failed to load jobs' });
+    }
+});
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -1207,6 +2305,7 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         supabaseConfigured: !!supabase,
+        dataBackend: dataBackend(),
         timestamp: new Date().toISOString()
     });
 });
@@ -1214,14 +2313,23 @@ app.get('/health', (req, res) => {
 // ============================================
 // START SERVER
 // ============================================
-app.listen(PORT, () => {
-    console.log(`
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║   📈 CardPulse Server (Supabase Edition)                      ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║   Local:      http://localhost:${PORT}                          ║
 ║   Health:     http://localhost:${PORT}/health                   ║
-║   Supabase:   ${supabase ? '✓ Connected (Auth + Data)' : '✗ Not configured'}                       ║
+║   Supabase:   ${!supabase ? '✗ Not configured' : dataBackend() === 'local' ? '✓ Local database' : '✓ Connected (Auth + Data)'}                       ║
 ╚═══════════════════════════════════════════════════════════════╝
-    `);
-});
+        `);
+
+        if (JOBS_ENABLED) {
+            if (jobScheduler) jobScheduler.startScheduler();
+            else console.warn('⚠️  JOBS_ENABLED is set but the database is not configured - jobs not scheduled');
+        }
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,105 @@
+-- Migration: Keep full price history in helmet_prices
+-- Every import now inserts a dated observation per helmet + source instead of
+-- overwriting the previous row. The rows that exist today become the first
+-- point of each series; readers that want "the current price from each source"
+-- use the helmet_latest_source_prices view below.
+
+-- Existing rows are the first history point - make sure each one is dated
+UPDATE helmet_prices SET scraped_at = NOW() WHERE scraped_at IS NULL;
+ALTER TABLE helmet_prices ALTER COLUMN scraped_at SET NOT NULL;
+
+UPDATE helmet_prices SET source = 'ebay' WHERE source IS NULL;
+ALTER TABLE helmet_prices ALTER COLUMN source SET NOT NULL;
+
+-- Series lookups: one helmet, one source, newest first
+CREATE INDEX IF NOT EXISTS idx_helmet_prices_series
+    ON helmet_prices(helmet_id, source, scraped_at DESC);
+
+-- Latest observation per helmet + source (replaces the old single-row lookup)
+CREATE OR REPLACE VIEW helmet_latest_source_prices AS
+SELECT DISTINCT ON (hp.helmet_id, hp.source)
+  hp.id,
+  hp.helmet_id,
+  hp.source,
+  hp.median_price,
+  hp.min_price,
+  hp.max_price,
+  hp.total_results,
+  hp.ebay_url,
+  hp.scraped_at
+FROM helmet_prices hp
+ORDER BY hp.helmet_id, hp.source, hp.scraped_at DESC, hp.id DESC;
+
+ALTER VIEW public.helmet_latest_source_prices SET (security_invoker = on);
+
+-- Rebuild the per-helmet views on top of the latest observations so that
+-- history rows don't skew the cross-source median
+DROP VIEW IF EXISTS helmet_latest_prices;
+
+CREATE OR REPLACE VIEW helmet_latest_prices AS
+SELECT DISTINCT ON (h.id)
+  h.id,
+  h.name,
+  h.player,
+  h.team,
+  h.helmet_type,
+  h.design_type,
+  h.auth_company,
+  h.ebay_search_query,
+
+  -- Median of the latest price from each source
+  (
+    SELECT PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY lsp.median_price)
+    FROM helmet_latest_source_prices lsp
+    WHERE lsp.helmet_id = h.id
+  ) as current_price,
+
+  hp.min_price,
+  hp.max_price,
+  hp.total_results,
+  hp.ebay_url,
+  hp.source,
+  hp.scraped_at as last_updated,
+
+  -- Previous observation from the same source, for change calculation
+  (
+    SELECT prev.median_price
+    FROM helmet_prices prev
+    WHERE prev.helmet_id = h.id
+    AND prev.source = hp.source
+    AND prev.scraped_at < hp.scraped_at
+    ORDER BY prev.scraped_at DESC
+    LIMIT 1
+  ) as last_price
+FROM helmets h
+LEFT JOIN helmet_prices hp ON h.id = hp.helmet_id
+WHERE h.is_active = true
+ORDER BY h.id, hp.scraped_at DESC;
+
+ALTER VIEW public.helmet_latest_prices SET (security_invoker = on);
+
+DROP VIEW IF EXISTS helmet_price_comparison;
+
+CREATE OR REPLACE VIEW helmet_price_comparison AS
+SELECT
+  h.id as helmet_id,
+  h.name,
+  h.player,
+  h.team,
+  MAX(CASE WHEN lsp.source = 'ebay' THEN lsp.median_price END) as ebay_price,
+  MAX(CASE WHEN lsp.source = 'rsa' THEN lsp.median_price END) as rsa_price,
+  MAX(CASE WHEN lsp.source = 'fanatics' THEN lsp.median_price END) as fanatics_price,
+  MAX(CASE WHEN lsp.source = 'radtke' THEN lsp.median_price END) as radtke_price,
+  MAX(CASE WHEN lsp.source = 'denverautographs' THEN lsp.median_price END) as denver_price,
+
+  -- Calculate median across the latest price from each source
+  PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY lsp.median_price) as median_price_all_sources,
+
+  COUNT(DISTINCT lsp.source) as num_sources,
+  MAX(lsp.scraped_at) as last_updated
+FROM helmets h
+JOIN helmet_latest_source_prices lsp ON h.id = lsp.helmet_id
+WHERE h.is_active = true
+GROUP BY h.id, h.name, h.player, h.team;
+
+ALTER VIEW public.helmet_price_comparison SET (security_invoker = on);
@@ -0,0 +1,167 @@
+-- Migration: Full-text catalog search
+-- Adds a generated tsvector over the searchable helmet columns so
+-- GET /api/helmets/search can match prefixes of player, team, product name,
+-- helmet type, design and authenticator in one indexed query.
+--
+-- The search groups helmets by player|team|helmet_type|design_type - the key
+-- /api/helmets/suggestions uses - and the functions below do the text search, the
+-- helmet-level filters and the grouping in Postgres, so a search doesn't load the
+-- whole active catalog:
+--
+--   search_helmet_groups  - one row per group; the server adds the price and source
+--                           filters, the keyset cursor, the order and the limit as
+--                           PostgREST filters on the rpc call
+--   search_helmet_facets  - (facet, value, count) for every filter, each facet counted
+--                           without its own filter, plus a 'total' row
+--
+-- Filter lists are lowercase; NULL means no filter. DATA_BACKEND=local mirrors both
+-- functions in scripts/lib/local-schema.js.
+
+ALTER TABLE helmets ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(player, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(team, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(helmet_type, '') || ' ' || coalesce(design_type, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(auth_company, '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce(name, '')), 'D')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_helmets_search_vector ON helmets USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_helmets_auth_company ON helmets(auth_company);
+CREATE INDEX IF NOT EXISTS idx_helmets_active ON helmets(is_active);
+
+CREATE OR REPLACE FUNCTION search_helmet_groups(
+    p_query TEXT DEFAULT NULL,
+    p_teams TEXT[] DEFAULT NULL,
+    p_helmet_types TEXT[] DEFAULT NULL,
+    p_design_types TEXT[] DEFAULT NULL,
+    p_auth_companies TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+    group_key TEXT,
+    ids INTEGER[],
+    id INTEGER,
+    name TEXT,
+    player TEXT,
+    team TEXT,
+    helmet_type TEXT,
+    design_type TEXT,
+    auth_companies TEXT[],
+    sources TEXT[],
+    median_price NUMERIC,
+    min_price NUMERIC,
+    max_price NUMERIC,
+    price_count INTEGER,
+    updated_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH matched AS (
+        SELECT h.*,
+            LOWER(TRIM(COALESCE(h.player, ''))) || '|' || LOWER(TRIM(COALESCE(h.team, ''))) || '|' ||
+            LOWER(TRIM(COALESCE(h.helmet_type, ''))) || '|' || LOWER(TRIM(COALESCE(h.design_type, ''))) AS key
+        FROM helmets h
+        WHERE h.is_active
+          AND (p_query IS NULL OR h.search_vector @@ to_tsquery('simple', p_query))
+          AND (p_teams IS NULL OR LOWER(h.team) = ANY(p_teams))
+          AND (p_helmet_types IS NULL OR LOWER(h.helmet_type) = ANY(p_helmet_types))
+          AND (p_design_types IS NULL OR LOWER(h.design_type) = ANY(p_design_types))
+          AND (p_auth_companies IS NULL OR LOWER(h.auth_company) = ANY(p_auth_companies))
+    ),
+    group_prices AS (
+        SELECT m.key, ARRAY_AGG(DISTINCT p.source ORDER BY p.source) AS sources, MAX(p.scraped_at) AS scraped_at
+        FROM matched m
+        JOIN helmet_latest_source_prices p ON p.helmet_id = m.id
+        GROUP BY m.key
+    )
+    SELECT
+        m.key,
+        ARRAY_AGG(m.id ORDER BY m.id),
+        MIN(m.id),
+        (ARRAY_AGG(m.name ORDER BY m.id))[1],
+        (ARRAY_AGG(m.player ORDER BY m.id))[1],
+        (ARRAY_AGG(m.team ORDER BY m.id))[1],
+        (ARRAY_AGG(m.helmet_type ORDER BY m.id))[1],
+        (ARRAY_AGG(m.design_type ORDER BY m.id))[1],
+        COALESCE(ARRAY_AGG(DISTINCT m.auth_company ORDER BY m.auth_company) FILTER (WHERE m.auth_company IS NOT NULL), '{}'),
+        COALESCE(MAX(gp.sources), '{}'),
+        (PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY m.current_price) FILTER (WHERE m.current_price > 0))::NUMERIC,
+        MIN(m.current_price) FILTER (WHERE m.current_price > 0),
+        MAX(m.current_price) FILTER (WHERE m.current_price > 0),
+        (COUNT(*) FILTER (WHERE m.current_price > 0))::INTEGER,
+        COALESCE(MAX(gp.scraped_at), MIN(m.created_at))
+    FROM matched m
+    LEFT JOIN group_prices gp ON gp.key = m.key
+    GROUP BY m.key
+$$;
+
+CREATE OR REPLACE FUNCTION search_helmet_facets(
+    p_query TEXT DEFAULT NULL,
+    p_teams TEXT[] DEFAULT NULL,
+    p_helmet_types TEXT[] DEFAULT NULL,
+    p_design_types TEXT[] DEFAULT NULL,
+    p_auth_companies TEXT[] DEFAULT NULL,
+    p_sources TEXT[] DEFAULT NULL,
+    p_min_price NUMERIC DEFAULT NULL,
+    p_max_price NUMERIC DEFAULT NULL,
+    p_price_bounds NUMERIC[] DEFAULT '{0}'
+)
+RETURNS TABLE (facet TEXT, value TEXT, count INTEGER)
+LANGUAGE sql STABLE
+AS $$
+    -- Each facet counts the groups that match every filter but its own
+    WITH team AS (
+        SELECT g.team AS value FROM search_helmet_groups(p_query, NULL, p_helmet_types, p_design_types, p_auth_companies) g
+        WHERE (p_sources IS NULL OR g.sources && p_sources)
+          AND (p_min_price IS NULL OR g.median_price >= p_min_price)
+          AND (p_max_price IS NULL OR g.median_price <= p_max_price)
+    ),
+    helmet_type AS (
+        SELECT g.helmet_type AS value FROM search_helmet_groups(p_query, p_teams, NULL, p_design_types, p_auth_companies) g
+        WHERE (p_sources IS NULL OR g.sources && p_sources)
+          AND (p_min_price IS NULL OR g.median_price >= p_min_price)
+          AND (p_max_price IS NULL OR g.median_price <= p_max_price)
+    ),
+    design_type AS (
+        SELECT g.design_type AS value FROM search_helmet_groups(p_query, p_teams, p_helmet_types, NULL, p_auth_companies) g
+        WHERE (p_sources IS NULL OR g.sources && p_sources)
+          AND (p_min_price IS NULL OR g.median_price >= p_min_price)
+          AND (p_max_price IS NULL OR g.median_price <= p_max_price)
+    ),
+    auth_company AS (
+        SELECT UNNEST(g.auth_companies) AS value FROM search_helmet_groups(p_query, p_teams, p_helmet_types, p_design_types, NULL) g
+        WHERE (p_sources IS NULL OR g.sources && p_sources)
+          AND (p_min_price IS NULL OR g.median_price >= p_min_price)
+          AND (p_max_price IS NULL OR g.median_price <= p_max_price)
+    ),
+    everything AS (
+        SELECT g.* FROM search_helmet_groups(p_query, p_teams, p_helmet_types, p_design_types, p_auth_companies) g
+    ),
+    source AS (
+        SELECT UNNEST(g.sources) AS value FROM everything g
+        WHERE (p_min_price IS NULL OR g.median_price >= p_min_price)
+          AND (p_max_price IS NULL OR g.median_price <= p_max_price)
+    ),
+    price AS (
+        -- Bucket number: 1 for p_price_bounds[1] up to p_price_bounds[2], ...
+        SELECT WIDTH_BUCKET(g.median_price, p_price_bounds)::TEXT AS value FROM everything g
+        WHERE (p_sources IS NULL OR g.sources && p_sources)
+          AND g.median_price >= p_price_bounds[1]
+    )
+    SELECT 'team', value, COUNT(*)::INTEGER FROM team WHERE value <> '' GROUP BY value
+    UNION ALL
+    SELECT 'helmet_type', value, COUNT(*)::INTEGER FROM helmet_type WHERE value <> '' GROUP BY value
+    UNION ALL
+    SELECT 'design_type', value, COUNT(*)::INTEGER FROM design_type WHERE value <> '' GROUP BY value
+    UNION ALL
+    SELECT 'auth_company', value, COUNT(*)::INTEGER FROM auth_company GROUP BY value
+    UNION ALL
+    SELECT 'source', value, COUNT(*)::INTEGER FROM source GROUP BY value
+    UNION ALL
+    SELECT 'price', value, COUNT(*)::INTEGER FROM price GROUP BY value
+    UNION ALL
+    SELECT 'total', NULL, COUNT(*)::INTEGER FROM everything g
+    WHERE (p_sources IS NULL OR g.sources && p_sources)
+      AND (p_min_price IS NULL OR g.median_price >= p_min_price)
+      AND (p_max_price IS NULL OR g.median_price <= p_max_price)
+$$;
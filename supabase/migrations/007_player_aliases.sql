@@ -0,0 +1,19 @@
+-- Migration: Player alias table for typo-tolerant search
+-- Maps misspellings, truncations and nicknames to the canonical player name
+-- used in helmets.player. Seed it with: npm run db:seed-aliases
+-- (loads NAME_CORRECTIONS and NICKNAMES from scripts/lib/player-names.js)
+
+CREATE TABLE IF NOT EXISTS player_aliases (
+    id SERIAL PRIMARY KEY,
+    alias VARCHAR(100) NOT NULL,
+    player_name VARCHAR(100) NOT NULL,
+    alias_type VARCHAR(20) NOT NULL DEFAULT 'nickname', -- correction, nickname
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(alias)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_aliases_player_name ON player_aliases(player_name);
+
+-- Public read access (suggestions endpoint), same as helmets
+ALTER TABLE player_aliases ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can view player aliases" ON player_aliases FOR SELECT USING (true);
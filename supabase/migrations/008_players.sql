@@ -0,0 +1,119 @@
+-- Migration: Canonical player registry
+-- One row per real player. helmets.player_id points at it and
+-- player_aliases (truncations, misspellings, nicknames) hangs off it, so
+-- "Sam La" and "Sam LaPorta" resolve to the same player instead of creating
+-- two catalog entries. helmets.player is kept as the display name and is
+-- rewritten to the canonical name whenever an alias is written.
+
+CREATE TABLE IF NOT EXISTS players (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    position VARCHAR(20),
+    current_team VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_players_name_lower ON players(LOWER(name));
+
+ALTER TABLE player_aliases ADD COLUMN IF NOT EXISTS player_id INTEGER REFERENCES players(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_player_aliases_player_id ON player_aliases(player_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_player_aliases_alias_lower ON player_aliases(LOWER(alias));
+
+ALTER TABLE helmets ADD COLUMN IF NOT EXISTS player_id INTEGER REFERENCES players(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_helmets_player_id ON helmets(player_id);
+
+-- Backfill: every alias target is a player
+INSERT INTO players (name)
+SELECT DISTINCT pa.player_name FROM player_aliases pa
+ON CONFLICT DO NOTHING;
+
+UPDATE player_aliases pa SET player_id = p.id
+FROM players p
+WHERE LOWER(p.name) = LOWER(pa.player_name) AND pa.player_id IS NULL;
+
+-- Backfill: rewrite helmets that were stored under an alias
+UPDATE helmets h SET player = pa.player_name
+FROM player_aliases pa
+WHERE LOWER(TRIM(h.player)) = LOWER(pa.alias);
+
+-- Backfill: every remaining helmet player is a player
+-- (prefer a mixed-case spelling over an ALL CAPS one as the canonical name)
+INSERT INTO players (name)
+SELECT DISTINCT ON (LOWER(TRIM(h.player))) TRIM(h.player)
+FROM helmets h
+WHERE h.player IS NOT NULL AND TRIM(h.player) <> ''
+ORDER BY LOWER(TRIM(h.player)), (TRIM(h.player) = UPPER(TRIM(h.player)))
+ON CONFLICT DO NOTHING;
+
+UPDATE helmets h SET player_id = p.id, player = p.name
+FROM players p
+WHERE LOWER(p.name) = LOWER(TRIM(h.player));
+
+-- Most common team in the catalog is a reasonable starting current_team
+UPDATE players p SET current_team = (
+    SELECT h.team FROM helmets h
+    WHERE h.player_id = p.id AND h.team IS NOT NULL AND h.team <> ''
+    GROUP BY h.team
+    ORDER BY COUNT(*) DESC, h.team
+    LIMIT 1
+)
+WHERE p.current_team IS NULL;
+
+-- Resolve helmets.player through the registry on every write, so importers
+-- that insert helmets directly still end up linked to the canonical player
+CREATE OR REPLACE FUNCTION resolve_helmet_player()
+RETURNS TRIGGER AS $$
+DECLARE
+    resolved_id INTEGER;
+    resolved_name VARCHAR(100);
+BEGIN
+    IF NEW.player IS NULL OR TRIM(NEW.player) = '' THEN
+        NEW.player_id = NULL;
+        RETURN NEW;
+    END IF;
+
+    SELECT p.id, p.name INTO resolved_id, resolved_name
+    FROM public.players p
+    WHERE LOWER(p.name) = LOWER(TRIM(NEW.player));
+
+    IF resolved_id IS NULL THEN
+        SELECT p.id, p.name INTO resolved_id, resolved_name
+        FROM public.player_aliases pa
+        JOIN public.players p ON p.id = pa.player_id
+        WHERE LOWER(pa.alias) = LOWER(TRIM(NEW.player));
+    END IF;
+
+    IF resolved_id IS NULL THEN
+        INSERT INTO public.players (name) VALUES (TRIM(NEW.player))
+        RETURNING id, name INTO resolved_id, resolved_name;
+    END IF;
+
+    NEW.player_id = resolved_id;
+    NEW.player = resolved_name;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = '';
+
+DROP TRIGGER IF EXISTS resolve_helmet_player ON helmets;
+CREATE TRIGGER resolve_helmet_player
+    BEFORE INSERT OR UPDATE OF player ON helmets
+    FOR EACH ROW EXECUTE FUNCTION resolve_helmet_player();
+
+CREATE OR REPLACE FUNCTION update_players_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = '';
+
+DROP TRIGGER IF EXISTS update_players_updated_at ON players;
+CREATE TRIGGER update_players_updated_at
+    BEFORE UPDATE ON players
+    FOR EACH ROW EXECUTE FUNCTION update_players_updated_at();
+
+-- Public read access, same as helmets and player_aliases
+ALTER TABLE players ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can view players" ON players FOR SELECT USING (true);
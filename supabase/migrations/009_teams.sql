@@ -0,0 +1,194 @@
+-- Migration: Shared team registry
+-- Mirrors scripts/lib/teams.js (the source of truth for importers) so the
+-- database can resolve team names too. Re-sync after editing the registry
+-- with: npm run db:seed-teams
+--
+-- Also normalizes every existing helmets.team value to the canonical form
+-- ("Kansas City Chiefs" -> "Chiefs", "Washington Redskins" -> "Commanders")
+-- and links helmets to teams through team_id.
+
+CREATE TABLE IF NOT EXISTS teams (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(100) NOT NULL UNIQUE,      -- slug of the current full name
+    league VARCHAR(10) NOT NULL CHECK (league IN ('NFL', 'NCAA', 'NHL', 'MLB')),
+    team VARCHAR(100) NOT NULL UNIQUE,     -- canonical value stored in helmets.team
+    full_name VARCHAR(100) NOT NULL,
+    city VARCHAR(100),
+    nickname VARCHAR(100),
+    abbreviation VARCHAR(10),
+    slugs TEXT[] NOT NULL DEFAULT '{}',
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    historical_names TEXT[] NOT NULL DEFAULT '{}',
+    colors TEXT[] NOT NULL DEFAULT '{}',
+    lookup_names TEXT[] NOT NULL DEFAULT '{}', -- normalized identifiers, see normalize_team_key()
+    sort_order INTEGER NOT NULL DEFAULT 0,  -- first match wins, same as the JS registry
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_teams_league ON teams(league);
+CREATE INDEX IF NOT EXISTS idx_teams_lookup_names ON teams USING GIN(lookup_names);
+
+INSERT INTO teams (key, league, team, full_name, city, nickname, abbreviation, slugs, aliases, historical_names, colors, lookup_names, sort_order)
+VALUES
+    ('arizona-cardinals', 'NFL', 'Cardinals', 'Arizona Cardinals', 'Arizona', 'Cardinals', 'ARI', ARRAY['arizona-cardinals', 'st-louis-cardinals', 'phoenix-cardinals', 'chicago-cardinals']::TEXT[], ARRAY['arizona']::TEXT[], ARRAY['St. Louis Cardinals', 'Phoenix Cardinals', 'Chicago Cardinals']::TEXT[], ARRAY['#97233F', '#000000']::TEXT[], ARRAY['cardinals', 'arizona cardinals', 'st louis cardinals', 'phoenix cardinals', 'chicago cardinals', 'arizona', 'ari']::TEXT[], 1),
+    ('atlanta-falcons', 'NFL', 'Falcons', 'Atlanta Falcons', 'Atlanta', 'Falcons', 'ATL', ARRAY['atlanta-falcons']::TEXT[], ARRAY['atlanta']::TEXT[], ARRAY[]::TEXT[], ARRAY['#A71930', '#000000']::TEXT[], ARRAY['falcons', 'atlanta falcons', 'atlanta', 'atl']::TEXT[], 2),
+    ('baltimore-ravens', 'NFL', 'Ravens', 'Baltimore Ravens', 'Baltimore', 'Ravens', 'BAL', ARRAY['baltimore-ravens']::TEXT[], ARRAY['baltimore']::TEXT[], ARRAY[]::TEXT[], ARRAY['#241773', '#9E7C0C']::TEXT[], ARRAY['ravens', 'baltimore ravens', 'baltimore', 'bal']::TEXT[], 3),
+    ('buffalo-bills', 'NFL', 'Bills', 'Buffalo Bills', 'Buffalo', 'Bills', 'BUF', ARRAY['buffalo-bills']::TEXT[], ARRAY['buffalo']::TEXT[], ARRAY[]::TEXT[], ARRAY['#00338D', '#C60C30']::TEXT[], ARRAY['bills', 'buffalo bills', 'buffalo', 'buf']::TEXT[], 4),
+    ('carolina-panthers', 'NFL', 'Panthers', 'Carolina Panthers', 'Carolina', 'Panthers', 'CAR', ARRAY['carolina-panthers']::TEXT[], ARRAY['carolina']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0085CA', '#101820']::TEXT[], ARRAY['panthers', 'carolina panthers', 'carolina', 'car']::TEXT[], 5),
+    ('chicago-bears', 'NFL', 'Bears', 'Chicago Bears', 'Chicago', 'Bears', 'CHI', ARRAY['chicago-bears']::TEXT[], ARRAY['chicago']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0B162A', '#C83803']::TEXT[], ARRAY['bears', 'chicago bears', 'chicago', 'chi']::TEXT[], 6),
+    ('cincinnati-bengals', 'NFL', 'Bengals', 'Cincinnati Bengals', 'Cincinnati', 'Bengals', 'CIN', ARRAY['cincinnati-bengals']::TEXT[], ARRAY['cincinnati']::TEXT[], ARRAY[]::TEXT[], ARRAY['#FB4F14', '#000000']::TEXT[], ARRAY['bengals', 'cincinnati bengals', 'cincinnati', 'cin']::TEXT[], 7),
+    ('cleveland-browns', 'NFL', 'Browns', 'Cleveland Browns', 'Cleveland', 'Browns', 'CLE', ARRAY['cleveland-browns']::TEXT[], ARRAY['cleveland']::TEXT[], ARRAY[]::TEXT[], ARRAY['#311D00', '#FF3C00']::TEXT[], ARRAY['browns', 'cleveland browns', 'cleveland', 'cle']::TEXT[], 8),
+    ('dallas-cowboys', 'NFL', 'Cowboys', 'Dallas Cowboys', 'Dallas', 'Cowboys', 'DAL', ARRAY['dallas-cowboys']::TEXT[], ARRAY['dallas']::TEXT[], ARRAY[]::TEXT[], ARRAY['#003594', '#869397']::TEXT[], ARRAY['cowboys', 'dallas cowboys', 'dallas', 'dal']::TEXT[], 9),
+    ('denver-broncos', 'NFL', 'Broncos', 'Denver Broncos', 'Denver', 'Broncos', 'DEN', ARRAY['denver-broncos']::TEXT[], ARRAY['denver']::TEXT[], ARRAY[]::TEXT[], ARRAY['#FB4F14', '#002244']::TEXT[], ARRAY['broncos', 'denver broncos', 'denver', 'den']::TEXT[], 10),
+    ('detroit-lions', 'NFL', 'Lions', 'Detroit Lions', 'Detroit', 'Lions', 'DET', ARRAY['detroit-lions']::TEXT[], ARRAY['detroit']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0076B6', '#B0B7BC']::TEXT[], ARRAY['lions', 'detroit lions', 'detroit', 'det']::TEXT[], 11),
+    ('green-bay-packers', 'NFL', 'Packers', 'Green Bay Packers', 'Green Bay', 'Packers', 'GB', ARRAY['green-bay-packers']::TEXT[], ARRAY['green bay']::TEXT[], ARRAY[]::TEXT[], ARRAY['#203731', '#FFB612']::TEXT[], ARRAY['packers', 'green bay packers', 'green bay', 'gb']::TEXT[], 12),
+    ('houston-texans', 'NFL', 'Texans', 'Houston Texans', 'Houston', 'Texans', 'HOU', ARRAY['houston-texans']::TEXT[], ARRAY['houston']::TEXT[], ARRAY[]::TEXT[], ARRAY['#03202F', '#A71930']::TEXT[], ARRAY['texans', 'houston texans', 'houston', 'hou']::TEXT[], 13),
+    ('indianapolis-colts', 'NFL', 'Colts', 'Indianapolis Colts', 'Indianapolis', 'Colts', 'IND', ARRAY['indianapolis-colts', 'baltimore-colts']::TEXT[], ARRAY['indianapolis']::TEXT[], ARRAY['Baltimore Colts']::TEXT[], ARRAY['#002C5F', '#A2AAAD']::TEXT[], ARRAY['colts', 'indianapolis colts', 'baltimore colts', 'indianapolis', 'ind']::TEXT[], 14),
+    ('jacksonville-jaguars', 'NFL', 'Jaguars', 'Jacksonville Jaguars', 'Jacksonville', 'Jaguars', 'JAX', ARRAY['jacksonville-jaguars']::TEXT[], ARRAY['jacksonville', 'jags']::TEXT[], ARRAY[]::TEXT[], ARRAY['#006778', '#D7A22A']::TEXT[], ARRAY['jaguars', 'jacksonville jaguars', 'jacksonville', 'jags', 'jax']::TEXT[], 15),
+    ('kansas-city-chiefs', 'NFL', 'Chiefs', 'Kansas City Chiefs', 'Kansas City', 'Chiefs', 'KC', ARRAY['kansas-city-chiefs']::TEXT[], ARRAY['kansas city']::TEXT[], ARRAY[]::TEXT[], ARRAY['#E31837', '#FFB81C']::TEXT[], ARRAY['chiefs', 'kansas city chiefs', 'kansas city', 'kc']::TEXT[], 16),
+    ('las-vegas-raiders', 'NFL', 'Raiders', 'Las Vegas Raiders', 'Las Vegas', 'Raiders', 'LV', ARRAY['las-vegas-raiders', 'oakland-raiders', 'los-angeles-raiders']::TEXT[], ARRAY['las vegas', 'oakland', 'la raiders']::TEXT[], ARRAY['Oakland Raiders', 'Los Angeles Raiders']::TEXT[], ARRAY['#000000', '#A5ACAF']::TEXT[], ARRAY['raiders', 'las vegas raiders', 'oakland raiders', 'los angeles raiders', 'las vegas', 'oakland', 'la raiders', 'lv']::TEXT[], 17),
+    ('los-angeles-chargers', 'NFL', 'Chargers', 'Los Angeles Chargers', 'Los Angeles', 'Chargers', 'LAC', ARRAY['los-angeles-chargers', 'san-diego-chargers']::TEXT[], ARRAY['la chargers', 'san diego']::TEXT[], ARRAY['San Diego Chargers']::TEXT[], ARRAY['#0080C6', '#FFC20E']::TEXT[], ARRAY['chargers', 'los angeles chargers', 'san diego chargers', 'la chargers', 'san diego', 'lac']::TEXT[], 18),
+    ('los-angeles-rams', 'NFL', 'Rams', 'Los Angeles Rams', 'Los Angeles', 'Rams', 'LAR', ARRAY['los-angeles-rams', 'st-louis-rams']::TEXT[], ARRAY['la rams']::TEXT[], ARRAY['St. Louis Rams']::TEXT[], ARRAY['#003594', '#FFA300']::TEXT[], ARRAY['rams', 'los angeles rams', 'st louis rams', 'la rams', 'lar']::TEXT[], 19),
+    ('miami-dolphins', 'NFL', 'Dolphins', 'Miami Dolphins', 'Miami', 'Dolphins', 'MIA', ARRAY['miami-dolphins']::TEXT[], ARRAY['miami']::TEXT[], ARRAY[]::TEXT[], ARRAY['#008E97', '#FC4C02']::TEXT[], ARRAY['dolphins', 'miami dolphins', 'miami', 'mia']::TEXT[], 20),
+    ('minnesota-vikings', 'NFL', 'Vikings', 'Minnesota Vikings', 'Minnesota', 'Vikings', 'MIN', ARRAY['minnesota-vikings']::TEXT[], ARRAY['minnesota']::TEXT[], ARRAY[]::TEXT[], ARRAY['#4F2683', '#FFC62F']::TEXT[], ARRAY['vikings', 'minnesota vikings', 'minnesota', 'min']::TEXT[], 21),
+    ('new-england-patriots', 'NFL', 'Patriots', 'New England Patriots', 'New England', 'Patriots', 'NE', ARRAY['new-england-patriots', 'boston-patriots']::TEXT[], ARRAY['new england', 'pats']::TEXT[], ARRAY['Boston Patriots']::TEXT[], ARRAY['#002244', '#C60C30']::TEXT[], ARRAY['patriots', 'new england patriots', 'boston patriots', 'new england', 'pats', 'ne']::TEXT[], 22),
+    ('new-orleans-saints', 'NFL', 'Saints', 'New Orleans Saints', 'New Orleans', 'Saints', 'NO', ARRAY['new-orleans-saints']::TEXT[], ARRAY['new orleans']::TEXT[], ARRAY[]::TEXT[], ARRAY['#D3BC8D', '#101820']::TEXT[], ARRAY['saints', 'new orleans saints', 'new orleans', 'no']::TEXT[], 23),
+    ('new-york-giants', 'NFL', 'Giants', 'New York Giants', 'New York', 'Giants', 'NYG', ARRAY['new-york-giants']::TEXT[], ARRAY['ny giants']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0B2265', '#A71930']::TEXT[], ARRAY['giants', 'new york giants', 'ny giants', 'nyg']::TEXT[], 24),
+    ('new-york-jets', 'NFL', 'Jets', 'New York Jets', 'New York', 'Jets', 'NYJ', ARRAY['new-york-jets']::TEXT[], ARRAY['ny jets']::TEXT[], ARRAY[]::TEXT[], ARRAY['#125740', '#000000']::TEXT[], ARRAY['jets', 'new york jets', 'ny jets', 'nyj']::TEXT[], 25),
+    ('philadelphia-eagles', 'NFL', 'Eagles', 'Philadelphia Eagles', 'Philadelphia', 'Eagles', 'PHI', ARRAY['philadelphia-eagles']::TEXT[], ARRAY['philadelphia', 'philly']::TEXT[], ARRAY[]::TEXT[], ARRAY['#004C54', '#A5ACAF']::TEXT[], ARRAY['eagles', 'philadelphia eagles', 'philadelphia', 'philly', 'phi']::TEXT[], 26),
+    ('pittsburgh-steelers', 'NFL', 'Steelers', 'Pittsburgh Steelers', 'Pittsburgh', 'Steelers', 'PIT', ARRAY['pittsburgh-steelers']::TEXT[], ARRAY['pittsburgh']::TEXT[], ARRAY[]::TEXT[], ARRAY['#FFB612', '#101820']::TEXT[], ARRAY['steelers', 'pittsburgh steelers', 'pittsburgh', 'pit']::TEXT[], 27),
+    ('san-francisco-49ers', 'NFL', '49ers', 'San Francisco 49ers', 'San Francisco', '49ers', 'SF', ARRAY['san-francisco-49ers']::TEXT[], ARRAY['san francisco', 'niners']::TEXT[], ARRAY[]::TEXT[], ARRAY['#AA0000', '#B3995D']::TEXT[], ARRAY['49ers', 'san francisco 49ers', 'san francisco', 'niners', 'sf']::TEXT[], 28),
+    ('seattle-seahawks', 'NFL', 'Seahawks', 'Seattle Seahawks', 'Seattle', 'Seahawks', 'SEA', ARRAY['seattle-seahawks']::TEXT[], ARRAY['seattle']::TEXT[], ARRAY[]::TEXT[], ARRAY['#002244', '#69BE28']::TEXT[], ARRAY['seahawks', 'seattle seahawks', 'seattle', 'sea']::TEXT[], 29),
+    ('tampa-bay-buccaneers', 'NFL', 'Buccaneers', 'Tampa Bay Buccaneers', 'Tampa Bay', 'Buccaneers', 'TB', ARRAY['tampa-bay-buccaneers']::TEXT[], ARRAY['tampa bay', 'bucs']::TEXT[], ARRAY[]::TEXT[], ARRAY['#D50A0A', '#34302B']::TEXT[], ARRAY['buccaneers', 'tampa bay buccaneers', 'tampa bay', 'bucs', 'tb']::TEXT[], 30),
+    ('tennessee-titans', 'NFL', 'Titans', 'Tennessee Titans', 'Tennessee', 'Titans', 'TEN', ARRAY['tennessee-titans', 'houston-oilers', 'tennessee-oilers']::TEXT[], ARRAY['tennessee']::TEXT[], ARRAY['Houston Oilers', 'Tennessee Oilers']::TEXT[], ARRAY['#0C2340', '#4B92DB']::TEXT[], ARRAY['titans', 'tennessee titans', 'houston oilers', 'tennessee oilers', 'tennessee', 'ten']::TEXT[], 31),
+    ('washington-commanders', 'NFL', 'Commanders', 'Washington Commanders', 'Washington', 'Commanders', 'WAS', ARRAY['washington-commanders', 'washington-redskins', 'washington-football-team']::TEXT[], ARRAY['washington', 'redskins', 'football team']::TEXT[], ARRAY['Washington Redskins', 'Washington Football Team']::TEXT[], ARRAY['#5A1414', '#FFB612']::TEXT[], ARRAY['commanders', 'washington commanders', 'washington redskins', 'washington football team', 'washington', 'redskins', 'football team', 'was']::TEXT[], 32),
+    ('georgia-bulldogs', 'NCAA', 'Georgia Bulldogs', 'Georgia Bulldogs', 'Georgia', 'Bulldogs', 'UGA', ARRAY['georgia-bulldogs']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#BA0C2F', '#000000']::TEXT[], ARRAY['georgia bulldogs', 'bulldogs', 'uga']::TEXT[], 33),
+    ('colorado-buffaloes', 'NCAA', 'Colorado Buffaloes', 'Colorado Buffaloes', 'Colorado', 'Buffaloes', 'CU', ARRAY['colorado-buffaloes']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#CFB87C', '#000000']::TEXT[], ARRAY['colorado buffaloes', 'buffaloes', 'cu']::TEXT[], 34),
+    ('alabama-crimson-tide', 'NCAA', 'Alabama Crimson Tide', 'Alabama Crimson Tide', 'Alabama', 'Crimson Tide', 'BAMA', ARRAY['alabama-crimson-tide']::TEXT[], ARRAY['alabama']::TEXT[], ARRAY[]::TEXT[], ARRAY['#9E1B32', '#828A8F']::TEXT[], ARRAY['alabama crimson tide', 'alabama', 'crimson tide', 'bama']::TEXT[], 35),
+    ('ohio-state-buckeyes', 'NCAA', 'Ohio State Buckeyes', 'Ohio State Buckeyes', 'Ohio State', 'Buckeyes', 'OSU', ARRAY['ohio-state-buckeyes']::TEXT[], ARRAY['ohio state']::TEXT[], ARRAY[]::TEXT[], ARRAY['#BB0000', '#666666']::TEXT[], ARRAY['ohio state buckeyes', 'ohio state', 'buckeyes', 'osu']::TEXT[], 36),
+    ('michigan-wolverines', 'NCAA', 'Michigan Wolverines', 'Michigan Wolverines', 'Michigan', 'Wolverines', 'UM', ARRAY['michigan-wolverines']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#00274C', '#FFCB05']::TEXT[], ARRAY['michigan wolverines', 'wolverines', 'um']::TEXT[], 37),
+    ('michigan-state-spartans', 'NCAA', 'Michigan State Spartans', 'Michigan State Spartans', 'Michigan State', 'Spartans', 'MSU', ARRAY['michigan-state-spartans']::TEXT[], ARRAY['michigan state']::TEXT[], ARRAY[]::TEXT[], ARRAY['#18453B', '#FFFFFF']::TEXT[], ARRAY['michigan state spartans', 'michigan state', 'spartans', 'msu']::TEXT[], 38),
+    ('lsu-tigers', 'NCAA', 'LSU Tigers', 'LSU Tigers', 'LSU', 'Tigers', 'LSU', ARRAY['lsu-tigers']::TEXT[], ARRAY['lsu']::TEXT[], ARRAY[]::TEXT[], ARRAY['#461D7C', '#FDD023']::TEXT[], ARRAY['lsu tigers', 'lsu']::TEXT[], 39),
+    ('clemson-tigers', 'NCAA', 'Clemson Tigers', 'Clemson Tigers', 'Clemson', 'Tigers', 'CLEM', ARRAY['clemson-tigers']::TEXT[], ARRAY['clemson']::TEXT[], ARRAY[]::TEXT[], ARRAY['#F56600', '#522D80']::TEXT[], ARRAY['clemson tigers', 'clemson', 'clem']::TEXT[], 40),
+    ('auburn-tigers', 'NCAA', 'Auburn Tigers', 'Auburn Tigers', 'Auburn', 'Tigers', 'AUB', ARRAY['auburn-tigers']::TEXT[], ARRAY['auburn']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0C2340', '#E87722']::TEXT[], ARRAY['auburn tigers', 'auburn', 'aub']::TEXT[], 41),
+    ('notre-dame-fighting-irish', 'NCAA', 'Notre Dame Fighting Irish', 'Notre Dame Fighting Irish', 'Notre Dame', 'Fighting Irish', 'ND', ARRAY['notre-dame-fighting-irish']::TEXT[], ARRAY['notre dame']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0C2340', '#C99700']::TEXT[], ARRAY['notre dame fighting irish', 'notre dame', 'fighting irish', 'nd']::TEXT[], 42),
+    ('florida-gators', 'NCAA', 'Florida Gators', 'Florida Gators', 'Florida', 'Gators', 'UF', ARRAY['florida-gators']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#0021A5', '#FA4616']::TEXT[], ARRAY['florida gators', 'gators', 'uf']::TEXT[], 43),
+    ('texas-longhorns', 'NCAA', 'Texas Longhorns', 'Texas Longhorns', 'Texas', 'Longhorns', 'UT', ARRAY['texas-longhorns']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#BF5700', '#FFFFFF']::TEXT[], ARRAY['texas longhorns', 'longhorns', 'ut']::TEXT[], 44),
+    ('texas-am-aggies', 'NCAA', 'Texas A&M Aggies', 'Texas A&M Aggies', 'Texas A&M', 'Aggies', 'TAMU', ARRAY['texas-am-aggies']::TEXT[], ARRAY['texas a&m']::TEXT[], ARRAY[]::TEXT[], ARRAY['#500000', '#FFFFFF']::TEXT[], ARRAY['texas a&m aggies', 'texas am aggies', 'texas a&m', 'aggies', 'tamu']::TEXT[], 45),
+    ('texas-tech-red-raiders', 'NCAA', 'Texas Tech Red Raiders', 'Texas Tech Red Raiders', 'Texas Tech', 'Red Raiders', 'TTU', ARRAY['texas-tech-red-raiders']::TEXT[], ARRAY['texas tech', 'tech red raiders']::TEXT[], ARRAY[]::TEXT[], ARRAY['#CC0000', '#000000']::TEXT[], ARRAY['texas tech red raiders', 'texas tech', 'tech red raiders', 'red raiders', 'ttu']::TEXT[], 46),
+    ('oklahoma-sooners', 'NCAA', 'Oklahoma Sooners', 'Oklahoma Sooners', 'Oklahoma', 'Sooners', 'OU', ARRAY['oklahoma-sooners']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#841617', '#FDF9D8']::TEXT[], ARRAY['oklahoma sooners', 'sooners', 'ou']::TEXT[], 47),
+    ('usc-trojans', 'NCAA', 'USC Trojans', 'USC Trojans', 'USC', 'Trojans', 'USC', ARRAY['usc-trojans']::TEXT[], ARRAY['usc']::TEXT[], ARRAY[]::TEXT[], ARRAY['#990000', '#FFC72C']::TEXT[], ARRAY['usc trojans', 'usc', 'trojans']::TEXT[], 48),
+    ('miami-hurricanes', 'NCAA', 'Miami Hurricanes', 'Miami Hurricanes', 'Miami', 'Hurricanes', NULL, ARRAY['miami-hurricanes']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#F47321', '#005030']::TEXT[], ARRAY['miami hurricanes']::TEXT[], 49),
+    ('nebraska-cornhuskers', 'NCAA', 'Nebraska Cornhuskers', 'Nebraska Cornhuskers', 'Nebraska', 'Cornhuskers', 'NEB', ARRAY['nebraska-cornhuskers']::TEXT[], ARRAY['nebraska']::TEXT[], ARRAY[]::TEXT[], ARRAY['#E41C38', '#FDF2D9']::TEXT[], ARRAY['nebraska cornhuskers', 'nebraska', 'cornhuskers', 'neb']::TEXT[], 50),
+    ('wisconsin-badgers', 'NCAA', 'Wisconsin Badgers', 'Wisconsin Badgers', 'Wisconsin', 'Badgers', 'WIS', ARRAY['wisconsin-badgers']::TEXT[], ARRAY['wisconsin']::TEXT[], ARRAY[]::TEXT[], ARRAY['#C5050C', '#FFFFFF']::TEXT[], ARRAY['wisconsin badgers', 'wisconsin', 'badgers', 'wis']::TEXT[], 51),
+    ('oregon-ducks', 'NCAA', 'Oregon Ducks', 'Oregon Ducks', 'Oregon', 'Ducks', 'ORE', ARRAY['oregon-ducks']::TEXT[], ARRAY['oregon']::TEXT[], ARRAY[]::TEXT[], ARRAY['#154733', '#FEE123']::TEXT[], ARRAY['oregon ducks', 'oregon', 'ore']::TEXT[], 52),
+    ('washington-huskies', 'NCAA', 'Washington Huskies', 'Washington Huskies', 'Washington', 'Huskies', 'UW', ARRAY['washington-huskies']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#4B2E83', '#B7A57A']::TEXT[], ARRAY['washington huskies', 'huskies', 'uw']::TEXT[], 53),
+    ('iowa-hawkeyes', 'NCAA', 'Iowa Hawkeyes', 'Iowa Hawkeyes', 'Iowa', 'Hawkeyes', 'IOWA', ARRAY['iowa-hawkeyes']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#FFCD00', '#000000']::TEXT[], ARRAY['iowa hawkeyes', 'hawkeyes', 'iowa']::TEXT[], 54),
+    ('penn-state-nittany-lions', 'NCAA', 'Penn State Nittany Lions', 'Penn State Nittany Lions', 'Penn State', 'Nittany Lions', 'PSU', ARRAY['penn-state-nittany-lions']::TEXT[], ARRAY['penn state']::TEXT[], ARRAY[]::TEXT[], ARRAY['#041E42', '#FFFFFF']::TEXT[], ARRAY['penn state nittany lions', 'penn state', 'nittany lions', 'psu']::TEXT[], 55),
+    ('tennessee-volunteers', 'NCAA', 'Tennessee Volunteers', 'Tennessee Volunteers', 'Tennessee', 'Volunteers', 'UTK', ARRAY['tennessee-volunteers']::TEXT[], ARRAY['tn vols', 'tennessee vols', 'vols']::TEXT[], ARRAY[]::TEXT[], ARRAY['#FF8200', '#FFFFFF']::TEXT[], ARRAY['tennessee volunteers', 'tn vols', 'tennessee vols', 'vols', 'volunteers', 'utk']::TEXT[], 56),
+    ('florida-state-seminoles', 'NCAA', 'Florida State Seminoles', 'Florida State Seminoles', 'Florida State', 'Seminoles', 'FSU', ARRAY['florida-state-seminoles']::TEXT[], ARRAY['florida state']::TEXT[], ARRAY[]::TEXT[], ARRAY['#782F40', '#CEB888']::TEXT[], ARRAY['florida state seminoles', 'florida state', 'seminoles', 'fsu']::TEXT[], 57),
+    ('purdue-boilermakers', 'NCAA', 'Purdue Boilermakers', 'Purdue Boilermakers', 'Purdue', 'Boilermakers', 'PUR', ARRAY['purdue-boilermakers']::TEXT[], ARRAY['purdue']::TEXT[], ARRAY[]::TEXT[], ARRAY['#CEB888', '#000000']::TEXT[], ARRAY['purdue boilermakers', 'purdue', 'boilermakers', 'pur']::TEXT[], 58),
+    ('virginia-tech-hokies', 'NCAA', 'Virginia Tech Hokies', 'Virginia Tech Hokies', 'Virginia Tech', 'Hokies', 'VT', ARRAY['virginia-tech-hokies']::TEXT[], ARRAY['virginia tech']::TEXT[], ARRAY[]::TEXT[], ARRAY['#630031', '#CF4420']::TEXT[], ARRAY['virginia tech hokies', 'virginia tech', 'hokies', 'vt']::TEXT[], 59),
+    ('ole-miss-rebels', 'NCAA', 'Ole Miss Rebels', 'Ole Miss Rebels', 'Ole Miss', 'Rebels', 'MISS', ARRAY['ole-miss-rebels']::TEXT[], ARRAY['ole miss']::TEXT[], ARRAY[]::TEXT[], ARRAY['#CE1126', '#14213D']::TEXT[], ARRAY['ole miss rebels', 'ole miss', 'rebels', 'miss']::TEXT[], 60),
+    ('arizona-state-sun-devils', 'NCAA', 'Arizona State Sun Devils', 'Arizona State Sun Devils', 'Arizona State', 'Sun Devils', 'ASU', ARRAY['arizona-state-sun-devils']::TEXT[], ARRAY['arizona state']::TEXT[], ARRAY[]::TEXT[], ARRAY['#8C1D40', '#FFC627']::TEXT[], ARRAY['arizona state sun devils', 'arizona state', 'sun devils', 'asu']::TEXT[], 61),
+    ('utah-utes', 'NCAA', 'Utah Utes', 'Utah Utes', 'Utah', 'Utes', 'UTAH', ARRAY['utah-utes']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#CC0000', '#FFFFFF']::TEXT[], ARRAY['utah utes', 'utes', 'utah']::TEXT[], 62),
+    ('north-dakota-state-bison', 'NCAA', 'North Dakota State Bison', 'North Dakota State Bison', 'North Dakota State', 'Bison', 'NDSU', ARRAY['north-dakota-state-bison']::TEXT[], ARRAY['north dakota state']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0A5640', '#FFC72A']::TEXT[], ARRAY['north dakota state bison', 'north dakota state', 'bison', 'ndsu']::TEXT[], 63),
+    ('navy-midshipmen', 'NCAA', 'Navy Midshipmen', 'Navy Midshipmen', 'Navy', 'Midshipmen', 'NAVY', ARRAY['navy-midshipmen']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#00205B', '#C5B783']::TEXT[], ARRAY['navy midshipmen', 'midshipmen', 'navy']::TEXT[], 64),
+    ('stanford-cardinal', 'NCAA', 'Stanford Cardinal', 'Stanford Cardinal', 'Stanford', 'Cardinal', 'STAN', ARRAY['stanford-cardinal']::TEXT[], ARRAY['stanford']::TEXT[], ARRAY[]::TEXT[], ARRAY['#8C1515', '#FFFFFF']::TEXT[], ARRAY['stanford cardinal', 'stanford', 'stan']::TEXT[], 65),
+    ('new-york-rangers', 'NHL', 'NY Rangers (NHL)', 'New York Rangers', 'New York', 'Rangers', 'NYR', ARRAY['new-york-rangers']::TEXT[], ARRAY['rangers']::TEXT[], ARRAY[]::TEXT[], ARRAY['#0038A8', '#CE1126']::TEXT[], ARRAY['ny rangers nhl', 'new york rangers', 'rangers', 'nyr']::TEXT[], 66),
+    ('toronto-maple-leafs', 'NHL', 'Toronto Maple Leafs (NHL)', 'Toronto Maple Leafs', 'Toronto', 'Maple Leafs', 'TOR', ARRAY['toronto-maple-leafs']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#00205B', '#FFFFFF']::TEXT[], ARRAY['toronto maple leafs nhl', 'toronto maple leafs', 'maple leafs', 'tor']::TEXT[], 67),
+    ('montreal-canadiens', 'NHL', 'Montreal Canadiens (NHL)', 'Montreal Canadiens', 'Montreal', 'Canadiens', 'MTL', ARRAY['montreal-canadiens']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#AF1E2D', '#192168']::TEXT[], ARRAY['montreal canadiens nhl', 'montreal canadiens', 'canadiens', 'mtl']::TEXT[], 68),
+    ('vancouver-canucks', 'NHL', 'Vancouver Canucks (NHL)', 'Vancouver Canucks', 'Vancouver', 'Canucks', 'VAN', ARRAY['vancouver-canucks']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#00205B', '#00843D']::TEXT[], ARRAY['vancouver canucks nhl', 'vancouver canucks', 'canucks', 'van']::TEXT[], 69),
+    ('edmonton-oilers', 'NHL', 'Edmonton Oilers (NHL)', 'Edmonton Oilers', 'Edmonton', 'Oilers', 'EDM', ARRAY['edmonton-oilers']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#041E42', '#FF4C00']::TEXT[], ARRAY['edmonton oilers nhl', 'edmonton oilers', 'edm']::TEXT[], 70),
+    ('colorado-avalanche', 'NHL', 'Colorado Avalanche (NHL)', 'Colorado Avalanche', 'Colorado', 'Avalanche', 'COL', ARRAY['colorado-avalanche']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#6F263D', '#236192']::TEXT[], ARRAY['colorado avalanche nhl', 'colorado avalanche', 'avalanche', 'col']::TEXT[], 71),
+    ('washington-capitals', 'NHL', 'Washington Capitals (NHL)', 'Washington Capitals', 'Washington', 'Capitals', 'WSH', ARRAY['washington-capitals']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#041E42', '#C8102E']::TEXT[], ARRAY['washington capitals nhl', 'washington capitals', 'capitals', 'wsh']::TEXT[], 72),
+    ('carolina-hurricanes', 'NHL', 'Carolina Hurricanes (NHL)', 'Carolina Hurricanes', 'Carolina', 'Hurricanes', NULL, ARRAY['carolina-hurricanes']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#CC0000', '#000000']::TEXT[], ARRAY['carolina hurricanes nhl', 'carolina hurricanes']::TEXT[], 73),
+    ('new-jersey-devils', 'NHL', 'New Jersey Devils (NHL)', 'New Jersey Devils', 'New Jersey', 'Devils', 'NJD', ARRAY['new-jersey-devils']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#CE1126', '#000000']::TEXT[], ARRAY['new jersey devils nhl', 'new jersey devils', 'devils', 'njd']::TEXT[], 74),
+    ('calgary-flames', 'NHL', 'Calgary Flames (NHL)', 'Calgary Flames', 'Calgary', 'Flames', 'CGY', ARRAY['calgary-flames']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#C8102E', '#F1BE48']::TEXT[], ARRAY['calgary flames nhl', 'calgary flames', 'flames', 'cgy']::TEXT[], 75),
+    ('seattle-kraken', 'NHL', 'Seattle Kraken (NHL)', 'Seattle Kraken', 'Seattle', 'Kraken', NULL, ARRAY['seattle-kraken']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#001628', '#99D9D9']::TEXT[], ARRAY['seattle kraken nhl', 'seattle kraken', 'kraken']::TEXT[], 76),
+    ('nashville-predators', 'NHL', 'Nashville Predators (NHL)', 'Nashville Predators', 'Nashville', 'Predators', 'NSH', ARRAY['nashville-predators']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#FFB81C', '#041E42']::TEXT[], ARRAY['nashville predators nhl', 'nashville predators', 'predators', 'nsh']::TEXT[], 77),
+    ('new-york-islanders', 'NHL', 'NY Islanders (NHL)', 'New York Islanders', 'New York', 'Islanders', 'NYI', ARRAY['new-york-islanders']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#00539B', '#F47D30']::TEXT[], ARRAY['ny islanders nhl', 'new york islanders', 'islanders', 'nyi']::TEXT[], 78),
+    ('minnesota-wild', 'NHL', 'Minnesota Wild (NHL)', 'Minnesota Wild', 'Minnesota', 'Wild', NULL, ARRAY['minnesota-wild']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#154734', '#A6192E']::TEXT[], ARRAY['minnesota wild nhl', 'minnesota wild']::TEXT[], 79),
+    ('buffalo-sabres', 'NHL', 'Buffalo Sabres (NHL)', 'Buffalo Sabres', 'Buffalo', 'Sabres', NULL, ARRAY['buffalo-sabres']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#003087', '#FFB81C']::TEXT[], ARRAY['buffalo sabres nhl', 'buffalo sabres', 'sabres']::TEXT[], 80),
+    ('columbus-blue-jackets', 'NHL', 'Columbus Blue Jackets (NHL)', 'Columbus Blue Jackets', 'Columbus', 'Blue Jackets', 'CBJ', ARRAY['columbus-blue-jackets']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#002654', '#CE1126']::TEXT[], ARRAY['columbus blue jackets nhl', 'columbus blue jackets', 'blue jackets', 'cbj']::TEXT[], 81),
+    ('anaheim-ducks', 'NHL', 'Anaheim Ducks (NHL)', 'Anaheim Ducks', 'Anaheim', 'Ducks', 'ANA', ARRAY['anaheim-ducks']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#F47A38', '#B9975B']::TEXT[], ARRAY['anaheim ducks nhl', 'anaheim ducks', 'ana']::TEXT[], 82),
+    ('los-angeles-kings', 'NHL', 'LA Kings (NHL)', 'Los Angeles Kings', 'Los Angeles', 'Kings', 'LAK', ARRAY['los-angeles-kings']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#111111', '#A2AAAD']::TEXT[], ARRAY['la kings nhl', 'los angeles kings', 'lak']::TEXT[], 83),
+    ('vegas-golden-knights', 'NHL', 'Vegas Golden Knights (NHL)', 'Vegas Golden Knights', 'Vegas', 'Golden Knights', 'VGK', ARRAY['vegas-golden-knights']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#B4975A', '#333F42']::TEXT[], ARRAY['vegas golden knights nhl', 'vegas golden knights', 'golden knights', 'vgk']::TEXT[], 84),
+    ('tampa-bay-lightning', 'NHL', 'Tampa Bay Lightning (NHL)', 'Tampa Bay Lightning', 'Tampa Bay', 'Lightning', 'TBL', ARRAY['tampa-bay-lightning']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#002868', '#FFFFFF']::TEXT[], ARRAY['tampa bay lightning nhl', 'tampa bay lightning', 'lightning', 'tbl']::TEXT[], 85),
+    ('new-york-yankees', 'MLB', 'NY Yankees (MLB)', 'New York Yankees', 'New York', 'Yankees', 'NYY', ARRAY['new-york-yankees']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#003087', '#E4002C']::TEXT[], ARRAY['ny yankees mlb', 'new york yankees', 'yankees', 'nyy']::TEXT[], 86),
+    ('new-york-mets', 'MLB', 'NY Mets (MLB)', 'New York Mets', 'New York', 'Mets', 'NYM', ARRAY['new-york-mets']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#002D72', '#FF5910']::TEXT[], ARRAY['ny mets mlb', 'new york mets', 'mets', 'nym']::TEXT[], 87),
+    ('boston-red-sox', 'MLB', 'Boston Red Sox (MLB)', 'Boston Red Sox', 'Boston', 'Red Sox', 'BOS', ARRAY['boston-red-sox']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#BD3039', '#0C2340']::TEXT[], ARRAY['boston red sox mlb', 'boston red sox', 'red sox', 'bos']::TEXT[], 88),
+    ('chicago-cubs', 'MLB', 'Chicago Cubs (MLB)', 'Chicago Cubs', 'Chicago', 'Cubs', 'CHC', ARRAY['chicago-cubs']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#0E3386', '#CC3433']::TEXT[], ARRAY['chicago cubs mlb', 'chicago cubs', 'cubs', 'chc']::TEXT[], 89),
+    ('cincinnati-reds', 'MLB', 'Cincinnati Reds (MLB)', 'Cincinnati Reds', 'Cincinnati', 'Reds', NULL, ARRAY['cincinnati-reds']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#C6011F', '#000000']::TEXT[], ARRAY['cincinnati reds mlb', 'cincinnati reds', 'reds']::TEXT[], 90),
+    ('seattle-mariners', 'MLB', 'Seattle Mariners (MLB)', 'Seattle Mariners', 'Seattle', 'Mariners', NULL, ARRAY['seattle-mariners']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#0C2C56', '#005C5C']::TEXT[], ARRAY['seattle mariners mlb', 'seattle mariners', 'mariners']::TEXT[], 91),
+    ('san-diego-padres', 'MLB', 'San Diego Padres (MLB)', 'San Diego Padres', 'San Diego', 'Padres', 'SD', ARRAY['san-diego-padres']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#2F241D', '#FFC425']::TEXT[], ARRAY['san diego padres mlb', 'san diego padres', 'padres', 'sd']::TEXT[], 92),
+    ('los-angeles-angels', 'MLB', 'LA Angels (MLB)', 'Los Angeles Angels', 'Los Angeles', 'Angels', 'LAA', ARRAY['los-angeles-angels']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#BA0021', '#003263']::TEXT[], ARRAY['la angels mlb', 'los angeles angels', 'angels', 'laa']::TEXT[], 93),
+    ('milwaukee-brewers', 'MLB', 'Milwaukee Brewers (MLB)', 'Milwaukee Brewers', 'Milwaukee', 'Brewers', 'MIL', ARRAY['milwaukee-brewers']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#12284B', '#FFC52F']::TEXT[], ARRAY['milwaukee brewers mlb', 'milwaukee brewers', 'brewers', 'mil']::TEXT[], 94),
+    ('colorado-rockies', 'MLB', 'Colorado Rockies (MLB)', 'Colorado Rockies', 'Colorado', 'Rockies', NULL, ARRAY['colorado-rockies']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#33006F', '#C4CED4']::TEXT[], ARRAY['colorado rockies mlb', 'colorado rockies', 'rockies']::TEXT[], 95),
+    ('texas-rangers', 'MLB', 'Texas Rangers (MLB)', 'Texas Rangers', 'Texas', 'Rangers', 'TEX', ARRAY['texas-rangers']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#003278', '#C0111F']::TEXT[], ARRAY['texas rangers mlb', 'texas rangers', 'tex']::TEXT[], 96),
+    ('washington-senators', 'MLB', 'Washington Senators (MLB)', 'Washington Senators', 'Washington', 'Senators', NULL, ARRAY['washington-senators']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['#14225A', '#AB0003']::TEXT[], ARRAY['washington senators mlb', 'washington senators', 'senators']::TEXT[], 97)
+ON CONFLICT (key) DO UPDATE SET
+    league = EXCLUDED.league,
+    team = EXCLUDED.team,
+    full_name = EXCLUDED.full_name,
+    city = EXCLUDED.city,
+    nickname = EXCLUDED.nickname,
+    abbreviation = EXCLUDED.abbreviation,
+    slugs = EXCLUDED.slugs,
+    aliases = EXCLUDED.aliases,
+    historical_names = EXCLUDED.historical_names,
+    colors = EXCLUDED.colors,
+    lookup_names = EXCLUDED.lookup_names,
+    sort_order = EXCLUDED.sort_order,
+    updated_at = NOW();
+
+-- Same normalization as normalizeTeamKey() in scripts/lib/teams.js
+CREATE OR REPLACE FUNCTION normalize_team_key(value TEXT)
+RETURNS TEXT AS $$
+    SELECT TRIM(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(COALESCE(value, '')), '[^a-z0-9&\s]', ' ', 'g'), '\s+', ' ', 'g'));
+$$ LANGUAGE sql IMMUTABLE SET search_path = '';
+
+ALTER TABLE helmets ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_helmets_team_id ON helmets(team_id);
+
+-- Backfill: canonical team value + team_id for every recognizable team
+UPDATE helmets h SET team = t.team, team_id = t.id
+FROM (
+    SELECT DISTINCT ON (hh.id) hh.id AS helmet_id, tt.id, tt.team
+    FROM helmets hh
+    JOIN teams tt ON normalize_team_key(hh.team) = ANY(tt.lookup_names)
+    ORDER BY hh.id, tt.sort_order
+) t
+WHERE h.id = t.helmet_id;
+
+-- Keep helmets.team canonical on every write. Unknown teams are left as-is
+-- (team_id NULL) so they show up in the consistency check instead of being lost.
+CREATE OR REPLACE FUNCTION resolve_helmet_team()
+RETURNS TRIGGER AS $$
+DECLARE
+    resolved_id INTEGER;
+    resolved_team VARCHAR(100);
+BEGIN
+    SELECT t.id, t.team INTO resolved_id, resolved_team
+    FROM public.teams t
+    WHERE public.normalize_team_key(NEW.team) = ANY(t.lookup_names)
+    ORDER BY t.sort_order
+    LIMIT 1;
+
+    IF resolved_id IS NOT NULL THEN
+        NEW.team = resolved_team;
+    END IF;
+    NEW.team_id = resolved_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = '';
+
+DROP TRIGGER IF EXISTS resolve_helmet_team ON helmets;
+CREATE TRIGGER resolve_helmet_team
+    BEFORE INSERT OR UPDATE OF team ON helmets
+    FOR EACH ROW EXECUTE FUNCTION resolve_helmet_team();
+
+-- Public read access, same as helmets
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can view teams" ON teams FOR SELECT USING (true);
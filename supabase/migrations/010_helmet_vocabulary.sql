@@ -0,0 +1,52 @@
+-- Migration: Controlled vocabulary for helmet_type and design_type
+-- Importers now all classify through scripts/lib/helmet-classifier.js; these
+-- constraints keep anything else from writing a spelling the catalog filters
+-- and facets don't know about. Keep both lists in sync with HELMET_TYPES /
+-- DESIGN_TYPES in the classifier.
+
+-- Map spellings older parsers wrote (LEGACY_HELMET_TYPES / LEGACY_DESIGN_TYPES)
+UPDATE helmets SET helmet_type = CASE LOWER(TRIM(helmet_type))
+        WHEN 'speedflex' THEN 'fullsize-speedflex'
+        WHEN 'speed-authentic' THEN 'fullsize-authentic'
+        WHEN 'speed-replica' THEN 'fullsize-replica'
+        WHEN 'midi-speedflex' THEN 'midi'
+        WHEN 'authentic' THEN 'fullsize-authentic'
+        WHEN 'replica' THEN 'fullsize-replica'
+        ELSE LOWER(TRIM(helmet_type))
+    END
+WHERE helmet_type IS NOT NULL;
+
+UPDATE helmets SET design_type = CASE LOWER(TRIM(design_type))
+        WHEN 'salute' THEN 'salute-to-service'
+        WHEN 'salute2' THEN 'salute-to-service'
+        WHEN 'lunar' THEN 'lunar-eclipse'
+        WHEN 'superbowl' THEN 'super-bowl'
+        WHEN 'standard' THEN 'regular'
+        WHEN 'authentic' THEN 'regular'
+        ELSE LOWER(TRIM(design_type))
+    END
+WHERE design_type IS NOT NULL;
+
+-- NOT VALID: enforced for new writes immediately. Rows the mapping above
+-- couldn't fix are left for scripts/migrations/reclassify-helmet-types.js,
+-- which reports what it changed; validate afterwards with
+--   ALTER TABLE helmets VALIDATE CONSTRAINT helmets_helmet_type_check;
+--   ALTER TABLE helmets VALIDATE CONSTRAINT helmets_design_type_check;
+ALTER TABLE helmets DROP CONSTRAINT IF EXISTS helmets_helmet_type_check;
+ALTER TABLE helmets ADD CONSTRAINT helmets_helmet_type_check CHECK (
+    helmet_type IS NULL OR helmet_type IN (
+        'mini', 'midi', 'fullsize-authentic', 'fullsize-replica', 'fullsize-speedflex'
+    )
+) NOT VALID;
+
+ALTER TABLE helmets DROP CONSTRAINT IF EXISTS helmets_design_type_check;
+ALTER TABLE helmets ADD CONSTRAINT helmets_design_type_check CHECK (
+    design_type IS NULL OR design_type IN (
+        'regular', 'lunar-eclipse', 'eclipse', 'flash', 'camo', 'salute-to-service',
+        'rave', 'amp', 'slate', 'flat-white', 'chrome', 'throwback', 'alternate',
+        'rivalries', 'blaze', 'super-bowl'
+    )
+) NOT VALID;
+
+COMMENT ON COLUMN helmets.helmet_type IS 'mini, midi, fullsize-authentic, fullsize-replica, fullsize-speedflex';
+COMMENT ON COLUMN helmets.design_type IS 'See DESIGN_TYPES in scripts/lib/helmet-classifier.js';
@@ -0,0 +1,38 @@
+-- Migration: Entity resolution for cross-retailer helmet matching
+-- Importers score listings against catalog helmets (scripts/lib/helmet-matcher.js).
+-- Inscriptions are now a matched attribute, and listings the matcher can't
+-- decide on land in helmet_match_reviews instead of being attached to the
+-- first helmet with the same player and team.
+
+ALTER TABLE helmets ADD COLUMN IF NOT EXISTS inscription VARCHAR(100);
+
+-- Backfill: inscriptions are quoted in the product name ('w/ "HOF 2019"')
+UPDATE helmets
+SET inscription = TRIM(substring(name FROM '"([^"]{2,60})"'))
+WHERE inscription IS NULL AND name ~ '"[^"]{2,60}"';
+
+CREATE TABLE IF NOT EXISTS helmet_match_reviews (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(50) NOT NULL,
+    listing_key TEXT NOT NULL,        -- see listingKey() in helmet-matcher.js
+    listing JSONB NOT NULL,           -- player, team, helmetType, designType, authCompany, inscription, title, url
+    price DECIMAL(10, 2),
+    candidates JSONB NOT NULL DEFAULT '[]', -- [{ helmet_id, score, breakdown }], best first
+    best_score DECIMAL(4, 3),
+    reason VARCHAR(50),               -- below threshold, ambiguous
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'matched', 'new', 'rejected')),
+    resolved_helmet_id INTEGER REFERENCES helmets(id) ON DELETE SET NULL,
+    times_seen INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    resolved_at TIMESTAMP
+);
+
+-- One open review per listing; re-imports bump times_seen instead
+CREATE UNIQUE INDEX IF NOT EXISTS idx_helmet_match_reviews_pending
+    ON helmet_match_reviews(listing_key) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_helmet_match_reviews_status ON helmet_match_reviews(status, created_at);
+
+-- Importer-only, like the auth tables
+ALTER TABLE helmet_match_reviews ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to helmet_match_reviews" ON helmet_match_reviews FOR ALL USING (true);
@@ -0,0 +1,25 @@
+-- Migration: Remembered match review decisions
+-- When an admin resolves a helmet_match_reviews entry (attach to a helmet,
+-- create a new helmet, or ignore the listing) the decision is stored against
+-- the listing's fingerprint, and the next import applies it without review.
+
+CREATE TABLE IF NOT EXISTS helmet_match_decisions (
+    id SERIAL PRIMARY KEY,
+    listing_key TEXT NOT NULL UNIQUE,   -- see listingKey() in helmet-matcher.js
+    source VARCHAR(50) NOT NULL,
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('match', 'ignore')),
+    helmet_id INTEGER REFERENCES helmets(id) ON DELETE CASCADE,
+    review_id INTEGER REFERENCES helmet_match_reviews(id) ON DELETE SET NULL,
+    decided_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (decision = 'ignore' OR helmet_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_helmet_match_decisions_helmet_id ON helmet_match_decisions(helmet_id);
+
+ALTER TABLE helmet_match_reviews ADD COLUMN IF NOT EXISTS resolved_by VARCHAR(255);
+
+-- Importer and admin only, like helmet_match_reviews
+ALTER TABLE helmet_match_decisions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to helmet_match_decisions" ON helmet_match_decisions FOR ALL USING (true);
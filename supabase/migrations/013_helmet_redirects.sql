@@ -0,0 +1,19 @@
+-- Migration: Redirects for merged helmets
+-- Merging duplicates (scripts/merge-helmets.js or POST /api/admin/helmets/merge)
+-- moves price history and watchlist references to the surviving helmet and
+-- deletes the duplicates. A redirect is left for every deleted ID so user cards
+-- and bookmarked URLs that still carry it keep resolving.
+
+CREATE TABLE IF NOT EXISTS helmet_redirects (
+    old_id INTEGER PRIMARY KEY,       -- deleted helmet, so no foreign key
+    new_id INTEGER NOT NULL REFERENCES helmets(id) ON DELETE CASCADE,
+    old_name TEXT,
+    merged_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_helmet_redirects_new_id ON helmet_redirects(new_id);
+
+-- Read by the public price endpoints
+ALTER TABLE helmet_redirects ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can view helmet redirects" ON helmet_redirects FOR SELECT USING (true);
@@ -0,0 +1,11 @@
+-- Migration: Columns that were added by hand in the dashboard
+-- helmets.current_price (scripts/migrations/add-current-price.js, kept up to
+-- date by price-utils) and auth_users.purchased_slots (Stripe checkout) exist
+-- in production but were never in a migration. Recording them here lets the
+-- migrations build the full schema - including the local database
+-- (DATA_BACKEND=local, scripts/lib/local-db.js). Safe to run on production.
+
+ALTER TABLE helmets ADD COLUMN IF NOT EXISTS current_price DECIMAL(10,2);
+CREATE INDEX IF NOT EXISTS idx_helmets_current_price ON helmets(current_price);
+
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS purchased_slots INTEGER DEFAULT 0;
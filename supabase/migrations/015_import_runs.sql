@@ -0,0 +1,36 @@
+-- Migration: Import run ledger
+-- Every import (scripts/import.js, the per-retailer scripts, auto-import.js)
+-- records a run: what it read, who started it and what it did. The helmets and
+-- price rows it creates carry the run ID, so `node scripts/import.js rollback
+-- <runId>` can take a bad file back out. helmets.current_price is derived from
+-- the latest prices, so a rollback recalculates it rather than tagging it.
+
+CREATE TABLE IF NOT EXISTS import_runs (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(50) NOT NULL,
+    input TEXT,                        -- file name or URL the run read
+    checksum VARCHAR(64),              -- sha256 of the input file
+    triggered_by VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'completed', 'failed', 'rolled_back')),
+    counts JSONB NOT NULL DEFAULT '{}',
+    error TEXT,
+    started_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    rolled_back_at TIMESTAMP,
+    rolled_back_by VARCHAR(255)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_runs_started_at ON import_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_import_runs_checksum ON import_runs(checksum);
+
+-- Rows an import created
+ALTER TABLE helmets ADD COLUMN IF NOT EXISTS import_run_id INTEGER REFERENCES import_runs(id) ON DELETE SET NULL;
+ALTER TABLE helmet_prices ADD COLUMN IF NOT EXISTS import_run_id INTEGER REFERENCES import_runs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_helmets_import_run_id ON helmets(import_run_id);
+CREATE INDEX IF NOT EXISTS idx_helmet_prices_import_run_id ON helmet_prices(import_run_id);
+
+-- Importer only
+ALTER TABLE import_runs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to import_runs" ON import_runs FOR ALL USING (true);
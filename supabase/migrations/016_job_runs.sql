@@ -0,0 +1,29 @@
+-- Migration: Scheduled job history
+-- The job scheduler (scripts/lib/job-scheduler.js) runs imports and the
+-- monthly price update on a schedule, from the server (JOBS_ENABLED=true) or
+-- `node scripts/jobs.js worker`. Every run is recorded here; the partial
+-- unique index is the lock - a job can only have one running row, however
+-- many processes schedule it.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule'
+        CHECK (trigger IN ('schedule', 'manual')),
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+    host VARCHAR(255),                 -- process that ran it (user@host:pid)
+    started_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    exit_code INTEGER,
+    error TEXT,
+    output TEXT                        -- last lines of the job's output
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_one_running ON job_runs(job_name) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+
+-- Scheduler only
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to job_runs" ON job_runs FOR ALL USING (true);
@@ -0,0 +1,46 @@
+-- Migration: Price alerts on watchlist cards
+-- Cards in auth_user_watchlists.watchlist_data carry their alert rules
+-- (card.alerts - see scripts/lib/price-alerts.js). After every import the
+-- rules of the cards whose helmets changed are checked; matches are emailed.
+--
+-- price_alert_states remembers each rule's last outcome, so a rule fires when
+-- its condition starts to hold rather than on every check while it does.
+-- price_alert_notifications is every alert raised - sent, held back by the
+-- rate limits (one row per crossing until it goes out), or failed to send.
+
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS alert_unsubscribe_token VARCHAR(64);
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS alerts_unsubscribed_at TIMESTAMP WITH TIME ZONE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_users_alert_unsubscribe_token ON auth_users(alert_unsubscribe_token);
+
+CREATE TABLE IF NOT EXISTS price_alert_states (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth_users(id) ON DELETE CASCADE,
+    card_id VARCHAR(100) NOT NULL,
+    rule_key VARCHAR(100) NOT NULL,    -- 'below:400', 'change:-10', 'lowest', ...
+    matched BOOLEAN NOT NULL DEFAULT FALSE,
+    last_value DECIMAL(10,2),          -- lowest price seen, for 'lowest' rules
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    notified_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(user_id, card_id, rule_key)
+);
+
+CREATE TABLE IF NOT EXISTS price_alert_notifications (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth_users(id) ON DELETE CASCADE,
+    card_id VARCHAR(100) NOT NULL,
+    rule_key VARCHAR(100) NOT NULL,
+    price DECIMAL(10,2),
+    message TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL
+        CHECK (status IN ('sent', 'rate_limited', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_alert_notifications_user_created ON price_alert_notifications(user_id, created_at DESC);
+
+-- Backend only
+ALTER TABLE price_alert_states ENABLE ROW LEVEL SECURITY;
+ALTER TABLE price_alert_notifications ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to price_alert_states" ON price_alert_states FOR ALL USING (true);
+CREATE POLICY "Service role full access to price_alert_notifications" ON price_alert_notifications FOR ALL USING (true);
@@ -0,0 +1,16 @@
+-- Migration: Weekly portfolio digest settings
+-- Users opt in to a weekly email summarising their watchlist
+-- (scripts/lib/portfolio-digest.js) and pick when it arrives: a weekday
+-- (0 = Sunday) and hour in their own time zone. The hourly portfolio-digest
+-- job sends the digests that are due; digest_last_sent_at stops a second send
+-- in the same week. The unsubscribe token from migration 017 backs the
+-- digest's unsubscribe link too.
+
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS digest_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS digest_day INTEGER NOT NULL DEFAULT 1
+    CHECK (digest_day IN (0, 1, 2, 3, 4, 5, 6));
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS digest_hour INTEGER NOT NULL DEFAULT 8;
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS digest_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE auth_users ADD COLUMN IF NOT EXISTS digest_last_sent_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_auth_users_digest_enabled ON auth_users(digest_enabled) WHERE digest_enabled = TRUE;
@@ -0,0 +1,45 @@
+-- Migration: Watchlist cards as rows
+-- auth_user_watchlists kept each user's cards as one JSONB array, so every
+-- change rewrote the whole list and two tabs editing at once lost each other's
+-- changes. Each card is now a watchlist_items row, edited on its own
+-- (/api/watchlist/items in server.js, lib/watchlist-items.js).
+--
+-- card_id is the card's ID as the browser knows it (card.id), so the old
+-- endpoints keep working. helmet_id is the card's helmet - the first of
+-- helmet_ids for a card that groups several variants. card_data keeps the rest
+-- of what the browser stores on a card (cached prices, search query, ...).
+--
+-- Existing cards are copied over by scripts/migrations/migrate-watchlists.js,
+-- which stamps auth_user_watchlists.migrated_at; a user whose watchlist hasn't
+-- been copied yet is copied the first time they load it. auth_user_watchlists
+-- is no longer written after that.
+
+CREATE TABLE IF NOT EXISTS watchlist_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth_users(id) ON DELETE CASCADE,
+    card_id VARCHAR(64) NOT NULL,
+    helmet_id INTEGER REFERENCES helmets(id) ON DELETE SET NULL,
+    helmet_ids INTEGER[],
+    name TEXT NOT NULL,
+    cost_basis DECIMAL(10,2),
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    notes TEXT,
+    alerts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    card_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, card_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_user_id ON watchlist_items(user_id, position);
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_helmet_id ON watchlist_items(helmet_id);
+
+ALTER TABLE auth_user_watchlists ADD COLUMN IF NOT EXISTS migrated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE watchlist_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to watchlist_items" ON watchlist_items FOR ALL USING (true);
+
+CREATE TRIGGER update_watchlist_items_updated_at
+    BEFORE UPDATE ON watchlist_items
+    FOR EACH ROW EXECUTE FUNCTION update_auth_updated_at();
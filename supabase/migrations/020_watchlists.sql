@@ -0,0 +1,42 @@
+-- Migration: Named watchlists
+-- Users keep their cards in several named lists ("My collection", "Want list",
+-- ...) instead of one. Every card belongs to one list (watchlist_items.watchlist_id);
+-- each user has one default list, which the whole-list endpoints add to and which
+-- takes the cards of a deleted list. Card IDs stay unique per user across all
+-- lists, and the slot limit (10 + purchased_slots) counts every list.
+--
+-- Lists are managed by lib/watchlists.js (/api/watchlists in server.js). A user
+-- without lists gets a default one, holding any cards without a list, the first
+-- time their watchlist is read - the backfill below does the same up front.
+
+CREATE TABLE IF NOT EXISTS watchlists (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth_users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlists_user_name ON watchlists(user_id, LOWER(name));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlists_user_default ON watchlists(user_id) WHERE is_default = TRUE;
+
+ALTER TABLE watchlist_items ADD COLUMN IF NOT EXISTS watchlist_id UUID REFERENCES watchlists(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_watchlist_id ON watchlist_items(watchlist_id, position);
+
+ALTER TABLE watchlists ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access to watchlists" ON watchlists FOR ALL USING (true);
+
+CREATE TRIGGER update_watchlists_updated_at
+    BEFORE UPDATE ON watchlists
+    FOR EACH ROW EXECUTE FUNCTION update_auth_updated_at();
+
+-- Existing cards go to a default list per user
+INSERT INTO watchlists (user_id, name, is_default)
+SELECT DISTINCT user_id, 'My watchlist', TRUE FROM watchlist_items
+ON CONFLICT DO NOTHING;
+
+UPDATE watchlist_items i SET watchlist_id = w.id
+FROM watchlists w
+WHERE w.user_id = i.user_id AND w.is_default AND i.watchlist_id IS NULL;
@@ -0,0 +1,97 @@
+/**
+ * Retailer adapters - scripts/adapters/
+ *
+ * Every registered adapter is run against its saved fixtures (Shopify
+ * products.json pages, WooCommerce/storefront HTML, spreadsheet rows) and the
+ * listings compared with test/expected/<adapter>.json. When a parser change is
+ * intended, regenerate and review the diff:
+ *
+ *   UPDATE_EXPECTED=1 npm test
+ *
+ * The spreadsheets in fixtures/spreadsheets/ are small workbooks in each
+ * retailer's real format, built from the same rows as the JSON fixtures.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { listAdapters, getAdapter } = require('../scripts/adapters');
+const {
+    listSheets,
+    readSheet,
+    collectProducts,
+    normalizeProducts,
+    loadFixtures,
+    parseFixtures
+} = require('../scripts/lib/retailer-adapter');
+
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+const SPREADSHEETS_DIR = path.join(__dirname, 'fixtures', 'spreadsheets');
+const UPDATE = process.env.UPDATE_EXPECTED === '1';
+
+function runFixtures(adapter) {
+    const products = parseFixtures(adapter);
+    const { listings, rejected } = normalizeProducts(adapter, products);
+    return { products: products.length, rejected, listings };
+}
+
+for (const adapter of listAdapters()) {
+    test(`${adapter.name} fixtures`, () => {
+        assert.ok(adapter.fixtures.length > 0, `${adapter.name} has no fixtures`);
+
+        const actual = runFixtures(adapter);
+        assert.ok(actual.listings.length > 0, `${adapter.name} fixtures produced no listings`);
+
+        const file = path.join(EXPECTED_DIR, `${adapter.name}.json`);
+        if (UPDATE) {
+            fs.mkdirSync(EXPECTED_DIR, { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(actual, null, 2) + '\n');
+            return;
+        }
+
+        assert.ok(fs.existsSync(file), `Missing ${path.relative(process.cwd(), file)} - run with UPDATE_EXPECTED=1`);
+        assert.deepEqual(actual, JSON.parse(fs.readFileSync(file, 'utf8')));
+    });
+}
+
+test('rsa keeps the collection helmet type and paginates', () => {
+    const adapter = getAdapter('rsa');
+    const [{ raw, target }] = loadFixtures(adapter);
+
+    const products = adapter.parse(raw, target);
+    assert.ok(products.every(p => p.defaultType === 'mini'));
+    assert.deepEqual(adapter.next(raw, target), { ...target, page: 2 });
+    assert.equal(adapter.next({ products: [] }, target), null);
+});
+
+test('radtke follows the next-page link', () => {
+    const adapter = getAdapter('radtke');
+    const [{ raw, target }] = loadFixtures(adapter);
+    const next = adapter.next(raw, target);
+    assert.ok(next && next.page === 2);
+});
+
+// Spreadsheet adapters read the same rows from a real workbook
+const WORKBOOKS = [
+    ['greatsports', 'greatsports-inventory.xls'],
+    ['fanatics', 'fanatics-inventory.xls'],
+    ['signaturesports', 'signaturesports-player-helmets.ods']
+];
+
+for (const [name, workbook] of WORKBOOKS) {
+    test(`${name} reads ${workbook}`, async () => {
+        const adapter = getAdapter(name);
+        const file = path.join(SPREADSHEETS_DIR, workbook);
+
+        const products = await collectProducts(adapter, { log: () => {}, options: { file } });
+        assert.deepEqual(products, parseFixtures(adapter));
+    });
+}
+
+test('readSheet reports missing files and sheets', () => {
+    const file = path.join(SPREADSHEETS_DIR, 'greatsports-inventory.xls');
+    assert.deepEqual(listSheets(file), ['Full Size', 'Minis']);
+    assert.throws(() => readSheet(file, 'Jerseys'), /Sheet "Jerseys" not found/);
+    assert.throws(() => listSheets(path.join(SPREADSHEETS_DIR, 'missing.xls')), /File not found/);
+});
@@ -0,0 +1,58 @@
+/**
+ * Catalog search - GET /api/helmets/search on the search_helmet_groups and
+ * search_helmet_facets database functions (migration 006)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHelmet, startServer } = require('./helpers/local-db');
+const { upsertPrice } = require('../scripts/lib/price-utils');
+
+function addHelmet(player, team, helmetType, authCompany) {
+    const name = `${player} ${team} ${helmetType} helmet ${authCompany || ''}`.trim();
+    return createHelmet({ name, player, team, helmet_type: helmetType, auth_company: authCompany });
+}
+
+test('filters, facets and cursor pages come from the database', async t => {
+    const { api, close } = await startServer();
+    t.after(close);
+
+    const search = query => api('GET', `/api/helmets/search?${new URLSearchParams(query)}`);
+
+    // Two authenticators of one helmet are one group
+    await upsertPrice(await addHelmet('Josh Allen', 'Bills', 'mini', 'JSA'), 'rsa', 300);
+    await upsertPrice(await addHelmet('Josh Allen', 'Bills', 'mini', 'Beckett'), 'radtke', 400);
+    await upsertPrice(await addHelmet('Josh Allen', 'Bills', 'fullsize-replica', 'JSA'), 'fanatics', 1500);
+    await upsertPrice(await addHelmet('Jalen Hurts', 'Eagles', 'mini', 'Fanatics'), 'rsa', 200);
+    await addHelmet('Joe Burrow, Jr.', 'Bengals', 'mini', null);
+
+    const all = await search({ sort: 'price', order: 'desc' });
+    assert.equal(all.status, 200);
+    assert.equal(all.body.total, 4);
+    assert.deepEqual(all.body.results.map(r => [r.player, r.helmetType, r.medianPrice]),
+        [['Josh Allen', 'fullsize-replica', 1500], ['Josh Allen', 'mini', 350], ['Jalen Hurts', 'mini', 200], ['Joe Burrow, Jr.', 'mini', null]]);
+    assert.deepEqual([all.body.results[1].ids.length, all.body.results[1].authCompanies, all.body.results[1].sources],
+        [2, ['Beckett', 'JSA'], ['radtke', 'rsa']]);
+
+    // Each facet counts as if its own filter weren't set
+    const minis = await search({ helmet_type: 'MINI', team: 'bills,eagles', source: 'rsa' });
+    assert.deepEqual(minis.body.results.map(r => r.player), ['Jalen Hurts', 'Josh Allen']);
+    assert.deepEqual(minis.body.facets.helmetType, [{ value: 'mini', count: 2 }]);
+    assert.deepEqual(minis.body.facets.team, [{ value: 'Bills', count: 1 }, { value: 'Eagles', count: 1 }]);
+    assert.deepEqual(minis.body.facets.source, [{ value: 'rsa', count: 2 }, { value: 'radtke', count: 1 }]);
+    assert.deepEqual(minis.body.facets.price.map(p => p.count), [1, 1, 0, 0, 0]);
+    assert.deepEqual((await search({ auth_company: 'beckett' })).body.results.map(r => r.medianPrice), [400]);
+
+    // Walking the pages gives every group once, in order - across a name with a comma
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = await search({ sort: 'player', limit: '1', ...(cursor ? { cursor } : {}) });
+        seen.push(...page.body.results.map(r => `${r.player} ${r.helmetType}`));
+        cursor = page.body.nextCursor;
+    } while (cursor && seen.length < 10);
+    assert.deepEqual(seen, ['Jalen Hurts mini', 'Joe Burrow, Jr. mini', 'Josh Allen fullsize-replica', 'Josh Allen mini']);
+
+    assert.equal((await search({ limit: '-5' })).body.results.length, 1);
+    assert.equal((await search({ limit: 'ten' })).status, 400);
+});
@@ -0,0 +1,163 @@
+/**
+ * Catalog admin - the match review queue (scripts/lib/match-reviews.js) and
+ * merge / split (scripts/lib/helmet-merge.js)
+ */
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createHelmet, startServer } = require('./helpers/local-db');
+const { listingKey } = require('../scripts/lib/helmet-matcher');
+const { resolveReview } = require('../scripts/lib/match-reviews');
+const { mergeHelmets, splitHelmet } = require('../scripts/lib/helmet-merge');
+
+let api;
+let close;
+let token;
+
+test.before(async () => {
+    ({ api, close } = await startServer());
+
+    const credentials = { email: 'admin@example.com', password: 'correct horse', captchaToken: 'local' };
+    await api('POST', '/api/auth/register', { body: credentials });
+    ({ token } = (await api('POST', '/api/auth/login', { body: credentials })).body);
+});
+
+test.after(() => close());
+
+// A pending review of an RSA listing
+async function createReview(listing, price = 450) {
+    listing = { helmetType: 'mini', designType: 'regular', ...listing };
+    const { data, error } = await db.from('helmet_match_reviews')
+        .insert({ source: 'rsa', listing_key: listingKey('rsa', listing), listing, price })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+    return data.id;
+}
+
+async function addPrice(helmetId, source, price) {
+    const { data } = await db.from('helmet_prices')
+        .insert({ helmet_id: helmetId, source, median_price: price, min_price: price, max_price: price })
+        .select('id')
+        .single();
+    return data.id;
+}
+
+const resolve = (id, body) => api('POST', `/api/admin/reviews/${id}/resolve`, { token, body });
+
+async function decisionFor(reviewId) {
+    const { data } = await db.from('helmet_match_decisions').select('decision, helmet_id').eq('review_id', reviewId);
+    return data[0];
+}
+
+test('reviews resolve by match, create or ignore - once', async () => {
+    const allen = await createHelmet({ name: 'Josh Allen Signed Bills Mini Helmet', player: 'Josh Allen', team: 'Bills' });
+
+    const matched = await createReview({ player: 'Josh Allen', team: 'Bills', title: 'JOSH ALLEN AUTOGRAPHED BILLS MINI' });
+    assert.equal((await resolve(matched, { action: 'match' })).status, 400);
+    assert.equal((await resolve(matched, { action: 'match', helmetId: 99999 })).status, 404);
+    assert.equal((await resolve(matched, { action: 'keep' })).status, 400);
+
+    const { status, body } = await resolve(matched, { action: 'match', helmetId: allen });
+    assert.equal(status, 200);
+    assert.deepEqual([body.status, body.helmetId, body.priceRecorded], ['matched', allen, true]);
+    assert.deepEqual(await decisionFor(matched), { decision: 'match', helmet_id: allen });
+    assert.equal((await db.from('helmet_prices').select('median_price').eq('helmet_id', allen)).data.length, 1);
+
+    const again = await resolve(matched, { action: 'ignore' });
+    assert.deepEqual([again.status, again.body.error], [409, 'Review already resolved (matched)']);
+    assert.equal((await resolve(99999, { action: 'ignore' })).status, 404);
+
+    const ignored = await createReview({ player: 'Josh Allen', team: 'Bills', inscription: 'Josh Allen Fan Club' });
+    assert.equal((await resolve(ignored, { action: 'ignore' })).body.status, 'rejected');
+    assert.deepEqual(await decisionFor(ignored), { decision: 'ignore', helmet_id: null });
+});
+
+test('a created helmet gets a search query that describes it', async () => {
+    const listing = { player: 'Sam LaPorta', team: 'Lions', designType: 'flash', title: 'Sam LaPorta Signed Lions Flash Mini' };
+    const created = await resolve(await createReview(listing), { action: 'create' });
+    assert.equal(created.body.status, 'new');
+
+    const { data: helmet } = await db.from('helmets').select('name, player, design_type, ebay_search_query').eq('id', created.body.helmetId).single();
+    assert.deepEqual(helmet, {
+        name: 'Sam LaPorta Signed Lions Flash Mini',
+        player: 'Sam LaPorta',
+        design_type: 'flash',
+        ebay_search_query: 'sam laporta lions mini flash autographed helmet'
+    });
+
+    // Another listing eBay can't tell apart attaches to that helmet
+    const twin = await resolve(await createReview({ ...listing, authCompany: 'Beckett' }), { action: 'create' });
+    assert.deepEqual([twin.body.status, twin.body.helmetId], ['matched', created.body.helmetId]);
+});
+
+test('concurrent resolutions of a review: only one goes through', async () => {
+    const reviewId = await createReview({ player: 'Bo Nix', team: 'Broncos' });
+
+    const results = await Promise.all(['admin@example.com', 'other@example.com']
+        .map(resolvedBy => resolveReview(reviewId, 'create', { resolvedBy })));
+    const winner = results.find(r => r.success);
+    assert.deepEqual(results.map(r => r.code).filter(Boolean), ['conflict']);
+
+    const { data: review } = await db.from('helmet_match_reviews').select('status, resolved_helmet_id').eq('id', reviewId).single();
+    assert.deepEqual(review, { status: 'new', resolved_helmet_id: winner.helmetId });
+    assert.equal((await db.from('helmets').select('id').eq('player', 'Bo Nix')).data.length, 1);
+    assert.equal((await db.from('helmet_prices').select('id').eq('helmet_id', winner.helmetId)).data.length, 1);
+});
+
+test('split moves prices to a new variant with its own search query', async () => {
+    const helmetId = await createHelmet({ name: 'Jalen Hurts Signed Eagles Mini Helmet', player: 'Jalen Hurts', team: 'Eagles' });
+    await addPrice(helmetId, 'rsa', 300);
+    const eclipse = await addPrice(helmetId, 'radtke', 520);
+
+    assert.equal((await splitHelmet(helmetId, {}, { design_type: 'eclipse' })).code, 'invalid');
+    assert.equal((await splitHelmet(helmetId, { priceIds: [eclipse] }, {})).code, 'invalid');
+    assert.equal((await splitHelmet(helmetId, { priceIds: [eclipse] }, { design_type: 'plaid' })).code, 'invalid');
+    assert.equal((await splitHelmet(99999, { priceIds: [eclipse] }, { design_type: 'eclipse' })).code, 'not_found');
+
+    const preview = await splitHelmet(helmetId, { sources: ['RADTKE'] }, { design_type: 'eclipse' }, { dryRun: true });
+    assert.deepEqual([preview.pricesMoved, preview.helmet.id], [1, undefined]);
+    assert.equal((await db.from('helmets').select('id').eq('player', 'Jalen Hurts')).data.length, 1);
+
+    const split = await splitHelmet(helmetId, { sources: ['radtke'] }, { design_type: 'eclipse' });
+    assert.equal(split.helmet.name, 'Jalen Hurts Signed Eagles Mini Helmet (eclipse)');
+    assert.equal(split.helmet.ebay_search_query, 'jalen hurts eagles mini eclipse autographed helmet');
+    const { data: moved } = await db.from('helmet_prices').select('helmet_id').eq('id', eclipse).single();
+    assert.equal(moved.helmet_id, split.helmet.id);
+
+    // The same variant again is a duplicate of the first split
+    const { data: [rsa] } = await db.from('helmet_prices').select('id').eq('helmet_id', helmetId);
+    const duplicate = await splitHelmet(helmetId, { priceIds: [rsa.id] }, { design_type: 'eclipse' });
+    assert.equal(duplicate.code, 'conflict');
+    assert.match(duplicate.error, new RegExp(`^Helmet ${split.helmet.id} already has`));
+});
+
+test('merge moves prices and decisions and redirects the old IDs', async () => {
+    const survivor = await createHelmet({ name: 'CeeDee Lamb Signed Cowboys Mini Helmet', player: 'CeeDee Lamb', team: 'Cowboys' });
+    const duplicate = await createHelmet({ name: 'Ceedee Lamb Cowboys Mini', player: 'CeeDee Lamb', team: 'Cowboys', ebay_search_query: 'ceedee lamb mini' });
+    await addPrice(duplicate, 'rsa', 410);
+    const reviewId = await createReview({ player: 'CeeDee Lamb', team: 'Cowboys' });
+    await resolveReview(reviewId, 'match', { helmetId: duplicate });
+
+    assert.equal((await mergeHelmets(survivor, [survivor])).code, 'invalid');
+    assert.equal((await mergeHelmets(survivor, [])).code, 'invalid');
+    assert.equal((await mergeHelmets(survivor, [99999])).code, 'not_found');
+
+    const preview = await mergeHelmets(survivor, [duplicate], { dryRun: true });
+    // The review's price and the one added directly
+    assert.deepEqual([preview.pricesMoved, preview.decisionsMoved], [2, 1]);
+    assert.equal((await db.from('helmets').select('id').eq('id', duplicate)).data.length, 1);
+
+    const { status, body } = await api('POST', '/api/admin/helmets/merge', { token, body: { survivorId: survivor, duplicateIds: [duplicate] } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.merged.map(h => h.id), [duplicate]);
+
+    assert.equal((await db.from('helmets').select('id').eq('id', duplicate)).data.length, 0);
+    assert.equal((await db.from('helmet_prices').select('id').eq('helmet_id', survivor)).data.length, 2);
+    assert.deepEqual(await decisionFor(reviewId), { decision: 'match', helmet_id: survivor });
+    const { data: redirect } = await db.from('helmet_redirects').select('new_id, old_name, merged_by').eq('old_id', duplicate).single();
+    assert.deepEqual(redirect, { new_id: survivor, old_name: 'Ceedee Lamb Cowboys Mini', merged_by: 'admin@example.com' });
+});
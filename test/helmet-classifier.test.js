@@ -0,0 +1,90 @@
+/**
+ * Helmet type / design classifier - scripts/lib/helmet-classifier.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    HELMET_TYPES,
+    DESIGN_TYPES,
+    normalizeHelmetType,
+    normalizeDesignType,
+    classifyHelmet
+} = require('../scripts/lib/helmet-classifier');
+
+test('helmet type from the title', () => {
+    const cases = [
+        ['Mahomes Signed Chiefs Mini Helmet', 'mini'],
+        ['Hurts Signed Eagles Midi Speedflex Helmet', 'midi'],
+        ['Allen Signed Bills Speed Flex Helmet', 'fullsize-speedflex'],
+        ['Burrow Signed Bengals Replica Helmet', 'fullsize-replica'],
+        ['Jackson Signed Ravens F/S Pro Line Helmet', 'fullsize-authentic'],
+        ['Kelce Signed Chiefs Full-Size Helmet', 'fullsize-authentic']
+    ];
+    for (const [title, helmetType] of cases) {
+        assert.equal(classifyHelmet(title).helmetType, helmetType, title);
+    }
+});
+
+test('design type from the title', () => {
+    const cases = [
+        ['Burrow Lunar Eclipse Mini Helmet', 'lunar-eclipse'],
+        ['Burrow Eclipse Mini Helmet', 'eclipse'],
+        ['Kelce Flash Alternate Mini Helmet', 'flash'],
+        ['Jefferson STS Mini Helmet', 'salute-to-service'],
+        ['Lamb Rave Mini Helmet', 'rave'],
+        ['Sanders Throwback Mini Helmet', 'throwback'],
+        ['Mahomes Mini Helmet', 'regular']
+    ];
+    for (const [title, designType] of cases) {
+        assert.equal(classifyHelmet(title).designType, designType, title);
+    }
+});
+
+test('"Fanatics Authentic" is an authenticator, not a helmet style', () => {
+    const result = classifyHelmet('Mahomes Signed Chiefs Helmet Fanatics Authentic', { defaultHelmetType: 'mini' });
+    assert.equal(result.helmetType, 'mini');
+    assert.equal(result.evidence.helmetType.source, 'default');
+});
+
+test('type column beats the title, title beats the sheet name', () => {
+    assert.equal(classifyHelmet('Mini Helmet', { type: 'Speed Rep' }).helmetType, 'fullsize-replica');
+    assert.equal(classifyHelmet('Midi Speedflex Helmet', { sheetName: 'MINI & MIDI HELMET' }).helmetType, 'midi');
+
+    const fromSheet = classifyHelmet('Mahomes Signed Helmet', { sheetName: 'Minis' });
+    assert.equal(fromSheet.helmetType, 'mini');
+    assert.equal(fromSheet.evidence.helmetType.source, 'sheet');
+});
+
+test('canonical and legacy column values are used as-is', () => {
+    const result = classifyHelmet('Mini Helmet', { type: 'speedflex', design: 'lunar' });
+    assert.equal(result.helmetType, 'fullsize-speedflex');
+    assert.equal(result.designType, 'lunar-eclipse');
+    assert.equal(result.confidence, 0.95);
+});
+
+test('super bowl and year-range throwbacks are only trusted from a column', () => {
+    assert.equal(classifyHelmet('Brady Mini Helmet "Super Bowl LI MVP"').designType, 'regular');
+    assert.equal(classifyHelmet('Brady Mini Helmet', { design: 'Super Bowl' }).designType, 'super-bowl');
+    assert.equal(classifyHelmet('Sanders Mini Helmet 83-95').designType, 'regular');
+    assert.equal(classifyHelmet('Sanders Mini Helmet', { design: '83-95' }).designType, 'throwback');
+});
+
+test('defaults are low confidence', () => {
+    const result = classifyHelmet('Mahomes Signed Helmet', { defaultHelmetType: 'fullsize-replica' });
+    assert.equal(result.helmetType, 'fullsize-replica');
+    assert.equal(result.designType, 'regular');
+    assert.equal(result.helmetTypeConfidence, 0.4);
+    assert.equal(result.designTypeConfidence, 0.7);
+    assert.equal(classifyHelmet('Mahomes Signed Helmet').helmetType, 'fullsize-authentic');
+});
+
+test('normalizeHelmetType / normalizeDesignType', () => {
+    HELMET_TYPES.forEach(type => assert.equal(normalizeHelmetType(type), type));
+    DESIGN_TYPES.forEach(type => assert.equal(normalizeDesignType(type), type));
+    assert.equal(normalizeHelmetType(' Speed-Authentic '), 'fullsize-authentic');
+    assert.equal(normalizeHelmetType('midi-speedflex'), 'midi');
+    assert.equal(normalizeDesignType('salute2'), 'salute-to-service');
+    assert.equal(normalizeHelmetType('bobblehead'), null);
+    assert.equal(normalizeDesignType(''), null);
+});
@@ -0,0 +1,78 @@
+/**
+ * Player and team lookups - the players/teams registries behind helmets.player
+ * and helmets.team, findHelmet, and /api/helmets/suggestions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createHelmet, startServer } = require('./helpers/local-db');
+const { resolvePlayer, findHelmet } = require('../scripts/lib/price-utils');
+
+async function createPlayer(name, aliases = []) {
+    const { data: player } = await db.from('players').insert({ name }).select('id').single();
+    for (const alias of aliases) {
+        await db.from('player_aliases').insert({ alias, player_name: name, player_id: player.id });
+    }
+    return player.id;
+}
+
+let laporta;
+let mahomes;
+
+test.before(async () => {
+    // Registries first: they're loaded once per process
+    const laportaId = await createPlayer('Sam LaPorta', ['Sam La']);
+    await createPlayer('Calvin Johnson', ['Megatron']);
+    await createPlayer('Jaxon Smith-Njigba', ['JSN']);
+
+    laporta = await createHelmet({ name: 'Sam LaPorta Signed Lions Mini Helmet', player: 'Sam La', team: 'Detroit Lions' });
+    mahomes = await createHelmet({ name: 'Patrick Mahomes Signed Chiefs Mini Helmet', player: 'Patrick Mahomes', team: 'KC' });
+    await createHelmet({ name: 'Calvin Johnson Signed Lions Mini Helmet', player: 'Calvin Johnson', team: 'Lions' });
+    await createHelmet({ name: 'Travis Kelce Signed Chiefs Mini Helmet - Mahomes Era', player: 'Travis Kelce', team: 'Chiefs' });
+    await createHelmet({ name: 'Bo Jackson Signed Raiders Mini Helmet', player: 'Bo Jackson', team: 'Oakland Raiders' });
+
+    assert.equal(laportaId, (await db.from('helmets').select('player_id').eq('id', laporta).single()).data.player_id);
+});
+
+test('helmets are stored under the canonical player and team', async () => {
+    const { data: helmets } = await db.from('helmets').select('player, team, player_id').order('id');
+    assert.deepEqual(helmets.map(h => [h.player, h.team]), [
+        ['Sam LaPorta', 'Lions'],
+        ['Patrick Mahomes', 'Chiefs'],
+        ['Calvin Johnson', 'Lions'],
+        ['Travis Kelce', 'Chiefs'],
+        ['Bo Jackson', 'Raiders']
+    ]);
+    // A new name becomes a player of its own
+    assert.ok(helmets.every(h => h.player_id));
+});
+
+test('names resolve through aliases and corrections', async () => {
+    assert.equal((await resolvePlayer('jsn')).name, 'Jaxon Smith-Njigba');
+    assert.equal((await resolvePlayer('SAM LA')).name, 'Sam LaPorta');
+    assert.deepEqual(await resolvePlayer('Ceedee Lamb'), { id: null, name: 'CeeDee Lamb' });
+    assert.equal(await resolvePlayer('NOTRE DAME'), null);
+
+    assert.equal((await findHelmet('Sam La', 'Lions', 'mini', 'regular')).id, laporta);
+    assert.equal((await findHelmet('Patrick Mahomes', 'Chiefs', 'mini', 'regular')).id, mahomes);
+});
+
+test('suggestions rank player matches above product names', async t => {
+    const { api, close } = await startServer();
+    t.after(close);
+    const suggest = async q => (await api('GET', `/api/helmets/suggestions?q=${encodeURIComponent(q)}`)).body.suggestions;
+
+    // The Kelce helmet only mentions Mahomes in its name
+    assert.deepEqual((await suggest('mahomes')).map(s => s.player), ['Patrick Mahomes', 'Travis Kelce']);
+    assert.deepEqual((await suggest('mahomez')).map(s => s.player), ['Patrick Mahomes']);
+    assert.deepEqual((await suggest('patrick')).map(s => s.player), ['Patrick Mahomes']);
+    assert.deepEqual((await suggest('megatron')).map(s => s.player), ['Calvin Johnson']);
+
+    const [best] = await suggest('Patrick Mahomes');
+    assert.deepEqual([best.player, best.matchScore, best.ids], ['Patrick Mahomes', 1, [mahomes]]);
+
+    // What's typed is matched as text, never as filter syntax or wildcards
+    assert.deepEqual(await suggest('%_'), []);
+    assert.deepEqual(await suggest('era),player.neq.x'), []);
+    assert.deepEqual((await suggest('mahomes era')).map(s => s.player), ['Travis Kelce']);
+});
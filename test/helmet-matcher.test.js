@@ -0,0 +1,114 @@
+/**
+ * Helmet entity resolution - scripts/lib/helmet-matcher.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseAuthCompany,
+    parseInscription,
+    scoreCandidate,
+    matchListing,
+    listingKey,
+    createHelmetIndex
+} = require('../scripts/lib/helmet-matcher');
+
+const LISTING = {
+    player: 'Patrick Mahomes',
+    team: 'Kansas City Chiefs',
+    helmetType: 'mini',
+    designType: 'regular',
+    authCompany: 'Beckett',
+    inscription: null,
+    helmetTypeConfidence: 0.85,
+    designTypeConfidence: 0.7
+};
+
+function helmet(id, fields = {}) {
+    return {
+        id,
+        player: 'Patrick Mahomes',
+        team: 'Chiefs',
+        helmet_type: 'mini',
+        design_type: 'regular',
+        auth_company: 'Beckett',
+        inscription: null,
+        ...fields
+    };
+}
+
+test('parseAuthCompany', () => {
+    assert.equal(parseAuthCompany('Signed Mini Helmet JSA'), 'JSA');
+    assert.equal(parseAuthCompany('Signed Mini Helmet - James Spence'), 'JSA');
+    assert.equal(parseAuthCompany('Signed Mini Helmet BAS'), 'Beckett');
+    assert.equal(parseAuthCompany('Signed Mini Helmet PSA/DNA'), 'PSA/DNA');
+    assert.equal(parseAuthCompany('Signed Mini Helmet Fanatics'), 'Fanatics');
+    assert.equal(parseAuthCompany('Signed Mini Helmet'), null);
+    assert.equal(parseAuthCompany(null), null);
+});
+
+test('parseInscription', () => {
+    assert.equal(parseInscription('Signed Helmet w/ "SB LVII MVP"'), 'SB LVII MVP');
+    assert.equal(parseInscription('Signed Helmet “HOF 04”'), 'HOF 04');
+    assert.equal(parseInscription('Signed Helmet "A"'), null);
+    assert.equal(parseInscription('Signed Helmet'), null);
+});
+
+test('scoreCandidate', () => {
+    const exact = scoreCandidate(LISTING, helmet(1));
+    assert.equal(exact.score, 1);
+    assert.deepEqual(exact.conflicts, []);
+
+    const otherSize = scoreCandidate(LISTING, helmet(2, { helmet_type: 'fullsize-authentic' }));
+    assert.deepEqual(otherSize.conflicts, ['helmetType']);
+
+    // A defaulted type scores as unknown instead of conflicting
+    const defaulted = scoreCandidate({ ...LISTING, helmetTypeConfidence: 0.4 }, helmet(3, { helmet_type: 'fullsize-authentic' }));
+    assert.deepEqual(defaulted.conflicts, []);
+    assert.equal(defaulted.breakdown.helmetType, 0.5);
+
+    const inscribed = scoreCandidate(LISTING, helmet(4, { inscription: 'SB LVII MVP' }));
+    assert.equal(inscribed.breakdown.inscription, 0);
+});
+
+test('matchListing decisions', () => {
+    assert.equal(matchListing(LISTING, []).decision, 'new');
+    assert.equal(matchListing(LISTING, []).reason, 'no helmets for player');
+
+    const matched = matchListing(LISTING, [helmet(1), helmet(2, { design_type: 'flash' })]);
+    assert.equal(matched.decision, 'matched');
+    assert.equal(matched.helmet.id, 1);
+
+    const conflicting = matchListing(LISTING, [helmet(2, { design_type: 'flash' })]);
+    assert.equal(conflicting.decision, 'new');
+    assert.equal(conflicting.reason, 'conflicts with every candidate');
+
+    const ambiguous = matchListing(LISTING, [helmet(1), helmet(5)]);
+    assert.equal(ambiguous.decision, 'review');
+    assert.equal(ambiguous.reason, 'ambiguous');
+    assert.equal(ambiguous.candidates.length, 2);
+
+    const weak = matchListing({ ...LISTING, team: null, authCompany: null }, [helmet(1, { auth_company: 'JSA' })]);
+    assert.equal(weak.decision, 'review');
+    assert.equal(weak.reason, 'below threshold');
+});
+
+test('listingKey ignores spelling differences in player and team', () => {
+    const a = listingKey('rsa', LISTING);
+    const b = listingKey('rsa', { ...LISTING, player: 'patrick  mahomes', team: 'Chiefs' });
+    assert.equal(a, b);
+    assert.notEqual(a, listingKey('radtke', LISTING));
+    assert.notEqual(a, listingKey('rsa', { ...LISTING, designType: 'flash' }));
+});
+
+test('createHelmetIndex finds candidates by player id or name', () => {
+    const index = createHelmetIndex([helmet(1, { player_id: 10 }), helmet(2, { player: 'Josh Allen' })]);
+    assert.equal(index.get(1).id, 1);
+    assert.equal(index.get(99), null);
+    assert.deepEqual(index.candidatesFor({ id: 10 }).map(h => h.id), [1]);
+    assert.deepEqual(index.candidatesFor({ name: 'josh allen' }).map(h => h.id), [2]);
+    assert.deepEqual(index.candidatesFor(null), []);
+
+    index.add(helmet(3, { player: 'Josh Allen' }));
+    assert.deepEqual(index.candidatesFor({ name: 'Josh Allen' }).map(h => h.id), [2, 3]);
+});
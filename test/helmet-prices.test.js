@@ -0,0 +1,65 @@
+/**
+ * Retailer prices and price history - /api/helmets/:id/prices,
+ * /api/helmets/grouped-prices and /api/helmets/:id/history
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHelmet, startServer } = require('./helpers/local-db');
+const { upsertPrice } = require('../scripts/lib/price-utils');
+
+test('the spread is between retailers\' prices, not within one retailer\'s range', async t => {
+    const { api, close } = await startServer();
+    t.after(close);
+
+    const allen = await createHelmet('Josh Allen Mini Helmet');
+    const hurts = await createHelmet('Jalen Hurts Mini Helmet');
+    await upsertPrice(allen, 'rsa', 500, { minPrice: 300, maxPrice: 900, ebayUrl: 'https://rsa.example/allen' });
+    await upsertPrice(allen, 'radtke', 520, { minPrice: 510, maxPrice: 530 });
+    await upsertPrice(hurts, 'fanatics', 550);
+
+    const { body: single } = await api('GET', `/api/helmets/${allen}/prices`);
+    assert.deepEqual([single.minPrice, single.maxPrice, single.spread, single.spreadPercent], [500, 520, 20, 4]);
+    assert.deepEqual([single.lowestSource, single.highestSource, single.source], ['rsa', 'radtke', 'multiple']);
+    assert.deepEqual(single.retailers.map(r => [r.source, r.price, r.minPrice, r.maxPrice, r.url]),
+        [['rsa', 500, 300, 900, 'https://rsa.example/allen'], ['radtke', 520, 510, 530, null]]);
+
+    const { body: grouped } = await api('POST', '/api/helmets/grouped-prices', { body: { ids: [allen, hurts] } });
+    assert.deepEqual([grouped.minPrice, grouped.maxPrice, grouped.spread, grouped.highestSource], [500, 550, 50, 'fanatics']);
+    assert.equal(grouped.retailers.length, 3);
+});
+
+test('history buckets prices by day, week and month over a default 90 days', async t => {
+    const { api, close } = await startServer();
+    t.after(close);
+
+    const helmetId = await createHelmet('Joe Burrow Mini Helmet');
+    await upsertPrice(helmetId, 'rsa', 300, { scrapedAt: '2025-11-01T12:00:00Z' });
+    await upsertPrice(helmetId, 'rsa', 400, { scrapedAt: '2026-03-02T10:00:00Z' });
+    await upsertPrice(helmetId, 'rsa', 420, { scrapedAt: '2026-03-04T10:00:00Z' });
+    await upsertPrice(helmetId, 'radtke', 500, { scrapedAt: '2026-03-08T23:00:00Z' });
+    await upsertPrice(helmetId, 'rsa', 450, { scrapedAt: '2026-03-09T01:00:00Z' });
+
+    // A date-only "to" is the whole day, and the 90 days end there
+    const { body: weekly } = await api('GET', `/api/helmets/${helmetId}/history?to=2026-03-09`);
+    assert.deepEqual([weekly.interval, weekly.from, weekly.to], ['week', '2025-12-09T23:59:59.999Z', '2026-03-09T23:59:59.999Z']);
+    assert.equal(weekly.totalObservations, 4);
+    // Weeks start on Monday
+    assert.deepEqual(weekly.series, [
+        { bucket: '2026-03-02', median: 420, min: 400, max: 500, count: 3, sources: ['radtke', 'rsa'] },
+        { bucket: '2026-03-09', median: 450, min: 450, max: 450, count: 1, sources: ['rsa'] }
+    ]);
+    assert.deepEqual(weekly.sources.rsa.map(b => [b.bucket, b.median]), [['2026-03-02', 410], ['2026-03-09', 450]]);
+
+    const { body: monthly } = await api('GET', `/api/helmets/${helmetId}/history?interval=MONTH&from=2025-10-01&to=2026-03-31`);
+    assert.deepEqual(monthly.series.map(b => [b.bucket, b.median, b.count]), [['2025-11-01', 300, 1], ['2026-03-01', 435, 4]]);
+
+    const { body: daily } = await api('GET', `/api/helmets/${helmetId}/history?interval=day&from=2026-03-08&to=2026-03-08`);
+    assert.deepEqual(daily.series.map(b => [b.bucket, b.sources]), [['2026-03-08', ['radtke']]]);
+
+    assert.equal((await api('GET', `/api/helmets/${helmetId}/history?interval=day&interval=week`)).status, 400);
+    assert.equal((await api('GET', `/api/helmets/${helmetId}/history?interval=year`)).status, 400);
+    assert.equal((await api('GET', `/api/helmets/${helmetId}/history?from=2026-03-10&to=2026-03-01`)).status, 400);
+    assert.equal((await api('GET', `/api/helmets/${helmetId}/history?from=soon`)).status, 400);
+    assert.equal((await api('GET', '/api/helmets/99999/history')).status, 404);
+});
@@ -0,0 +1,87 @@
+/**
+ * Shared setup for tests on the local database
+ *
+ * Requiring this switches scripts/lib/db.js to DATA_BACKEND=local, in memory,
+ * so require it before anything that loads the data layer. Each test file
+ * runs in its own process and gets its own empty database.
+ */
+
+process.env.DATA_BACKEND = 'local';
+process.env.LOCAL_DB_FILE = ':memory:';
+
+const { getDatabase } = require('../../scripts/lib/db');
+
+const db = getDatabase();
+
+/**
+ * Add a catalog helmet - a regular-design mini unless the fields say otherwise
+ *
+ * @param {string|object} fields - The name (also the player), or helmets columns
+ * @returns {number} - The helmet ID
+ */
+async function createHelmet(fields) {
+    const helmet = typeof fields === 'string' ? { name: fields } : fields;
+    const { data, error } = await db.from('helmets')
+        .insert({
+            player: helmet.name,
+            helmet_type: 'mini',
+            design_type: 'regular',
+            ebay_search_query: helmet.name.toLowerCase(),
+            ...helmet
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+    return data.id;
+}
+
+/**
+ * Add a user directly (no password that logs in - register through the API for that)
+ *
+ * @param {object} fields - Other auth_users columns (full_name, ...)
+ * @returns {string} - The user ID
+ */
+async function createUser(email, fields = {}) {
+    const { data, error } = await db.from('auth_users')
+        .insert({ email, password_hash: 'x', ...fields })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+    return data.id;
+}
+
+/**
+ * Start the API on a free port
+ *
+ * @returns {object} - { baseUrl, api, close } - api(method, url, { body, token })
+ *                     resolves to { status, body } with the JSON body
+ */
+async function startServer() {
+    // Registration without a reCAPTCHA round trip
+    process.env.RECAPTCHA_SECRET_KEY = '';
+
+    const app = require('../../server');
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const api = async (method, url, { body, token } = {}) => {
+        const res = await fetch(baseUrl + url, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    return { baseUrl, api, close: () => server.close() };
+}
+
+module.exports = {
+    db,
+    createHelmet,
+    createUser,
+    startServer
+};
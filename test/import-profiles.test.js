@@ -0,0 +1,140 @@
+/**
+ * Spreadsheet mapping profiles - scripts/lib/import-profiles.js
+ *
+ * The saved profiles in scripts/import-profiles/ are checked against the
+ * retailer-format workbooks in fixtures/spreadsheets/.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XLSX = require('xlsx');
+const {
+    listProfiles,
+    loadProfile,
+    validateProfile,
+    readWithProfile,
+    suggestProfile
+} = require('../scripts/lib/import-profiles');
+
+const SPREADSHEETS_DIR = path.join(__dirname, 'fixtures', 'spreadsheets');
+
+const FIXTURES = {
+    fanatics: 'fanatics-inventory.xls',
+    greatsports: 'greatsports-inventory.xls',
+    signaturesports: 'signaturesports-player-helmets.ods'
+};
+
+function workbook(sheets) {
+    const book = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+        XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), name);
+    }
+    return book;
+}
+
+test('saved profiles are valid', () => {
+    const sources = listProfiles();
+    assert.ok(sources.includes('fanatics'));
+    for (const source of sources) {
+        assert.deepEqual(validateProfile(loadProfile(source)), [], source);
+    }
+});
+
+for (const [source, file] of Object.entries(FIXTURES)) {
+    test(`${source} profile reads its spreadsheet`, () => {
+        const read = readWithProfile(path.join(SPREADSHEETS_DIR, file), loadProfile(source));
+        assert.equal(read.success, true, read.error);
+
+        const rows = read.sheets.flatMap(s => s.rows);
+        assert.ok(rows.length > 0);
+        assert.ok(rows.every(r => r.values.player && r.values.price));
+    });
+}
+
+test('columns: joined, oneOf and by position', () => {
+    const book = workbook({
+        Minis: [
+            ['PlayerLast', 'PlayerFirst', 'Item', 'Description', 'Price'],
+            ['Kittle', 'George', '', 'Slate Mini', 227.5],
+            [],
+            ['Allen', 'Josh', 'Mini Helmet', 'Flash Mini', 99]
+        ]
+    });
+
+    const read = readWithProfile(book, {
+        source: 'test',
+        columns: {
+            player: ['PlayerFirst', 'PlayerLast'],
+            title: { oneOf: ['item', 'Description'] },
+            price: { oneOf: ['Retail', 'Price'] },
+            sku: { column: 'B' }
+        }
+    });
+
+    assert.equal(read.success, true);
+    assert.deepEqual(read.sheets[0].rows.map(r => r.line), [2, 4]);
+    assert.deepEqual(read.sheets[0].rows.map(r => r.values), [
+        { player: 'George Kittle', title: 'Slate Mini', price: 227.5, sku: 'George' },
+        { player: 'Josh Allen', title: 'Mini Helmet', price: 99, sku: 'Josh' }
+    ]);
+});
+
+test('a renamed column fails the whole read', () => {
+    const book = workbook({
+        'Full Size': [['PlayerLast', 'PlayerFirst', 'Team', 'MSRP'], ['Gore', 'Frank', '49ers', 1105]]
+    });
+
+    const read = readWithProfile(book, loadProfile('fanatics'));
+    assert.equal(read.success, false);
+    assert.equal(read.code, 'missing_columns');
+    assert.deepEqual(read.problems, [
+        'Sheet "Full Size": type - missing "Type"',
+        'Sheet "Full Size": title - missing one of "Item", "Description"',
+        'Sheet "Full Size": price - missing one of "Retail", "Price"'
+    ]);
+
+    const noSheets = readWithProfile(book, loadProfile('denverautographs'));
+    assert.equal(noSheets.code, 'missing_sheets');
+});
+
+test('validateProfile', () => {
+    assert.deepEqual(validateProfile({ source: 'x', columns: { player: 'Name', price: 'Price' } }), []);
+    assert.deepEqual(validateProfile({ source: 'x', headerRow: 0, columns: { player: 'Name', cost: 'Cost', price: { column: '5' } } }), [
+        'headerRow: expected a row number from 1',
+        'columns.cost: unknown field (expected player, team, type, design, title, price, sku, url)',
+        'columns.price: "5" is not a column letter'
+    ]);
+    assert.deepEqual(validateProfile({ source: 'x', sheets: { Minis: { columns: { player: 'Name' } } } }), [
+        'sheets.Minis: no column for price'
+    ]);
+});
+
+test('suggestProfile finds the header row and leaves out sheets without prices', () => {
+    const book = workbook({
+        Helmets: [
+            ['Inventory export 12/8'],
+            [],
+            ['SKU', 'First Name', 'Last Name', 'Team', 'Helmet Type', 'SRP', 'Wholesale'],
+            ['RH1', 'Josh', 'Allen', 'Bills', 'Mini', 99, 70]
+        ],
+        Notes: [['Player', 'Comment'], ['Josh Allen', 'restock']]
+    });
+
+    const { profile, sheets } = suggestProfile(book, { source: 'newstore' });
+    assert.deepEqual(profile, {
+        source: 'newstore',
+        sheets: ['Helmets'],
+        headerRow: 3,
+        columns: {
+            player: ['First Name', 'Last Name'],
+            team: 'Team',
+            type: 'Helmet Type',
+            price: 'SRP',
+            sku: 'SKU'
+        }
+    });
+    assert.deepEqual(sheets[0].unmapped, ['Wholesale']);
+    assert.deepEqual(sheets[1].missing, ['price']);
+    assert.equal(readWithProfile(book, profile).sheets[0].rows[0].values.player, 'Josh Allen');
+});
@@ -0,0 +1,101 @@
+/**
+ * Watch-mode import queue - scripts/lib/import-queue.js
+ *
+ * Runs against a temporary imports folder with a fake clock and importFile,
+ * so stability waits and retry backoff don't take real time.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { backoffDelay, createImportQueue } = require('../scripts/lib/import-queue');
+
+function setup(importFile) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'import-queue-'));
+    const clock = { time: 1000000 };
+    const options = { folder, importFile, stableMs: 2000, maxAttempts: 3, backoffMs: 1000, now: () => clock.time };
+    return { folder, clock, options, queue: createImportQueue(options) };
+}
+
+test('imports a file once it stops changing, with a summary', async t => {
+    const imported = [];
+    const { folder, clock, queue } = setup(async file => {
+        imported.push(path.basename(file));
+        return { added: 2, updated: 1, review: 0, skipped: 0, errors: 0, runId: 7, report: { source: 'fanatics' } };
+    });
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    const file = path.join(folder, 'inventory.csv');
+    fs.writeFileSync(file, 'Player,Price\n');
+    assert.deepEqual(await queue.processDue(), []);
+
+    // Still being written: the wait starts over
+    clock.time += 1500;
+    fs.appendFileSync(file, 'Tom Brady,299\n');
+    clock.time += 1500;
+    assert.deepEqual(await queue.processDue(), []);
+
+    clock.time += 2000;
+    const [outcome] = await queue.processDue();
+    assert.equal(outcome.status, 'processed');
+    assert.deepEqual(imported, ['inventory.csv']);
+    assert.equal(fs.existsSync(file), false);
+
+    const summary = JSON.parse(fs.readFileSync(`${outcome.file}.summary.json`, 'utf8'));
+    assert.equal(summary.file, 'inventory.csv');
+    assert.equal(summary.source, 'fanatics');
+    assert.equal(summary.added, 2);
+    assert.equal(summary.runId, 7);
+    assert.equal(summary.report, undefined);
+});
+
+test('retries with backoff, then quarantines with an error report', async t => {
+    let calls = 0;
+    const { folder, clock, options, queue } = setup(async () => {
+        calls++;
+        throw new Error(`Database unavailable (${calls})`);
+    });
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    fs.writeFileSync(path.join(folder, 'greatsports.xls'), 'x');
+    await queue.processDue();
+    clock.time += 2000;
+    assert.equal((await queue.processDue())[0].status, 'retry');
+
+    // Not due until the backoff has passed
+    clock.time += 999;
+    assert.deepEqual(await queue.processDue(), []);
+    clock.time += 1;
+
+    // The queue survives a restart
+    const restarted = createImportQueue(options);
+    assert.equal(restarted.files['greatsports.xls'].attempts, 1);
+    assert.equal((await restarted.processDue())[0].status, 'retry');
+
+    clock.time += backoffDelay(2, 1000);
+    const [outcome] = await restarted.processDue();
+    assert.equal(outcome.status, 'failed');
+    assert.equal(calls, 3);
+    assert.equal(path.dirname(outcome.file), path.join(folder, 'failed'));
+
+    const report = JSON.parse(fs.readFileSync(`${outcome.file}.error.json`, 'utf8'));
+    assert.equal(report.attempts, 3);
+    assert.deepEqual(report.errors.map(e => e.error), [1, 2, 3].map(n => `Database unavailable (${n})`));
+    assert.deepEqual(Object.keys(restarted.files), []);
+});
+
+test('ignores the queue file and unsupported files', async t => {
+    const { folder, queue } = setup(async () => ({}));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    fs.writeFileSync(path.join(folder, 'notes.txt'), 'x');
+    fs.writeFileSync(path.join(folder, 'feed.json'), '[]');
+    assert.deepEqual(queue.scan(), ['feed.json']);
+
+    // .queue.json is a .json file too
+    assert.ok(fs.existsSync(path.join(folder, '.queue.json')));
+    assert.deepEqual(queue.scan(), []);
+    assert.deepEqual(Object.keys(queue.files), ['feed.json']);
+});
@@ -0,0 +1,69 @@
+/**
+ * Import reports and dry runs - scripts/lib/import-report.js, lib/adapter-runner.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = require('./helpers/local-db');
+const { priceMove, createImportReport, summarizeReport } = require('../scripts/lib/import-report');
+const { runAdapter } = require('../scripts/lib/adapter-runner');
+const { getAdapter } = require('../scripts/adapters');
+
+async function count(table) {
+    const { count: rows } = await db.from(table).select('*', { count: 'exact', head: true });
+    return rows;
+}
+
+test('priceMove', () => {
+    assert.deepEqual(priceMove(200, 250), { change: 50, percent: 25 });
+    assert.deepEqual(priceMove(329.99, 299.99), { change: -30, percent: -9.1 });
+    assert.deepEqual(priceMove(null, 100), { change: null, percent: null });
+});
+
+test('report sections and summary', () => {
+    const collector = createImportReport({ source: 'rsa', dryRun: true });
+    const helmet = { id: 1, name: 'Mahomes Mini', player: 'Patrick Mahomes', team: 'Chiefs', helmet_type: 'mini' };
+
+    collector.newHelmet({ player: 'Josh Allen', team: 'Bills', helmetType: 'mini', price: 249 });
+    collector.price(helmet, 300, 250);
+    collector.price({ ...helmet, id: 2 }, 100, 100);
+    collector.price({ ...helmet, id: 3 }, 100, null);
+    collector.unmatched({ player: 'Patrick Mahomes' }, { reason: 'ambiguous', candidates: [{ helmet, score: 0.9 }] });
+    collector.skipped('No valid price', { player: 'x' });
+
+    const { report } = collector;
+    assert.equal(report.prices[0].percent, 20);
+    assert.deepEqual(report.prices.map(p => p.status), ['changed', 'unchanged', 'first']);
+    assert.deepEqual(report.unmatched[0].candidates, [{ helmetId: 1, helmet: 'Mahomes Mini', score: 0.9 }]);
+    assert.deepEqual(summarizeReport(report), {
+        newHelmets: 1,
+        priceChanges: 1,
+        unchangedPrices: 1,
+        firstPrices: 1,
+        unmatched: 1,
+        skipped: 1,
+        errors: 0
+    });
+});
+
+test('a dry run reports the import without writing', async t => {
+    t.mock.method(console, 'log', () => {});
+    const adapter = getAdapter('rsa');
+
+    const dry = await runAdapter(adapter, { fixtures: true, dryRun: true });
+    assert.equal(await count('helmets'), 0);
+    assert.equal(await count('helmet_prices'), 0);
+    assert.equal(dry.report.newHelmets.length, dry.added);
+    assert.ok(dry.report.skipped.length > 0);
+
+    const real = await runAdapter(adapter, { fixtures: true });
+    assert.equal(real.added, dry.added);
+    assert.equal(await count('helmets'), dry.added);
+
+    // Same prices again: matched, nothing moved
+    const again = await runAdapter(adapter, { fixtures: true, dryRun: true });
+    assert.equal(again.report.newHelmets.length, 0);
+    assert.ok(again.report.prices.length > 0);
+    assert.ok(again.report.prices.every(p => p.status === 'unchanged'));
+    assert.equal(await count('helmet_prices'), real.pricesUpdated);
+});
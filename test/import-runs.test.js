@@ -0,0 +1,87 @@
+/**
+ * Import run ledger and rollback - scripts/lib/import-runs.js
+ */
+
+process.env.IMPORT_TRIGGERED_BY = 'test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = require('./helpers/local-db');
+const { runAdapter } = require('../scripts/lib/adapter-runner');
+const { getAdapter } = require('../scripts/adapters');
+const { listImportRuns, rollbackImportRun } = require('../scripts/lib/import-runs');
+
+async function count(table, runId) {
+    let query = db.from(table).select('*', { count: 'exact', head: true });
+    if (runId) query = query.eq('import_run_id', runId);
+    const { count: rows } = await query;
+    return rows;
+}
+
+test('imports are recorded and tagged, and roll back in reverse', async t => {
+    t.mock.method(console, 'log', () => {});
+    const adapter = getAdapter('rsa');
+
+    const first = await runAdapter(adapter, { fixtures: true });
+    const second = await runAdapter(adapter, { fixtures: true });
+
+    const runs = await listImportRuns();
+    assert.deepEqual(runs.map(r => r.id), [second.runId, first.runId]);
+    assert.equal(runs[1].status, 'completed');
+    assert.equal(runs[1].triggered_by, 'test');
+    assert.equal(runs[1].counts.added, first.added);
+    assert.equal(runs[0].checksum, runs[1].checksum);
+
+    assert.equal(await count('helmets', first.runId), first.added);
+    assert.equal(await count('helmet_prices', first.runId), first.pricesUpdated);
+    assert.equal(await count('helmet_prices', second.runId), second.pricesUpdated);
+
+    // The second run priced the first run's helmets
+    const blocked = await rollbackImportRun(first.runId);
+    assert.equal(blocked.code, 'conflict');
+
+    const preview = await rollbackImportRun(second.runId, { dryRun: true });
+    assert.equal(preview.pricesDeleted, second.pricesUpdated);
+    assert.equal(await count('helmet_prices', second.runId), second.pricesUpdated);
+
+    const undone = await rollbackImportRun(second.runId);
+    assert.equal(undone.success, true);
+    assert.equal(undone.helmetsDeleted, 0);
+    assert.equal(await count('helmet_prices', second.runId), 0);
+    assert.equal((await rollbackImportRun(second.runId)).code, 'invalid');
+
+    const all = await rollbackImportRun(first.runId);
+    assert.equal(all.helmetsDeleted, first.added);
+    assert.equal(await count('helmets'), 0);
+    assert.equal(await count('helmet_prices'), 0);
+    assert.deepEqual((await listImportRuns()).map(r => r.status), ['rolled_back', 'rolled_back']);
+});
+
+test('rolling back repriced helmets restores current_price', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { upsertPrice } = require('../scripts/lib/price-utils');
+    const { startImportRun, finishImportRun } = require('../scripts/lib/import-runs');
+
+    const { data: helmet } = await db.from('helmets')
+        .insert({ name: 'Josh Allen Bills Mini', player: 'Josh Allen', team: 'Bills', helmet_type: 'mini', design_type: 'regular', ebay_search_query: 'josh allen bills mini' })
+        .select()
+        .single();
+    await upsertPrice(helmet.id, 'rsa', 200);
+
+    const { run } = await startImportRun({ source: 'rsa', input: 'bad.xlsx' });
+    await upsertPrice(helmet.id, 'rsa', 2000, { importRunId: run.id });
+    assert.equal((await db.from('helmets').select('current_price').eq('id', helmet.id).single()).data.current_price, 2000);
+
+    // Still marked running - a crashed import needs --force
+    assert.equal((await rollbackImportRun(run.id)).code, 'conflict');
+    await finishImportRun(run.id, { counts: { updated: 1 } });
+
+    const result = await rollbackImportRun(run.id);
+    assert.equal(result.helmetsRepriced, 1);
+    assert.equal((await db.from('helmets').select('current_price').eq('id', helmet.id).single()).data.current_price, 200);
+});
+
+test('rollback rejects unknown runs', async () => {
+    assert.equal((await rollbackImportRun(9999)).code, 'not_found');
+    assert.equal((await rollbackImportRun('abc')).code, 'invalid');
+});
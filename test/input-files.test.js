@@ -0,0 +1,108 @@
+/**
+ * Import input files - scripts/lib/input-files.js
+ *
+ * CSV exports and JSON feeds are read into the same workbook shape as
+ * spreadsheets, then through the mapping profiles.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const {
+    inputFormat,
+    decodeText,
+    detectDelimiter,
+    parseCsv,
+    flattenRecord,
+    readInput
+} = require('../scripts/lib/input-files');
+const { loadProfile, readWithProfile } = require('../scripts/lib/import-profiles');
+
+function rows(workbook) {
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null });
+}
+
+test('inputFormat', () => {
+    assert.equal(inputFormat('Inventory 12-8-25.xls'), 'spreadsheet');
+    assert.equal(inputFormat('export.CSV'), 'csv');
+    assert.equal(inputFormat('feed.jsonl'), 'ndjson');
+    assert.equal(inputFormat('notes.txt'), null);
+});
+
+test('decodeText detects the encoding', () => {
+    assert.deepEqual(decodeText(Buffer.from('\uFEFFSeñor', 'utf8')), { text: 'Señor', encoding: 'utf-8' });
+    assert.deepEqual(decodeText(Buffer.from('Señor', 'utf8')), { text: 'Señor', encoding: 'utf-8' });
+    assert.deepEqual(decodeText(Buffer.from([0x53, 0x65, 0xf1, 0x6f, 0x72])), { text: 'Señor', encoding: 'windows-1252' });
+    assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('a,b', 'utf16le')])), { text: 'a,b', encoding: 'utf-16le' });
+    assert.equal(decodeText(Buffer.from('player,team\nJosh Allen,Bills', 'utf16le')).encoding, 'utf-16le');
+});
+
+test('detectDelimiter', () => {
+    assert.equal(detectDelimiter('player,team,price\nJosh Allen,Bills,99'), ',');
+    assert.equal(detectDelimiter('player;team;price\n"Allen, Josh";Bills;99,50'), ';');
+    assert.equal(detectDelimiter('player\tteam\tprice\nJosh Allen\tBills\t$1,299'), '\t');
+    assert.equal(detectDelimiter('player|team\nJosh Allen|Bills'), '|');
+});
+
+test('parseCsv handles quoting', () => {
+    assert.deepEqual(parseCsv('a,b,c\r\n"Allen, Josh","say ""hi""","two\nlines"\n\nx,,z'), [
+        ['a', 'b', 'c'],
+        ['Allen, Josh', 'say "hi"', 'two\nlines'],
+        [''],
+        ['x', '', 'z']
+    ]);
+});
+
+test('a CSV export reads through a spreadsheet profile', () => {
+    const csv = 'player;team;helmet_type;design_type;Price\r\nAHMAD SAUCE GARDNER;New York Jets;Mini Helmet;Lunar;$119.00\r\n';
+    const workbook = readInput(Buffer.from(csv), 'csv', 'player_helmets');
+
+    assert.equal(workbook.delimiter, ';');
+    assert.deepEqual(workbook.SheetNames, ['player_helmets']);
+
+    const read = readWithProfile(workbook, loadProfile('signaturesports'));
+    assert.equal(read.success, true);
+    assert.deepEqual(read.sheets[0].rows[0].values, {
+        player: 'AHMAD SAUCE GARDNER',
+        team: 'New York Jets',
+        type: 'Mini Helmet',
+        design: 'Lunar',
+        price: '$119.00'
+    });
+});
+
+test('JSON feeds become rows keyed by flattened paths', () => {
+    assert.deepEqual(flattenRecord({ title: 'x', price: { amount: 5 }, variants: [{ sku: 'A' }] }), {
+        title: 'x',
+        'price.amount': 5,
+        'variants.0.sku': 'A'
+    });
+
+    const feed = {
+        meta: { count: 2 },
+        products: [
+            { title: 'Josh Allen Mini', variants: [{ price: '129.99' }] },
+            { title: 'Joe Burrow Mini', url: 'https://example.com/p/2', variants: [{ price: '159.99' }] }
+        ]
+    };
+    const workbook = readInput(Buffer.from(JSON.stringify(feed)), 'json', 'feed');
+    assert.deepEqual(workbook.SheetNames, ['products']);
+    assert.deepEqual(rows(workbook), [
+        ['title', 'variants.0.price', 'url'],
+        ['Josh Allen Mini', '129.99', null],
+        ['Joe Burrow Mini', '159.99', 'https://example.com/p/2']
+    ]);
+});
+
+test('NDJSON reads one record per line and names a bad line', () => {
+    const ndjson = '{"player":"Joe Burrow","price":159}\n\n{"player":"Ja\'Marr Chase","price":139}\n';
+    assert.deepEqual(rows(readInput(Buffer.from(ndjson), 'ndjson')), [
+        ['player', 'price'],
+        ['Joe Burrow', 159],
+        ["Ja'Marr Chase", 139]
+    ]);
+
+    assert.throws(() => readInput(Buffer.from('{"player":"x"}\n{"player":'), 'ndjson'), /line 2/);
+    assert.throws(() => readInput(Buffer.from('{"player":'), 'json'), /Invalid JSON/);
+});
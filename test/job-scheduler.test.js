@@ -0,0 +1,121 @@
+/**
+ * Scheduled jobs - scripts/lib/job-scheduler.js and scripts/lib/job-runs.js
+ *
+ * Jobs run real child processes: small scripts written to a temp folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { db } = require('./helpers/local-db');
+const { listJobs, nextRun, runJob, startScheduler, jobStatus } = require('../scripts/lib/job-scheduler');
+const { listJobRuns } = require('../scripts/lib/job-runs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function job(name, source) {
+    const script = path.join(dir, `${name}.js`);
+    fs.writeFileSync(script, source);
+    return { name, description: name, script, args: [], schedule: '0 3 * * *', timeoutMinutes: 1, enabled: true };
+}
+
+const quiet = () => {};
+
+test('schedules come from the environment', () => {
+    const jobs = listJobs({ JOB_SCHEDULE_IMPORT_RSA: '15 2 * * *', JOB_SCHEDULE_IMPORT_RADTKE: 'off' });
+    const byName = Object.fromEntries(jobs.map(j => [j.name, j]));
+
+    assert.equal(byName['import-rsa'].schedule, '15 2 * * *');
+    assert.equal(byName['import-radtke'].enabled, false);
+    assert.equal(byName['import-all'].enabled, false);
+    assert.throws(() => listJobs({ JOB_SCHEDULE_IMPORT_RSA: '* * *' }), /JOB_SCHEDULE_IMPORT_RSA/);
+});
+
+test('the server\'s scheduler leaves out what it can\'t schedule; the worker stops on it', () => {
+    const logged = [];
+    const env = { JOB_SCHEDULE_IMPORT_RSA: 'every day', JOB_SCHEDULE_IMPORT_RADTKE: 'off' };
+
+    const { jobs, stop } = startScheduler({ env, timezone: 'UTC', log: line => logged.push(line) });
+    stop();
+    assert.equal(jobs.some(j => j.name === 'import-rsa' || j.name === 'import-radtke'), false);
+    assert.equal(jobs.some(j => j.name === 'import-denverautographs-web'), true);
+    assert.match(logged[0], /Invalid schedule for import-rsa/);
+    assert.throws(() => startScheduler({ env, strict: true, log: quiet }), /JOB_SCHEDULE_IMPORT_RSA/);
+
+    const zoned = startScheduler({ env: {}, timezone: 'Mars/Olympus', log: line => logged.push(line) });
+    assert.deepEqual(zoned.jobs, []);
+    assert.match(logged[logged.length - 1], /Invalid JOBS_TIMEZONE/);
+    assert.throws(() => startScheduler({ env: {}, timezone: 'Mars/Olympus', strict: true }), /JOBS_TIMEZONE/);
+});
+
+test('next run after a time', () => {
+    const from = new Date('2026-03-02T10:15:30Z');
+    assert.equal(nextRun('30 10 * * *', from, 'UTC').toISOString(), '2026-03-02T10:30:00.000Z');
+    assert.equal(nextRun('0 4 * * 1', from, 'UTC').toISOString(), '2026-03-09T04:00:00.000Z');
+    assert.equal(nextRun('0 5 1 * *', from, 'UTC').toISOString(), '2026-04-01T05:00:00.000Z');
+    assert.equal(nextRun(null, from), null);
+
+    // Names, ranges and steps; a time skipped by a DST change; a date that never comes
+    assert.equal(nextRun('*/20 9-17 * * mon-fri', new Date('2026-03-06T17:45:00Z'), 'UTC').toISOString(), '2026-03-09T09:00:00.000Z');
+    assert.equal(nextRun('30 2 * * *', new Date('2026-03-08T05:00:00Z'), 'America/New_York').toISOString(), '2026-03-09T06:30:00.000Z');
+    assert.equal(nextRun('0 0 31 2 *', from, 'UTC'), null);
+});
+
+test('runs a job and records its outcome and output', async () => {
+    const ok = await runJob(job('ok-job', 'console.log("imported 3 helmets")'), { log: quiet });
+    assert.equal(ok.status, 'succeeded');
+
+    const failed = await runJob(job('bad-job', 'console.error("no network"); process.exit(2)'), { log: quiet });
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.exitCode, 2);
+
+    const [okRun] = await listJobRuns({ job: 'ok-job' });
+    assert.equal(okRun.status, 'succeeded');
+    assert.equal(okRun.output, 'imported 3 helmets');
+    assert.ok(okRun.duration_ms >= 0);
+
+    const [badRun] = await listJobRuns({ job: 'bad-job' });
+    assert.equal(badRun.error, 'Exited with code 2');
+    assert.equal(badRun.output, 'no network');
+});
+
+test('a running job is not started twice; an abandoned one is', async () => {
+    const locked = job('locked-job', '');
+    const { data: holder } = await db
+        .from('job_runs')
+        .insert({ job_name: 'locked-job', status: 'running', host: 'other-worker' })
+        .select('id')
+        .single();
+
+    const skipped = await runJob(locked, { log: quiet });
+    assert.equal(skipped.status, 'skipped');
+    assert.match(skipped.error, /other-worker/);
+
+    // Older than the job's timeout: the holder crashed
+    await db
+        .from('job_runs')
+        .update({ started_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() })
+        .eq('id', holder.id);
+
+    assert.equal((await runJob(locked, { log: quiet })).status, 'succeeded');
+    const runs = await listJobRuns({ job: 'locked-job' });
+    assert.deepEqual(runs.map(r => r.status).sort(), ['failed', 'skipped', 'succeeded']);
+    assert.match(runs.find(r => r.id === holder.id).error, /Abandoned/);
+});
+
+test('job status shows the last finished run', async () => {
+    await db.from('job_runs').insert([
+        { job_name: 'import-rsa', status: 'failed', finished_at: new Date().toISOString(), duration_ms: 900, error: 'Exited with code 1' },
+        { job_name: 'import-rsa', status: 'skipped', finished_at: new Date().toISOString(), duration_ms: 0 }
+    ]);
+
+    const jobs = await jobStatus({ history: 5 });
+    const rsa = jobs.find(j => j.name === 'import-rsa');
+    assert.equal(rsa.lastRun.status, 'failed');
+    assert.equal(rsa.recentRuns.length, 2);
+    assert.equal(rsa.running, null);
+    assert.equal(rsa.command, 'node scripts/import.js rsa');
+});
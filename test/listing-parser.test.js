@@ -0,0 +1,66 @@
+/**
+ * Listing title parser - scripts/lib/listing-parser.js
+ *
+ * Titles live in fixtures/listing-titles.json with the fields we expect back;
+ * add the title that broke when a retailer changes its wording.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    cleanPlayerName,
+    normalizePlayerName,
+    titleCaseName,
+    validatePrice,
+    parseListingTitle
+} = require('../scripts/lib/listing-parser');
+
+const TITLES = require('./fixtures/listing-titles.json');
+
+test('parseListingTitle', async t => {
+    for (const { title, options, expected } of TITLES) {
+        await t.test(title, () => {
+            const parsed = parseListingTitle(title, options);
+            for (const [field, value] of Object.entries(expected)) {
+                assert.deepEqual(parsed[field], value, `${field} of "${title}"`);
+            }
+        });
+    }
+});
+
+test('cleanPlayerName strips product words and rejects non-names', () => {
+    assert.equal(cleanPlayerName('Patrick Mahomes Autographed'), 'Patrick Mahomes');
+    assert.equal(cleanPlayerName('  Josh   Allen  '), 'Josh Allen');
+    assert.equal(cleanPlayerName('Odell Beckham Jr. Mini'), 'Odell Beckham Jr.');
+    assert.equal(cleanPlayerName('Mahomes'), null);
+    assert.equal(cleanPlayerName('signed helmet'), null);
+    assert.equal(cleanPlayerName(''), null);
+    assert.equal(cleanPlayerName(null), null);
+});
+
+test('normalizePlayerName flips "Last, First"', () => {
+    assert.equal(normalizePlayerName('Mahomes, Patrick'), 'Patrick Mahomes');
+    assert.equal(normalizePlayerName(' Josh Allen '), 'Josh Allen');
+    assert.equal(normalizePlayerName('Jr., Odell Beckham, Extra'), 'Jr., Odell Beckham, Extra');
+    assert.equal(normalizePlayerName(null), '');
+});
+
+test('titleCaseName', () => {
+    assert.equal(titleCaseName('PATRICK MAHOMES'), 'Patrick Mahomes');
+    assert.equal(titleCaseName('aidan  hutchinson'), 'Aidan Hutchinson');
+    assert.equal(titleCaseName('AMON-RA ST. BROWN'), 'Amon-Ra St. Brown');
+    assert.equal(titleCaseName("JA'MARR CHASE"), "Ja'Marr Chase");
+    assert.equal(titleCaseName(''), '');
+});
+
+test('validatePrice accepts numbers and price strings', () => {
+    assert.equal(validatePrice(119), 119);
+    assert.equal(validatePrice('$1,234.567'), 1234.57);
+    assert.equal(validatePrice('$119.00'), 119);
+    assert.equal(validatePrice(0), null);
+    assert.equal(validatePrice(-5), null);
+    assert.equal(validatePrice(75000), null);
+    assert.equal(validatePrice('Call'), null);
+    assert.equal(validatePrice(null), null);
+    assert.equal(validatePrice(undefined), null);
+});
@@ -0,0 +1,166 @@
+/**
+ * Local database - scripts/lib/local-db.js
+ *
+ * Runs against the schema built from supabase/migrations, so a migration
+ * that the local backend can't follow shows up here.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDatabase } = require('../scripts/lib/local-db');
+const { loadSchema } = require('../scripts/lib/local-schema');
+
+const schema = loadSchema();
+
+function open() {
+    return createLocalDatabase({ file: ':memory:', schema });
+}
+
+async function addHelmet(db, fields = {}) {
+    const { data, error } = await db.from('helmets').insert({
+        name: 'Patrick Mahomes Chiefs Mini Helmet',
+        player: 'Patrick Mahomes',
+        team: 'chiefs',
+        helmet_type: 'mini',
+        design_type: 'regular',
+        ebay_search_query: `query ${Math.random()}`,
+        ...fields
+    }).select().single();
+    assert.equal(error, null);
+    return data;
+}
+
+test('schema comes from the migrations', () => {
+    assert.ok(schema.migrations.length > 0);
+    assert.ok(schema.tables.helmets.columns.current_price);
+    assert.equal(schema.tables.auth_users.columns.purchased_slots.default.value, 0);
+    assert.ok(schema.tables.helmet_prices.foreignKeys.some(fk => fk.table === 'helmets' && fk.onDelete === 'CASCADE'));
+});
+
+test('inserts apply defaults and the helmet triggers', async () => {
+    const db = open();
+    const helmet = await addHelmet(db);
+
+    assert.equal(helmet.id, 1);
+    assert.equal(helmet.is_active, true);
+    assert.equal(helmet.team, 'Chiefs');
+    assert.ok(helmet.team_id);
+    assert.ok(helmet.created_at);
+
+    const { data: player } = await db.from('players').select('id, name').eq('id', helmet.player_id).single();
+    assert.equal(player.name, 'Patrick Mahomes');
+});
+
+test('constraints return Postgres error codes', async () => {
+    const db = open();
+    await addHelmet(db, { ebay_search_query: 'mahomes mini' });
+
+    const duplicate = await db.from('helmets').insert({ name: 'x', player: 'x y', helmet_type: 'mini', ebay_search_query: 'mahomes mini' });
+    assert.equal(duplicate.error.code, '23505');
+
+    const badType = await db.from('helmets').insert({ name: 'x', player: 'x y', helmet_type: 'bogus', ebay_search_query: 'x' });
+    assert.equal(badType.error.code, '23514');
+
+    const { data: user } = await db.from('auth_users').insert({ email: 'pat@example.com', password_hash: 'x' }).select('id').single();
+    const noQuantity = await db.from('watchlist_items').insert({ user_id: user.id, card_id: '1', name: 'x', quantity: 0 });
+    assert.equal(noQuantity.error.code, '23514');
+
+    const missing = await db.from('helmets').insert({ name: 'x' });
+    assert.equal(missing.error.code, '23502');
+
+    const orphan = await db.from('helmet_prices').insert({ helmet_id: 999, source: 'ebay', median_price: 10 });
+    assert.equal(orphan.error.code, '23503');
+
+    const unknown = await db.from('helmets').select('nope');
+    assert.equal(unknown.error.code, '42703');
+
+    const single = await db.from('helmets').select('*').eq('id', 999).single();
+    assert.equal(single.error.code, 'PGRST116');
+});
+
+test('a failed multi-row insert writes nothing', async () => {
+    const db = open();
+    const helmet = await addHelmet(db);
+
+    const { error } = await db.from('helmet_prices').insert([
+        { helmet_id: helmet.id, source: 'ebay', median_price: 10 },
+        { helmet_id: 999, source: 'ebay', median_price: 10 }
+    ]);
+    assert.equal(error.code, '23503');
+
+    const { count } = await db.from('helmet_prices').select('*', { count: 'exact', head: true });
+    assert.equal(count, 0);
+});
+
+test('filters, ordering, paging and text search', async () => {
+    const db = open();
+    await addHelmet(db);
+    await addHelmet(db, { name: 'Josh Allen Bills Mini Helmet', player: 'Josh Allen', team: 'bills' });
+    await addHelmet(db, { name: 'Josh Allen Bills Full Size', player: 'Josh Allen', team: 'bills', helmet_type: 'fullsize-replica', is_active: false });
+
+    const { data: allen } = await db.from('helmets').select('name').eq('player', 'Josh Allen').order('name', { ascending: false });
+    assert.deepEqual(allen.map(h => h.name), ['Josh Allen Bills Mini Helmet', 'Josh Allen Bills Full Size']);
+
+    const { data: either } = await db.from('helmets').select('id').or('name.ilike.%chiefs%,player.in.("Josh Allen")').eq('is_active', true);
+    assert.deepEqual(either.map(h => h.id), [1, 2]);
+
+    const { data: search } = await db.from('helmets').select('id').textSearch('search_vector', 'jos:* & mini:*');
+    assert.deepEqual(search.map(h => h.id), [2]);
+
+    const { data: page, count } = await db.from('helmets').select('id', { count: 'exact' }).order('id').range(1, 1);
+    assert.deepEqual(page, [{ id: 2 }]);
+    assert.equal(count, 3);
+});
+
+test('embeds, views and ON DELETE CASCADE', async () => {
+    const db = open();
+    const helmet = await addHelmet(db);
+    await db.from('helmet_prices').insert([
+        { helmet_id: helmet.id, source: 'rsa', median_price: 100, scraped_at: '2026-01-01T00:00:00Z' },
+        { helmet_id: helmet.id, source: 'rsa', median_price: 120, scraped_at: '2026-02-01T00:00:00Z' },
+        { helmet_id: helmet.id, source: 'radtke', median_price: 140, scraped_at: '2026-02-01T00:00:00Z' }
+    ]);
+
+    const { data: prices } = await db.from('helmet_prices').select('median_price, helmets(player)').eq('source', 'radtke');
+    assert.deepEqual(prices, [{ median_price: 140, helmets: { player: 'Patrick Mahomes' } }]);
+
+    const { data: latest } = await db.from('helmet_latest_source_prices').select('source, median_price').order('source');
+    assert.deepEqual(latest, [{ source: 'radtke', median_price: 140 }, { source: 'rsa', median_price: 120 }]);
+
+    const { data: summary } = await db.from('helmet_latest_prices').select('current_price').single();
+    assert.equal(summary.current_price, 130);
+
+    await db.from('helmets').delete().eq('id', helmet.id);
+    const { count } = await db.from('helmet_prices').select('*', { count: 'exact', head: true });
+    assert.equal(count, 0);
+});
+
+test('upsert updates on conflict or skips duplicates', async () => {
+    const db = open();
+    const { data: user } = await db.from('auth_users').insert({ email: 'a@example.com', password_hash: 'x' }).select().single();
+
+    await db.from('auth_user_watchlists').upsert({ user_id: user.id, watchlist_data: [{ id: 1 }] }, { onConflict: 'user_id' });
+    await db.from('auth_user_watchlists').upsert({ user_id: user.id, watchlist_data: [{ id: 2 }] }, { onConflict: 'user_id' });
+    await db.from('auth_user_watchlists').upsert({ user_id: user.id, watchlist_data: [{ id: 3 }] }, { onConflict: 'user_id', ignoreDuplicates: true });
+
+    const { data } = await db.from('auth_user_watchlists').select('watchlist_data');
+    assert.deepEqual(data, [{ watchlist_data: [{ id: 2 }] }]);
+});
+
+test('data persists to the database file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'local-db-')), 'db.json');
+    try {
+        const first = createLocalDatabase({ file, schema });
+        await addHelmet(first);
+        first.flush();
+
+        const second = createLocalDatabase({ file, schema });
+        const { data } = await second.from('helmets').select('player');
+        assert.deepEqual(data, [{ player: 'Patrick Mahomes' }]);
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
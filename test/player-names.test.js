@@ -0,0 +1,49 @@
+/**
+ * Player name matching - scripts/lib/player-names.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeName,
+    nameInitials,
+    editDistance,
+    scorePlayerMatch,
+    correctPlayerName
+} = require('../scripts/lib/player-names');
+
+test('names compare without case, accents or punctuation', () => {
+    assert.equal(normalizeName('  Amon-Ra St. Brown '), 'amon ra st brown');
+    assert.equal(normalizeName('Le\u0301Veon BELL'), 'leveon bell');
+    assert.equal(nameInitials('Jaxon Smith-Njigba'), 'jsn');
+    assert.equal(editDistance('mahomes', 'mahomez'), 1);
+    // A transposition is one edit
+    assert.equal(editDistance('kelce', 'kecle'), 1);
+});
+
+test('how a query matches a player', () => {
+    const mahomes = 'Patrick Mahomes';
+    assert.equal(scorePlayerMatch('patrick mahomes', mahomes), 1);
+    assert.equal(scorePlayerMatch('patrick', mahomes), 0.9);
+    assert.equal(scorePlayerMatch('mahomes', mahomes), 0.85);
+    assert.equal(scorePlayerMatch('PM', mahomes), 0.8);
+    assert.equal(scorePlayerMatch('maho', mahomes), 0.75);
+
+    // Nicknames through the player's aliases; initials without one
+    assert.equal(scorePlayerMatch('Megatron', 'Calvin Johnson', ['Megatron']), 0.95);
+    assert.equal(scorePlayerMatch('mega', 'Calvin Johnson', ['Megatron']), 0.7);
+    assert.equal(scorePlayerMatch('jsn', 'Jaxon Smith-Njigba'), 0.8);
+
+    // Typos score below every exact kind of match, and only when close enough
+    const typo = scorePlayerMatch('mahomez', mahomes);
+    assert.ok(typo > 0 && typo < 0.7, `mahomez scored ${typo}`);
+    assert.ok(scorePlayerMatch('Patrik Mahomes', mahomes) > typo);
+    assert.equal(scorePlayerMatch('mahomez', 'Josh Allen'), 0);
+    assert.equal(scorePlayerMatch('xyz', mahomes), 0);
+});
+
+test('name corrections', () => {
+    assert.equal(correctPlayerName('Sam La'), 'Sam LaPorta');
+    assert.equal(correctPlayerName('NOTRE DAME'), null);
+    assert.equal(correctPlayerName('Josh Allen'), undefined);
+});
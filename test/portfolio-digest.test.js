@@ -0,0 +1,114 @@
+/**
+ * Weekly portfolio digest - scripts/lib/portfolio-digest.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHelmet, createUser, startServer } = require('./helpers/local-db');
+const { upsertPrice } = require('../scripts/lib/price-utils');
+const { replaceWatchlist } = require('../scripts/lib/watchlist-items');
+const { updateDigestSettings, isDigestDue, buildDigest, previewDigest, sendDueDigests } = require('../scripts/lib/portfolio-digest');
+
+const DAY = 24 * 60 * 60 * 1000;
+// A Monday, 10:00 in New York
+const now = new Date('2026-03-09T14:00:00Z');
+const daysAgo = days => ({ scrapedAt: new Date(now.getTime() - days * DAY).toISOString() });
+
+let userId;
+
+test.before(async () => {
+    const mahomes = await createHelmet({ name: 'Patrick Mahomes Mini Helmet', player: 'Patrick Mahomes' });
+    const allen = await createHelmet({ name: 'Josh Allen Mini Helmet', player: 'Josh Allen' });
+    const fullSize = await createHelmet({ name: 'Patrick Mahomes Full Size Helmet', player: 'Patrick Mahomes' });
+
+    await upsertPrice(mahomes, 'rsa', 400, daysAgo(10));
+    await upsertPrice(mahomes, 'rsa', 460, daysAgo(1));
+    await upsertPrice(allen, 'rsa', 300, daysAgo(60));
+    await upsertPrice(fullSize, 'radtke', 900, daysAgo(2));
+
+    userId = await createUser('collector@example.com', { full_name: 'Sam <Collector>' });
+
+    await replaceWatchlist(userId, [
+        { id: 1, name: 'Mahomes Mini', helmetId: mahomes, costBasis: 350 },
+        { id: 2, name: 'Allen Mini', helmetId: allen, costBasis: 250 },
+        { id: 3, name: 'Custom eBay search', currentPrice: 100, costBasis: null }
+    ]);
+});
+
+test('adds up the portfolio like the dashboard and finds movers, new listings and stale cards', async () => {
+    const digest = await buildDigest(userId, { now });
+
+    assert.equal(digest.cardCount, 3);
+    assert.equal(digest.portfolio.value, 860);
+    assert.equal(digest.portfolio.cost, 600);
+    assert.equal(digest.portfolio.profit, 260);
+    assert.equal(digest.portfolio.weekChange, 60);
+
+    assert.deepEqual(digest.movers.map(c => [c.name, c.previousPrice, c.price]), [['Mahomes Mini', 400, 460]]);
+    // RSA already carried the mini before this week, so only the full-size counts
+    assert.deepEqual(digest.newListings.map(l => [l.name, l.source, l.price, l.watched]), [
+        ['Patrick Mahomes Full Size Helmet', 'radtke', 900, false]
+    ]);
+    assert.deepEqual(digest.stale.map(c => c.name), ['Allen Mini']);
+});
+
+test('renders HTML and plain text', async () => {
+    const { subject, html, text } = await previewDigest(userId, { now });
+
+    assert.equal(subject, 'Your HelmetPulse week: $860 (+43.3%)');
+    assert.match(text, /Profit: \+\$260 \(\+43\.3%\)/);
+    assert.match(text, /- Mahomes Mini: \$460 \(\+\$60, \+15\.0%\)/);
+    assert.match(text, /- Allen Mini: last priced 2026-01-08/);
+    assert.match(html, /Hi Sam &lt;Collector&gt;/);
+    assert.match(html, /list=digest/);
+});
+
+test('sends once a week at the chosen local time', async () => {
+    assert.deepEqual((await updateDigestSettings(userId, { timezone: 'Mars/Olympus' })).code, 'invalid');
+    const { settings } = await updateDigestSettings(userId, { enabled: true, day: 1, hour: 9, timezone: 'America/New_York' });
+    assert.equal(settings.enabled, true);
+
+    const sent = [];
+    const send = async message => {
+        sent.push(message);
+        return { success: true, method: 'test' };
+    };
+
+    assert.equal((await sendDueDigests({ now: new Date('2026-03-09T12:30:00Z'), send })).due, 0);
+    assert.equal((await sendDueDigests({ now, send })).sent, 1);
+    assert.equal((await sendDueDigests({ now: new Date(now.getTime() + 60 * 60 * 1000), send })).due, 0);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'collector@example.com');
+    assert.match(sent[0].text, /BIGGEST MOVERS/);
+    assert.match(sent[0].headers['List-Unsubscribe'], /token=\w+&list=digest/);
+
+    // The next Monday it's due again; a day late still counts, two days late doesn't
+    const user = { digest_enabled: true, digest_day: 1, digest_hour: 9, digest_timezone: 'America/New_York', digest_last_sent_at: now.toISOString() };
+    assert.equal(isDigestDue(user, new Date(now.getTime() + 7 * DAY)), true);
+    assert.equal(isDigestDue(user, new Date(now.getTime() + 8 * DAY - 2 * 60 * 60 * 1000)), true);
+    assert.equal(isDigestDue(user, new Date(now.getTime() + 9 * DAY)), false);
+});
+
+test('opt in to the weekly digest and preview it', async t => {
+    const { api, baseUrl, close } = await startServer();
+    t.after(close);
+
+    const credentials = { email: 'digest@example.com', password: 'correct horse', captchaToken: 'local' };
+    await api('POST', '/api/auth/register', { body: credentials });
+    const { token } = (await api('POST', '/api/auth/login', { body: credentials })).body;
+
+    assert.equal((await api('GET', '/api/digest/settings', { token })).body.enabled, false);
+    assert.equal((await api('PUT', '/api/digest/settings', { token, body: { hour: 25 } })).status, 400);
+    const saved = await api('PUT', '/api/digest/settings', { token, body: { enabled: true, day: 5, timezone: 'Europe/London' } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual([saved.body.enabled, saved.body.day, saved.body.hour, saved.body.timezone], [true, 5, 8, 'Europe/London']);
+
+    await api('POST', '/api/watchlist/add', { token, body: { card: { id: 1, name: 'Josh Allen Mini', currentPrice: 400, costBasis: 300 } } });
+    const { body } = await api('GET', '/api/digest/preview?format=json', { token });
+    assert.equal(body.digest.portfolio.value, 400);
+    assert.equal(body.digest.portfolio.profit, 100);
+
+    const text = await (await fetch(`${baseUrl}/api/digest/preview?format=text`, { headers: { Authorization: `Bearer ${token}` } })).text();
+    assert.match(text, /^Subject: Your HelmetPulse week: \$400/);
+    assert.equal((await api('GET', '/api/digest/preview?email=collector@example.com', { token })).status, 403);
+});
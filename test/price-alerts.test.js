@@ -0,0 +1,167 @@
+/**
+ * Price alerts - scripts/lib/price-alerts.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createHelmet, createUser } = require('./helpers/local-db');
+const { upsertPrice } = require('../scripts/lib/price-utils');
+const { validateAlerts, normalizeAlerts, evaluateRule, checkAlerts, unsubscribe } = require('../scripts/lib/price-alerts');
+const { replaceWatchlist } = require('../scripts/lib/watchlist-items');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A user whose watchlist is these cards
+async function createWatcher(email, cards) {
+    const userId = await createUser(email, { full_name: 'Pat' });
+    await replaceWatchlist(userId, cards);
+    return userId;
+}
+
+// Collects the emails checkAlerts would send
+function mailbox() {
+    const sent = [];
+    const send = async message => {
+        sent.push(message);
+        return { success: true, method: 'test' };
+    };
+    return { sent, send };
+}
+
+test('validates alert rules', () => {
+    assert.equal(validateAlerts([{ type: 'below', price: 400 }, { type: 'change', percent: -10 }, { type: 'in_stock' }]).valid, true);
+    assert.deepEqual(validateAlerts([{ type: 'below' }, { type: 'soon' }, { type: 'change', percent: 0 }]).errors, [
+        'alerts[0].price: must be a positive number',
+        'alerts[1].type: must be one of below, above, change, lowest, in_stock',
+        'alerts[2].percent: must be a non-zero number above -100'
+    ]);
+
+    // Without a cost basis, a change is measured from the price when the alert was set
+    assert.deepEqual(normalizeAlerts([{ type: 'change', percent: 15, note: 'x' }], { currentPrice: 400 }),
+        [{ type: 'change', percent: 15, basePrice: 400 }]);
+    assert.deepEqual(normalizeAlerts([{ type: 'change', percent: 15 }], { costBasis: 350, currentPrice: 400 }),
+        [{ type: 'change', percent: 15 }]);
+});
+
+test('rules fire when their condition starts to hold', () => {
+    const card = { name: 'Mahomes Mini', costBasis: 400 };
+    const at = price => ({ price, lowest: { price, source: 'rsa' }, inStock: true, cheapestInStock: { price, source: 'rsa' } });
+
+    assert.equal(evaluateRule({ type: 'below', price: 500 }, card, at(450), null).notify, true);
+    assert.equal(evaluateRule({ type: 'below', price: 500 }, card, at(450), { matched: true }).notify, false);
+    assert.equal(evaluateRule({ type: 'below', price: 500 }, card, at(550), null).matched, false);
+
+    const rise = evaluateRule({ type: 'change', percent: 15 }, card, at(470), null);
+    assert.equal(rise.notify, true);
+    assert.equal(rise.message, 'Mahomes Mini is $470 - up 18% from $400');
+
+    assert.equal(evaluateRule({ type: 'lowest' }, card, at(450), null).notify, false);
+    assert.equal(evaluateRule({ type: 'lowest' }, card, at(430), { last_value: '450.00' }).notify, true);
+    assert.equal(evaluateRule({ type: 'in_stock' }, card, at(450), null).notify, false);
+    assert.equal(evaluateRule({ type: 'in_stock' }, card, at(450), { matched: false }).notify, true);
+});
+
+test('emails matches once, with an unsubscribe link', async () => {
+    const helmetId = await createHelmet('Josh Allen Mini Helmet');
+    await upsertPrice(helmetId, 'rsa', 520);
+    const userId = await createWatcher('allen@example.com', [
+        { id: 1, name: 'Josh Allen Mini', helmetId, alerts: [{ type: 'below', price: 500 }, { type: 'lowest' }] }
+    ]);
+
+    const { sent, send } = mailbox();
+    let result = await checkAlerts({ helmetIds: [helmetId], send });
+    assert.equal(result.alerts.length, 0);
+
+    await upsertPrice(helmetId, 'rsa', 480);
+    result = await checkAlerts({ helmetIds: [helmetId], send });
+    assert.equal(result.sent, 2);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'allen@example.com');
+    assert.match(sent[0].html, /Josh Allen Mini is \$480 - below your \$500 target/);
+    assert.match(sent[0].html, /new lowest retailer price: \$480 at rsa \(was \$520\)/);
+
+    // Still below: nothing new to say
+    await checkAlerts({ helmetIds: [helmetId], send });
+    assert.equal(sent.length, 1);
+
+    const token = sent[0].headers['List-Unsubscribe'].match(/token=(\w+)/)[1];
+    assert.equal((await unsubscribe(token)).success, true);
+    assert.equal((await unsubscribe('nope')).code, 'not_found');
+
+    await upsertPrice(helmetId, 'rsa', 300);
+    assert.equal((await checkAlerts({ helmetIds: [helmetId], send })).cards, 0);
+    assert.equal(sent.length, 1);
+
+    const { data: recorded } = await db.from('price_alert_notifications').select('status').eq('user_id', userId);
+    assert.deepEqual(recorded.map(n => n.status), ['sent', 'sent']);
+});
+
+test('rate limits flapping rules and busy users', async () => {
+    const helmetId = await createHelmet('Joe Burrow Mini Helmet');
+    await upsertPrice(helmetId, 'rsa', 600);
+    await createWatcher('burrow@example.com', [
+        { id: 2, name: 'Joe Burrow Mini', helmetId, alerts: [{ type: 'below', price: 500 }] }
+    ]);
+
+    const { sent, send } = mailbox();
+    const now = Date.now();
+    const checkAt = async (price, offset) => {
+        await upsertPrice(helmetId, 'rsa', price);
+        return checkAlerts({ helmetIds: [helmetId], send, now: new Date(now + offset) });
+    };
+
+    await checkAt(600, 0);
+    assert.equal((await checkAt(490, 1000)).sent, 1);
+    await checkAt(510, 2000);
+    // Back below within the cooldown - recorded, not sent
+    assert.equal((await checkAt(495, 3000)).rateLimited, 1);
+    await checkAt(520, 4000);
+    assert.equal((await checkAt(480, DAY + 5000)).sent, 1);
+    assert.equal(sent.length, 2);
+
+    // A user's daily limit counts the alerts already sent today
+    await checkAt(700, DAY + 6000);
+    await upsertPrice(helmetId, 'rsa', 450);
+    const limited = await checkAlerts({
+        helmetIds: [helmetId], send, now: new Date(now + DAY + 60000), env: { ALERT_DAILY_LIMIT: '1', ALERT_COOLDOWN_HOURS: '0.001' }
+    });
+    assert.equal(limited.rateLimited, 1);
+    assert.equal(sent.length, 2);
+});
+
+test('alerts that weren\'t delivered are tried again on the next check', async () => {
+    const helmetId = await createHelmet('Jalen Hurts Mini Helmet');
+    await upsertPrice(helmetId, 'rsa', 600);
+    const userId = await createWatcher('hurts@example.com', [
+        { id: 3, name: 'Jalen Hurts Mini', helmetId, alerts: [{ type: 'below', price: 500 }, { type: 'lowest' }] }
+    ]);
+    const now = Date.now();
+    const checkAt = (offset, send) => checkAlerts({ helmetIds: [helmetId], send, now: new Date(now + offset) });
+
+    const { sent, send } = mailbox();
+    await checkAt(0, send);
+    await upsertPrice(helmetId, 'rsa', 480);
+
+    const failed = await checkAt(1000, async () => ({ success: false, code: 'not_configured', error: 'Email not configured' }));
+    assert.equal(failed.failed, 2);
+
+    // Still below - the failed alerts go out now
+    assert.equal((await checkAt(2000, send)).sent, 2);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].html, /new lowest retailer price: \$480 at rsa \(was \$600\)/);
+
+    // Back below within the cooldown, and still below once it's over
+    await upsertPrice(helmetId, 'rsa', 520);
+    await checkAt(3000, send);
+    await upsertPrice(helmetId, 'rsa', 490);
+    assert.equal((await checkAt(4000, send)).rateLimited, 1);
+    await upsertPrice(helmetId, 'rsa', 485);
+    assert.equal((await checkAt(4500, send)).rateLimited, 1);
+    assert.equal((await checkAt(DAY + 5000, send)).sent, 1);
+    assert.equal(sent.length, 2);
+
+    // Held back twice, logged once - with the price of the last check
+    const { data: recorded } = await db.from('price_alert_notifications').select('status, price').eq('user_id', userId);
+    assert.deepEqual(recorded.map(n => n.status).sort(), ['failed', 'failed', 'rate_limited', 'sent', 'sent', 'sent']);
+    assert.equal(Number(recorded.find(n => n.status === 'rate_limited').price), 485);
+});
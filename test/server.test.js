@@ -0,0 +1,114 @@
+/**
+ * API end to end on the local database (DATA_BACKEND=local)
+ */
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers/local-db');
+
+let baseUrl;
+let api;
+let close;
+
+test.before(async () => {
+    ({ baseUrl, api, close } = await startServer());
+});
+
+test.after(() => close());
+
+test('health reports the local backend', async () => {
+    const { body } = await api('GET', '/health');
+    assert.equal(body.supabaseConfigured, true);
+    assert.equal(body.dataBackend, 'local');
+});
+
+test('register, log in and keep a watchlist', async () => {
+    const credentials = { email: 'fan@example.com', password: 'correct horse', captchaToken: 'local' };
+
+    const registered = await api('POST', '/api/auth/register', { body: credentials });
+    assert.equal(registered.status, 200);
+    assert.equal((await api('POST', '/api/auth/register', { body: credentials })).status, 400);
+    assert.equal((await api('POST', '/api/auth/login', { body: { ...credentials, password: 'wrong password' } })).status, 401);
+
+    const { body: login } = await api('POST', '/api/auth/login', { body: credentials });
+    assert.ok(login.token);
+
+    const me = await api('GET', '/api/auth/me', { token: login.token });
+    assert.equal(me.body.user.email, 'fan@example.com');
+
+    await api('POST', '/api/watchlist/add', { token: login.token, body: { card: { id: 7, name: 'Patrick Mahomes Mini' } } });
+    const { body: saved } = await api('GET', '/api/watchlist', { token: login.token });
+    assert.deepEqual(saved.watchlist.map(c => c.id), [7]);
+
+    assert.equal((await api('POST', '/api/auth/logout', { token: login.token })).status, 200);
+    assert.equal((await api('GET', '/api/watchlist', { token: login.token })).status, 401);
+});
+
+test('helmet search reads imported helmets', async () => {
+    await db.from('helmets').insert({
+        name: 'Patrick Mahomes Chiefs Mini Helmet',
+        player: 'Patrick Mahomes',
+        team: 'Chiefs',
+        helmet_type: 'mini',
+        design_type: 'regular',
+        ebay_search_query: 'patrick mahomes signed mini helmet'
+    });
+
+    const { status, body } = await api('GET', '/api/helmets/search?q=mahomes');
+    assert.equal(status, 200);
+    assert.ok(JSON.stringify(body).includes('Patrick Mahomes Chiefs Mini Helmet'));
+});
+
+test('admins see scheduled jobs with their last and next runs', async () => {
+    const login = async email => {
+        const credentials = { email, password: 'correct horse', captchaToken: 'local' };
+        await api('POST', '/api/auth/register', { body: credentials });
+        return (await api('POST', '/api/auth/login', { body: credentials })).body.token;
+    };
+
+    assert.equal((await api('GET', '/api/admin/jobs', { token: await login('user@example.com') })).status, 403);
+
+    await db.from('job_runs').insert({
+        job_name: 'import-rsa',
+        status: 'succeeded',
+        finished_at: new Date().toISOString(),
+        duration_ms: 4200,
+        exit_code: 0
+    });
+
+    const { status, body } = await api('GET', '/api/admin/jobs', { token: await login('admin@example.com') });
+    assert.equal(status, 200);
+    const rsa = body.jobs.find(job => job.name === 'import-rsa');
+    assert.equal(rsa.lastRun.status, 'succeeded');
+    assert.equal(rsa.lastRun.durationMs, 4200);
+    assert.ok(rsa.nextRun);
+    assert.equal(body.jobs.find(job => job.name === 'import-all').nextRun, null);
+});
+
+test('set alerts on a card, then unsubscribe from the email link', async () => {
+    const credentials = { email: 'alerts@example.com', password: 'correct horse', captchaToken: 'local' };
+    await api('POST', '/api/auth/register', { body: credentials });
+    const { token, user } = (await api('POST', '/api/auth/login', { body: credentials })).body;
+
+    await api('POST', '/api/watchlist/add', { token, body: { card: { id: 9, name: 'Josh Allen Mini', currentPrice: 400 } } });
+
+    const invalid = await api('PUT', '/api/watchlist/9/alerts', { token, body: { alerts: [{ type: 'below', price: -5 }] } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, ['alerts[0].price: must be a positive number']);
+    assert.equal((await api('PUT', '/api/watchlist/404/alerts', { token, body: { alerts: [] } })).status, 404);
+
+    const saved = await api('PUT', '/api/watchlist/9/alerts', { token, body: { alerts: [{ type: 'below', price: 350 }, { type: 'change', percent: 15 }] } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.card.alerts, [{ type: 'below', price: 350 }, { type: 'change', percent: 15, basePrice: 400 }]);
+
+    await db.from('auth_users').update({ alert_unsubscribe_token: 'abc123' }).eq('id', user.id);
+    const res = await fetch(`${baseUrl}/api/alerts/unsubscribe?token=abc123`);
+    assert.equal(res.status, 200);
+    assert.equal((await fetch(`${baseUrl}/api/alerts/unsubscribe?token=wrong`)).status, 404);
+
+    assert.equal((await api('GET', '/api/alerts', { token })).body.enabled, false);
+    await api('PUT', '/api/alerts', { token, body: { enabled: true } });
+    assert.equal((await api('GET', '/api/alerts', { token })).body.enabled, true);
+});
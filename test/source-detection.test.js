@@ -0,0 +1,100 @@
+/**
+ * Source detection - scripts/lib/source-detection.js
+ *
+ * The retailer-format workbooks in fixtures/spreadsheets/ must be recognised
+ * from their contents alone, so they're read under neutral file names.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XLSX = require('xlsx');
+const { readInputFile } = require('../scripts/lib/input-files');
+const { validateProfile } = require('../scripts/lib/import-profiles');
+const { detectSource, scoreProfile } = require('../scripts/lib/source-detection');
+
+const SPREADSHEETS_DIR = path.join(__dirname, 'fixtures', 'spreadsheets');
+
+const FIXTURES = {
+    fanatics: 'fanatics-inventory.xls',
+    greatsports: 'greatsports-inventory.xls',
+    signaturesports: 'signaturesports-player-helmets.ods'
+};
+
+function workbook(sheets) {
+    const book = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+        XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), name);
+    }
+    return book;
+}
+
+for (const [source, file] of Object.entries(FIXTURES)) {
+    test(`detects ${source} without the file name`, () => {
+        const detection = detectSource(readInputFile(path.join(SPREADSHEETS_DIR, file)), { filename: 'export.xlsx' });
+        assert.equal(detection.success, true, detection.error);
+        assert.equal(detection.source, source);
+        assert.equal(detection.profile.source, source);
+        assert.ok(detection.confidence >= 0.75);
+    });
+}
+
+test('detects positional sheets by their names', () => {
+    const book = workbook({
+        'FS HELMET': [
+            ['Player', 'Team', 'Type', 'Design', 'Price'],
+            ['Patrick Mahomes', 'Chiefs', 'Full Size Replica', 'Lunar', 399.99],
+            ['Josh Allen', 'Bills', 'Full Size Authentic', 'Speed', 649.99]
+        ],
+        'MINI & MIDI HELMET': [
+            ['Player', 'Team', 'Notes', 'Type', 'Price'],
+            ['Joe Burrow', 'Bengals', '', 'Mini', 149.99]
+        ]
+    });
+
+    const detection = detectSource(book, { filename: 'inventory.xlsx' });
+    assert.equal(detection.source, 'denverautographs', detection.error);
+});
+
+test('refuses a file no profile reads', () => {
+    const book = workbook({ Sheet1: [['name', 'cost'], ['Something', 5]] });
+
+    const detection = detectSource(book, { filename: 'fanatics-inventory.xlsx' });
+    assert.equal(detection.success, false);
+    assert.equal(detection.code, 'unknown_source');
+    assert.ok(detection.candidates.every(c => c.confidence === 0));
+    assert.match(detection.error, /fanatics\s+0%/);
+});
+
+test('refuses when two profiles fit equally well', () => {
+    const profile = source => ({ source, columns: { player: 'Player', price: 'Price' } });
+    const book = workbook({ Sheet1: [['Player', 'Price'], ['Tom Brady', 299]] });
+
+    const detection = detectSource(book, { profiles: [profile('rsa'), profile('radtke')] });
+    assert.equal(detection.success, false);
+    assert.equal(detection.code, 'ambiguous');
+});
+
+test('scores distinctive headers and sample values', () => {
+    const profile = {
+        source: 'signaturesports',
+        columns: { player: 'player', price: 'Price' },
+        detect: { headers: ['helmet_type'], values: { price: '^\\$\\d' } }
+    };
+    const matching = workbook({ Sheet1: [['player', 'helmet_type', 'Price'], ['TOM BRADY', 'Mini', '$99.00']] });
+    const plain = workbook({ Sheet1: [['player', 'Price'], ['TOM BRADY', 99]] });
+
+    assert.equal(scoreProfile(profile, matching).confidence, 1);
+    // Columns only: 0.5 of the 0.85 this profile can score
+    assert.equal(scoreProfile(profile, plain).confidence, 0.588);
+});
+
+test('validateProfile checks detect hints', () => {
+    const base = { source: 'x', columns: { player: 'Player', price: 'Price' } };
+    assert.deepEqual(validateProfile({ ...base, detect: { headers: ['SKU'], values: { price: '^\\d' } } }), []);
+    assert.deepEqual(validateProfile({ ...base, detect: { headers: 'SKU', values: { cost: '(' } } }), [
+        'detect.headers: expected a list of names',
+        'detect.values.cost: unknown field',
+        'detect.values.cost: invalid pattern'
+    ]);
+});
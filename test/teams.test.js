@@ -0,0 +1,43 @@
+/**
+ * Team registry - scripts/lib/teams.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEAMS, getTeam, findTeamInText, normalizeTeam, teamsByLeague, teamRows } = require('../scripts/lib/teams');
+
+test('teams by abbreviation, slug and alias', () => {
+    assert.equal(getTeam('KC').team, 'Chiefs');
+    assert.equal(getTeam('kansas-city-chiefs').team, 'Chiefs');
+    assert.equal(getTeam('UGA').team, 'Georgia Bulldogs');
+    // NFL abbreviations win over other leagues'; NHL ones still work
+    assert.equal(getTeam('NYR').team, 'NY Rangers (NHL)');
+    assert.equal(getTeam('Nowhere Nine'), null);
+});
+
+test('relocated and renamed franchises are the team they became', () => {
+    for (const name of ['Oakland Raiders', 'oakland-raiders', 'Los Angeles Raiders', 'LV']) {
+        assert.equal(getTeam(name).team, 'Raiders', name);
+    }
+    assert.equal(getTeam('St. Louis Rams').team, 'Rams');
+    assert.equal(getTeam('Redskins').team, 'Commanders');
+    assert.equal(getTeam('Washington Football Team').team, 'Commanders');
+});
+
+test('teams in product titles and team columns', () => {
+    assert.equal(findTeamInText('Jerome Bettis Signed Steelers Mini Helmet').team, 'Steelers');
+    assert.equal(findTeamInText('Stafford Signed Georgia Bulldogs Helmet').team, 'Georgia Bulldogs');
+    // "Kings" alone is an ordinary word
+    assert.equal(findTeamInText('Kings of the gridiron'), null);
+
+    assert.equal(normalizeTeam('Oakland Raiders'), 'Raiders');
+    assert.equal(normalizeTeam('  Unknown FC '), 'Unknown FC');
+    assert.equal(normalizeTeam(''), '');
+});
+
+test('every NFL team is in the registry and the teams table rows', () => {
+    assert.equal(teamsByLeague('NFL').length, 32);
+    const rows = teamRows();
+    assert.equal(rows.length, TEAMS.length);
+    assert.ok(rows.find(r => r.team === 'Raiders').lookup_names.includes('oakland raiders'));
+});
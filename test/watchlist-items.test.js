@@ -0,0 +1,147 @@
+/**
+ * Watchlist items - scripts/lib/watchlist-items.js and the /api/watchlist endpoints
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createHelmet, createUser, startServer } = require('./helpers/local-db');
+const { mergeHelmets } = require('../scripts/lib/helmet-merge');
+const {
+    listCards,
+    createCard,
+    updateCard,
+    deleteCard,
+    replaceWatchlist,
+    migrateAllWatchlists
+} = require('../scripts/lib/watchlist-items');
+
+test('cards are added, changed and removed one at a time', async () => {
+    const userId = await createUser('cards@example.com');
+    const helmetId = await createHelmet('Patrick Mahomes Mini Helmet');
+
+    const { card } = await createCard(userId, { name: 'Mahomes Mini', helmetId, costBasis: '350', quantity: 2, currentPrice: 400 });
+    assert.equal(typeof card.id, 'number');
+    assert.deepEqual([card.helmetId, card.costBasis, card.quantity, card.currentPrice], [helmetId, 350, 2, 400]);
+
+    assert.equal((await createCard(userId, { id: card.id, name: 'Again' })).code, 'conflict');
+    assert.deepEqual((await createCard(userId, { name: 'Gone', helmetId: 999 })).details, ['no helmet with ID 999']);
+    assert.deepEqual((await createCard(userId, { name: 'None', quantity: 0 })).details, ['quantity: must be a whole number of at least 1']);
+
+    // Two tabs, each changing its own field
+    await updateCard(userId, card.id, { notes: 'Signed on the visor' });
+    await updateCard(userId, String(card.id), { costBasis: 300, currentPrice: null });
+    const [saved] = await listCards(userId);
+    assert.deepEqual([saved.notes, saved.costBasis, saved.quantity, saved.currentPrice], ['Signed on the visor', 300, 2, undefined]);
+
+    assert.equal((await updateCard(userId, 'nope', { notes: '' })).code, 'not_found');
+    assert.deepEqual(await deleteCard(userId, card.id), { success: true });
+    assert.equal((await deleteCard(userId, card.id)).code, 'not_found');
+});
+
+test('replacing the whole watchlist only writes the cards that changed', async () => {
+    const userId = await createUser('replace@example.com');
+    await replaceWatchlist(userId, [{ id: 1, name: 'Allen Mini' }, { id: 2, name: 'Burrow Mini' }]);
+    const before = await listCards(userId);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const result = await replaceWatchlist(userId, [{ ...before[0], costBasis: 250 }, before[1], { id: 3, name: 'Hurts Mini' }]);
+
+    assert.deepEqual(result.cards.map(c => [c.id, c.costBasis]), [[1, 250], [2, null], [3, null]]);
+    assert.notEqual(result.cards[0].updatedAt, before[0].updatedAt);
+    assert.equal(result.cards[0].addedAt, before[0].addedAt);
+    assert.equal(result.cards[1].updatedAt, before[1].updatedAt);
+
+    const removed = await replaceWatchlist(userId, [result.cards[2], result.cards[0]]);
+    assert.deepEqual(removed.cards.map(c => c.id), [3, 1]);
+
+    const duplicate = await replaceWatchlist(userId, [{ id: 4, name: 'A' }, { id: 4, name: 'B' }]);
+    assert.deepEqual(duplicate.details, ['watchlist[1].id: 4 is on the list twice']);
+});
+
+test('JSON watchlists are copied over once, following merged helmets', async () => {
+    const survivor = await createHelmet('Josh Allen Mini Helmet');
+    const duplicate = await createHelmet('Josh Allen Mini');
+    await mergeHelmets(survivor, [duplicate]);
+
+    const userId = await createUser('legacy@example.com');
+    await db.from('auth_user_watchlists').insert({
+        user_id: userId,
+        watchlist_data: [
+            { id: 10, name: 'Allen', helmetId: duplicate, costBasis: 300, addedAt: '2025-01-02T00:00:00.000Z', alerts: [{ type: 'below', price: 250 }] },
+            { id: 11, name: 'Deleted helmet', helmetId: 999, currentPrice: 80, alerts: [{ type: 'bogus' }] },
+            { id: 11, name: 'Same ID' },
+            { name: 'No ID' }
+        ]
+    });
+    const otherId = await createUser('legacy2@example.com');
+    await db.from('auth_user_watchlists').insert({ user_id: otherId, watchlist_data: [{ id: 1, name: 'Hurts' }] });
+
+    // Loading the watchlist copies it
+    const cards = await listCards(userId);
+    assert.deepEqual(cards.map(c => [c.id, c.helmetId, c.costBasis, c.alerts.length]), [[10, survivor, 300, 1], [11, null, null, 0]]);
+    assert.equal(cards[0].addedAt, '2025-01-02T00:00:00.000Z');
+    assert.equal(cards[1].currentPrice, 80);
+
+    // ... and only once
+    await deleteCard(userId, 10);
+    await deleteCard(userId, 11);
+    assert.deepEqual(await listCards(userId), []);
+
+    assert.deepEqual(await migrateAllWatchlists(), { users: 1, copied: 1, skipped: 0 });
+    assert.deepEqual(await migrateAllWatchlists(), { users: 0, copied: 0, skipped: 0 });
+    assert.equal((await listCards(otherId))[0].name, 'Hurts');
+});
+
+test('a JSON watchlist is copied before the first change, not lost to it', async () => {
+    const addFirst = await createUser('add-first@example.com');
+    await db.from('auth_user_watchlists').insert({ user_id: addFirst, watchlist_data: [{ id: 1, name: 'Allen' }, { id: 2, name: 'Hurts' }] });
+    await createCard(addFirst, { id: 3, name: 'Burrow' });
+    assert.deepEqual((await listCards(addFirst)).map(c => c.id), [1, 2, 3]);
+
+    const saveFirst = await createUser('save-first@example.com');
+    await db.from('auth_user_watchlists').insert({ user_id: saveFirst, watchlist_data: [{ id: 1, name: 'Allen' }, { id: 2, name: 'Hurts' }] });
+    await replaceWatchlist(saveFirst, [{ id: 2, name: 'Hurts' }]);
+    assert.deepEqual((await listCards(saveFirst)).map(c => c.id), [2]);
+});
+
+test('merging helmets moves the cards that watch them', async () => {
+    const userId = await createUser('merge@example.com');
+    const [a, b, c] = [await createHelmet('Hurts Mini A'), await createHelmet('Hurts Mini B'), await createHelmet('Hurts Mini C')];
+    await replaceWatchlist(userId, [{ id: 1, name: 'Single', helmetId: a }, { id: 2, name: 'Grouped', helmetIds: [b, a] }]);
+
+    const result = await mergeHelmets(c, [a]);
+    assert.equal(result.watchlistsUpdated, 1);
+
+    const cards = await listCards(userId);
+    assert.deepEqual(cards.map(card => [card.helmetId, card.helmetIds]), [[c, undefined], [b, [b, c]]]);
+});
+
+test('item endpoints and the whole-list endpoints share the same cards', async t => {
+    const { api, close } = await startServer();
+    t.after(close);
+
+    const credentials = { email: 'items@example.com', password: 'correct horse', captchaToken: 'local' };
+    await api('POST', '/api/auth/register', { body: credentials });
+    const { token } = (await api('POST', '/api/auth/login', { body: credentials })).body;
+
+    const created = await api('POST', '/api/watchlist/items', { token, body: { id: 7, name: 'Lamb Mini', costBasis: 200 } });
+    assert.equal(created.status, 201);
+    assert.equal((await api('POST', '/api/watchlist/items', { token, body: { id: 7, name: 'Lamb Mini' } })).status, 409);
+    assert.equal((await api('POST', '/api/watchlist/items', { token, body: { name: '' } })).status, 400);
+
+    const patched = await api('PATCH', '/api/watchlist/items/7', { token, body: { quantity: 3, notes: 'Blue' } });
+    assert.deepEqual([patched.body.item.quantity, patched.body.item.notes, patched.body.item.costBasis], [3, 'Blue', 200]);
+    assert.equal((await api('PATCH', '/api/watchlist/items/8', { token, body: { notes: 'x' } })).status, 404);
+
+    await api('POST', '/api/watchlist/add', { token, body: { card: { id: 8, name: 'Pacheco Mini' } } });
+    assert.deepEqual((await api('GET', '/api/watchlist/items', { token })).body.items.map(c => c.id), [7, 8]);
+
+    assert.equal((await api('DELETE', '/api/watchlist/items/7', { token })).status, 200);
+    assert.deepEqual((await api('GET', '/api/watchlist', { token })).body.watchlist.map(c => c.name), ['Pacheco Mini']);
+    assert.equal((await api('GET', '/api/watchlist/items/7', { token })).status, 404);
+
+    // Adds racing for the last free slots can't go over the limit
+    const adds = Array.from({ length: 10 }, (_, i) => api('POST', '/api/watchlist/items', { token, body: { id: 20 + i, name: `Card ${i}` } }));
+    assert.equal((await Promise.all(adds)).filter(r => r.status === 201).length <= 9, true);
+    assert.equal((await api('GET', '/api/watchlist/items', { token })).body.items.length <= 10, true);
+});
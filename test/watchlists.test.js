@@ -0,0 +1,99 @@
+/**
+ * Named watchlists - scripts/lib/watchlists.js and the /api/watchlists endpoints
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startServer } = require('./helpers/local-db');
+const { listCards, createCard, updateCard, replaceWatchlist } = require('../scripts/lib/watchlist-items');
+const {
+    listWatchlists,
+    createWatchlist,
+    renameWatchlist,
+    deleteWatchlist,
+    reorderWatchlists
+} = require('../scripts/lib/watchlists');
+
+test('each list has its own cards and totals', async () => {
+    const userId = await createUser('lists@example.com');
+    await replaceWatchlist(userId, [{ id: 1, name: 'Allen Mini', currentPrice: 100, costBasis: 80, quantity: 2 }]);
+
+    const { watchlist: flips } = await createWatchlist(userId, '  Flip candidates ');
+    assert.equal(flips.name, 'Flip candidates');
+    assert.equal((await createWatchlist(userId, 'flip CANDIDATES')).code, 'conflict');
+    assert.equal((await createWatchlist(userId, ' ')).code, 'invalid');
+
+    await createCard(userId, { id: 2, name: 'Hurts Mini', currentPrice: 50, watchlistId: flips.id });
+    assert.deepEqual((await createCard(userId, { id: 3, name: 'X', watchlistId: 'nope' })).details, ['no watchlist with ID nope']);
+
+    const lists = await listWatchlists(userId);
+    assert.deepEqual(lists.map(l => [l.name, l.isDefault, l.cardCount]), [['My watchlist', true, 1], ['Flip candidates', false, 1]]);
+    assert.deepEqual(lists[0].totals, { value: 200, cost: 160, profit: 40, profitPercent: 25 });
+    assert.deepEqual(lists[1].totals, { value: 50, cost: 0, profit: 50, profitPercent: null });
+
+    // Moving a card puts it at the end of the other list
+    await updateCard(userId, 1, { watchlistId: flips.id });
+    assert.deepEqual((await listCards(userId, { watchlistId: flips.id })).map(c => c.id), [2, 1]);
+    assert.equal((await listWatchlists(userId))[1].totals.value, 250);
+});
+
+test('lists are renamed, reordered and deleted without losing cards', async () => {
+    const userId = await createUser('manage@example.com');
+    const { watchlist: want } = await createWatchlist(userId, 'Want list');
+    const { watchlist: pc } = await createWatchlist(userId, 'PC');
+    await createCard(userId, { id: 1, name: 'Default card' });
+    await createCard(userId, { id: 2, name: 'Wanted', watchlistId: want.id });
+    await createCard(userId, { id: 3, name: 'Kept', watchlistId: pc.id });
+
+    assert.equal((await renameWatchlist(userId, want.id, 'pc')).code, 'conflict');
+    assert.equal((await renameWatchlist(userId, want.id, 'Wishlist')).watchlist.name, 'Wishlist');
+    assert.equal((await renameWatchlist(userId, 'nope', 'Other')).code, 'not_found');
+
+    const [defaultList] = await listWatchlists(userId);
+    assert.equal((await reorderWatchlists(userId, [pc.id, want.id])).code, 'invalid');
+    const reordered = await reorderWatchlists(userId, [pc.id, defaultList.id, want.id]);
+    assert.deepEqual(reordered.watchlists.map(l => l.name), ['PC', 'My watchlist', 'Wishlist']);
+    assert.deepEqual((await listCards(userId)).map(c => c.id), [3, 1, 2]);
+
+    assert.equal((await deleteWatchlist(userId, defaultList.id)).code, 'invalid');
+    assert.deepEqual(await deleteWatchlist(userId, want.id), { success: true, moved: 1, moveTo: defaultList.id });
+    await deleteWatchlist(userId, pc.id, { moveTo: defaultList.id });
+
+    assert.deepEqual((await listWatchlists(userId)).map(l => [l.name, l.cardCount]), [['My watchlist', 3]]);
+    assert.deepEqual((await listCards(userId)).map(c => c.id), [1, 2, 3]);
+});
+
+test('list endpoints share the slot limit across lists', async t => {
+    const { api, close } = await startServer();
+    t.after(close);
+
+    const credentials = { email: 'named@example.com', password: 'correct horse', captchaToken: 'local' };
+    await api('POST', '/api/auth/register', { body: credentials });
+    const { token } = (await api('POST', '/api/auth/login', { body: credentials })).body;
+
+    const created = await api('POST', '/api/watchlists', { token, body: { name: 'Flips' } });
+    assert.equal(created.status, 201);
+    assert.equal((await api('POST', '/api/watchlists', { token, body: { name: 'flips' } })).status, 409);
+    const flipsId = created.body.watchlist.id;
+
+    const cards = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, name: `Card ${i + 1}`, ...(i % 2 ? { watchlistId: flipsId } : {}) }));
+    for (const card of cards) await api('POST', '/api/watchlist/items', { token, body: card });
+    const full = await api('POST', '/api/watchlist/items', { token, body: { id: 11, name: 'One too many', watchlistId: flipsId } });
+    assert.equal(full.status, 400);
+
+    const listed = await api('GET', '/api/watchlists', { token });
+    assert.deepEqual(listed.body.slots, { used: 10, total: 10 });
+    assert.deepEqual(listed.body.watchlists.map(l => l.cardCount), [5, 5]);
+
+    assert.equal((await api('GET', `/api/watchlists/${flipsId}/items`, { token })).body.items.length, 5);
+    assert.equal((await api('GET', '/api/watchlists/nope/items', { token })).status, 404);
+    assert.equal((await api('PATCH', `/api/watchlists/${flipsId}`, { token, body: { name: 'Flip candidates' } })).status, 200);
+
+    const [defaultList] = listed.body.watchlists;
+    const order = await api('PUT', '/api/watchlists/order', { token, body: { ids: [flipsId, defaultList.id] } });
+    assert.deepEqual(order.body.watchlists.map(l => l.name), ['Flip candidates', 'My watchlist']);
+
+    assert.equal((await api('DELETE', `/api/watchlists/${defaultList.id}`, { token })).status, 400);
+    assert.deepEqual((await api('DELETE', `/api/watchlists/${flipsId}`, { token })).body, { success: true, moved: 5, moveTo: defaultList.id });
+    assert.equal((await api('GET', '/api/watchlist', { token })).body.watchlist.length, 10);
+});